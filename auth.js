@@ -0,0 +1,310 @@
+/*
+Authentication strategies
+Requests authenticate with "Authorization: Bearer <credential>". Each strategy named in AUTH_STRATEGIES (see config.js) checks its own kind of credential:
+  google: Google ID tokens from the welcome page, checked against the OAuth client in OAUTH_CLIENT_FILE
+  apikey: keys users create at /users/me/api-keys (they start with "trk_"), which only allow what their scopes allow
+  local: JWTs this server signs at POST /auth/local/token with LOCAL_JWT_SECRET, for development and offline testing
+Every strategy returns the same user, so routes don't need to know which one was used.
+Verified credentials are cached (tokens until they expire, API keys for API_KEY_CACHE_TTL), so most requests skip verification
+*/
+
+const crypto = require('crypto');
+const fs = require('fs');
+const {google} = require('googleapis');
+
+// API keys start with this, so they can be told apart from JWTs
+const API_KEY_PREFIX = "trk_";
+
+// number of characters of a key that are saved and shown, so users can tell their keys apart
+const API_KEY_VISIBLE_LENGTH = API_KEY_PREFIX.length + 6;
+
+// issuer of local tokens, so they aren't mistaken for Google's
+const LOCAL_ISSUER = "trails-api-local";
+
+// realm sent in WWW-Authenticate challenges
+const REALM = "trails-api";
+
+// encodes bytes or a string as base64url without padding, as JWTs use
+function base64url(value) {
+  return Buffer.from(value).toString("base64").replace(/=+$/, "").replace(/\+/g, "-").replace(/\//g, "_");
+}
+
+// splits a JWT into its decoded header and payload, and the parts its signature covers; null if it isn't a JWT
+function parseJWT(token) {
+  const parts = token.split(".");
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  try {
+    return {
+      "header": JSON.parse(Buffer.from(parts[0], "base64").toString()),
+      "payload": JSON.parse(Buffer.from(parts[1], "base64").toString()),
+      "signed": parts[0] + "." + parts[1],
+      "signature": parts[2]
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+// signs the header and payload of a local JWT
+function signLocal(signed, secret) {
+  return base64url(crypto.createHmac("sha256", secret).update(signed).digest());
+}
+
+// reads the Google OAuth client from its file
+// input: path of the client secret file downloaded from the Google API console
+// output: { client, clientId, authURL }, or null if the file is missing or invalid (Google sign-in is then turned off)
+function loadGoogleClient(file) {
+  let oauthFile = null;
+
+  try {
+    oauthFile = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    console.log("Google sign-in is turned off: can't read " + file + " (" + error.message + ")");
+    return null;
+  }
+
+  const client = new google.auth.OAuth2(
+    oauthFile.web.client_id,
+    oauthFile.web.client_secret,
+    oauthFile.web.redirect_uris[0]
+  );
+
+  return {
+    "client": client,
+    "clientId": oauthFile.web.client_id,
+    // user will grant access to profile info
+    "authURL": client.generateAuthUrl({
+      access_type: 'online',
+      scope: 'https://www.googleapis.com/auth/userinfo.profile'
+    })
+  };
+}
+
+// returns the hash of an API key, which is what gets saved and looked up; keys are long and random, so a fast hash is enough
+function hashApiKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+// makes a new random API key
+// output: { key (only shown to the user once), prefix (start of the key, to tell keys apart), hash (to save) }
+function makeApiKey() {
+  const key = API_KEY_PREFIX + base64url(crypto.randomBytes(32));
+
+  return {
+    "key": key,
+    "prefix": key.slice(0, API_KEY_VISIBLE_LENGTH),
+    "hash": hashApiKey(key)
+  };
+}
+
+// creates the authenticator for the strategies in config
+// input: config (see config.js); storage (see storage/index.js); name of the kind API keys are saved as
+// output: { google: Google client from loadGoogleClient (null if turned off), local: true if local tokens are on,
+//   authenticate(authorization), signLocalToken(sub) }
+function createAuthenticator(config, storage, apiKeyKind) {
+  const enabled = config.AUTH_STRATEGIES;
+
+  // anyone can get a local token for any user, so they must never be turned on in production
+  if (enabled.includes("local") && process.env.NODE_ENV === "production") {
+    throw new Error("The local auth strategy can't be used when NODE_ENV is production. Remove it from AUTH_STRATEGIES.");
+  }
+  const googleClient = enabled.includes("google") ? loadGoogleClient(config.OAUTH_CLIENT_FILE) : null;
+
+  let localSecret = config.LOCAL_JWT_SECRET;
+  if (enabled.includes("local") && !localSecret) {
+    console.log("LOCAL_JWT_SECRET isn't set: local tokens will stop working when the server restarts");
+    localSecret = crypto.randomBytes(32).toString("hex");
+  }
+
+  // verified credentials, keyed by the hash of the credential (for API keys, that is the hash saved with the key); entries are in the order they were added
+  const cache = new Map();
+
+  // returns a cached user if their credential was verified before and hasn't expired since
+  const cached = (hash) => {
+    const entry = cache.get(hash);
+    if (entry && entry.expires > Date.now()) {
+      return entry.user;
+    }
+
+    cache.delete(hash);
+    return null;
+  };
+
+  // caches a verified user until their credential expires; when the cache is full, the entry that was added first is dropped
+  const remember = (hash, user, expires) => {
+    if (config.AUTH_CACHE_SIZE <= 0 || !(expires > Date.now())) {
+      return;
+    }
+
+    if (cache.size >= config.AUTH_CACHE_SIZE) {
+      cache.delete(cache.keys().next().value);
+    }
+    cache.set(hash, { "user": user, "expires": expires });
+  };
+
+  // each strategy returns { user: { sub, strategy, scopes, keyId }, expires (milliseconds; when to stop caching it) } or { error: description }
+  // scopes is null when everything is allowed; keyId is only set for API keys
+  const strategies = {
+    "google": async (token) => {
+      // check what can be read from the token first, so expired and wrong audience tokens get a clear error
+      const jwt = parseJWT(token);
+      if (jwt && !(jwt.payload.exp > Date.now() / 1000)) {
+        return { "error": "The token has expired" };
+      } else if (jwt && jwt.payload.aud !== googleClient.clientId) {
+        return { "error": "The token was issued for a different audience" };
+      }
+
+      const ticket = await googleClient.client.verifyIdToken({
+        idToken: token,
+        audience: googleClient.clientId
+      }).catch(error => {
+        console.log("error authenticating user", error);
+        return false;
+      });
+
+      if (!ticket) {
+        return { "error": "The token could not be verified" };
+      }
+
+      const payload = ticket.getPayload();
+      return {
+        "user": { "sub": payload.sub, "strategy": "google", "scopes": null },
+        "expires": payload.exp * 1000
+      };
+    },
+
+    "apikey": async (token) => {
+      const query = storage.createQuery(apiKeyKind).filter('hash', '=', hashApiKey(token)).limit(1);
+      const [keys] = await storage.runQuery(query);
+
+      if (keys.length === 0) {
+        return { "error": "The API key doesn't exist or has been revoked" };
+      }
+
+      // keys don't expire, so they are only cached briefly; a key revoked on another instance stops working within that time
+      return {
+        "user": { "sub": keys[0].userId, "strategy": "apikey", "scopes": keys[0].scopes, "keyId": keys[0][storage.KEY].id },
+        "expires": Date.now() + config.API_KEY_CACHE_TTL * 1000
+      };
+    },
+
+    "local": async (token) => {
+      const jwt = parseJWT(token);
+      const expected = signLocal(jwt.signed, localSecret);
+
+      // compare signatures in constant time
+      const valid = jwt.header.alg === "HS256" && jwt.signature.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(jwt.signature), Buffer.from(expected));
+
+      if (!valid || typeof jwt.payload.sub !== "string") {
+        return { "error": "The token's signature is invalid" };
+      } else if (!(jwt.payload.exp > Date.now() / 1000)) {
+        return { "error": "The token has expired" };
+      }
+
+      return {
+        "user": { "sub": jwt.payload.sub, "strategy": "local", "scopes": null },
+        "expires": jwt.payload.exp * 1000
+      };
+    }
+  };
+
+  // picks the strategy for a credential from its shape: API keys by their prefix, local tokens by their issuer, anything else is for Google
+  const strategyFor = (token) => {
+    if (token.startsWith(API_KEY_PREFIX)) {
+      return "apikey";
+    }
+
+    const jwt = parseJWT(token);
+    return jwt && jwt.payload.iss === LOCAL_ISSUER ? "local" : "google";
+  };
+
+  return {
+    "google": googleClient,
+    "local": enabled.includes("local"),
+
+    // verifies the credential in an Authorization header
+    // input: value of the Authorization header ("Bearer " is optional)
+    // output: { user: { sub, strategy, scopes (null for tokens, which allow everything), keyId (API keys only) } } if authenticated;
+    //   { user: null } if there is no credential; { user: false, error: description } if it is invalid
+    "authenticate": async (authorization) => {
+      if (authorization === undefined || authorization === '') {
+        return { "user": null };
+      }
+
+      // remove 'Bearer' from beginning of token that Postman adds
+      const token = authorization.slice(0, 7) === 'Bearer ' ? authorization.slice(7) : authorization;
+      const hash = hashApiKey(token);
+
+      const user = cached(hash);
+      if (user) {
+        return { "user": user };
+      }
+
+      const name = strategyFor(token);
+      if (!enabled.includes(name) || (name === "google" && !googleClient)) {
+        return { "user": false, "error": (name === "apikey" ? "API keys" : name === "local" ? "Local tokens" : "Google tokens") + " aren't accepted by this server" };
+      }
+
+      const result = await strategies[name](token).catch(error => {
+        console.log("error authenticating user", error);
+        return { "error": "The credential could not be verified" };
+      });
+
+      if (result.error) {
+        return { "user": false, "error": result.error };
+      }
+
+      remember(hash, result.user, result.expires);
+      return { "user": result.user };
+    },
+
+    // stops accepting a cached API key right away, e.g. when it's revoked
+    // input: hash saved with the key (see makeApiKey)
+    "forget": (hash) => {
+      cache.delete(hash);
+    },
+
+    // signs a local token for a user
+    // input: user's sub
+    // output: { token, expiresIn (seconds) }
+    "signLocalToken": (sub) => {
+      const now = Math.floor(Date.now() / 1000);
+      const signed = base64url(JSON.stringify({ "alg": "HS256", "typ": "JWT" })) + "." +
+        base64url(JSON.stringify({ "iss": LOCAL_ISSUER, "sub": sub, "iat": now, "exp": now + config.LOCAL_JWT_TTL }));
+
+      return {
+        "token": signed + "." + signLocal(signed, localSecret),
+        "expiresIn": config.LOCAL_JWT_TTL
+      };
+    }
+  };
+}
+
+// makes the value of a WWW-Authenticate header for a 401 or 403 response (RFC 6750)
+// input: { error: invalid_token or insufficient_scope, description, scope } or null when the request had no credential
+// output: header value (ex: Bearer realm="trails-api", error="invalid_token", error_description="The token has expired")
+function makeChallenge(details) {
+  const params = ["realm=\"" + REALM + "\""];
+
+  if (details) {
+    params.push("error=\"" + details.error + "\"");
+    if (details.description) {
+      params.push("error_description=\"" + details.description.replace(/["\\]/g, "") + "\"");
+    }
+    if (details.scope) {
+      params.push("scope=\"" + details.scope + "\"");
+    }
+  }
+
+  return "Bearer " + params.join(", ");
+}
+
+module.exports = {
+  createAuthenticator,
+  makeApiKey,
+  makeChallenge
+};
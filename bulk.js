@@ -0,0 +1,290 @@
+/*
+Bulk import and export
+Reads and writes trails and trailheads as CSV or NDJSON (one JSON object per line), one row per entity.
+Every row has a kind (trail or trailhead) and an optional ref that other rows in the same file can refer to: a trail lists its trailheads' refs,
+so relationships can be imported along with the entities. Exports use each entity's ID as its ref, so an export can be imported again
+*/
+
+const {findMissingAttributes, findInvalidAttributes} = require('./validation');
+
+const MEDIA_TYPES = {
+  "CSV": "text/csv",
+  "NDJSON": "application/x-ndjson"
+};
+
+// largest number of rows in one import; each is saved with its first revision and its search document in one transaction,
+// and Datastore allows 500 writes per commit
+const MAX_IMPORT_ROWS = 160;
+
+// CSV columns, in the order they're exported; trailheads is a semicolon separated list of refs
+const CSV_COLUMNS = ["kind", "ref", "name", "length", "difficulty", "visibility", "fee", "latitude", "longitude", "trailheads"];
+
+// splits CSV text into rows of fields (RFC 4180: fields with commas, quotes, or line breaks are quoted, and quotes are doubled)
+// output: { rows: array of arrays of strings, with the line each row starts on } or { error: message }
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === "\"" && text[i + 1] === "\"") {
+        field += "\"";
+        i++;
+      } else if (char === "\"") {
+        quoted = false;
+      } else {
+        field += char;
+        line += char === "\n" ? 1 : 0;
+      }
+    } else if (char === "\"" && field === "") {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      // \r\n ends one row, not two
+      if (char === "\r" && text[i + 1] === "\n") {
+        i++;
+      }
+      row.push(field);
+      row.line = rowLine;
+      rows.push(row);
+      row = [];
+      field = "";
+      rowLine = ++line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    return { "error": "line " + rowLine + " has a quoted field that isn't closed" };
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    row.line = rowLine;
+    rows.push(row);
+  }
+
+  // blank lines don't count as rows
+  return { "rows": rows.filter(fields => fields.length > 1 || fields[0].trim() !== "") };
+}
+
+// turns a CSV value into a number if it is one, so it can be checked like a JSON number; anything else is left for validation to reject
+function readNumber(value) {
+  return value.trim() !== "" && isFinite(Number(value)) ? Number(value) : value;
+}
+
+// turns a CSV record into the same shape as an NDJSON record: empty cells are left out, numbers are parsed,
+// latitude and longitude become a location, and trailheads becomes a list of refs
+function readCSVRecord(record) {
+  const converted = {};
+
+  for (const column of Object.keys(record)) {
+    const value = record[column].trim();
+
+    if (value === "") {
+      continue;
+    } else if (column === "length" || column === "fee") {
+      converted[column] = readNumber(value);
+    } else if (column === "latitude" || column === "longitude") {
+      converted.location = converted.location || {};
+      converted.location[column] = readNumber(value);
+    } else if (column === "trailheads") {
+      converted.trailheads = value.split(";").map(ref => ref.trim()).filter(ref => ref !== "");
+    } else {
+      converted[column] = value;
+    }
+  }
+
+  return converted;
+}
+
+// reads the records of an import
+// input: media type of the body (from Content-Type, without parameters); body text
+// output: { records: [{ row (1-based, for errors), record }] } or { error: message }
+function readImport(mediaType, text) {
+  if (typeof text !== "string" || text.trim() === "") {
+    return { "error": "body must be CSV or NDJSON with at least one row" };
+  }
+
+  const records = [];
+
+  if (mediaType === MEDIA_TYPES.CSV) {
+    const csv = parseCSV(text);
+    if (csv.error) {
+      return csv;
+    }
+
+    const header = (csv.rows.shift() || []).map(column => column.trim().toLowerCase());
+    const unknown = header.filter(column => !CSV_COLUMNS.includes(column));
+
+    if (!header.includes("kind")) {
+      return { "error": "CSV header must have a kind column" };
+    } else if (unknown.length > 0) {
+      return { "error": "CSV header has unknown columns: " + unknown.join(", ") + " (allowed: " + CSV_COLUMNS.join(", ") + ")" };
+    }
+
+    for (const fields of csv.rows) {
+      if (fields.length !== header.length) {
+        return { "error": "line " + fields.line + " has " + fields.length + " fields; the header has " + header.length };
+      }
+
+      const record = {};
+      header.forEach((column, i) => record[column] = fields[i]);
+      records.push({ "row": records.length + 1, "record": readCSVRecord(record) });
+    }
+  } else {
+    const lines = text.split(/\r?\n/);
+
+    for (let i = 0; i < lines.length; i++) {
+      if (lines[i].trim() === "") {
+        continue;
+      }
+
+      let record = null;
+      try {
+        record = JSON.parse(lines[i]);
+      } catch (error) {
+        return { "error": "line " + (i + 1) + " isn't valid JSON" };
+      }
+
+      if (typeof record !== "object" || record === null || Array.isArray(record)) {
+        return { "error": "line " + (i + 1) + " must be a JSON object" };
+      }
+      records.push({ "row": records.length + 1, "record": record });
+    }
+  }
+
+  if (records.length === 0) {
+    return { "error": "body must be CSV or NDJSON with at least one row" };
+  } else if (records.length > MAX_IMPORT_ROWS) {
+    return { "error": "an import can have at most " + MAX_IMPORT_ROWS + " rows" };
+  }
+
+  return { "records": records };
+}
+
+// checks every record of an import, including that each trail's trailheads are refs of trailhead rows
+// input: records from readImport; types by kind ({ trail: TRAIL, trailhead: TRAILHEAD })
+// output: { rows: [{ row, kind, ref, attributes, trailheads (refs; trails only) }], errors: [{ row, ref, errors: [{ attribute, error }] }] }
+function checkImport(records, types) {
+  const rows = [];
+  const errors = [];
+  const kindsByRef = {};
+
+  // refs are collected first, so a trail can come before the trailheads it lists
+  for (const {record} of records) {
+    if (typeof record.ref === "string" || typeof record.ref === "number") {
+      const ref = String(record.ref);
+      kindsByRef[ref] = ref in kindsByRef ? null : record.kind;
+    }
+  }
+
+  for (const {row, record} of records) {
+    const rowErrors = [];
+    const ref = record.ref === undefined ? null : String(record.ref);
+    const type = types[record.kind];
+
+    if (!type) {
+      rowErrors.push({ "attribute": "kind", "error": "must be one of: " + Object.keys(types).join(", ") });
+    }
+
+    if (ref !== null && ((typeof record.ref !== "string" && typeof record.ref !== "number") || ref.trim() === "" || ref.length > 100)) {
+      rowErrors.push({ "attribute": "ref", "error": "must be a string of 1 to 100 characters" });
+    } else if (ref !== null && kindsByRef[ref] === null) {
+      rowErrors.push({ "attribute": "ref", "error": "is used by more than one row" });
+    }
+
+    // only the type's own attributes are imported; everything else in the row is ignored
+    const attributes = {};
+    if (type) {
+      for (const attr of Object.keys(type.fields).filter(attr => attr in record)) {
+        attributes[attr] = record[attr];
+      }
+      rowErrors.push(...findMissingAttributes(type, attributes), ...findInvalidAttributes(type, attributes));
+    }
+
+    let trailheads = [];
+    if (record.kind === "trail" && record.trailheads !== undefined) {
+      if (!Array.isArray(record.trailheads)) {
+        rowErrors.push({ "attribute": "trailheads", "error": "must be a list of refs" });
+      } else {
+        trailheads = record.trailheads.map(String).filter((thRef, i, refs) => refs.indexOf(thRef) === i);
+
+        for (const thRef of trailheads.filter(thRef => kindsByRef[thRef] !== "trailhead")) {
+          rowErrors.push({ "attribute": "trailheads", "error": "ref " + thRef + " isn't a trailhead row in this import" });
+        }
+      }
+    }
+
+    if (rowErrors.length > 0) {
+      errors.push({ "row": row, "ref": ref, "errors": rowErrors });
+    } else {
+      rows.push({ "row": row, "kind": record.kind, "ref": ref, "attributes": attributes, "trailheads": trailheads });
+    }
+  }
+
+  return { "rows": rows, "errors": errors };
+}
+
+// returns a CSV field, quoted if it needs to be
+function writeCSVField(value) {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? "\"" + text.replace(/"/g, "\"\"") + "\"" : text;
+}
+
+// returns the export row of a trail or trailhead
+// input: kind (trail or trailhead); formatted entity (as from GET); refs of its trailheads (trails only)
+// output: record with the same attributes an import reads
+function makeExportRecord(kind, entity, trailheads) {
+  const record = { "kind": kind, "ref": String(entity.id) };
+
+  for (const attr of kind === "trail" ? ["name", "length", "difficulty", "visibility"] : ["name", "location", "fee"]) {
+    if (entity[attr] !== undefined) {
+      record[attr] = entity[attr];
+    }
+  }
+
+  if (kind === "trail") {
+    record.trailheads = trailheads.map(String);
+  }
+
+  return record;
+}
+
+// returns the line of an export for a record, in CSV or NDJSON; CSV exports start with writeExportHeader
+function writeExportRecord(mediaType, record) {
+  if (mediaType === MEDIA_TYPES.NDJSON) {
+    return JSON.stringify(record) + "\n";
+  }
+
+  const values = Object.assign({}, record, {
+    "latitude": record.location ? record.location.latitude : undefined,
+    "longitude": record.location ? record.location.longitude : undefined,
+    "trailheads": record.trailheads ? record.trailheads.join(";") : undefined
+  });
+
+  return CSV_COLUMNS.map(column => writeCSVField(values[column])).join(",") + "\r\n";
+}
+
+// returns the first line of an export: the CSV header, or nothing for NDJSON
+function writeExportHeader(mediaType) {
+  return mediaType === MEDIA_TYPES.CSV ? CSV_COLUMNS.join(",") + "\r\n" : "";
+}
+
+module.exports = {
+  MEDIA_TYPES,
+  readImport,
+  checkImport,
+  makeExportRecord,
+  writeExportRecord,
+  writeExportHeader
+};
@@ -0,0 +1,62 @@
+/*
+Condition reports
+Trails and trailheads keep their condition reports (closures, hazards, and notes) in their conditions, like a trail keeps its shares.
+A report is in effect from its startsAt until its expiresAt (or until it's deleted, if it has none); expired reports drop out of responses
+and are removed the next time the entity is saved.
+An entity is closed while a closure is in effect. Whether it's closed is also saved as closed, so lists can filter on it, with the time that can
+next change in closedChangesAt. Responses work out closed when they're made, but the saved one is only brought up to date once closedChangesAt
+has passed by a timer or an admin's request (see refreshClosures in server.js), so reads never write
+*/
+
+// returns true if a report hasn't expired
+// input: condition report; current time as an ISO string
+function isCurrent(condition, now) {
+  return condition.expiresAt === null || condition.expiresAt > now;
+}
+
+// returns the reports that haven't expired, soonest to start first
+// input: entity's conditions (missing on entities saved before reports existed); current time as an ISO string
+function currentConditions(conditions, now) {
+  return (conditions || [])
+    .filter(condition => isCurrent(condition, now))
+    .sort((a, b) => (a.startsAt < b.startsAt ? -1 : a.startsAt > b.startsAt ? 1 : 0));
+}
+
+// returns true if a closure is in effect
+// input: entity's conditions; current time as an ISO string
+function isClosed(conditions, now) {
+  return currentConditions(conditions, now).some(condition => condition.type === "closure" && condition.startsAt <= now);
+}
+
+// returns the condition attributes to save with a trail or trailhead: its current reports, whether it's closed, and when that can next change
+// input: entity's conditions; current time as an ISO string
+// output: { conditions, closed, closedChangesAt (ISO string, or null if no closure will start or expire) }
+function makeConditionAttributes(conditions, now) {
+  const current = currentConditions(conditions, now);
+
+  // a closure changes whether the entity is closed when it starts (if it hasn't yet) and when it expires
+  const changes = current
+    .filter(condition => condition.type === "closure")
+    .map(condition => (condition.startsAt > now ? condition.startsAt : condition.expiresAt))
+    .filter(time => time !== null)
+    .sort();
+
+  return {
+    "conditions": current,
+    "closed": isClosed(current, now),
+    "closedChangesAt": changes.length > 0 ? changes[0] : null
+  };
+}
+
+// returns true if an entity's saved closed attribute may be out of date, because a closure started or expired since it was saved
+// input: trail or trailhead entity; current time as an ISO string
+function isClosureStale(entity, now) {
+  return typeof entity.closedChangesAt === "string" && entity.closedChangesAt <= now;
+}
+
+module.exports = {
+  currentConditions,
+  isClosed,
+  makeConditionAttributes,
+  isClosureStale
+};
@@ -0,0 +1,88 @@
+/*
+Trails API configuration
+Every setting can be overridden with an environment variable so the same code runs on GAE, on a laptop, or in CI
+*/
+
+// make sure a URL ends with exactly one slash so routes can be appended to it
+function withTrailingSlash(url) {
+  return url.replace(/\/+$/, "") + "/";
+}
+
+// turns TRUST_PROXY into a value for express's "trust proxy" setting
+function parseTrustProxy(value) {
+  if (value === "" || value === "false") {
+    return false;
+  } else if (value === "true") {
+    return true;
+  } else if (/^\d+$/.test(value)) {
+    return parseInt(value, 10);
+  }
+  return value;
+}
+
+module.exports = {
+  // url to add all other routes to
+  "URL": withTrailingSlash(process.env.APP_URL || "https://trails-api.wl.r.appspot.com/"),
+
+  // listen to GAE port if it exists; 8001 otherwise
+  "PORT": process.env.PORT || 8001,
+
+  // where entities are stored: "datastore" (Google Cloud Datastore), "memory" (lost on restart), or "file" (JSON file on disk)
+  "STORAGE_BACKEND": process.env.STORAGE_BACKEND || "datastore",
+
+  // path of the JSON file used by the "file" storage backend
+  "STORAGE_FILE": process.env.STORAGE_FILE || "trails-db.json",
+
+  // comma separated user IDs (Google subs) that may use the /maintenance endpoints
+  "ADMIN_USER_IDS": (process.env.ADMIN_USER_IDS || "").split(",").map(id => id.trim()).filter(id => id !== ""),
+
+  // comma separated ways users can authenticate: "google" (Google ID tokens), "apikey" (keys from /users/me/api-keys),
+  // and "local" (tokens from POST /auth/local/token, for development and offline testing only; not allowed when NODE_ENV is production)
+  "AUTH_STRATEGIES": (process.env.AUTH_STRATEGIES || "google,apikey").split(",").map(name => name.trim().toLowerCase()).filter(name => name !== ""),
+
+  // Google OAuth client (client ID, secret, and redirect URL); Google sign-in is turned off if the file is missing
+  "OAUTH_CLIENT_FILE": process.env.OAUTH_CLIENT_FILE || "oauth/client_secret.json",
+
+  // secret that signs local tokens; without one, a random secret is made at startup, so tokens stop working when the server restarts
+  "LOCAL_JWT_SECRET": process.env.LOCAL_JWT_SECRET || "",
+
+  // how long local tokens last, in seconds
+  "LOCAL_JWT_TTL": parseInt(process.env.LOCAL_JWT_TTL, 10) || 3600,
+
+  // largest number of verified credentials kept in memory, so requests with the same token aren't verified again (0 turns caching off)
+  "AUTH_CACHE_SIZE": process.env.AUTH_CACHE_SIZE !== undefined ? parseInt(process.env.AUTH_CACHE_SIZE, 10) || 0 : 10000,
+
+  // how long a verified API key is cached, in seconds; revoking a key on one instance takes up to this long to reach the others
+  "API_KEY_CACHE_TTL": process.env.API_KEY_CACHE_TTL !== undefined ? parseInt(process.env.API_KEY_CACHE_TTL, 10) || 0 : 60,
+
+  // how long deleted trails and trailheads stay in the trash, in days, before they can no longer be restored and are purged (see trash.js)
+  "TRASH_RETENTION_DAYS": process.env.TRASH_RETENTION_DAYS !== undefined ? parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 0 : 30,
+
+  // how often each instance looks for webhook deliveries that are due to be tried again, in seconds (0 turns it off; see POST /maintenance/webhooks/deliver)
+  "WEBHOOK_RETRY_INTERVAL": process.env.WEBHOOK_RETRY_INTERVAL !== undefined ? parseInt(process.env.WEBHOOK_RETRY_INTERVAL, 10) || 0 : 60,
+
+  // how often each instance brings closed up to date on trails and trailheads whose closures started or expired, in seconds, so the open filter
+  // matches them (0 turns it off; see POST /maintenance/closures/refresh)
+  "CLOSURE_REFRESH_INTERVAL": process.env.CLOSURE_REFRESH_INTERVAL !== undefined ? parseInt(process.env.CLOSURE_REFRESH_INTERVAL, 10) || 0 : 60,
+
+  // "true" lets webhooks send to loopback, private, and link-local addresses (ex: a test receiver on localhost); never turn it on where the API is public
+  "WEBHOOK_ALLOW_PRIVATE_URLS": process.env.WEBHOOK_ALLOW_PRIVATE_URLS === "true",
+
+  // where rate limit budgets are kept: "memory" (each instance has its own) or "storage" (shared through STORAGE_BACKEND; see ratelimit.js)
+  "RATE_LIMIT_STORE": process.env.RATE_LIMIT_STORE || "memory",
+
+  // number of seconds a full budget lasts a client that uses it evenly; each limit is the requests a client can make in that time (0 turns a limit off)
+  "RATE_LIMIT_WINDOW": process.env.RATE_LIMIT_WINDOW !== undefined ? parseInt(process.env.RATE_LIMIT_WINDOW, 10) || 0 : 60,
+
+  // limits for authenticated users, by their sub
+  "RATE_LIMIT_READS": process.env.RATE_LIMIT_READS !== undefined ? parseInt(process.env.RATE_LIMIT_READS, 10) || 0 : 300,
+  "RATE_LIMIT_WRITES": process.env.RATE_LIMIT_WRITES !== undefined ? parseInt(process.env.RATE_LIMIT_WRITES, 10) || 0 : 60,
+
+  // limits for requests without a valid credential, by IP address
+  "RATE_LIMIT_ANONYMOUS_READS": process.env.RATE_LIMIT_ANONYMOUS_READS !== undefined ? parseInt(process.env.RATE_LIMIT_ANONYMOUS_READS, 10) || 0 : 120,
+  "RATE_LIMIT_ANONYMOUS_WRITES": process.env.RATE_LIMIT_ANONYMOUS_WRITES !== undefined ? parseInt(process.env.RATE_LIMIT_ANONYMOUS_WRITES, 10) || 0 : 30,
+
+  // which proxies to trust for the client's IP address in X-Forwarded-For, as express's "trust proxy" setting takes it:
+  // true, a number of hops, or comma separated addresses or subnets (default: none, so the IP is the connection's)
+  "TRUST_PROXY": parseTrustProxy(process.env.TRUST_PROXY || "")
+};
@@ -0,0 +1,309 @@
+/*
+Datastore entities
+Descriptors for each kind of entity the API stores
+*/
+
+// name is datastore entity name; URL can be use to build entity's URL; attributes are those required when user POSTs new entity
+// fields declares the type and constraints of each attribute a client can write (see validation.js)
+// optionalAttributes maps attributes a client may leave out to the value a new entity gets; PUT keeps the current value when they're left out
+// ownerAttributes can only be changed by the entity's owner, not by users it is shared with
+// filters maps list query parameters to the attribute they filter on; sorts lists the attributes a list can be sorted by (see queries.js)
+// scopes lists the values of a list's scope parameter, default first (see makeScopeFilter in server.js)
+// editableAttributes (users only) lists the attributes a user can change on their own profile with PATCH /users/me
+// mediaTypes lists the representations of one entity and of a list that clients can Accept, default first (see formats.js)
+// protected entities (trails) can only be seen and changed by their owner and the users they're shared with;
+// moderated entities (trailheads) can be seen by anyone but only changed by their creator or a moderator (see getRole in server.js)
+// rated entities (trails, trailheads) can be reviewed, and keep the totals of their reviews' ratings (see ratings.js)
+// hasConditions entities (trails, trailheads) keep condition reports, and are closed while a closure is in effect (see conditions.js)
+// hasHistory entities (trails, trailheads) save a revision with each change to their attributes, which can be listed and reverted to (see history.js)
+// searchable entities (trails, trailheads) keep a search document of their name, so GET /search can find them (see search.js)
+const USER = {
+  "name": "User",
+  "URL": "users/",
+  "requiredAttributes": ["firstName", "lastName", "userId"],
+  "optionalAttributes": {},
+  "ownerAttributes": [],
+  "otherAttributes": [],
+  "fields": {
+    "firstName": { "type": "string", "minLength": 1, "maxLength": 50 },
+    "lastName": { "type": "string", "minLength": 1, "maxLength": 50 },
+    "userId": { "type": "string", "minLength": 1, "maxLength": 255 },
+    "units": { "type": "enum", "values": ["imperial", "metric"] }
+  },
+  "editableAttributes": ["firstName", "lastName", "units"],
+  "filters": {},
+  "sorts": [],
+  "scopes": [],
+  "mediaTypes": {
+    "entity": ["application/json"],
+    "collection": ["application/json"]
+  },
+  "protected": false
+};
+
+const TRAIL = {
+  "name": "Trail",
+  "URL": "trails/",
+  "requiredAttributes": ["name", "length", "difficulty"],
+  // private: only the owner; shared: also the users in its shares; public: anyone can see it
+  "optionalAttributes": { "visibility": "private" },
+  "ownerAttributes": ["visibility"],
+  "otherAttributes": ["trailheads"],
+  "fields": {
+    "name": { "type": "string", "minLength": 1, "maxLength": 100 },
+    "length": { "type": "float", "min": 0, "max": 5000 },
+    "difficulty": { "type": "enum", "values": ["easy", "medium", "hard"] },
+    "visibility": { "type": "enum", "values": ["private", "shared", "public"] }
+  },
+  "filters": {
+    "difficulty": { "attribute": "difficulty", "operator": "in" },
+    "minLength": { "attribute": "length", "operator": ">=" },
+    "maxLength": { "attribute": "length", "operator": "<=" },
+    "name": { "attribute": "name", "operator": "prefix" },
+    "open": { "attribute": "closed", "operator": "not" }
+  },
+  "sorts": ["name", "length", "averageRating"],
+  "scopes": ["mine", "shared", "public"],
+  "mediaTypes": {
+    "entity": ["application/json", "application/gpx+xml"],
+    "collection": ["application/json"]
+  },
+  "protected": true,
+  "rated": true,
+  "hasConditions": true,
+  "hasHistory": true,
+  "searchable": true
+};
+
+const TRAILHEAD = {
+  "name": "Trailhead",
+  "URL": "trailheads/",
+  "requiredAttributes": ["name", "location", "fee"],
+  "optionalAttributes": {},
+  "ownerAttributes": [],
+  "otherAttributes": ["trails"],
+  "fields": {
+    "name": { "type": "string", "minLength": 1, "maxLength": 100 },
+    "location": { "type": "geoPoint" },
+    "fee": { "type": "float", "min": 0, "max": 1000 }
+  },
+  "filters": {
+    "maxFee": { "attribute": "fee", "operator": "<=" },
+    "name": { "attribute": "name", "operator": "prefix" },
+    "bbox": { "attribute": "location", "operator": "bbox" },
+    "open": { "attribute": "closed", "operator": "not" }
+  },
+  "sorts": ["name", "fee", "averageRating"],
+  "scopes": [],
+  "mediaTypes": {
+    "entity": ["application/json", "application/geo+json"],
+    "collection": ["application/json", "application/geo+json"]
+  },
+  "protected": false,
+  "moderated": true,
+  "rated": true,
+  "hasConditions": true,
+  "hasHistory": true,
+  "searchable": true
+};
+
+// a hike a user did on a trail, optionally from one of its trailheads to another; only the user who logged it can see it
+// the trail is set from the URL it's created at (see POST /trails/:trailId/hikes) or from trail in the body (POST /users/me/hikes) and can't be changed
+// duration is in minutes and distance (what was actually walked) in miles
+const HIKE = {
+  "name": "Hike",
+  "URL": "users/me/hikes/",
+  "requiredAttributes": ["date", "duration", "distance"],
+  "optionalAttributes": { "startTrailhead": null, "endTrailhead": null, "companions": [], "notes": "" },
+  "ownerAttributes": [],
+  "otherAttributes": [],
+  "fields": {
+    "trail": { "type": "id" },
+    "date": { "type": "date" },
+    "duration": { "type": "float", "min": 0, "max": 20160 },
+    "distance": { "type": "float", "min": 0, "max": 5000 },
+    "startTrailhead": { "type": "id", "nullable": true },
+    "endTrailhead": { "type": "id", "nullable": true },
+    "companions": { "type": "stringList", "maxItems": 20, "minLength": 1, "maxLength": 100 },
+    "notes": { "type": "string", "maxLength": 2000 }
+  },
+  "filters": {
+    "trail": { "attribute": "trail", "operator": "=" },
+    "from": { "attribute": "date", "operator": ">=" },
+    "to": { "attribute": "date", "operator": "<=" }
+  },
+  "sorts": ["date", "distance", "duration"],
+  "scopes": ["mine"],
+  "mediaTypes": {
+    "entity": ["application/json"],
+    "collection": ["application/json"]
+  },
+  "protected": true
+};
+
+// related entities that ?expand= can embed: attribute holding the related IDs -> type of the related entities
+USER.expansions = {};
+TRAIL.expansions = { "trailheads": TRAILHEAD };
+TRAILHEAD.expansions = { "trails": TRAIL };
+HIKE.expansions = {};
+
+// a trail's route geometry, saved apart from the trail so lists don't load every point; its ID is the trail's ID (see tracks.js)
+const TRAIL_ROUTE = {
+  "name": "TrailRoute",
+  "URL": "route",
+  "protected": true
+};
+
+// a user a trail is shared with and their role; saved in the trail's shares rather than as an entity of its own (see PUT /trails/:trailId/shares/:userId)
+// viewers can see the trail; editors can also edit it, its route, and its trailheads, but not its visibility or shares
+const TRAIL_SHARE = {
+  "name": "TrailShare",
+  "URL": "shares/",
+  "requiredAttributes": ["role"],
+  "fields": {
+    "role": { "type": "enum", "values": ["viewer", "editor"] }
+  }
+};
+
+// a user's moderation role, saved in their profile; only admins can change it (see PUT /users/:userId/role)
+// moderators can edit, delete, and review proposed edits of any trailhead; admins can also change roles and use the maintenance endpoints
+const USER_ROLE = {
+  "name": "UserRole",
+  "URL": "role",
+  "requiredAttributes": ["role"],
+  "fields": {
+    "role": { "type": "enum", "values": ["user", "moderator", "admin"] }
+  }
+};
+
+// an edit to a trailhead proposed by a user who can't change it, waiting for its creator or a moderator to approve or reject it
+// its changes are trailhead attributes, checked against TRAILHEAD's fields; reason is the reviewer's note when rejecting it
+const TRAILHEAD_EDIT = {
+  "name": "TrailheadEdit",
+  "URL": "edits/",
+  "fields": {
+    "status": { "type": "enum", "values": ["pending", "approved", "rejected"] },
+    "reason": { "type": "string", "minLength": 1, "maxLength": 500 }
+  }
+};
+
+// a user's review of a trail or trailhead; each user can review each one once, and only they can change or delete their review
+// a trail's reviews can only be seen by the users who can see the trail (see getRole in server.js); anyone can see a trailhead's
+const REVIEW = {
+  "name": "Review",
+  "URL": "reviews/",
+  "requiredAttributes": ["rating", "text"],
+  "optionalAttributes": {},
+  "fields": {
+    "rating": { "type": "integer", "min": 1, "max": 5 },
+    "text": { "type": "string", "minLength": 1, "maxLength": 2000 }
+  }
+};
+
+// a report of a trail's or trailhead's conditions, saved in its conditions rather than as an entity of its own (see conditions.js)
+// closures close it from startsAt until expiresAt; hazards and notes only inform. Reports without an expiresAt last until they're deleted
+const CONDITION = {
+  "name": "Condition",
+  "URL": "conditions/",
+  "requiredAttributes": ["type", "severity", "startsAt"],
+  "optionalAttributes": { "description": "", "expiresAt": null },
+  "otherAttributes": [],
+  "fields": {
+    "type": { "type": "enum", "values": ["closure", "hazard", "note"] },
+    "severity": { "type": "enum", "values": ["low", "medium", "high"] },
+    "description": { "type": "string", "maxLength": 500 },
+    "startsAt": { "type": "dateTime" },
+    "expiresAt": { "type": "dateTime", "nullable": true }
+  }
+};
+
+// a revision of a trail or trailhead, saved with each change to its attributes; it can't be changed, only read or reverted to (see history.js)
+// version is the version the change gave the entity; state is its attributes after the change (null if it was deleted)
+const REVISION = {
+  "name": "Revision",
+  "URL": "history/",
+  "fields": {
+    "action": { "type": "enum", "values": ["create", "update", "delete", "revert", "restore"] }
+  }
+};
+
+// a deleted trail or trailhead, kept until it is restored or the retention window passes (see trash.js)
+// its owner (or creator) and whoever deleted it can see it in their trash, and restore it if they could have deleted it
+const TRASH_ITEM = {
+  "name": "TrashItem",
+  "URL": "trash",
+  "fields": {
+    "kind": { "type": "enum", "values": ["Trail", "Trailhead"] }
+  }
+};
+
+// a user's subscription to events (see webhooks.js); each event about a trail or trailhead they can see is delivered to its url, signed with its secret
+const WEBHOOK = {
+  "name": "Webhook",
+  "URL": "webhooks/",
+  "requiredAttributes": ["url", "events"],
+  "fields": {
+    "url": { "type": "string", "minLength": 1, "maxLength": 2000 },
+    "events": { "type": "enumList", "values": ["trail.created", "trail.updated", "trail.deleted", "trailhead.created", "trailhead.updated", "trailhead.deleted", "relationship.added", "relationship.removed"] }
+  }
+};
+
+// one event sent (or to be sent) to a webhook; pending until it succeeds or has been tried too many times (see webhooks.js)
+const WEBHOOK_DELIVERY = {
+  "name": "WebhookDelivery",
+  "URL": "deliveries/",
+  "fields": {
+    "status": { "type": "enum", "values": ["pending", "succeeded", "failed"] }
+  }
+};
+
+// the search document of a trail or trailhead, keyed by its kind and ID (ex: "Trail:1234"); terms lists the prefixes and trigrams of its name's words (see search.js),
+// and visibility, userId, and sharedWith say who can see it, as the trail's own attributes do (trailheads are public)
+const SEARCH_DOCUMENT = {
+  "name": "SearchDocument",
+  "URL": "search"
+};
+
+// a key a user's scripts can authenticate with instead of a Google ID token (see auth.js); only a hash of the key is saved
+// scopes limit what the key can do: read or write trails, write trailheads, read or write the user's hikes or profile, or use the maintenance endpoints
+const API_KEY = {
+  "name": "ApiKey",
+  "URL": "api-keys/",
+  "requiredAttributes": ["name", "scopes"],
+  "fields": {
+    "name": { "type": "string", "minLength": 1, "maxLength": 100 },
+    "scopes": { "type": "enumList", "values": ["trails:read", "trails:write", "trailheads:write", "hikes:read", "hikes:write", "users:read", "users:write", "maintenance"] }
+  }
+};
+
+// a request for a local token (see POST /auth/local/token); the user's profile is created with these names if they don't have one yet
+const LOCAL_TOKEN = {
+  "name": "LocalToken",
+  "URL": "auth/local/token",
+  "requiredAttributes": ["userId"],
+  "fields": {
+    "userId": USER.fields.userId,
+    "firstName": USER.fields.firstName,
+    "lastName": USER.fields.lastName
+  }
+};
+
+module.exports = {
+  USER,
+  TRAIL,
+  TRAILHEAD,
+  HIKE,
+  TRAIL_ROUTE,
+  TRAIL_SHARE,
+  USER_ROLE,
+  TRAILHEAD_EDIT,
+  REVIEW,
+  CONDITION,
+  REVISION,
+  TRASH_ITEM,
+  WEBHOOK,
+  WEBHOOK_DELIVERY,
+  SEARCH_DOCUMENT,
+  API_KEY,
+  LOCAL_TOKEN
+};
@@ -0,0 +1,126 @@
+/*
+Response formats
+Parses Accept headers and converts JSON responses into other representations (GeoJSON for trailheads; GPX for trails is rendered from views/trail.gpx)
+*/
+
+const MEDIA_TYPES = {
+  "JSON": "application/json",
+  "GEOJSON": "application/geo+json",
+  "GPX": "application/gpx+xml"
+};
+
+// parses an Accept header into media ranges with their q-values; parameters other than q are ignored
+// input: value of the Accept header (a missing header accepts anything)
+// output: array of { type, subtype, q }
+function parseAccept(header) {
+  if (header === undefined || header.trim() === "") {
+    return [{ "type": "*", "subtype": "*", "q": 1 }];
+  }
+
+  const ranges = [];
+
+  for (const part of header.split(",")) {
+    const [mediaRange, ...params] = part.split(";").map(piece => piece.trim());
+    const [type, subtype] = mediaRange.toLowerCase().split("/");
+
+    if (!type || !subtype) {
+      continue;
+    }
+
+    let q = 1;
+    for (const param of params) {
+      const [name, value] = param.split("=").map(piece => piece.trim());
+      if (name.toLowerCase() === "q") {
+        q = Number(value);
+      }
+    }
+
+    if (isFinite(q) && q >= 0 && q <= 1) {
+      ranges.push({ "type": type, "subtype": subtype, "q": q });
+    }
+  }
+
+  return ranges;
+}
+
+// returns the q-value an Accept header gives a media type, using the most specific range that matches it
+// (ex: with "application/*;q=0.5, application/json", application/json gets 1 and application/geo+json gets 0.5)
+function qualityOf(ranges, mediaType) {
+  const [type, subtype] = mediaType.split("/");
+  let best = { "specificity": -1, "q": 0 };
+
+  for (const range of ranges) {
+    let specificity = -1;
+    if (range.type === type && range.subtype === subtype) {
+      specificity = 2;
+    } else if (range.type === type && range.subtype === "*") {
+      specificity = 1;
+    } else if (range.type === "*" && range.subtype === "*") {
+      specificity = 0;
+    }
+
+    if (specificity > best.specificity) {
+      best = { "specificity": specificity, "q": range.q };
+    }
+  }
+
+  return best.q;
+}
+
+// picks the media type to respond with
+// input: value of the Accept header; media types the response is available in, most preferred first
+// output: the available media type with the highest q-value (earliest wins ties), or null if the client accepts none of them
+function preferredMediaType(header, available) {
+  const ranges = parseAccept(header);
+  let preferred = null;
+  let preferredQuality = 0;
+
+  for (const mediaType of available) {
+    const quality = qualityOf(ranges, mediaType);
+    if (quality > preferredQuality) {
+      preferred = mediaType;
+      preferredQuality = quality;
+    }
+  }
+
+  return preferred;
+}
+
+// returns a formatted trailhead (from makeTrailheadFormatJSON) as a GeoJSON Feature; the location becomes a Point geometry
+function makeFeature(trailhead) {
+  const properties = Object.assign({}, trailhead);
+  delete properties.location;
+
+  return {
+    "type": "Feature",
+    "id": trailhead.id,
+    "geometry": trailhead.location ? {
+      "type": "Point",
+      "coordinates": [trailhead.location.longitude, trailhead.location.latitude]
+    } : null,
+    "properties": properties
+  };
+}
+
+// returns a page of formatted trailheads as a GeoJSON FeatureCollection; count, self, and next are kept as foreign members
+function makeFeatureCollection(page) {
+  const collection = {
+    "type": "FeatureCollection",
+    "features": page.items.map(makeFeature)
+  };
+
+  for (const attr of ["count", "truncated", "self", "next"]) {
+    if (attr in page) {
+      collection[attr] = page[attr];
+    }
+  }
+
+  return collection;
+}
+
+module.exports = {
+  MEDIA_TYPES,
+  preferredMediaType,
+  makeFeature,
+  makeFeatureCollection
+};
@@ -0,0 +1,216 @@
+/*
+Geospatial helpers
+Geohashes split the world into a grid of cells; every trailhead is saved with the geohash of its location at several precisions,
+so the trailheads in an area can be found with a few equality queries on the cells that cover it
+*/
+
+const BASE32 = "0123456789bcdefghjkmnpqrstuvwxyz";
+
+// most precise geohash saved with an entity (8 characters is a cell of roughly 40 x 20 meters)
+const GEOHASH_PRECISION = 8;
+
+// mean radius of the earth, in miles
+const EARTH_RADIUS = 3958.8;
+
+// returns the geohash of a point
+// input: latitude and longitude in degrees; number of characters in the geohash
+// output: geohash string (ex: "c21f" for Portland, OR at precision 4)
+function encodeGeohash(latitude, longitude, precision) {
+  let latRange = [-90, 90];
+  let lngRange = [-180, 180];
+  let hash = "";
+  let bits = 0;
+  let bitCount = 0;
+  let isLongitudeBit = true;
+
+  while (hash.length < precision) {
+    const range = isLongitudeBit ? lngRange : latRange;
+    const value = isLongitudeBit ? longitude : latitude;
+    const mid = (range[0] + range[1]) / 2;
+
+    // each bit halves the range of longitude or latitude, alternating
+    bits = bits * 2;
+    if (value >= mid) {
+      bits += 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+
+    isLongitudeBit = !isLongitudeBit;
+    bitCount++;
+
+    if (bitCount === 5) {
+      hash += BASE32.charAt(bits);
+      bits = 0;
+      bitCount = 0;
+    }
+  }
+
+  return hash;
+}
+
+// returns the size of a geohash cell in degrees
+// input: number of characters in the geohash
+// output: { latitude, longitude } height and width of a cell
+function cellSize(precision) {
+  const lngBits = Math.ceil(precision * 5 / 2);
+  const latBits = Math.floor(precision * 5 / 2);
+
+  return {
+    "latitude": 180 / Math.pow(2, latBits),
+    "longitude": 360 / Math.pow(2, lngBits)
+  };
+}
+
+// returns the geohashes of a location at every precision from 1 to GEOHASH_PRECISION; saved with trailheads so queries can match any cell size
+// input: location ({ latitude, longitude })
+// output: array of geohashes, shortest first
+function makeGeohashes(location) {
+  if (!location || typeof location.latitude !== "number" || typeof location.longitude !== "number") {
+    return [];
+  }
+
+  const hash = encodeGeohash(location.latitude, location.longitude, GEOHASH_PRECISION);
+  const hashes = [];
+
+  for (let i = 1; i <= GEOHASH_PRECISION; i++) {
+    hashes.push(hash.slice(0, i));
+  }
+
+  return hashes;
+}
+
+// lists the geohash cells of one precision that overlap a bounding box that doesn't cross the antimeridian
+function cellsInBox(box, precision) {
+  const size = cellSize(precision);
+  const cells = [];
+
+  // start at the edge of the grid cell that contains the box's corner, then step one cell at a time
+  const firstLat = Math.floor((box.minLat + 90) / size.latitude) * size.latitude - 90;
+  const firstLng = Math.floor((box.minLng + 180) / size.longitude) * size.longitude - 180;
+
+  for (let lat = firstLat; lat <= box.maxLat; lat += size.latitude) {
+    for (let lng = firstLng; lng <= box.maxLng; lng += size.longitude) {
+      const centerLat = Math.min(lat + size.latitude / 2, 90);
+      const centerLng = Math.min(lng + size.longitude / 2, 180);
+      cells.push(encodeGeohash(centerLat, centerLng, precision));
+    }
+  }
+
+  return cells;
+}
+
+// returns the most precise set of geohash cells that covers a bounding box without exceeding maxCells
+// input: box { minLat, minLng, maxLat, maxLng } (minLng > maxLng means the box crosses the antimeridian); maximum number of cells
+// output: array of unique geohashes
+function coveringGeohashes(box, maxCells) {
+  // boxes that cross the antimeridian are covered as two boxes, one on each side
+  const boxes = box.minLng <= box.maxLng ? [box] : [
+    { "minLat": box.minLat, "maxLat": box.maxLat, "minLng": box.minLng, "maxLng": 180 },
+    { "minLat": box.minLat, "maxLat": box.maxLat, "minLng": -180, "maxLng": box.maxLng }
+  ];
+
+  let covering = [];
+
+  for (let precision = 1; precision <= GEOHASH_PRECISION; precision++) {
+    let cells = [];
+    for (const part of boxes) {
+      cells = cells.concat(cellsInBox(part, precision));
+    }
+    cells = cells.filter((cell, i) => cells.indexOf(cell) === i);
+
+    if (cells.length > maxCells && covering.length > 0) {
+      break;
+    }
+    covering = cells;
+  }
+
+  return covering;
+}
+
+// returns true if a location is inside a bounding box
+function isInBox(location, box) {
+  if (!location || location.latitude < box.minLat || location.latitude > box.maxLat) {
+    return false;
+  }
+
+  if (box.minLng <= box.maxLng) {
+    return location.longitude >= box.minLng && location.longitude <= box.maxLng;
+  }
+  return location.longitude >= box.minLng || location.longitude <= box.maxLng;
+}
+
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+// returns the great-circle distance between two locations
+// input: two locations ({ latitude, longitude })
+// output: distance in miles
+function distance(a, b) {
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLng = toRadians(b.longitude - a.longitude);
+  const h = Math.pow(Math.sin(dLat / 2), 2) +
+    Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.pow(Math.sin(dLng / 2), 2);
+
+  return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// returns the bounding box around a circle
+// input: center location ({ latitude, longitude }); radius in miles
+// output: box { minLat, minLng, maxLat, maxLng }
+function circleBounds(center, radius) {
+  const latDelta = radius / EARTH_RADIUS * 180 / Math.PI;
+  const minLat = center.latitude - latDelta;
+  const maxLat = center.latitude + latDelta;
+
+  // near the poles, the circle covers every longitude
+  if (minLat <= -90 || maxLat >= 90) {
+    return { "minLat": Math.max(minLat, -90), "maxLat": Math.min(maxLat, 90), "minLng": -180, "maxLng": 180 };
+  }
+
+  const lngDelta = latDelta / Math.cos(toRadians(center.latitude));
+  if (lngDelta >= 180) {
+    return { "minLat": minLat, "maxLat": maxLat, "minLng": -180, "maxLng": 180 };
+  }
+
+  // wrap longitudes past the antimeridian; minLng > maxLng then means the box crosses it
+  const wrap = (lng) => ((lng + 540) % 360) - 180;
+
+  return {
+    "minLat": minLat,
+    "maxLat": maxLat,
+    "minLng": wrap(center.longitude - lngDelta),
+    "maxLng": wrap(center.longitude + lngDelta)
+  };
+}
+
+// parses a bbox query parameter in GeoJSON order: minLng,minLat,maxLng,maxLat
+// output: box { minLat, minLng, maxLat, maxLng }, or null if it isn't valid
+function parseBoundingBox(value) {
+  const parts = String(value).split(",").map(part => part.trim());
+  const numbers = parts.map(Number);
+
+  if (numbers.length !== 4 || parts.some(part => part === "") || numbers.some(number => !isFinite(number))) {
+    return null;
+  }
+
+  const box = { "minLng": numbers[0], "minLat": numbers[1], "maxLng": numbers[2], "maxLat": numbers[3] };
+
+  if (box.minLat < -90 || box.maxLat > 90 || box.minLat > box.maxLat ||
+      box.minLng < -180 || box.minLng > 180 || box.maxLng < -180 || box.maxLng > 180) {
+    return null;
+  }
+
+  return box;
+}
+
+module.exports = {
+  makeGeohashes,
+  coveringGeohashes,
+  isInBox,
+  distance,
+  circleBounds,
+  parseBoundingBox
+};
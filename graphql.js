@@ -0,0 +1,775 @@
+/*
+GraphQL
+POST /graphql (or GET /graphql?query=...) runs a GraphQL query or mutation. Its Trail, Trailhead, and User types have the attributes their JSON has,
+generated from the entity descriptors, plus fields that follow relationships: a trail's trailheads and owner, a trailhead's trails and creator,
+a user's trails, and the viewer's own review of a trail or trailhead.
+Relationship fields are resolved through loaders (see makeLoader), which gather every ID a level of the query asks for and get them in one batch,
+so listing trails with their trailheads reads the trailheads once rather than once per trail.
+Queries and mutations run through the same functions as the REST endpoints (see makeGraphQLContext in server.js), so they see and change exactly
+what those would: the same ownership and visibility rules, validation, preconditions, history, and webhook events. API keys need the scopes the
+matching REST request would need, checked field by field
+*/
+
+const {URL} = require('url');
+const {
+  GraphQLSchema, GraphQLObjectType, GraphQLInputObjectType, GraphQLEnumType, GraphQLList, GraphQLNonNull,
+  GraphQLString, GraphQLFloat, GraphQLInt, GraphQLBoolean, GraphQLID, GraphQLError,
+  parse, validate, execute, getOperationAST, formatError, specifiedRules, getNamedType, getNullableType, isListType
+} = require('graphql');
+const {USER, TRAIL, TRAILHEAD, TRAIL_SHARE, REVIEW} = require('./entities');
+
+// deepest a query can nest fields (ex: trails { items { trailheads { trails { name } } } } is 4 deep), so one request can't fan out without bound
+const MAX_DEPTH = 8;
+
+// largest cost a query can have: each field costs 1, and the fields inside a list cost LIST_COST times as much, once for each item it may have
+// (ex: trails { items { name } } costs 1 + 1 + 5 * 1 = 7), so a query can't be made expensive with many fields or fragments either
+const MAX_COST = 1000;
+const LIST_COST = 5;
+
+// most fields a mutation can have at its top level; each is one write, and POST /graphql counts each against the write rate limit (see countMutations)
+const MAX_MUTATIONS = 10;
+
+// REST statuses that mean an entity the user asked for by ID doesn't exist or they can't see it; GraphQL answers null for those rather than an error
+const NOT_FOUND_CODES = [401, 403, 404];
+
+
+/*** loaders ***/
+
+// returns a loader that batches lookups: every key loaded while a level of the query runs is looked up with one call to batch,
+// once the resolvers asking for them have all run; each key is only looked up once per loader, and loaders are made for each request
+// input: batch(keys), which resolves to the results in the same order as keys (null or undefined for a key that has none)
+// output: { load(key) }, which resolves to the key's result
+function makeLoader(batch) {
+  const cache = new Map();
+  let queue = [];
+
+  const dispatch = () => {
+    const pending = queue;
+    queue = [];
+
+    batch(pending.map(item => item.key)).then(
+      results => pending.forEach((item, i) => item.resolve(results[i] === undefined ? null : results[i])),
+      error => pending.forEach(item => item.reject(error))
+    );
+  };
+
+  return {
+    load: (key) => {
+      if (!cache.has(key)) {
+        cache.set(key, new Promise((resolve, reject) => {
+          if (queue.length === 0) {
+            setImmediate(dispatch);
+          }
+          queue.push({ "key": key, "resolve": resolve, "reject": reject });
+        }));
+      }
+      return cache.get(key);
+    }
+  };
+}
+
+// loads related entities by ID, leaving out those that don't exist or the user can't see
+// input: loader; IDs (from a formatted entity's relationship attribute)
+async function loadAll(loader, ids) {
+  const entities = await Promise.all((ids || []).map(id => loader.load(String(id))));
+  return entities.filter(entity => entity !== null);
+}
+
+
+/*** results ***/
+
+// returns the error a field fails with when the REST function it ran didn't succeed; its extensions have the HTTP status
+// and whatever else the REST error has (ex: attributes for a 400, scope for an API key without it)
+function makeResultError(result) {
+  const error = new Error(result.data.error);
+  error.extensions = Object.assign({ "status": result.code }, result.data);
+  delete error.extensions.error;
+  return error;
+}
+
+// returns the data of a REST result, or throws its error
+function unwrap(result) {
+  if (result.code >= 400) {
+    throw makeResultError(result);
+  }
+  return result.data;
+}
+
+// returns the entity in a REST result; one that doesn't exist or the user can't see is null rather than an error
+function unwrapEntity(result) {
+  return NOT_FOUND_CODES.includes(result.code) ? null : unwrap(result);
+}
+
+// returns a REST page as a GraphQL page: its count and items, and the cursor of the next page (from its next URL), or null on the last page
+function unwrapPage(result) {
+  const page = unwrap(result);
+
+  return {
+    "count": page.count,
+    "items": page.items,
+    "nextPage": page.next ? new URL(page.next).searchParams.get("nextPage") : null
+  };
+}
+
+// throws if the request's API key lacks any of the scopes (see requiredScopes in server.js); users who aren't using a key have every scope
+function requireScopes(context, scopes) {
+  const error = context.checkScopes(scopes);
+  if (error) {
+    throw makeResultError(error);
+  }
+}
+
+
+/*** types ***/
+
+// returns the name of a GraphQL type for an attribute of an entity type (ex: TRAIL, "difficulty" -> "TrailDifficulty")
+function makeTypeName(type, attr) {
+  return type.name + attr.charAt(0).toUpperCase() + attr.slice(1);
+}
+
+// builds the GraphQL types generated from the entity descriptors; enum and location types are shared by output and input types
+function makeTypes() {
+  const enums = {};
+
+  // returns the enum type of an enum (or enumList) attribute; values are the descriptor's, which are all valid GraphQL names
+  const makeEnumType = (type, attr) => {
+    const name = makeTypeName(type, attr);
+
+    if (!enums[name]) {
+      const values = {};
+      for (const value of type.fields[attr].values) {
+        values[value] = { "value": value };
+      }
+      enums[name] = new GraphQLEnumType({ "name": name, "values": values });
+    }
+    return enums[name];
+  };
+
+  const Location = new GraphQLObjectType({
+    "name": "Location",
+    "fields": {
+      "latitude": { "type": new GraphQLNonNull(GraphQLFloat) },
+      "longitude": { "type": new GraphQLNonNull(GraphQLFloat) }
+    }
+  });
+
+  const LocationInput = new GraphQLInputObjectType({
+    "name": "LocationInput",
+    "fields": {
+      "latitude": { "type": new GraphQLNonNull(GraphQLFloat) },
+      "longitude": { "type": new GraphQLNonNull(GraphQLFloat) }
+    }
+  });
+
+  // returns the GraphQL type of an attribute declared in a descriptor's fields (see validation.js); ranges, lengths, and formats
+  // aren't part of it, since the REST functions check them when a mutation runs
+  const makeFieldType = (type, attr, input) => {
+    const field = type.fields[attr];
+
+    switch (field.type) {
+      case "float":
+        return GraphQLFloat;
+      case "integer":
+        return GraphQLInt;
+      case "enum":
+        return makeEnumType(type, attr);
+      case "enumList":
+        return new GraphQLList(new GraphQLNonNull(makeEnumType(type, attr)));
+      case "stringList":
+        return new GraphQLList(new GraphQLNonNull(GraphQLString));
+      case "geoPoint":
+        return input ? LocationInput : Location;
+      case "id":
+        return GraphQLID;
+      default:
+        // strings, dates, and times
+        return GraphQLString;
+    }
+  };
+
+  // returns the fields of an output type for the attributes in a descriptor's fields
+  const makeAttributeFields = (type) => {
+    const fields = {};
+    for (const attr of Object.keys(type.fields)) {
+      fields[attr] = { "type": makeFieldType(type, attr, false) };
+    }
+    return fields;
+  };
+
+  // returns an input type for creating or replacing an entity (required attributes can't be left out) or for changing some of its attributes
+  const makeInputType = (type, requireAll) => {
+    const fields = {};
+    for (const attr of Object.keys(type.fields)) {
+      const fieldType = makeFieldType(type, attr, true);
+      fields[attr] = { "type": requireAll && type.requiredAttributes.includes(attr) ? new GraphQLNonNull(fieldType) : fieldType };
+    }
+    return new GraphQLInputObjectType({ "name": type.name + (requireAll ? "Input" : "Changes"), "fields": fields });
+  };
+
+  // returns the type of a page of items (see unwrapPage)
+  const makePageType = (itemType) => new GraphQLObjectType({
+    "name": itemType.name + "Page",
+    "fields": {
+      "count": { "type": new GraphQLNonNull(GraphQLInt), "description": "number of items on every page" },
+      "items": { "type": new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(itemType))) },
+      "nextPage": { "type": GraphQLString, "description": "pass as nextPage to get the next page; null on the last page" }
+    }
+  });
+
+  const RoutePoint = new GraphQLObjectType({
+    "name": "RoutePoint",
+    "fields": {
+      "distance": { "type": GraphQLFloat, "description": "miles from the start of the route" },
+      "elevation": { "type": GraphQLFloat, "description": "feet" }
+    }
+  });
+
+  const TrailRoute = new GraphQLObjectType({
+    "name": "TrailRoute",
+    "description": "stats of a trail's uploaded route (see PUT /trails/:trailId/route); lengths are in miles and elevations in feet",
+    "fields": {
+      "length": { "type": GraphQLFloat },
+      "elevationGain": { "type": GraphQLFloat },
+      "elevationLoss": { "type": GraphQLFloat },
+      "minElevation": { "type": GraphQLFloat },
+      "maxElevation": { "type": GraphQLFloat },
+      "bbox": { "type": new GraphQLList(new GraphQLNonNull(GraphQLFloat)) },
+      "elevationProfile": { "type": new GraphQLList(new GraphQLNonNull(RoutePoint)) },
+      "pointCount": { "type": GraphQLInt }
+    }
+  });
+
+  const TrailShare = new GraphQLObjectType({
+    "name": "TrailShare",
+    "fields": Object.assign({
+      "user": { "type": new GraphQLNonNull(GraphQLID), "description": "ID of the user's profile" },
+      "self": { "type": GraphQLString }
+    }, makeAttributeFields(TRAIL_SHARE))
+  });
+
+  const Review = new GraphQLObjectType({
+    "name": "Review",
+    "fields": Object.assign({
+      "id": { "type": new GraphQLNonNull(GraphQLID) },
+      "userId": { "type": GraphQLString },
+      "created": { "type": GraphQLString },
+      "updated": { "type": GraphQLString },
+      "self": { "type": GraphQLString }
+    }, makeAttributeFields(REVIEW))
+  });
+
+  // the fields every rated entity with conditions has, plus the viewer's review of it
+  const makeRatedFields = (type) => ({
+    "averageRating": { "type": GraphQLFloat },
+    "reviewCount": { "type": GraphQLInt },
+    "closed": { "type": GraphQLBoolean, "description": "true while a closure is in effect" },
+    "myReview": {
+      "type": Review,
+      "description": "the viewer's review; null if they haven't reviewed it or aren't authenticated",
+      "resolve": (entity, args, context) => context.load.myReview.load(type.name + ":" + entity.id)
+    }
+  });
+
+  // types that refer to each other get their fields from functions, which GraphQL calls once every type exists
+  const User = new GraphQLObjectType({
+    "name": "User",
+    "fields": () => Object.assign({
+      "id": { "type": new GraphQLNonNull(GraphQLID) }
+    }, makeAttributeFields(USER), {
+      "role": { "type": GraphQLString },
+      "self": { "type": GraphQLString },
+      "trails": {
+        "type": new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(Trail))),
+        "description": "the user's trails that the viewer can see",
+        "resolve": (user, args, context) => {
+          requireScopes(context, ["trails:read"]);
+          return context.load.trailsOf.load(user.userId);
+        }
+      }
+    })
+  });
+
+  const Trail = new GraphQLObjectType({
+    "name": "Trail",
+    "fields": () => Object.assign({
+      "id": { "type": new GraphQLNonNull(GraphQLID) }
+    }, makeAttributeFields(TRAIL), {
+      "userId": { "type": GraphQLString, "description": "sub of the trail's owner" },
+      "self": { "type": GraphQLString },
+      "route": { "type": TrailRoute },
+      "shares": { "type": new GraphQLList(new GraphQLNonNull(TrailShare)), "description": "who the trail is shared with; null unless the user owns it" },
+      "trailheads": {
+        "type": new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(Trailhead))),
+        "resolve": (trail, args, context) => loadAll(context.load.trailhead, trail.trailheads)
+      },
+      "owner": {
+        "type": User,
+        "description": "null if the owner hasn't signed in at the welcome page yet",
+        "resolve": (trail, args, context) => {
+          requireScopes(context, ["users:read"]);
+          return context.load.user.load(trail.userId);
+        }
+      }
+    }, makeRatedFields(TRAIL))
+  });
+
+  const Trailhead = new GraphQLObjectType({
+    "name": "Trailhead",
+    "fields": () => Object.assign({
+      "id": { "type": new GraphQLNonNull(GraphQLID) }
+    }, makeAttributeFields(TRAILHEAD), {
+      "userId": { "type": GraphQLString, "description": "sub of the trailhead's creator; null for trailheads saved before creators were recorded" },
+      "self": { "type": GraphQLString },
+      "trails": {
+        "type": new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(Trail))),
+        "description": "the trailhead's trails that the viewer can see",
+        "resolve": (trailhead, args, context) => {
+          requireScopes(context, ["trails:read"]);
+          return loadAll(context.load.trail, trailhead.trails);
+        }
+      },
+      "creator": {
+        "type": User,
+        "resolve": (trailhead, args, context) => {
+          requireScopes(context, ["users:read"]);
+          return trailhead.userId ? context.load.user.load(trailhead.userId) : null;
+        }
+      }
+    }, makeRatedFields(TRAILHEAD))
+  });
+
+  return {
+    "Trail": Trail,
+    "Trailhead": Trailhead,
+    "User": User,
+    "TrailPage": makePageType(Trail),
+    "TrailheadPage": makePageType(Trailhead),
+    "UserPage": makePageType(User),
+    "TrailInput": makeInputType(TRAIL, true),
+    "TrailChanges": makeInputType(TRAIL, false),
+    "TrailheadInput": makeInputType(TRAILHEAD, true),
+    "TrailheadChanges": makeInputType(TRAILHEAD, false),
+    "TrailScope": new GraphQLEnumType({ "name": "TrailScope", "values": TRAIL.scopes.reduce((values, scope) => Object.assign(values, { [scope]: { "value": scope } }), {}) }),
+    "makeEnumType": makeEnumType
+  };
+}
+
+// returns the arguments of a list field: the type's filters (typed like the attributes they filter), sort, scope, and nextPage;
+// and a function that turns given arguments into the query parameters the REST list takes (see parseListOptions in queries.js)
+function makeListArguments(type, types) {
+  const args = {};
+  const toParams = {};
+
+  for (const param of Object.keys(type.filters)) {
+    const filter = type.filters[param];
+    const field = type.fields[filter.attribute];
+
+    if (filter.operator === "in") {
+      args[param] = { "type": new GraphQLList(new GraphQLNonNull(types.makeEnumType(type, filter.attribute))), "description": "any of these" };
+      toParams[param] = values => values.join(",");
+    } else if (filter.operator === "not") {
+      args[param] = { "type": GraphQLBoolean };
+      toParams[param] = String;
+    } else if (filter.operator === "bbox") {
+      args[param] = { "type": GraphQLString, "description": "minLongitude,minLatitude,maxLongitude,maxLatitude" };
+      toParams[param] = String;
+    } else {
+      args[param] = { "type": field.type === "float" ? GraphQLFloat : GraphQLString };
+      toParams[param] = String;
+    }
+  }
+
+  if (type.sorts.length > 0) {
+    args.sort = { "type": GraphQLString, "description": "one of: " + type.sorts.map(sort => sort + ", -" + sort).join(", ") };
+    toParams.sort = String;
+  }
+  if (type.scopes.length > 0) {
+    args.scope = { "type": types[type.name + "Scope"] };
+    toParams.scope = String;
+  }
+  args.nextPage = { "type": GraphQLString, "description": "nextPage of the previous page" };
+  toParams.nextPage = String;
+
+  const makeQuery = (given) => {
+    const query = {};
+    for (const param of Object.keys(given)) {
+      if (given[param] !== null && given[param] !== undefined) {
+        query[param] = toParams[param](given[param]);
+      }
+    }
+    return query;
+  };
+
+  return { "args": args, "makeQuery": makeQuery };
+}
+
+// returns the mutations that create, replace, change, and delete an entity of a type (ex: createTrail, replaceTrail, updateTrail, deleteTrail)
+// ifMatch is sent as If-Match, so a write can be made conditional on the version (the number in the entity's ETag) it was read at
+function makeEntityMutations(type, types, scope) {
+  const entityType = types[type.name];
+  const id = { "type": new GraphQLNonNull(GraphQLID) };
+  const ifMatch = { "type": GraphQLString, "description": "ETag the entity must still have" };
+
+  return {
+    ["create" + type.name]: {
+      "type": new GraphQLNonNull(entityType),
+      "args": { "input": { "type": new GraphQLNonNull(types[type.name + "Input"]) } },
+      "resolve": async (root, args, context) => {
+        requireScopes(context, [scope]);
+        const created = unwrap(await context.rest.create(type, args.input));
+        return unwrap(await context.rest.get(type, created.id));
+      }
+    },
+    ["replace" + type.name]: {
+      "type": new GraphQLNonNull(entityType),
+      "args": { "id": id, "input": { "type": new GraphQLNonNull(types[type.name + "Input"]) }, "ifMatch": ifMatch },
+      "resolve": async (root, args, context) => {
+        requireScopes(context, [scope]);
+        return unwrap(await context.rest.replace(type, args.id, args.input, args.ifMatch));
+      }
+    },
+    ["update" + type.name]: {
+      "type": new GraphQLNonNull(entityType),
+      "args": { "id": id, "input": { "type": new GraphQLNonNull(types[type.name + "Changes"]) }, "ifMatch": ifMatch },
+      "resolve": async (root, args, context) => {
+        requireScopes(context, [scope]);
+        return unwrap(await context.rest.update(type, args.id, args.input, args.ifMatch));
+      }
+    },
+    ["delete" + type.name]: {
+      "type": new GraphQLNonNull(GraphQLID),
+      "description": "moves the " + type.name.toLowerCase() + " to the trash; returns its ID",
+      "args": { "id": id, "ifMatch": ifMatch },
+      "resolve": async (root, args, context) => {
+        requireScopes(context, [scope]);
+        unwrap(await context.rest.remove(type, args.id, args.ifMatch));
+        return args.id;
+      }
+    }
+  };
+}
+
+// builds the GraphQL schema; resolvers get the context from makeGraphQLContext in server.js
+function makeGraphQLSchema() {
+  const types = makeTypes();
+  const trailList = makeListArguments(TRAIL, types);
+  const trailheadList = makeListArguments(TRAILHEAD, types);
+  const id = { "type": new GraphQLNonNull(GraphQLID) };
+
+  const query = new GraphQLObjectType({
+    "name": "Query",
+    "fields": {
+      "trail": {
+        "type": types.Trail,
+        "description": "null if it doesn't exist or the viewer can't see it",
+        "args": { "id": id },
+        "resolve": async (root, args, context) => {
+          requireScopes(context, ["trails:read"]);
+          return unwrapEntity(await context.rest.get(TRAIL, args.id));
+        }
+      },
+      "trails": {
+        "type": new GraphQLNonNull(types.TrailPage),
+        "args": trailList.args,
+        "resolve": async (root, args, context) => {
+          requireScopes(context, ["trails:read"]);
+          return unwrapPage(await context.rest.list(TRAIL, trailList.makeQuery(args)));
+        }
+      },
+      "trailhead": {
+        "type": types.Trailhead,
+        "description": "null if it doesn't exist",
+        "args": { "id": id },
+        "resolve": async (root, args, context) => unwrapEntity(await context.rest.get(TRAILHEAD, args.id))
+      },
+      "trailheads": {
+        "type": new GraphQLNonNull(types.TrailheadPage),
+        "args": trailheadList.args,
+        "resolve": async (root, args, context) => unwrapPage(await context.rest.list(TRAILHEAD, trailheadList.makeQuery(args)))
+      },
+      "user": {
+        "type": types.User,
+        "description": "null if it doesn't exist",
+        "args": { "id": id },
+        "resolve": async (root, args, context) => {
+          requireScopes(context, ["users:read"]);
+          return unwrapEntity(await context.rest.get(USER, args.id));
+        }
+      },
+      "users": {
+        "type": new GraphQLNonNull(types.UserPage),
+        "args": { "nextPage": { "type": GraphQLString } },
+        "resolve": async (root, args, context) => {
+          requireScopes(context, ["users:read"]);
+          return unwrapPage(await context.rest.list(USER, args.nextPage ? { "nextPage": args.nextPage } : {}));
+        }
+      },
+      "me": {
+        "type": types.User,
+        "description": "the viewer's profile; null if they haven't signed in at the welcome page yet",
+        "resolve": async (root, args, context) => {
+          requireScopes(context, ["users:read"]);
+          return unwrapEntity(await context.rest.me());
+        }
+      }
+    }
+  });
+
+  // relationship changes return the trail, as it is after the change
+  const relationship = (change) => ({
+    "type": new GraphQLNonNull(types.Trail),
+    "args": { "trailId": id, "trailheadId": id },
+    "resolve": async (root, args, context) => {
+      requireScopes(context, ["trails:write"]);
+      unwrap(await change(context.rest)(args.trailId, args.trailheadId));
+      return unwrap(await context.rest.get(TRAIL, args.trailId));
+    }
+  });
+
+  const mutation = new GraphQLObjectType({
+    "name": "Mutation",
+    "fields": Object.assign(
+      makeEntityMutations(TRAIL, types, "trails:write"),
+      makeEntityMutations(TRAILHEAD, types, "trailheads:write"),
+      {
+        "assignTrailhead": relationship(rest => rest.assignTrailhead),
+        "removeTrailhead": relationship(rest => rest.removeTrailhead)
+      }
+    )
+  });
+
+  return new GraphQLSchema({ "query": query, "mutation": mutation });
+}
+
+
+/*** requests ***/
+
+// returns a document's fragments, by name
+function findFragments(document) {
+  const fragments = {};
+  for (const definition of document.definitions) {
+    if (definition.kind === "FragmentDefinition") {
+      fragments[definition.name.value] = definition;
+    }
+  }
+  return fragments;
+}
+
+// returns the fields at the top of a selection set, going into fragments (each time they're spread; ones already being spread are skipped)
+// stops once it has found limit fields, so fragments spread inside each other many times can't make it take long
+function listTopFields(selectionSet, fragments, spreading, limit) {
+  const fields = [];
+
+  const add = (selections, spreading) => {
+    for (const selection of selections) {
+      if (fields.length >= limit) {
+        return;
+      } else if (selection.kind === "Field") {
+        fields.push(selection);
+      } else if (selection.kind === "InlineFragment") {
+        add(selection.selectionSet.selections, spreading);
+      } else if (fragments[selection.name.value] && !spreading.includes(selection.name.value)) {
+        add(fragments[selection.name.value].selectionSet.selections, spreading.concat([selection.name.value]));
+      }
+    }
+  };
+
+  add(selectionSet ? selectionSet.selections : [], spreading);
+  return fields;
+}
+
+// validation rule that turns away queries nested deeper than MAX_DEPTH (fragments count as the fields they contain)
+function limitDepth(context) {
+  const fragments = findFragments(context.getDocument());
+
+  // depth of each fragment, once worked out, so fragments spread many times inside each other are only measured once
+  const fragmentDepths = {};
+
+  // returns how deep a selection set nests; fragments already being counted are skipped (NoFragmentCycles reports those)
+  const depthOf = (selectionSet, spreading) => {
+    let deepest = 0;
+
+    for (const selection of selectionSet ? selectionSet.selections : []) {
+      if (selection.kind === "Field") {
+        deepest = Math.max(deepest, 1 + depthOf(selection.selectionSet, spreading));
+      } else if (selection.kind === "InlineFragment") {
+        deepest = Math.max(deepest, depthOf(selection.selectionSet, spreading));
+      } else if (fragments[selection.name.value] && !spreading.includes(selection.name.value)) {
+        const name = selection.name.value;
+        if (!(name in fragmentDepths)) {
+          fragmentDepths[name] = depthOf(fragments[name].selectionSet, spreading.concat([name]));
+        }
+        deepest = Math.max(deepest, fragmentDepths[name]);
+      }
+    }
+
+    return deepest;
+  };
+
+  return {
+    "OperationDefinition": (node) => {
+      if (depthOf(node.selectionSet, []) > MAX_DEPTH) {
+        context.reportError(new GraphQLError("The query is nested more than " + MAX_DEPTH + " fields deep", [node]));
+      }
+    }
+  };
+}
+
+// validation rule that turns away operations that cost more than MAX_COST, and mutations with more than MAX_MUTATIONS fields at the top
+function limitCost(context) {
+  const schema = context.getSchema();
+  const fragments = findFragments(context.getDocument());
+
+  // returns what a selection set costs on a type; fields the schema doesn't have cost 1 (validation reports them)
+  const costOf = (selectionSet, parentType, spreading) => {
+    let cost = 0;
+
+    for (const field of listTopFields(selectionSet, fragments, spreading, MAX_COST + 1)) {
+      const fieldDef = parentType && parentType.getFields && parentType.getFields()[field.name.value];
+      const perItem = field.selectionSet ? costOf(field.selectionSet, fieldDef ? getNamedType(fieldDef.type) : null, spreading) : 0;
+      cost += 1 + (fieldDef && isListType(getNullableType(fieldDef.type)) ? LIST_COST : 1) * perItem;
+
+      // stop early, so fragments spread inside each other can't make this take long
+      if (cost > MAX_COST) {
+        return cost;
+      }
+    }
+
+    return cost;
+  };
+
+  return {
+    "OperationDefinition": (node) => {
+      const rootType = node.operation === "mutation" ? schema.getMutationType() : schema.getQueryType();
+
+      if (node.operation === "mutation" && listTopFields(node.selectionSet, fragments, [], MAX_MUTATIONS + 1).length > MAX_MUTATIONS) {
+        context.reportError(new GraphQLError("A mutation can have at most " + MAX_MUTATIONS + " fields at the top level", [node]));
+      } else if (costOf(node.selectionSet, rootType, []) > MAX_COST) {
+        context.reportError(new GraphQLError("The query costs more than " + MAX_COST + " (each field costs 1, and each field in a list " + LIST_COST + ")", [node]));
+      }
+    }
+  };
+}
+
+// returns how many writes a GraphQL request makes: the number of fields at the top of its mutation (at least 1), or 0 if it runs a query
+// or can't be parsed (runGraphQL turns those away); the rate limiter counts a POST /graphql as this many writes
+// input: parameters: { query, operationName } (see runGraphQL)
+function countMutations(params) {
+  if (!params || typeof params.query !== "string") {
+    return 0;
+  }
+
+  let document = null;
+  try {
+    document = parse(params.query);
+  } catch (error) {
+    return 0;
+  }
+
+  const operation = getOperationAST(document, typeof params.operationName === "string" && params.operationName !== "" ? params.operationName : null);
+  if (!operation || operation.operation !== "mutation") {
+    return 0;
+  }
+  return Math.max(1, listTopFields(operation.selectionSet, findFragments(document), [], MAX_MUTATIONS + 1).length);
+}
+
+// returns a 400 response listing errors, in the form GraphQL responses have them
+function makeRequestError(errors) {
+  return {
+    "code": 400,
+    "data": { "errors": errors.map(error => typeof error === "string" ? { "message": error } : formatError(error)) }
+  };
+}
+
+// formats an error from running a query; errors that didn't come from a REST result or GraphQL itself are logged and not shown,
+// since their messages can describe the server's internals
+function formatFieldError(error) {
+  if (error.originalError && !error.originalError.extensions && !(error.originalError instanceof GraphQLError)) {
+    console.log("error resolving GraphQL field", error.originalError);
+    return { "message": "The field could not be resolved", "locations": error.locations, "path": error.path };
+  }
+  return formatError(error);
+}
+
+// runs a GraphQL request
+// input: schema from makeGraphQLSchema; HTTP method; parameters: { query, variables, operationName } (a JSON body for POST, the query string for GET,
+//   where variables is JSON text); context from makeGraphQLContext in server.js
+// output: 200 with { data, errors } once the operation has run (fields that failed are null and listed in errors); 400 if the request or query
+//   is invalid; 405 for a mutation sent with GET, since GET requests mustn't change anything
+async function runGraphQL(schema, method, params, context) {
+  params = params || {};
+
+  if (typeof params.query !== "string" || params.query.trim() === "") {
+    return makeRequestError(["query must be a GraphQL document"]);
+  }
+
+  let variables = params.variables === undefined ? null : params.variables;
+  if (method === "GET" && typeof variables === "string") {
+    try {
+      variables = JSON.parse(variables);
+    } catch (error) {
+      return makeRequestError(["variables must be a JSON object"]);
+    }
+  }
+  if (variables !== null && (typeof variables !== "object" || Array.isArray(variables))) {
+    return makeRequestError(["variables must be a JSON object"]);
+  }
+
+  const operationName = params.operationName === undefined || params.operationName === "" ? null : params.operationName;
+  if (operationName !== null && typeof operationName !== "string") {
+    return makeRequestError(["operationName must be a string"]);
+  }
+
+  let document = null;
+  try {
+    document = parse(params.query);
+  } catch (error) {
+    return makeRequestError([error]);
+  }
+
+  const errors = validate(schema, document, specifiedRules.concat([limitDepth, limitCost]));
+  if (errors.length > 0) {
+    return makeRequestError(errors);
+  }
+
+  const operation = getOperationAST(document, operationName);
+  if (!operation) {
+    return makeRequestError([operationName ? "The query has no operation named " + operationName : "operationName must name one of the query's operations"]);
+  } else if (operation.operation === "mutation" && method !== "POST") {
+    return {
+      "code": 405,
+      "data": { "errors": [{ "message": "Mutations must be sent with POST" }] },
+      "headers": { "Allow": "POST" }
+    };
+  }
+
+  const result = await execute({
+    "schema": schema,
+    "document": document,
+    "contextValue": context,
+    "variableValues": variables,
+    "operationName": operationName
+  });
+
+  // variables that don't match their types fail before anything runs, and leave no data
+  if (!("data" in result) || result.data === undefined) {
+    return makeRequestError(result.errors);
+  }
+
+  const data = { "data": result.data };
+  if (result.errors) {
+    data.errors = result.errors.map(formatFieldError);
+  }
+
+  return {
+    "code": 200,
+    "data": data
+  };
+}
+
+module.exports = {
+  makeLoader,
+  makeGraphQLSchema,
+  countMutations,
+  runGraphQL
+};
@@ -0,0 +1,65 @@
+/*
+Change history
+Each write to a trail's or trailhead's own attributes (its required and optional attributes, e.g. a trail's name or a trailhead's location) is saved
+as a revision along with the write: who made it, when, the ID of the request, what changed, and the attributes as they were after it.
+Revisions are numbered by the version the write gave the entity (see preconditions.js), so an ETag names the revision it was read at.
+Relationships, shares, routes' geometry, reviews, and condition reports also change an entity's version, but they aren't part of its history
+*/
+
+// returns the attributes of an entity that its history keeps; optional attributes an entity was saved without get their defaults
+// input: type of entity (TRAIL, TRAILHEAD); entity
+function makeState(type, entity) {
+  const state = {};
+
+  for (const attr of type.requiredAttributes) {
+    state[attr] = entity[attr];
+  }
+  for (const attr of Object.keys(type.optionalAttributes)) {
+    state[attr] = entity[attr] === undefined ? type.optionalAttributes[attr] : entity[attr];
+  }
+
+  return state;
+}
+
+// returns what changed between two states of an entity
+// input: state before the write (null if it created the entity); state after it (null if it deleted the entity)
+// output: { attribute: { before, after } } for each attribute that changed; before or after is null if the entity didn't exist
+function makeChanges(before, after) {
+  const changes = {};
+  const attrs = Object.keys(before || {}).concat(Object.keys(after || {})).filter((attr, i, all) => all.indexOf(attr) === i);
+
+  for (const attr of attrs) {
+    const old = before ? before[attr] : null;
+    const now = after ? after[attr] : null;
+
+    if (JSON.stringify(old) !== JSON.stringify(now)) {
+      changes[attr] = { "before": old === undefined ? null : old, "after": now === undefined ? null : now };
+    }
+  }
+
+  return changes;
+}
+
+// builds a revision of a trail or trailhead to save with a write
+// input: type of entity; its ID; version the write gave it; action (create, update, delete, revert, or restore); states before and after the write (see makeChanges);
+//   actor: { userId, requestId } of the request that made the write
+// output: revision data
+function makeRevision(type, id, version, action, before, after, actor) {
+  return {
+    "kind": type.name,
+    "entityId": String(id),
+    "version": version,
+    "action": action,
+    "userId": actor.userId,
+    "requestId": actor.requestId,
+    "timestamp": new Date().toISOString(),
+    "changes": makeChanges(before, after),
+    "state": after,
+    "revertedTo": null
+  };
+}
+
+module.exports = {
+  makeState,
+  makeRevision
+};
@@ -0,0 +1,523 @@
+/*
+OpenAPI document
+GET /openapi.json describes the API as an OpenAPI 3.0 document, and GET /docs shows the same document as a page.
+Paths come from the routes express has registered, so every route that exists is listed and none that doesn't; OPERATIONS below adds each one's summary,
+request body, and responses. Schemas come from the entity descriptors (see validation.js), and request bodies are checked against these same schemas
+(see checkAttributes in server.js), so the document can't drift from what the API accepts
+*/
+
+const {makeBodySchema, makeFieldSchema} = require('./validation');
+const {USER, TRAIL, TRAILHEAD, HIKE, TRAIL_SHARE, USER_ROLE, TRAILHEAD_EDIT, REVIEW, CONDITION, REVISION, TRASH_ITEM, WEBHOOK, WEBHOOK_DELIVERY, API_KEY, LOCAL_TOKEN} = require('./entities');
+
+// types whose attributes are written with JSON request bodies; each gets an Input schema (required attributes must be present) and a Changes schema (PATCH)
+const BODY_TYPES = [USER, TRAIL, TRAILHEAD, HIKE, TRAIL_SHARE, USER_ROLE, TRAILHEAD_EDIT, REVIEW, CONDITION, WEBHOOK, API_KEY, LOCAL_TOKEN];
+
+// types that responses return; their schemas list the attributes they're written with, plus id and self (responses have other attributes too)
+const RESPONSE_TYPES = [USER, TRAIL, TRAILHEAD, HIKE, TRAIL_SHARE, TRAILHEAD_EDIT, REVIEW, CONDITION, REVISION, TRASH_ITEM, WEBHOOK, WEBHOOK_DELIVERY, API_KEY];
+
+// what each status code means, for responses that OPERATIONS doesn't describe further
+const STATUS_DESCRIPTIONS = {
+  "200": "OK",
+  "201": "Created",
+  "204": "No content",
+  "304": "Not modified (If-None-Match has the current ETag)",
+  "400": "An attribute or query parameter is missing or invalid",
+  "401": "The user can't be authenticated",
+  "403": "The user can't do that (or the API key lacks a scope)",
+  "404": "The item doesn't exist",
+  "405": "The method isn't allowed (ex: a GraphQL mutation sent with GET)",
+  "406": "The Accept header doesn't allow any of the response's media types",
+  "409": "The request conflicts with the item's current state",
+  "412": "The item has changed since the version in If-Match",
+  "415": "The request's Content-Type isn't supported",
+  "429": "The client has used up its rate limit (see Retry-After)",
+  "500": "Storage couldn't be reached, or the change could not be saved"
+};
+
+// path parameters, by their name in the route
+const PATH_PARAMETERS = {
+  "trailId": "ID of a trail",
+  "trailheadId": "ID of a trailhead",
+  "userId": "ID of a user's profile (id, not userId)",
+  "reviewId": "ID of a review",
+  "conditionId": "ID of a condition report",
+  "hikeId": "ID of a hike",
+  "editId": "ID of a proposed edit",
+  "keyId": "ID of an API key",
+  "webhookId": "ID of a webhook",
+  "version": "version of the trail or trailhead (the number in its ETag)"
+};
+
+// operations by method and express path ("get /trails/:trailId"); null leaves a route (like the welcome pages) out of the document
+//   tag: group it is listed in; summary; auth: "required" or "optional" (left out if the operation ignores credentials)
+//   body: name of the schema of its JSON body, or { media type: schema } for other bodies
+//   list: type whose filter, sort, scope, and expand parameters it takes (see queries.js); query: other query parameters, as { name: [schema, description] }
+//   returns: name of the schema it returns; a name ending in [] is a page of them ({ count, self, items, next })
+//   codes: status codes it can respond with (every operation can also respond 429 and 500)
+const OPERATIONS = {
+  "get /": null,
+  "get /user": null,
+  "get /openapi.json": null,
+  "get /docs": null,
+
+  "post /auth/local/token": { "tag": "Authentication", "summary": "Signs a local token (only when AUTH_STRATEGIES includes local)", "body": "LocalTokenInput", "codes": "200 400 403 404 406" },
+
+  "get /trails": { "tag": "Trails", "summary": "Lists trails the user can see", "auth": "required", "list": TRAIL, "returns": "Trail[]", "codes": "200 400 401 406" },
+  "post /trails": { "tag": "Trails", "summary": "Creates a trail owned by the user", "auth": "required", "body": "TrailInput", "returns": "Trail", "codes": "201 400 401 406" },
+  "get /trails/:trailId": { "tag": "Trails", "summary": "Gets a trail (JSON or GPX)", "auth": "optional", "list": TRAIL, "returns": "Trail", "codes": "200 304 400 401 403 406" },
+  "put /trails/:trailId": { "tag": "Trails", "summary": "Replaces a trail's attributes", "auth": "required", "body": "TrailInput", "returns": "Trail", "codes": "200 204 400 401 403 406 412" },
+  "patch /trails/:trailId": { "tag": "Trails", "summary": "Changes some of a trail's attributes", "auth": "required", "body": "TrailChanges", "returns": "Trail", "codes": "200 204 400 401 403 406 412" },
+  "delete /trails/:trailId": { "tag": "Trails", "summary": "Moves a trail to the trash", "auth": "required", "codes": "204 401 403 406 412" },
+  "put /trails/:trailId/route": {
+    "tag": "Trails", "summary": "Replaces a trail's route", "auth": "required",
+    "body": { "application/gpx+xml": { "type": "string" }, "application/geo+json": { "type": "object" }, "application/json": { "type": "object" } },
+    "returns": "Trail", "codes": "200 400 401 403 406 412 415"
+  },
+  "put /trails/:trailId/shares/:userId": { "tag": "Trails", "summary": "Shares a trail with a user, or changes their role", "auth": "required", "body": "TrailShareInput", "returns": "TrailShare", "codes": "200 201 400 401 403 404 406 409 412" },
+  "delete /trails/:trailId/shares/:userId": { "tag": "Trails", "summary": "Stops sharing a trail with a user", "auth": "required", "codes": "204 401 403 404 406 412" },
+
+  "get /trailheads": { "tag": "Trailheads", "summary": "Lists trailheads (JSON or GeoJSON)", "auth": "optional", "list": TRAILHEAD, "returns": "Trailhead[]", "codes": "200 400 406" },
+  "get /trailheads/nearby": {
+    "tag": "Trailheads", "summary": "Lists trailheads within a radius, nearest first", "auth": "optional",
+    "query": {
+      "lat": [{ "type": "number", "minimum": -90, "maximum": 90 }, "latitude of the center"],
+      "lng": [{ "type": "number", "minimum": -180, "maximum": 180 }, "longitude of the center"],
+      "radius": [{ "type": "number", "minimum": 0, "maximum": 100 }, "in miles (default: 10)"],
+      "open": [{ "type": "boolean" }, "true leaves out closed trailheads; false only lists them"],
+      "expand": [{ "type": "string", "enum": ["trails"] }, "embeds each trailhead's trails"]
+    },
+    "returns": "Trailhead[]", "codes": "200 400 406"
+  },
+  "post /trailheads": { "tag": "Trailheads", "summary": "Creates a trailhead", "auth": "required", "body": "TrailheadInput", "returns": "Trailhead", "codes": "201 400 401 406" },
+  "get /trailheads/:trailheadId": { "tag": "Trailheads", "summary": "Gets a trailhead (JSON or GeoJSON)", "auth": "optional", "list": TRAILHEAD, "returns": "Trailhead", "codes": "200 304 400 404 406" },
+  "put /trailheads/:trailheadId": { "tag": "Trailheads", "summary": "Replaces a trailhead's attributes", "auth": "required", "body": "TrailheadInput", "returns": "Trailhead", "codes": "200 204 400 401 403 404 406 412" },
+  "patch /trailheads/:trailheadId": { "tag": "Trailheads", "summary": "Changes some of a trailhead's attributes", "auth": "required", "body": "TrailheadChanges", "returns": "Trailhead", "codes": "200 204 400 401 403 404 406 412" },
+  "delete /trailheads/:trailheadId": { "tag": "Trailheads", "summary": "Moves a trailhead to the trash", "auth": "required", "codes": "204 401 403 404 406 412" },
+
+  "put /trails/:trailId/trailheads/:trailheadId": { "tag": "Trails and trailheads", "summary": "Adds a trailhead to a trail", "auth": "required", "codes": "204 401 403 404 406" },
+  "delete /trails/:trailId/trailheads/:trailheadId": { "tag": "Trails and trailheads", "summary": "Removes a trailhead from a trail", "auth": "required", "codes": "204 401 403 404 406" },
+
+  "get /trailheads/edits": { "tag": "Proposed edits", "summary": "Lists proposed edits of every trailhead (moderators)", "auth": "required", "query": { "status": [makeFieldSchema(TRAILHEAD_EDIT.fields.status), "only edits with this status"] }, "returns": "TrailheadEdit[]", "codes": "200 400 401 403 406" },
+  "post /trailheads/:trailheadId/edits": { "tag": "Proposed edits", "summary": "Proposes an edit of a trailhead", "auth": "required", "body": "TrailheadChanges", "returns": "TrailheadEdit", "codes": "201 400 401 404 406" },
+  "get /trailheads/:trailheadId/edits": { "tag": "Proposed edits", "summary": "Lists a trailhead's proposed edits", "query": { "status": [makeFieldSchema(TRAILHEAD_EDIT.fields.status), "only edits with this status"] }, "returns": "TrailheadEdit[]", "codes": "200 400 404 406" },
+  "get /trailheads/:trailheadId/edits/:editId": { "tag": "Proposed edits", "summary": "Gets a proposed edit", "returns": "TrailheadEdit", "codes": "200 404 406" },
+  "post /trailheads/:trailheadId/edits/:editId/approve": { "tag": "Proposed edits", "summary": "Approves a proposed edit and applies it", "auth": "required", "returns": "TrailheadEdit", "codes": "200 400 401 403 404 406 409 412" },
+  "post /trailheads/:trailheadId/edits/:editId/reject": { "tag": "Proposed edits", "summary": "Rejects a proposed edit", "auth": "required", "body": "TrailheadEditChanges", "returns": "TrailheadEdit", "codes": "200 400 401 403 404 406 409" },
+
+  "get /trails/:trailId/reviews": { "tag": "Reviews", "summary": "Lists a trail's reviews", "auth": "optional", "returns": "Review[]", "codes": "200 401 403 404 406" },
+  "post /trails/:trailId/reviews": { "tag": "Reviews", "summary": "Reviews a trail", "auth": "required", "body": "ReviewInput", "returns": "Review", "codes": "201 400 401 403 404 406" },
+  "get /trails/:trailId/reviews/:reviewId": { "tag": "Reviews", "summary": "Gets a review of a trail", "auth": "optional", "returns": "Review", "codes": "200 304 401 403 404 406" },
+  "put /trails/:trailId/reviews/:reviewId": { "tag": "Reviews", "summary": "Replaces the user's review of a trail", "auth": "required", "body": "ReviewInput", "returns": "Review", "codes": "200 204 400 401 403 404 406 412" },
+  "patch /trails/:trailId/reviews/:reviewId": { "tag": "Reviews", "summary": "Changes the user's review of a trail", "auth": "required", "body": "ReviewChanges", "returns": "Review", "codes": "200 204 400 401 403 404 406 412" },
+  "delete /trails/:trailId/reviews/:reviewId": { "tag": "Reviews", "summary": "Deletes the user's review of a trail", "auth": "required", "codes": "204 401 403 404 406 412" },
+  "get /trailheads/:trailheadId/reviews": { "tag": "Reviews", "summary": "Lists a trailhead's reviews", "returns": "Review[]", "codes": "200 404 406" },
+  "post /trailheads/:trailheadId/reviews": { "tag": "Reviews", "summary": "Reviews a trailhead", "auth": "required", "body": "ReviewInput", "returns": "Review", "codes": "201 400 401 403 404 406" },
+  "get /trailheads/:trailheadId/reviews/:reviewId": { "tag": "Reviews", "summary": "Gets a review of a trailhead", "returns": "Review", "codes": "200 304 404 406" },
+  "put /trailheads/:trailheadId/reviews/:reviewId": { "tag": "Reviews", "summary": "Replaces the user's review of a trailhead", "auth": "required", "body": "ReviewInput", "returns": "Review", "codes": "200 204 400 401 403 404 406 412" },
+  "patch /trailheads/:trailheadId/reviews/:reviewId": { "tag": "Reviews", "summary": "Changes the user's review of a trailhead", "auth": "required", "body": "ReviewChanges", "returns": "Review", "codes": "200 204 400 401 403 404 406 412" },
+  "delete /trailheads/:trailheadId/reviews/:reviewId": { "tag": "Reviews", "summary": "Deletes the user's review of a trailhead", "auth": "required", "codes": "204 401 403 404 406 412" },
+
+  "get /trails/:trailId/conditions": { "tag": "Conditions", "summary": "Lists a trail's current condition reports", "auth": "optional", "query": { "type": [makeFieldSchema(CONDITION.fields.type), "only reports of this type"] }, "returns": "Condition[]", "codes": "200 400 401 403 404 406" },
+  "post /trails/:trailId/conditions": { "tag": "Conditions", "summary": "Reports a trail's conditions", "auth": "required", "body": "ConditionInput", "returns": "Condition", "codes": "201 400 401 403 404 406 409 412" },
+  "get /trails/:trailId/conditions/:conditionId": { "tag": "Conditions", "summary": "Gets a condition report of a trail", "auth": "optional", "returns": "Condition", "codes": "200 401 403 404 406" },
+  "delete /trails/:trailId/conditions/:conditionId": { "tag": "Conditions", "summary": "Deletes a condition report of a trail", "auth": "required", "codes": "204 401 403 404 406 412" },
+  "get /trailheads/:trailheadId/conditions": { "tag": "Conditions", "summary": "Lists a trailhead's current condition reports", "query": { "type": [makeFieldSchema(CONDITION.fields.type), "only reports of this type"] }, "returns": "Condition[]", "codes": "200 400 404 406" },
+  "post /trailheads/:trailheadId/conditions": { "tag": "Conditions", "summary": "Reports a trailhead's conditions", "auth": "required", "body": "ConditionInput", "returns": "Condition", "codes": "201 400 401 403 404 406 409 412" },
+  "get /trailheads/:trailheadId/conditions/:conditionId": { "tag": "Conditions", "summary": "Gets a condition report of a trailhead", "returns": "Condition", "codes": "200 404 406" },
+  "delete /trailheads/:trailheadId/conditions/:conditionId": { "tag": "Conditions", "summary": "Deletes a condition report of a trailhead", "auth": "required", "codes": "204 401 403 404 406 412" },
+
+  "get /trails/:trailId/history": { "tag": "History", "summary": "Lists a trail's revisions, newest first", "auth": "optional", "returns": "Revision[]", "codes": "200 401 403 404 406" },
+  "get /trails/:trailId/history/:version": { "tag": "History", "summary": "Gets the revision of a trail current at a version", "auth": "optional", "returns": "Revision", "codes": "200 401 403 404 406" },
+  "post /trails/:trailId/history/:version/revert": { "tag": "History", "summary": "Reverts a trail's attributes to a version", "auth": "required", "returns": "Trail", "codes": "200 401 403 404 406 412" },
+  "get /trailheads/:trailheadId/history": { "tag": "History", "summary": "Lists a trailhead's revisions, newest first", "returns": "Revision[]", "codes": "200 404 406" },
+  "get /trailheads/:trailheadId/history/:version": { "tag": "History", "summary": "Gets the revision of a trailhead current at a version", "returns": "Revision", "codes": "200 404 406" },
+  "post /trailheads/:trailheadId/history/:version/revert": { "tag": "History", "summary": "Reverts a trailhead's attributes to a version", "auth": "required", "returns": "Trailhead", "codes": "200 401 403 404 406 412" },
+
+  "get /trash": { "tag": "Trash", "summary": "Lists the trails and trailheads the user owns, created, or deleted that are in the trash", "auth": "required", "returns": "TrashItem[]", "codes": "200 401 406" },
+  "post /trails/:trailId/restore": { "tag": "Trash", "summary": "Restores a trail from the trash", "auth": "required", "returns": "Trail", "codes": "200 401 403 404 406" },
+  "post /trailheads/:trailheadId/restore": { "tag": "Trash", "summary": "Restores a trailhead from the trash", "auth": "required", "returns": "Trailhead", "codes": "200 401 403 404 406" },
+
+  "get /trails/:trailId/hikes": { "tag": "Hikes", "summary": "Lists the user's hikes of a trail", "auth": "required", "list": HIKE, "returns": "Hike[]", "codes": "200 400 401 403 406" },
+  "post /trails/:trailId/hikes": { "tag": "Hikes", "summary": "Logs a hike of a trail", "auth": "required", "body": "HikeInput", "returns": "Hike", "codes": "201 400 401 403 406" },
+  "get /trails/:trailId/hikes/:hikeId": { "tag": "Hikes", "summary": "Gets one of the user's hikes of a trail", "auth": "required", "returns": "Hike", "codes": "200 304 401 403 406" },
+  "put /trails/:trailId/hikes/:hikeId": { "tag": "Hikes", "summary": "Replaces one of the user's hikes of a trail", "auth": "required", "body": "HikeInput", "returns": "Hike", "codes": "200 204 400 401 403 406 412" },
+  "patch /trails/:trailId/hikes/:hikeId": { "tag": "Hikes", "summary": "Changes one of the user's hikes of a trail", "auth": "required", "body": "HikeChanges", "returns": "Hike", "codes": "200 204 400 401 403 406 412" },
+  "delete /trails/:trailId/hikes/:hikeId": { "tag": "Hikes", "summary": "Deletes one of the user's hikes of a trail", "auth": "required", "codes": "204 401 403 406 412" },
+  "get /users/me/hikes": { "tag": "Hikes", "summary": "Lists the user's hikes", "auth": "required", "list": HIKE, "returns": "Hike[]", "codes": "200 400 401 406" },
+  "post /users/me/hikes": { "tag": "Hikes", "summary": "Logs a hike of the trail in the body", "auth": "required", "body": "HikeInput", "returns": "Hike", "codes": "201 400 401 403 406" },
+  "get /users/me/hikes/:hikeId": { "tag": "Hikes", "summary": "Gets one of the user's hikes", "auth": "required", "returns": "Hike", "codes": "200 304 401 403 406" },
+  "put /users/me/hikes/:hikeId": { "tag": "Hikes", "summary": "Replaces one of the user's hikes", "auth": "required", "body": "HikeInput", "returns": "Hike", "codes": "200 204 400 401 403 406 412" },
+  "patch /users/me/hikes/:hikeId": { "tag": "Hikes", "summary": "Changes one of the user's hikes", "auth": "required", "body": "HikeChanges", "returns": "Hike", "codes": "200 204 400 401 403 406 412" },
+  "delete /users/me/hikes/:hikeId": { "tag": "Hikes", "summary": "Deletes one of the user's hikes", "auth": "required", "codes": "204 401 403 406 412" },
+  "get /users/me/stats": { "tag": "Hikes", "summary": "Totals the user's hikes", "auth": "required", "codes": "200 401 406" },
+
+  "post /import": {
+    "tag": "Import and export", "summary": "Creates many trails and trailheads at once", "auth": "required",
+    "body": { "text/csv": { "type": "string" }, "application/x-ndjson": { "type": "string" } },
+    "query": { "dryRun": [{ "type": "boolean" }, "true only checks the rows"] },
+    "codes": "200 201 400 401 406 415 500"
+  },
+  "get /export": { "tag": "Import and export", "summary": "Downloads the user's trails and the trailheads they created (CSV or NDJSON)", "auth": "required", "codes": "200 401 406" },
+
+  "get /users": { "tag": "Users", "summary": "Lists users", "list": USER, "returns": "User[]", "codes": "200 406" },
+  "get /users/me": { "tag": "Users", "summary": "Gets the user's profile", "auth": "required", "returns": "User", "codes": "200 304 401 404 406" },
+  "patch /users/me": { "tag": "Users", "summary": "Changes the user's profile", "auth": "required", "body": "UserChanges", "returns": "User", "codes": "200 204 400 401 404 406 412" },
+  "delete /users/me": { "tag": "Users", "summary": "Deletes the user's account and everything they own", "auth": "required", "codes": "204 401 403 406 500" },
+  "get /users/:userId": { "tag": "Users", "summary": "Gets a user's profile", "returns": "User", "codes": "200 304 404 406" },
+  "put /users/:userId/role": { "tag": "Users", "summary": "Changes a user's moderation role (admins)", "auth": "required", "body": "UserRoleInput", "returns": "User", "codes": "200 400 401 403 404 406 412" },
+
+  "post /users/me/api-keys": { "tag": "API keys", "summary": "Creates an API key; the response is the only time the key is shown", "auth": "required", "body": "ApiKeyInput", "returns": "ApiKey", "codes": "201 400 401 403 406" },
+  "get /users/me/api-keys": { "tag": "API keys", "summary": "Lists the user's API keys", "auth": "required", "codes": "200 401 403 406" },
+  "delete /users/me/api-keys/:keyId": { "tag": "API keys", "summary": "Revokes one of the user's API keys", "auth": "required", "codes": "204 401 403 404 406" },
+
+  "post /users/me/webhooks": { "tag": "Webhooks", "summary": "Subscribes the user to events; the response is the only time the secret is shown", "auth": "required", "body": "WebhookInput", "returns": "Webhook", "codes": "201 400 401 406 409" },
+  "get /users/me/webhooks": { "tag": "Webhooks", "summary": "Lists the user's webhooks", "auth": "required", "codes": "200 401 406" },
+  "get /users/me/webhooks/:webhookId": { "tag": "Webhooks", "summary": "Gets one of the user's webhooks", "auth": "required", "returns": "Webhook", "codes": "200 401 404 406" },
+  "delete /users/me/webhooks/:webhookId": { "tag": "Webhooks", "summary": "Deletes one of the user's webhooks and its delivery log", "auth": "required", "codes": "204 401 404 406" },
+  "get /users/me/webhooks/:webhookId/deliveries": { "tag": "Webhooks", "summary": "Lists a webhook's deliveries, newest first", "auth": "required", "query": { "status": [makeFieldSchema(WEBHOOK_DELIVERY.fields.status), "only deliveries with this status"] }, "returns": "WebhookDelivery[]", "codes": "200 400 401 404 406" },
+
+  "get /search": {
+    "tag": "Search", "summary": "Searches the names of trailheads and of the trails the user can see, best matches first", "auth": "optional",
+    "query": {
+      "q": [{ "type": "string", "minLength": 1, "maxLength": 100 }, "words to find; the last can be the start of a word, and longer words can have typos"],
+      "nextPage": [{ "type": "string" }, "cursor from the previous page's next URL"]
+    },
+    "codes": "200 400 401 406"
+  },
+
+  "get /graphql": {
+    "tag": "GraphQL", "summary": "Runs a GraphQL query", "auth": "optional",
+    "query": {
+      "query": [{ "type": "string" }, "GraphQL document"],
+      "variables": [{ "type": "string" }, "the query's variables, as a JSON object"],
+      "operationName": [{ "type": "string" }, "operation to run, if the document has more than one"]
+    },
+    "codes": "200 400 401 405 406"
+  },
+  "post /graphql": {
+    "tag": "GraphQL", "summary": "Runs a GraphQL query or mutation", "auth": "optional",
+    "body": {
+      "application/json": {
+        "type": "object",
+        "properties": { "query": { "type": "string" }, "variables": { "type": "object" }, "operationName": { "type": "string" } },
+        "required": ["query"]
+      }
+    },
+    "codes": "200 400 401 406"
+  },
+
+  "post /maintenance/relationships/reconcile": { "tag": "Maintenance", "summary": "Repairs references between trails and trailheads (admins)", "auth": "required", "codes": "200 401 403 406 500" },
+  "post /maintenance/webhooks/deliver": { "tag": "Maintenance", "summary": "Tries the webhook deliveries that are due (admins)", "auth": "required", "codes": "200 401 403 406" },
+  "post /maintenance/closures/refresh": { "tag": "Maintenance", "summary": "Brings closed up to date on trails and trailheads whose closures started or expired (admins)", "auth": "required", "codes": "200 401 403 406 500" },
+  "post /maintenance/search/reindex": { "tag": "Maintenance", "summary": "Saves the search document of every trail and trailhead (admins)", "auth": "required", "codes": "200 401 403 406 500" },
+  "post /maintenance/trash/purge": { "tag": "Maintenance", "summary": "Deletes trash items past the retention window for good (admins)", "auth": "required", "codes": "200 401 403 406 500" }
+};
+
+// returns the schemas of request bodies and responses, by name (ex: TrailInput, TrailChanges, Trail); checkAttributes checks bodies against these
+function makeSchemas() {
+  const schemas = {
+    "Error": {
+      "type": "object",
+      "properties": {
+        "error": { "type": "string" },
+        "attributes": { "type": "array", "items": { "type": "object", "properties": { "attribute": { "type": "string" }, "error": { "type": "string" } } } },
+        "parameters": { "type": "array", "items": { "type": "object", "properties": { "parameter": { "type": "string" }, "error": { "type": "string" } } } }
+      },
+      "required": ["error"]
+    }
+  };
+
+  for (const type of BODY_TYPES) {
+    schemas[bodySchemaName(type, true)] = makeBodySchema(type, true);
+    schemas[bodySchemaName(type, false)] = makeBodySchema(type, false);
+  }
+
+  for (const type of RESPONSE_TYPES) {
+    const schema = makeBodySchema(type, false);
+    schema.properties.id = { "type": "string" };
+    if (type !== WEBHOOK_DELIVERY) {
+      schema.properties.self = { "type": "string", "format": "uri" };
+    }
+    schemas[type.name] = schema;
+  }
+
+  return schemas;
+}
+
+// returns the name of the schema a type's request bodies are checked against
+// input: type (e.g. TRAIL); whether its required attributes must be present (false for PATCH)
+function bodySchemaName(type, requireAll) {
+  return type.name + (requireAll ? "Input" : "Changes");
+}
+
+// returns the query parameters a list of a type takes, from its descriptor (see queries.js)
+function makeListParameters(type) {
+  const parameters = [];
+
+  for (const param of Object.keys(type.filters)) {
+    const filter = type.filters[param];
+    const field = type.fields[filter.attribute];
+    let schema = field ? makeFieldSchema(field) : null;
+    let description = "only items whose " + filter.attribute + " is " + filter.operator + " this";
+
+    if (filter.operator === "in") {
+      schema = { "type": "string" };
+      description = "comma separated list of " + field.values.join(", ");
+    } else if (filter.operator === "prefix") {
+      schema = { "type": "string" };
+      description = "only items whose " + filter.attribute + " starts with this (ignoring case)";
+    } else if (filter.operator === "bbox") {
+      schema = { "type": "string" };
+      description = "only items inside minLongitude,minLatitude,maxLongitude,maxLatitude";
+    } else if (filter.operator === "not") {
+      schema = { "type": "boolean" };
+      description = "true leaves out " + filter.attribute + " items; false only lists them";
+    } else if (schema.oneOf) {
+      // IDs in query strings are always strings
+      schema = schema.oneOf[0];
+    }
+
+    parameters.push({ "name": param, "in": "query", "description": description, "schema": schema });
+  }
+
+  if (type.sorts.length > 0) {
+    parameters.push({ "name": "sort", "in": "query", "description": "attribute to sort by; a leading - sorts from highest to lowest", "schema": { "type": "string", "enum": type.sorts.concat(type.sorts.map(sort => "-" + sort)) } });
+  }
+  if (type.scopes.length > 0) {
+    parameters.push({ "name": "scope", "in": "query", "description": "which items to list (default: " + type.scopes[0] + ")", "schema": { "type": "string", "enum": type.scopes } });
+  }
+  if (Object.keys(type.expansions).length > 0) {
+    parameters.push({ "name": "expand", "in": "query", "description": "comma separated related items to embed: " + Object.keys(type.expansions).join(", "), "schema": { "type": "string" } });
+  }
+
+  return parameters;
+}
+
+// returns the schema of what an operation returns (see returns in OPERATIONS)
+function makeReturnSchema(returns) {
+  if (!returns.endsWith("[]")) {
+    return { "$ref": "#/components/schemas/" + returns };
+  }
+
+  return {
+    "type": "object",
+    "properties": {
+      "count": { "type": "integer" },
+      "self": { "type": "string", "format": "uri" },
+      "items": { "type": "array", "items": { "$ref": "#/components/schemas/" + returns.slice(0, -2) } },
+      "next": { "type": "string", "format": "uri", "description": "URL of the next page; left out on the last page" },
+      "truncated": { "type": "boolean", "description": "only in bounding box and nearby searches: true if more than 1000 matched and some were left out" }
+    }
+  };
+}
+
+// builds one operation of the document
+// input: method; express path; its entry in OPERATIONS (undefined if it has none)
+function makeOperation(method, path, entry) {
+  const operation = entry || { "summary": method.toUpperCase() + " " + path, "codes": "200" };
+  const tag = operation.tag || "Other";
+
+  const parameters = (path.match(/:\w+/g) || []).map(param => ({
+    "name": param.slice(1),
+    "in": "path",
+    "required": true,
+    "description": PATH_PARAMETERS[param.slice(1)] || param.slice(1),
+    "schema": { "type": "string" }
+  }));
+
+  // only lists take every list parameter; getting one item only takes expand
+  if (operation.list) {
+    const listParameters = makeListParameters(operation.list);
+    parameters.push(...(operation.returns && operation.returns.endsWith("[]") ? listParameters : listParameters.filter(param => param.name === "expand")));
+  }
+  for (const name of Object.keys(operation.query || {})) {
+    parameters.push({ "name": name, "in": "query", "description": operation.query[name][1], "schema": operation.query[name][0] });
+  }
+  if (operation.returns && operation.returns.endsWith("[]")) {
+    parameters.push({ "name": "nextPage", "in": "query", "description": "cursor from the previous page's next URL", "schema": { "type": "string" } });
+  }
+
+  const result = {
+    "tags": [tag],
+    "summary": operation.summary,
+    "operationId": method + path.replace(/\/:?(\w+)/g, (match, part) => part.charAt(0).toUpperCase() + part.slice(1)).replace(/\W/g, ""),
+    "parameters": parameters,
+    "responses": {}
+  };
+
+  if (operation.auth === "required") {
+    result.security = [{ "bearer": [] }];
+  } else if (operation.auth === "optional") {
+    result.security = [{}, { "bearer": [] }];
+  } else {
+    result.security = [];
+  }
+
+  if (typeof operation.body === "string") {
+    result.requestBody = { "required": true, "content": { "application/json": { "schema": { "$ref": "#/components/schemas/" + operation.body } } } };
+  } else if (operation.body) {
+    const content = {};
+    for (const mediaType of Object.keys(operation.body)) {
+      content[mediaType] = { "schema": operation.body[mediaType] };
+    }
+    result.requestBody = { "required": true, "content": content };
+  }
+
+  const codes = operation.codes.split(" ");
+  for (const code of codes.concat(["429", "500"].filter(code => !codes.includes(code)))) {
+    const response = { "description": STATUS_DESCRIPTIONS[code] };
+
+    if ((code === "200" || code === "201") && operation.returns) {
+      response.content = { "application/json": { "schema": makeReturnSchema(operation.returns) } };
+    } else if (Number(code) >= 400) {
+      response.content = { "application/json": { "schema": { "$ref": "#/components/schemas/Error" } } };
+    }
+    result.responses[code] = response;
+  }
+
+  return result;
+}
+
+// builds the OpenAPI document
+// input: routes express has registered, as [{ method, path }] in the order they were added; schemas from makeSchemas; base URL of the API
+// output: OpenAPI 3.0 document
+function makeOpenAPIDocument(routes, schemas, url) {
+  const paths = {};
+
+  for (const route of routes) {
+    const entry = OPERATIONS[route.method + " " + route.path];
+    if (entry === null) {
+      continue;
+    }
+
+    // express writes parameters as :name, OpenAPI as {name}
+    const path = route.path.replace(/:(\w+)/g, "{$1}");
+    paths[path] = paths[path] || {};
+    paths[path][route.method] = makeOperation(route.method, route.path, entry);
+  }
+
+  return {
+    "openapi": "3.0.3",
+    "info": {
+      "title": "Trails API",
+      "version": "1.0.0",
+      "description": "Trails, trailheads, and the hikes, reviews, and condition reports around them. " +
+        "Writes to trails, trailheads, and users take If-Match, and reads return ETags; every response can be 429 when a rate limit is used up (see the readme), or 500 when storage can't be reached."
+    },
+    "servers": [{ "url": url.replace(/\/$/, "") }],
+    "paths": paths,
+    "components": {
+      "schemas": schemas,
+      "securitySchemes": {
+        "bearer": { "type": "http", "scheme": "bearer", "description": "Google ID token, API key (trk_...), or local token" }
+      }
+    }
+  };
+}
+
+// describes a schema in a few words, for the docs page (ex: "string, 1 to 100 characters")
+function describeSchema(schema, schemas) {
+  if (schema.$ref) {
+    return schema.$ref.split("/").pop();
+  } else if (schema.oneOf) {
+    return schema.oneOf.map(option => describeSchema(option, schemas)).join(", or ");
+  }
+
+  const limits = [];
+  if (schema.minLength !== undefined || schema.maxLength !== undefined) {
+    limits.push((schema.minLength || 0) + " to " + (schema.maxLength !== undefined ? schema.maxLength : "any number of") + " characters");
+  }
+  if (schema.minimum !== undefined || schema.maximum !== undefined) {
+    limits.push("from " + (schema.minimum !== undefined ? schema.minimum : "any") + " to " + (schema.maximum !== undefined ? schema.maximum : "any"));
+  }
+  if (schema.maxItems !== undefined) {
+    limits.push("at most " + schema.maxItems + " items");
+  }
+
+  let description = schema.type;
+  if (schema.enum) {
+    description = "one of: " + schema.enum.join(", ");
+  } else if (schema.format) {
+    description = schema.type + " (" + schema.format + ")";
+  } else if (schema.type === "array") {
+    description = "array of " + describeSchema(schema.items, schemas);
+  } else if (schema.type === "object" && schema.properties) {
+    description = "object with " + Object.keys(schema.properties).join(", ");
+  }
+
+  return [description].concat(limits).join(", ") + (schema.nullable ? ", or null" : "");
+}
+
+// lists the attributes of a request body schema for the docs page
+// output: [{ name, description, required }], or null if the schema isn't one of the named object schemas
+function describeBody(schema, schemas) {
+  const named = schema.$ref ? schemas[schema.$ref.split("/").pop()] : null;
+  if (!named || !named.properties) {
+    return null;
+  }
+
+  return Object.keys(named.properties).map(name => ({
+    "name": name,
+    "description": describeSchema(named.properties[name], schemas),
+    "required": (named.required || []).includes(name)
+  }));
+}
+
+// turns the OpenAPI document into what the docs page (views/docs.html) shows: its operations grouped by tag, in the order the tags first appear
+// input: OpenAPI document from makeOpenAPIDocument
+// output: { title, description, groups: [{ tag, operations: [{ method, path, summary, auth, parameters, bodies, responses }] }] }
+function makeDocsPage(document) {
+  const schemas = document.components.schemas;
+  const groups = [];
+
+  for (const path of Object.keys(document.paths)) {
+    for (const method of Object.keys(document.paths[path])) {
+      const operation = document.paths[path][method];
+      let group = groups.find(group => group.tag === operation.tags[0]);
+
+      if (!group) {
+        group = { "tag": operation.tags[0], "operations": [] };
+        groups.push(group);
+      }
+
+      const content = operation.requestBody ? operation.requestBody.content : {};
+
+      group.operations.push({
+        "id": operation.operationId,
+        "method": method.toUpperCase(),
+        "path": path,
+        "summary": operation.summary,
+        "auth": operation.security.length === 0 ? "none" : (operation.security.length === 1 ? "required" : "optional"),
+        "parameters": operation.parameters.map(param => ({
+          "name": param.name,
+          "in": param.in,
+          "description": param.description,
+          "schema": describeSchema(param.schema, schemas)
+        })),
+        "bodies": Object.keys(content).map(mediaType => ({
+          "mediaType": mediaType,
+          "schema": describeSchema(content[mediaType].schema, schemas),
+          "attributes": describeBody(content[mediaType].schema, schemas)
+        })),
+        "responses": Object.keys(operation.responses).map(code => ({
+          "code": code,
+          "description": operation.responses[code].description,
+          "schema": operation.responses[code].content ? describeSchema(operation.responses[code].content["application/json"].schema, schemas) : null
+        }))
+      });
+    }
+  }
+
+  return {
+    "title": document.info.title,
+    "description": document.info.description,
+    "groups": groups
+  };
+}
+
+module.exports = {
+  makeSchemas,
+  bodySchemaName,
+  makeOpenAPIDocument,
+  makeDocsPage
+};
@@ -0,0 +1,72 @@
+/*
+Conditional requests
+Every trail, trailhead, and user is saved with a version that goes up on each write; its ETag is built from that version.
+GETs with a matching If-None-Match get 304, and writes with an If-Match for an older version get 412 (see server.js)
+*/
+
+const {MEDIA_TYPES} = require('./formats');
+
+// returns the ETag of one representation of an entity (ex: "3" for JSON, "3-geo+json" for GeoJSON), so each representation has its own tag
+// input: entity's version (entities saved before versions existed are version 0); media type of the representation
+// output: quoted ETag string
+function makeETag(version, mediaType) {
+  const suffix = mediaType && mediaType !== MEDIA_TYPES.JSON ? "-" + mediaType.split("/")[1] : "";
+  return "\"" + (version || 0) + suffix + "\"";
+}
+
+// splits an If-Match or If-None-Match header into its entity tags
+// output: array of tags as sent (ex: ["\"3\"", "W/\"abc\""]), or ["*"]
+function parseETagList(header) {
+  return String(header).split(",").map(tag => tag.trim()).filter(tag => tag !== "");
+}
+
+// returns the version an ETag stands for, or null if it isn't a strong tag made by makeETag
+function versionOf(tag) {
+  const match = /^"(\d+)(?:-[^"]*)?"$/.exec(tag);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+// returns true if a GET should get 304: If-None-Match lists the current ETag (weak comparison, so W/ tags count) or is *
+// input: value of the If-None-Match header (may be missing); current ETag from makeETag
+function isNotModified(header, etag) {
+  if (header === undefined) {
+    return false;
+  }
+
+  return parseETagList(header).some(tag => tag === "*" || tag.replace(/^W\//, "") === etag);
+}
+
+// returns true if a write may go ahead: there is no If-Match, it is *, or one of its strong tags is for the entity's current version
+// tags of any representation of the entity (JSON or GeoJSON) count, since they all stand for the same version
+// input: value of the If-Match header (may be missing); entity's current version
+function isPreconditionMet(header, version) {
+  if (header === undefined) {
+    return true;
+  }
+
+  return parseETagList(header).some(tag => tag === "*" || versionOf(tag) === (version || 0));
+}
+
+// returns what a client asked a write to respond with in its Prefer header (ex: "Prefer: return=representation")
+// output: "representation", "minimal", or null if the client has no preference
+function preferredReturn(header) {
+  if (header === undefined) {
+    return null;
+  }
+
+  for (const preference of String(header).split(",")) {
+    const [name, value] = preference.split(";")[0].split("=").map(piece => piece.trim().toLowerCase());
+    if (name === "return" && (value === "representation" || value === "minimal")) {
+      return value;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  makeETag,
+  isNotModified,
+  isPreconditionMet,
+  preferredReturn
+};
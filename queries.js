@@ -0,0 +1,336 @@
+/*
+List filters and sorting
+Turns the query parameters of list endpoints (e.g. GET /trails?difficulty=easy,medium&sort=-length) into storage filters and an order,
+using the filters and sorts declared on each entity descriptor.
+Datastore has no OR, case-insensitive prefix, or geospatial filters, so "in", "prefix", and "bbox" filters match derived attributes that are saved with every write.
+"not" filters take true or false and match entities whose boolean attribute is the opposite (e.g. open=true matches entities that aren't closed)
+*/
+
+const {checkField} = require('./validation');
+const {makeGeohashes, parseBoundingBox, circleBounds} = require('./geo');
+
+// default and largest radius for nearby searches, in miles
+const DEFAULT_NEARBY_RADIUS = 10;
+const MAX_NEARBY_RADIUS = 100;
+
+// name of the derived attribute that backs a filter, e.g. difficultyGroups, namePrefixes, or locationGeohashes
+function derivedAttribute(filter) {
+  if (filter.operator === "in") {
+    return filter.attribute + "Groups";
+  } else if (filter.operator === "prefix") {
+    return filter.attribute + "Prefixes";
+  } else if (filter.operator === "bbox") {
+    return filter.attribute + "Geohashes";
+  }
+  return null;
+}
+
+// names a group of enum values by joining them in the order the field declares them (e.g. "easy,hard")
+function makeGroupName(field, values) {
+  return field.values.filter(value => values.includes(value)).join(",");
+}
+
+// returns every group of enum values that includes a value, so an "in" filter is a single equality match
+// input: enum field declaration; the entity's value
+// output: array of group names (e.g. for "easy": ["easy", "easy,medium", "easy,hard", "easy,medium,hard"])
+function makeGroups(field, value) {
+  const others = field.values.filter(other => other !== value);
+  const groups = [];
+
+  // each bit of mask decides whether one of the other values is in the group
+  for (let mask = 0; mask < Math.pow(2, others.length); mask++) {
+    const members = others.filter((other, i) => mask & (1 << i));
+    groups.push(makeGroupName(field, members.concat([value])));
+  }
+
+  return groups;
+}
+
+// returns every lowercase prefix of a string (e.g. "Oak" -> ["o", "oa", "oak"])
+function makePrefixes(value) {
+  const lower = value.trim().toLowerCase();
+  const prefixes = [];
+
+  for (let i = 1; i <= lower.length; i++) {
+    prefixes.push(lower.slice(0, i));
+  }
+
+  return prefixes;
+}
+
+// builds the derived attributes that back "in", "prefix", and "bbox" filters; save them with the entity on every write
+// input: type (e.g. TRAIL, TRAILHEAD); entity or new entity data
+// output: object of derived attributes (e.g. { difficultyGroups: [...], namePrefixes: [...] })
+function makeIndexAttributes(type, entity) {
+  const derived = {};
+
+  for (const param of Object.keys(type.filters)) {
+    const filter = type.filters[param];
+    const value = entity[filter.attribute];
+
+    if (filter.operator === "in") {
+      derived[derivedAttribute(filter)] = makeGroups(type.fields[filter.attribute], value);
+    } else if (filter.operator === "prefix") {
+      derived[derivedAttribute(filter)] = typeof value === "string" ? makePrefixes(value) : [];
+    } else if (filter.operator === "bbox") {
+      derived[derivedAttribute(filter)] = makeGeohashes(value);
+    }
+  }
+
+  // trails list the profiles they're shared with, so scope=shared is one equality filter; a private trail isn't shared with anyone
+  if (type.scopes.includes("shared")) {
+    derived.sharedWith = entity.visibility === "shared" || entity.visibility === "public" ?
+      (entity.shares || []).map(share => String(share.user)) : [];
+  }
+
+  return derived;
+}
+
+// returns the filter and sort parameters of a request's query string that the type supports
+// input: type; query object from express
+// output: object of parameter names and values, to carry over to self and next page URLs
+function pickListParameters(type, query) {
+  const params = {};
+
+  const supported = Object.keys(type.filters)
+    .concat(type.sorts.length > 0 ? ["sort"] : [])
+    .concat(type.scopes.length > 0 ? ["scope"] : [])
+    .concat(Object.keys(type.expansions).length > 0 ? ["expand"] : []);
+
+  for (const param of supported) {
+    if (param in query) {
+      params[param] = query[param];
+    }
+  }
+
+  return params;
+}
+
+// parses the filter and sort parameters of a list request
+// input: type (e.g. TRAIL, TRAILHEAD); query parameters (see pickListParameters)
+// output: { filters: [{ property, operator, value }], order: { property, descending } or null, errors: [{ parameter, error }],
+//   bbox: { property, attribute, box } or null, scope: one of the type's scopes (null if it has none) }
+function parseListOptions(type, params) {
+  const filters = [];
+  const errors = [];
+  let bbox = null;
+
+  for (const param of Object.keys(type.filters)) {
+    if (!(param in params)) {
+      continue;
+    }
+
+    const filter = type.filters[param];
+    const field = type.fields[filter.attribute];
+    const raw = params[param];
+
+    // express turns repeated parameters into arrays
+    if (typeof raw !== "string") {
+      errors.push({ "parameter": param, "error": "must only be given once" });
+      continue;
+    }
+
+    if (filter.operator === "in") {
+      const values = raw.split(",").map(value => value.trim()).filter(value => value !== "");
+
+      if (values.length === 0 || values.some(value => checkField(field, value))) {
+        errors.push({ "parameter": param, "error": "must be a comma separated list of: " + field.values.join(", ") });
+      } else {
+        filters.push({ "property": derivedAttribute(filter), "operator": "=", "value": makeGroupName(field, values) });
+      }
+    } else if (filter.operator === "prefix") {
+      const prefix = raw.trim().toLowerCase();
+
+      if (prefix === "") {
+        errors.push({ "parameter": param, "error": "must not be empty" });
+      } else {
+        filters.push({ "property": derivedAttribute(filter), "operator": "=", "value": prefix });
+      }
+    } else if (filter.operator === "bbox") {
+      const box = parseBoundingBox(raw);
+
+      // a bounding box can't be a storage filter; it is matched against geohash cells (see getEntitiesInBox in server.js)
+      if (!box) {
+        errors.push({ "parameter": param, "error": "must be minLongitude,minLatitude,maxLongitude,maxLatitude" });
+      } else {
+        bbox = { "property": derivedAttribute(filter), "attribute": filter.attribute, "box": box };
+      }
+    } else if (filter.operator === "not") {
+      if (raw !== "true" && raw !== "false") {
+        errors.push({ "parameter": param, "error": "must be true or false" });
+      } else {
+        filters.push({ "property": filter.attribute, "operator": "=", "value": raw === "false" });
+      }
+    } else if (field.type !== "float") {
+      // dates and IDs are saved as strings, so they are matched as given (dates in YYYY-MM-DD sort in date order)
+      const error = checkField(field, raw);
+
+      if (error) {
+        errors.push({ "parameter": param, "error": error });
+      } else {
+        filters.push({ "property": filter.attribute, "operator": filter.operator, "value": raw });
+      }
+    } else {
+      const value = Number(raw);
+
+      if (raw.trim() === "" || !isFinite(value)) {
+        errors.push({ "parameter": param, "error": "must be a number" });
+      } else {
+        filters.push({ "property": filter.attribute, "operator": filter.operator, "value": value });
+      }
+    }
+  }
+
+  let scope = type.scopes.length > 0 ? type.scopes[0] : null;
+
+  if ("scope" in params) {
+    if (!type.scopes.includes(params.scope)) {
+      errors.push({ "parameter": "scope", "error": "must be one of: " + type.scopes.join(", ") });
+    } else {
+      scope = params.scope;
+    }
+  }
+
+  let order = null;
+
+  if ("sort" in params) {
+    const raw = String(params.sort);
+    const descending = raw.charAt(0) === "-";
+    const attribute = descending ? raw.slice(1) : raw;
+
+    if (!type.sorts.includes(attribute)) {
+      errors.push({ "parameter": "sort", "error": "must be one of: " + type.sorts.map(sort => sort + ", -" + sort).join(", ") });
+    } else {
+      order = { "property": attribute, "descending": descending };
+    }
+  }
+
+  // Datastore only allows range filters on one attribute, and the results must be sorted by that attribute first
+  // (bounding box results are sorted in memory, so any sort works with them)
+  const rangeAttributes = filters
+    .filter(filter => filter.operator !== "=")
+    .map(filter => filter.property)
+    .filter((property, i, properties) => properties.indexOf(property) === i);
+
+  if (rangeAttributes.length > 1) {
+    errors.push({ "parameter": Object.keys(type.filters).filter(param => param in params).join(", "), "error": "range filters can only be used on one attribute at a time" });
+  } else if (rangeAttributes.length === 1 && order && !bbox && order.property !== rangeAttributes[0]) {
+    errors.push({ "parameter": "sort", "error": "must be " + rangeAttributes[0] + " or -" + rangeAttributes[0] + " when filtering by a range of " + rangeAttributes[0] });
+  }
+
+  return {
+    "filters": filters,
+    "order": order,
+    "errors": errors,
+    "bbox": bbox,
+    "scope": scope
+  };
+}
+
+// parses the expand parameter of a request (ex: ?expand=trailheads)
+// input: type (e.g. TRAIL, TRAILHEAD); query object from express
+// output: { expand: array of attributes whose related entities should be embedded, errors: [{ parameter, error }] }
+function parseExpand(type, query) {
+  if (!("expand" in query)) {
+    return { "expand": [], "errors": [] };
+  }
+
+  const allowed = Object.keys(type.expansions);
+  const expand = String(query.expand).split(",").map(attr => attr.trim()).filter(attr => attr !== "");
+
+  if (expand.length === 0 || expand.some(attr => !allowed.includes(attr))) {
+    const error = allowed.length > 0 ? "must be a comma separated list of: " + allowed.join(", ") : "is not supported for this resource";
+    return { "expand": [], "errors": [{ "parameter": "expand", "error": error }] };
+  }
+
+  return {
+    "expand": expand.filter((attr, i) => expand.indexOf(attr) === i),
+    "errors": []
+  };
+}
+
+// parses the parameters of a nearby search (lat, lng, and optional radius in miles)
+// input: type with a bbox filter (e.g. TRAILHEAD); query object from express
+// output: { center: { latitude, longitude }, radius, errors: [{ parameter, error }],
+//   listOptions: list options whose bbox surrounds the search circle (see parseListOptions) }
+function parseNearbyOptions(type, query) {
+  const errors = [];
+
+  // returns the parameter as a number if it is one within the limits; otherwise records an error
+  const parseNumber = (param, min, max, fallback) => {
+    if (!(param in query) && fallback !== undefined) {
+      return fallback;
+    }
+
+    const value = typeof query[param] === "string" && query[param].trim() !== "" ? Number(query[param]) : NaN;
+    if (!isFinite(value) || value < min || value > max) {
+      errors.push({ "parameter": param, "error": "must be a number from " + min + " to " + max });
+    }
+    return value;
+  };
+
+  const latitude = parseNumber("lat", -90, 90);
+  const longitude = parseNumber("lng", -180, 180);
+  const radius = parseNumber("radius", 0, MAX_NEARBY_RADIUS, DEFAULT_NEARBY_RADIUS);
+
+  const center = { "latitude": latitude, "longitude": longitude };
+  const filter = Object.keys(type.filters).map(param => type.filters[param]).find(filter => filter.operator === "bbox");
+
+  return {
+    "center": center,
+    "radius": radius,
+    "errors": errors,
+    "listOptions": {
+      "filters": [],
+      "order": null,
+      "errors": [],
+      "scope": null,
+      "bbox": errors.length > 0 ? null : {
+        "property": derivedAttribute(filter),
+        "attribute": filter.attribute,
+        "box": circleBounds(center, radius)
+      }
+    }
+  };
+}
+
+// cursors for results that are paged in memory (geo searches) are the base64 encoded offset of the next result
+function encodeOffsetCursor(offset) {
+  return Buffer.from("offset:" + offset).toString("base64");
+}
+
+// returns the offset a cursor starts at: 0 without a cursor, or null if it isn't one of these (ex: it was changed), so it isn't read as the first page
+function decodeOffsetCursor(cursor) {
+  if (!cursor) {
+    return 0;
+  }
+
+  const match = /^offset:(\d{1,15})$/.exec(Buffer.from(String(cursor), "base64").toString());
+  return match && encodeOffsetCursor(match[1]) === String(cursor) ? parseInt(match[1], 10) : null;
+}
+
+// adds parsed filters and order to a storage query
+// input: storage query; options from parseListOptions
+// output: the same query
+function applyListOptions(query, options) {
+  for (const filter of options.filters) {
+    query = query.filter(filter.property, filter.operator, filter.value);
+  }
+
+  if (options.order) {
+    query = query.order(options.order.property, { "descending": options.order.descending });
+  }
+
+  return query;
+}
+
+module.exports = {
+  makeIndexAttributes,
+  pickListParameters,
+  parseListOptions,
+  parseExpand,
+  parseNearbyOptions,
+  applyListOptions,
+  encodeOffsetCursor,
+  decodeOffsetCursor
+};
@@ -0,0 +1,160 @@
+/*
+Rate limiting
+Each client has a budget for reads (GET, HEAD, and OPTIONS requests) and another for writes (everything else). A client is the sub of the user a request
+authenticates as, or the request's IP address if it doesn't authenticate; anonymous clients get smaller budgets (see RATE_LIMIT_* in config.js).
+Budgets are token buckets: a bucket holds up to the limit's number of requests and refills at limit / window per second, so a client can make a burst
+of requests up to the limit and then keep to a steady rate.
+Buckets are kept by a store, chosen with RATE_LIMIT_STORE: "memory" keeps them in each instance, so each instance has its own budgets, and "storage"
+saves them with the entities (see storage/index.js), so instances that share a Datastore share budgets too, at the cost of a transaction per request.
+Requests from one client at the same moment make that transaction conflict, so it is tried again (up to MAX_UPDATE_ATTEMPTS times) rather than
+letting a request through without counting it
+*/
+
+// kind that the storage store saves buckets as; each bucket's key name is its budget and client (ex: "read:user:1234")
+const BUCKET_KIND = "RateLimitBucket";
+
+// gRPC status code the storage backends report when a transaction conflicts
+const ABORTED = 10;
+
+// times the storage store tries a bucket's transaction before giving up, and the longest wait between tries, in milliseconds; waits are random,
+// so requests that conflicted don't conflict again
+const MAX_UPDATE_ATTEMPTS = 10;
+const MAX_RETRY_WAIT = 50;
+
+// largest number of buckets the memory store keeps; when it's full, the bucket used longest ago is dropped (so that client starts with a full budget)
+const MAX_MEMORY_BUCKETS = 100000;
+
+// stores keep each bucket as { tokens, updated (milliseconds since 1970) }; change(bucket) gets null for a new bucket and returns the bucket to keep
+const STORES = {
+  "memory": () => {
+    const buckets = new Map();
+
+    return {
+      update: async (name, change) => {
+        const bucket = change(buckets.has(name) ? buckets.get(name) : null);
+
+        // buckets are kept in the order they were last used
+        buckets.delete(name);
+        if (buckets.size >= MAX_MEMORY_BUCKETS) {
+          buckets.delete(buckets.keys().next().value);
+        }
+        buckets.set(name, bucket);
+      }
+    };
+  },
+
+  "storage": (storage) => ({
+    update: async (name, change) => {
+      const key = storage.key([BUCKET_KIND, name]);
+
+      for (let attempt = 1; ; attempt++) {
+        const transaction = storage.transaction();
+
+        try {
+          await transaction.run();
+          const [saved] = await transaction.get(key);
+          const bucket = change(saved ? { "tokens": saved.tokens, "updated": saved.updated } : null);
+
+          transaction.save({ "key": key, "data": bucket, "excludeFromIndexes": ["tokens", "updated"] });
+          await transaction.commit();
+          return;
+        } catch (error) {
+          await transaction.rollback().catch(() => {});
+
+          if (error.code !== ABORTED || attempt >= MAX_UPDATE_ATTEMPTS) {
+            throw error;
+          }
+        }
+
+        await new Promise(resolve => setTimeout(resolve, Math.random() * MAX_RETRY_WAIT));
+      }
+    }
+  })
+};
+
+// takes a request from a bucket, after refilling it for the time since it was last used
+// a request can cost more than one (ex: a GraphQL mutation with several writes); one that costs more than the limit needs a full bucket, and empties it
+// input: bucket (null if the client has none yet); policy { limit, window (seconds) }; current time in milliseconds; cost
+// output: { bucket: to keep, quota: { limit, window, allowed: false if the bucket didn't have enough, remaining, reset (seconds until it's full), retryAfter (seconds until a request is allowed) } }
+function takeRequest(bucket, policy, now, cost) {
+  const rate = policy.limit / policy.window;
+  const refilled = bucket ? Math.min(policy.limit, bucket.tokens + Math.max(0, now - bucket.updated) / 1000 * rate) : policy.limit;
+
+  const needed = Math.min(cost, policy.limit);
+  const allowed = refilled >= needed;
+  const tokens = allowed ? refilled - needed : refilled;
+
+  return {
+    "bucket": { "tokens": tokens, "updated": now },
+    "quota": {
+      "limit": policy.limit,
+      "window": policy.window,
+      "allowed": allowed,
+      "remaining": Math.floor(tokens),
+      "reset": Math.ceil((policy.limit - tokens) / rate),
+      "retryAfter": allowed ? 0 : Math.ceil((needed - tokens) / rate)
+    }
+  };
+}
+
+// returns the response headers that tell a client about its budget (RateLimit header fields, IETF draft), with Retry-After if it's used up
+// input: quota from takeRequest
+function makeQuotaHeaders(quota) {
+  const headers = {
+    "RateLimit-Limit": String(quota.limit),
+    "RateLimit-Remaining": String(quota.remaining),
+    "RateLimit-Reset": String(quota.reset),
+    "RateLimit-Policy": quota.limit + ";w=" + quota.window
+  };
+
+  if (!quota.allowed) {
+    headers["Retry-After"] = String(quota.retryAfter);
+  }
+  return headers;
+}
+
+// creates the rate limiter for the limits and store in config
+// input: config (see config.js); storage (see storage/index.js), for the storage store
+// output: { take(client, authenticated, writing, cost) }: counts a request (as cost requests; default 1) against a client's budget; resolves to a quota (see takeRequest), or null if that budget has no limit;
+//   rejects if the store fails (with code ABORTED if the bucket's transaction still conflicted after MAX_UPDATE_ATTEMPTS)
+function createRateLimiter(config, storage) {
+  if (!(config.RATE_LIMIT_STORE in STORES)) {
+    throw new Error("Unknown rate limit store: " + config.RATE_LIMIT_STORE + ". Use one of: " + Object.keys(STORES).join(", "));
+  }
+
+  const store = STORES[config.RATE_LIMIT_STORE](storage);
+  const window = config.RATE_LIMIT_WINDOW;
+
+  // a limit of 0 turns that budget off
+  const policies = {
+    "read:user": { "limit": config.RATE_LIMIT_READS, "window": window },
+    "write:user": { "limit": config.RATE_LIMIT_WRITES, "window": window },
+    "read:ip": { "limit": config.RATE_LIMIT_ANONYMOUS_READS, "window": window },
+    "write:ip": { "limit": config.RATE_LIMIT_ANONYMOUS_WRITES, "window": window }
+  };
+
+  return {
+    take: async (client, authenticated, writing, cost) => {
+      const budget = (writing ? "write:" : "read:") + (authenticated ? "user" : "ip");
+      const policy = policies[budget];
+
+      if (!(policy.limit > 0) || !(window > 0)) {
+        return null;
+      }
+
+      let quota = null;
+      await store.update(budget + ":" + client, (bucket) => {
+        const taken = takeRequest(bucket, policy, Date.now(), cost || 1);
+        quota = taken.quota;
+        return taken.bucket;
+      });
+
+      return quota;
+    }
+  };
+}
+
+module.exports = {
+  createRateLimiter,
+  makeQuotaHeaders
+};
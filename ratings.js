@@ -0,0 +1,41 @@
+/*
+Ratings
+Trails and trailheads keep the total and number of their reviews' ratings, changed in the same transaction as each review (see server.js),
+so their average rating can be shown and sorted on without reading every review
+*/
+
+// returns an average rating rounded to 2 decimals, or null if there are no reviews
+function averageRating(total, count) {
+  return count > 0 ? Math.round(total / count * 100) / 100 : null;
+}
+
+// returns the rating attributes of a trail or trailhead; entities saved before reviews existed get the attributes of one with no reviews
+// input: entity or new entity data
+// output: { ratingTotal, reviewCount, averageRating }
+function makeRatingAttributes(entity) {
+  const total = entity.ratingTotal || 0;
+  const count = entity.reviewCount || 0;
+
+  return {
+    "ratingTotal": total,
+    "reviewCount": count,
+    "averageRating": averageRating(total, count)
+  };
+}
+
+// changes a trail's or trailhead's rating attributes for one review that was added, changed, or deleted
+// input: entity; the review's rating before (null if it was just added); its rating now (null if it was deleted)
+// output: the same entity
+function applyRating(entity, oldRating, newRating) {
+  const rating = makeRatingAttributes(entity);
+
+  return Object.assign(entity, makeRatingAttributes({
+    "ratingTotal": rating.ratingTotal - (oldRating || 0) + (newRating || 0),
+    "reviewCount": rating.reviewCount + (oldRating === null ? 1 : 0) - (newRating === null ? 1 : 0)
+  }));
+}
+
+module.exports = {
+  makeRatingAttributes,
+  applyRating
+};
@@ -0,0 +1,61 @@
+/*
+Rebuilds the derived attributes that list filters match against (see queries.js) for every trail and trailhead,
+and gives the ones saved before reviews and condition reports existed their rating and condition attributes (see ratings.js and conditions.js),
+so they can be sorted by averageRating and filtered by open.
+Run once after deploying a new filter or sort, so entities saved before it existed can be found: node scripts/reindex.js
+Uses the same storage configuration as the server (see config.js)
+*/
+
+const config = require('../config');
+const {createStorage} = require('../storage');
+const {TRAIL, TRAILHEAD} = require('../entities');
+const {makeIndexAttributes} = require('../queries');
+const {makeRatingAttributes} = require('../ratings');
+const {makeConditionAttributes} = require('../conditions');
+
+// number of entities to load and update at once
+const BATCH_SIZE = 100;
+
+const storage = createStorage(config.STORAGE_BACKEND, { "file": config.STORAGE_FILE });
+
+// updates the derived attributes of every entity of a type, one batch at a time
+// input: type of entity (e.g. TRAIL, TRAILHEAD)
+// output: number of entities updated
+async function reindexType(type) {
+  let cursor = null;
+  let count = 0;
+
+  while (true) {
+    let query = storage.createQuery(type.name).limit(BATCH_SIZE);
+    if (cursor) {
+      query = query.start(cursor);
+    }
+
+    const [entities, info] = await storage.runQuery(query);
+
+    if (entities.length > 0) {
+      entities.forEach(entity => Object.assign(entity, makeIndexAttributes(type, entity),
+        type.rated ? makeRatingAttributes(entity) : {},
+        type.hasConditions ? makeConditionAttributes(entity.conditions, new Date().toISOString()) : {}));
+      await storage.update(entities);
+      count += entities.length;
+    }
+
+    if (info.moreResults === storage.NO_MORE_RESULTS || entities.length === 0) {
+      return count;
+    }
+    cursor = info.endCursor;
+  }
+}
+
+async function main() {
+  for (const type of [TRAIL, TRAILHEAD]) {
+    const count = await reindexType(type);
+    console.log("reindexed " + count + " " + type.name + " entities");
+  }
+}
+
+main().catch(error => {
+  console.log("error reindexing entities", error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,256 @@
+/*
+Search
+GET /search?q= finds trails and trailheads by name. Each one has a search document (see SEARCH_DOCUMENT in entities.js) whose terms are an inverted
+index of its name: every prefix of each word ("p:eag") and every trigram of it ("t:agl"). Storage indexes each value of a list, so the documents
+with a term are found with one equality query, the same way list filters match derived attributes (see queries.js).
+Words are lowercased, accents and apostrophes are dropped, and common trail abbreviations are spelled out (ex: "crk" -> "creek"), in names and
+in searches alike. A search looks up the documents that share a prefix or trigram with one of its words, then scores each name against it:
+every word of the search must match a word of the name exactly, as the start of it, or with a typo or two (see maxTypos), and closer matches score higher
+*/
+
+// abbreviations found in trail and trailhead names, and the words they stand for
+const ABBREVIATIONS = {
+  "ck": "creek",
+  "crk": "creek",
+  "cyn": "canyon",
+  "fk": "fork",
+  "ft": "fort",
+  "hwy": "highway",
+  "jct": "junction",
+  "lk": "lake",
+  "mt": "mount",
+  "mtn": "mountain",
+  "pk": "peak",
+  "pt": "point",
+  "rd": "road",
+  "spg": "spring",
+  "spgs": "springs",
+  "th": "trailhead",
+  "trl": "trail"
+};
+
+// words are indexed by prefixes up to this long; longer searches find names by this much of each word, then score the whole word
+const MAX_PREFIX_LENGTH = 20;
+
+// scores of the ways a word of the search can match a word of a name (a prefix scores more the more of the word it covers)
+const EXACT_SCORE = 1;
+const PREFIX_SCORE = 0.6;
+const TYPO_SCORE = 0.8;
+const TYPO_PREFIX_SCORE = 0.5;
+
+// words of a text: letters and digits, with apostrophes inside words (ex: "Devil's") kept in the word
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*/gu;
+
+// returns the words of a text, each with its forms (the normalized word, and the word it abbreviates if it's an abbreviation)
+// and where it is in the text, so matches can be highlighted
+// output: [{ forms, start, end }]
+function tokenize(text) {
+  const tokens = [];
+
+  const pattern = new RegExp(WORD_PATTERN.source, WORD_PATTERN.flags);
+  let match = null;
+
+  while ((match = pattern.exec(String(text || ""))) !== null) {
+    const word = match[0].normalize("NFKD").replace(/[\u0300-\u036f'’]/g, "").toLowerCase();
+
+    tokens.push({
+      "forms": word in ABBREVIATIONS ? [word, ABBREVIATIONS[word]] : [word],
+      "start": match.index,
+      "end": match.index + match[0].length
+    });
+  }
+
+  return tokens;
+}
+
+// returns how many typos a word of a search can have and still match: none for short words, where a typo makes another word
+function maxTypos(word) {
+  if (word.length < 4) {
+    return 0;
+  }
+  return word.length < 8 ? 1 : 2;
+}
+
+// returns the trigrams of a word, with its start marked so the first letters count too (ex: "oak" -> ["$oa", "oak"])
+function makeTrigrams(word) {
+  const marked = "$" + word;
+  const trigrams = [];
+
+  for (let i = 0; i + 3 <= marked.length; i++) {
+    trigrams.push(marked.slice(i, i + 3));
+  }
+
+  return trigrams;
+}
+
+// returns the search document of a trail or trailhead; save it with every write that creates the entity or can change its name
+// input: type (TRAIL, TRAILHEAD); ID; name
+// output: document data; its name isn't indexed (save with excludeFromIndexes: ["name"])
+function makeSearchDocument(type, id, name) {
+  const terms = new Set();
+
+  for (const token of tokenize(name)) {
+    for (const form of token.forms) {
+      for (let i = 1; i <= Math.min(form.length, MAX_PREFIX_LENGTH); i++) {
+        terms.add("p:" + form.slice(0, i));
+      }
+      for (const trigram of makeTrigrams(form)) {
+        terms.add("t:" + trigram);
+      }
+    }
+  }
+
+  return {
+    "kind": type.name,
+    "entityId": String(id),
+    "name": name,
+    "terms": Array.from(terms)
+  };
+}
+
+// returns the terms to look up for a search: each word's prefix, which finds names with that word or a longer one,
+// and the trigrams of words long enough to have typos, which find names with the word misspelled
+// input: tokens of the search (from tokenize)
+function makeLookupTerms(tokens) {
+  const terms = new Set();
+
+  for (const token of tokens) {
+    for (const form of token.forms) {
+      terms.add("p:" + form.slice(0, MAX_PREFIX_LENGTH));
+
+      if (maxTypos(form) > 0) {
+        makeTrigrams(form).forEach(trigram => terms.add("t:" + trigram));
+      }
+    }
+  }
+
+  return Array.from(terms);
+}
+
+// returns the number of edits (insertions, deletions, substitutions, and swaps of neighboring letters) that turn one word into another,
+// or max + 1 if it takes more than max
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  // rows of the distance table: before the previous letter of a, the previous letter, and this one
+  let older = null;
+  let previous = Array.from({ "length": b.length + 1 }, (value, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let smallest = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+      if (older && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], older[j - 2] + 1);
+      }
+      smallest = Math.min(smallest, current[j]);
+    }
+
+    if (smallest > max) {
+      return max + 1;
+    }
+    older = previous;
+    previous = current;
+  }
+
+  return Math.min(previous[b.length], max + 1);
+}
+
+// scores how well a word of a search matches a word of a name
+// output: score (see EXACT_SCORE and the others), or 0 if they don't match
+function scoreWord(word, other) {
+  if (word === other) {
+    return EXACT_SCORE;
+  } else if (other.startsWith(word)) {
+    return PREFIX_SCORE + (EXACT_SCORE - PREFIX_SCORE) * 0.75 * word.length / other.length;
+  }
+
+  const allowed = maxTypos(word);
+  if (allowed === 0) {
+    return 0;
+  }
+
+  const typos = editDistance(word, other, allowed);
+  if (typos <= allowed) {
+    return TYPO_SCORE - 0.2 * (typos - 1);
+  }
+
+  // a misspelled start of a longer word (ex: "eagel" in "eaglecrest")
+  const prefixTypos = other.length > word.length ? editDistance(word, other.slice(0, word.length), allowed) : allowed + 1;
+  return prefixTypos <= allowed ? TYPO_PREFIX_SCORE - 0.1 * (prefixTypos - 1) : 0;
+}
+
+// scores a name against a search; every word of the search has to match a word of the name (see scoreWord)
+// the score is the average of the words' scores, a little higher if they're in the same order as in the search, and a little lower for each
+// word of the name the search doesn't match, so "Eagle Creek" ranks above "Eagle Creek Overlook Trailhead" for "eagle creek"
+// input: tokens of the search (from tokenize); name
+// output: { score (0 to 1), highlight: name with each matched word in <mark> (see highlightName) }, or null if the name doesn't match
+function scoreName(tokens, name) {
+  const nameTokens = tokenize(name);
+  const matched = [];
+  let total = 0;
+
+  for (const token of tokens) {
+    let best = null;
+
+    nameTokens.forEach((nameToken, position) => {
+      for (const form of token.forms) {
+        for (const nameForm of nameToken.forms) {
+          const score = scoreWord(form, nameForm);
+
+          if (score > 0 && (!best || score > best.score)) {
+            best = { "score": score, "position": position };
+          }
+        }
+      }
+    });
+
+    if (!best) {
+      return null;
+    }
+    total += best.score;
+    matched.push(best.position);
+  }
+
+  const inOrder = matched.every((position, i) => i === 0 || position > matched[i - 1]);
+  const unmatched = nameTokens.length - new Set(matched).size;
+  const score = Math.max(0, Math.min(1, total / tokens.length * (inOrder ? 1 : 0.95) - 0.02 * unmatched));
+
+  return {
+    "score": Math.round(score * 1000) / 1000,
+    "highlight": highlightName(name, matched.map(position => nameTokens[position]))
+  };
+}
+
+// escapes the characters of text that HTML gives a meaning to
+function escapeHTML(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/'/g, "&#39;");
+}
+
+// returns a name as HTML with the words a search matched in <mark> elements (ex: "<mark>Eagle</mark> <mark>Creek</mark> Trailhead")
+// input: name; matched tokens of the name (from tokenize)
+function highlightName(name, tokens) {
+  const marked = tokens.filter((token, i) => tokens.indexOf(token) === i).sort((a, b) => a.start - b.start);
+  let html = "";
+  let end = 0;
+
+  for (const token of marked) {
+    html += escapeHTML(name.slice(end, token.start)) + "<mark>" + escapeHTML(name.slice(token.start, token.end)) + "</mark>";
+    end = token.end;
+  }
+
+  return html + escapeHTML(name.slice(end));
+}
+
+module.exports = {
+  tokenize,
+  makeSearchDocument,
+  makeLookupTerms,
+  scoreName
+};
@@ -6,16 +6,49 @@ Trails API
 
 // set up libraries
 const express = require('express');
+const http = require('http');
+const {once} = require('events');
+const crypto = require('crypto');
 const bodyParser = require('body-parser');
-const fs = require("fs");
 const nunjucks = require('nunjucks');
 const request = require("request-promise");
 const jwtDecode = require('jwt-decode');
-const {Datastore} = require('@google-cloud/datastore');
-const {google} = require('googleapis');
+const config = require('./config');
+const {createStorage} = require('./storage');
+const {findBodyErrors, checkField} = require('./validation');
+const {USER, TRAIL, TRAILHEAD, HIKE, TRAIL_ROUTE, TRAIL_SHARE, USER_ROLE, TRAILHEAD_EDIT, REVIEW, CONDITION, REVISION, TRASH_ITEM, WEBHOOK, WEBHOOK_DELIVERY, SEARCH_DOCUMENT, API_KEY, LOCAL_TOKEN} = require('./entities');
+const {makeIndexAttributes, pickListParameters, parseListOptions, parseExpand, parseNearbyOptions, applyListOptions, encodeOffsetCursor, decodeOffsetCursor} = require('./queries');
+const {coveringGeohashes, isInBox, distance} = require('./geo');
+const {MEDIA_TYPES, preferredMediaType, makeFeature, makeFeatureCollection} = require('./formats');
+const {readRoute, makeRouteStats} = require('./tracks');
+const {makeETag, isNotModified, isPreconditionMet, preferredReturn} = require('./preconditions');
+const {createAuthenticator, makeApiKey, makeChallenge} = require('./auth');
+const {makeRatingAttributes, applyRating} = require('./ratings');
+const {currentConditions, isClosed, makeConditionAttributes, isClosureStale} = require('./conditions');
+const {makeState, makeRevision} = require('./history');
+const {makeTrashItem, readTrashedEntity, retentionCutoff, purgeTime} = require('./trash');
+const {createRateLimiter, makeQuotaHeaders} = require('./ratelimit');
+const {tokenize, makeSearchDocument, makeLookupTerms, scoreName} = require('./search');
+const {makeSchemas, bodySchemaName, makeOpenAPIDocument, makeDocsPage} = require('./openapi');
+const {makeLoader, makeGraphQLSchema, countMutations, runGraphQL} = require('./graphql');
+const {MAX_ATTEMPTS, DELIVERY_TIMEOUT, makeWebhookSecret, retryDelay, checkWebhookURL, sendDelivery} = require('./webhooks');
+const {MEDIA_TYPES: BULK_MEDIA_TYPES, readImport, checkImport, makeExportRecord, writeExportRecord, writeExportHeader} = require('./bulk');
 
 const app = express();
+// req.ip is the client's address from X-Forwarded-For only behind the proxies in TRUST_PROXY, so rate limits can't be dodged by sending the header
+app.set('trust proxy', config.TRUST_PROXY);
+
+// largest route upload (GPX or GeoJSON) accepted by PUT /trails/:trailId/route
+const ROUTE_UPLOAD_LIMIT = "5mb";
+
+// largest CSV or NDJSON upload accepted by POST /import
+const IMPORT_UPLOAD_LIMIT = "5mb";
+
 app.use('/public', express.static('public'))
+// route uploads get their own parsers first, so the default JSON size limit doesn't apply to them
+app.use('/trails/:trailId/route', bodyParser.json({ "type": ["application/json", "application/geo+json"], "limit": ROUTE_UPLOAD_LIMIT }));
+app.use('/trails/:trailId/route', bodyParser.text({ "type": ["application/gpx+xml", "application/xml", "text/xml"], "limit": ROUTE_UPLOAD_LIMIT }));
+app.use('/import', bodyParser.text({ "type": ["text/csv", "application/x-ndjson"], "limit": IMPORT_UPLOAD_LIMIT }));
 app.use(bodyParser.json());
 
 nunjucks.configure('views', { 
@@ -23,14 +56,85 @@ nunjucks.configure('views', {
   express: app
  });
 
-const datastore = new Datastore();
+// Datastore, in-memory, or JSON file storage, chosen by config
+const storage = createStorage(config.STORAGE_BACKEND, { "file": config.STORAGE_FILE });
 
 // url to add all other routes to
-const URL = "https://trails-api.wl.r.appspot.com/";
+const URL = config.URL;
 
 // number of entities to display per page in pagination 
 const RESULTS_PER_PAGE = 5;
 
+// geo searches query at most this many geohash cells, and consider at most this many entities
+const MAX_GEO_CELLS = 16;
+const MAX_GEO_CANDIDATES = 1000;
+
+// a transaction that conflicts with another request's writes is retried this many times in all
+const MAX_TRANSACTION_ATTEMPTS = 3;
+
+// gRPC status code Datastore (and the offline backends) report when a transaction conflicts
+const TRANSACTION_ABORTED = 10;
+
+// gRPC status code Datastore (and the offline backends) report when a query's start cursor isn't one they made
+const INVALID_ARGUMENT = 3;
+
+// number of IDs to list at once when checking every trail and trailhead
+const RECONCILE_BATCH_SIZE = 100;
+
+// number of entities to read at once when exporting
+const EXPORT_BATCH_SIZE = 100;
+
+// number of trails to get at once when totaling hikes by difficulty
+const STATS_BATCH_SIZE = 100;
+
+// largest number of current condition reports a trail or trailhead can have
+const MAX_CONDITIONS = 50;
+
+// number of trails or trailheads whose closed attribute is brought up to date at once, and most batches one run does (see refreshClosures)
+const CLOSURE_BATCH_SIZE = 100;
+const MAX_CLOSURE_BATCHES = 10;
+
+// number of trash items to purge at once
+const PURGE_BATCH_SIZE = 100;
+
+// searches find at most this many names for each term they look up and return at most this many matches,
+// and take at most this many words and characters (see searchEntities)
+const MAX_SEARCH_CANDIDATES = 1000;
+const MAX_SEARCH_WORDS = 10;
+const MAX_SEARCH_LENGTH = 100;
+
+// number of trails or trailheads whose search documents are saved at once when rebuilding the search index, or that are read at once
+// to check which matches of a search the user can see
+const SEARCH_INDEX_BATCH_SIZE = 100;
+
+// largest number of webhooks one user can have
+const MAX_WEBHOOKS = 10;
+
+// number of due webhook deliveries to try at once, and the most batches one run tries (see deliverPendingWebhooks)
+const DELIVERY_BATCH_SIZE = 100;
+const MAX_DELIVERY_BATCHES = 10;
+
+// schemas of request bodies, by name; they are published in /openapi.json and checkAttributes checks bodies against them
+const API_SCHEMAS = makeSchemas();
+
+// schema of POST /graphql, generated from the entity descriptors like API_SCHEMAS (see graphql.js)
+const GRAPHQL_SCHEMA = makeGraphQLSchema();
+
+// request IDs clients can send in X-Request-Id (see assignRequestId)
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,100}$/;
+
+// each side of the trail <-> trailhead relationship: attribute that lists related IDs, type of the related entities, and their attribute that lists back
+const RELATIONSHIPS = {
+  "Trail": { "attribute": "trailheads", "relatedType": TRAILHEAD, "inverse": "trails" },
+  "Trailhead": { "attribute": "trails", "relatedType": TRAIL, "inverse": "trailheads" }
+};
+
+// what a review can be of: attribute of the review that holds the ID of the trail or trailhead, and its name in the review's JSON
+const REVIEW_SUBJECTS = {
+  "Trail": { "attribute": "trailId", "name": "trail" },
+  "Trailhead": { "attribute": "trailheadId", "name": "trailhead" }
+};
+
 
 /*** error codes ***/ 
 // error when request's body is missing an attribute
@@ -41,6 +145,63 @@ const attributeMissingError = {
   }
 };
 
+// error when request's body has an attribute of the wrong type or outside its allowed values
+const attributeInvalidError = {
+  "code": 400,
+  "data": {
+    "error": "The requested object has at least one invalid attribute"
+  }
+};
+
+// error when a list request's filter or sort parameters are not valid
+const queryParameterInvalidError = {
+  "code": 400,
+  "data": {
+    "error": "At least one of the request's query parameters is invalid"
+  }
+};
+
+// error when a nextPage cursor wasn't made by this API (or was changed), so the page it starts can't be found
+const cursorInvalidError = {
+  "code": 400,
+  "data": {
+    "error": queryParameterInvalidError.data.error,
+    "parameters": [{ "parameter": "nextPage", "error": "must be the nextPage of a next URL" }]
+  }
+};
+
+// error when a trail's owner tries to share it with themselves
+const shareWithOwnerError = {
+  "code": 400,
+  "data": {
+    "error": "A trail can't be shared with its owner."
+  }
+};
+
+// error when an uploaded route can't be read or has invalid points
+const routeInvalidError = {
+  "code": 400,
+  "data": {
+    "error": "The route is not valid."
+  }
+};
+
+// error when an import's body can't be read as CSV or NDJSON
+const importInvalidError = {
+  "code": 400,
+  "data": {
+    "error": "The import could not be read."
+  }
+};
+
+// error when rows of an import are invalid, so none of it is saved
+const importRowsInvalidError = {
+  "code": 400,
+  "data": {
+    "error": "The import has invalid rows, so nothing was saved."
+  }
+};
+
 // error if ID token is not valid and user can't be authenticated
 const userNotAuthenticatedError = {
   "code": 401,
@@ -57,6 +218,14 @@ const forbiddenError = {
   }
 };
 
+// error when a request authenticated with an API key needs a scope the key doesn't have
+const insufficientScopeError = {
+  "code": 403,
+  "data": {
+    "error": "The API key doesn't have the scope this request needs."
+  }
+};
+
 // error when authenticated user tries to add trailhead to trail that already exists
 const alreadyExistsError = {
   "code": 403,
@@ -97,84 +266,316 @@ const acceptTypeError = {
   }
 };
 
-/*** datastore entities***/
-// name is datastore entity name; URL can be use to build entity's URL; attributes are those required when user POSTs new entity
-const USER = {
-  "name": "User",
-  "URL": "users/",
-  "requiredAttributes": ["firstName", "lastName", "userId"],
-  "otherAttributes": [],
-  "protected": false
+// error when a proposed edit that was already approved or rejected is reviewed again
+const alreadyReviewedError = {
+  "code": 409,
+  "data": {
+    "error": "That edit has already been reviewed."
+  }
 };
 
-const TRAIL = {
-  "name": "Trail",
-  "URL": "trails/",
-  "requiredAttributes": ["name", "length", "difficulty"],
-  "otherAttributes": ["trailheads"],
-  "protected": true
+// error when a trail or trailhead already has MAX_CONDITIONS current condition reports
+const conditionLimitError = {
+  "code": 409,
+  "data": {
+    "error": "That item has too many condition reports. Delete one and retry."
+  }
 };
 
-const TRAILHEAD = {
-  "name": "Trailhead",
-  "URL": "trailheads/",
-  "requiredAttributes": ["name", "location", "fee"],
-  "otherAttributes": ["trails"],
-  "protected": false
+// error when a private trail is shared, since shares only give access while a trail is shared or public (see getRole)
+const sharePrivateTrailError = {
+  "code": 409,
+  "data": {
+    "error": "A private trail can't be shared. Change its visibility to shared or public and retry."
+  }
 };
 
+// error when a user who already has MAX_WEBHOOKS webhooks adds another
+const webhookLimitError = {
+  "code": 409,
+  "data": {
+    "error": "The user has too many webhooks. Delete one and retry."
+  }
+};
 
-/*** OAuth ***/
-// file with client ID and secret
-const oauthFile = JSON.parse(fs.readFileSync("oauth/client_secret.json", 'utf8'));
-const CLIENT_ID = oauthFile.web.client_id;
-const CLIENT_SECRET = oauthFile.web.client_secret;
-const REDIRECT_URL = oauthFile.web.redirect_uris[0];
-
-// create oauth client with credentials in file
-const oauth2Client = new google.auth.OAuth2(
-  CLIENT_ID,
-  CLIENT_SECRET,
-  REDIRECT_URL
-);
+// error when a write's If-Match header doesn't match the entity's current ETag, because it changed since the client read it
+const preconditionFailedError = {
+  "code": 412,
+  "data": {
+    "error": "The item has changed since it was read. Get it again and retry."
+  }
+};
 
-// user will grant access to profile info
-const oauthURL = oauth2Client.generateAuthUrl({
-  access_type: 'online',
-  scope: 'https://www.googleapis.com/auth/userinfo.profile'
-});
+// error when a request's body is in a format the endpoint can't read
+const unsupportedMediaTypeError = {
+  "code": 415,
+  "data": {
+    "error": "The request's content type is not supported."
+  }
+};
 
-// verifies if the user is authenticated through google 
-// input: IdToken of user
-// output: returns object of user info if authenticated; otherwise returns false
-async function verifyUser(idToken) {
-  if (idToken === undefined || idToken === '') {
-    return false;
+// error when a client has used up its rate limit budget; Retry-After says when it can try again (see ratelimit.js)
+const tooManyRequestsError = {
+  "code": 429,
+  "data": {
+    "error": "Too many requests. Wait for the time in Retry-After and retry."
   }
+};
 
-  // remove 'Bearer' from beginning of token that Postman adds
-  if (idToken.slice(0, 7) === 'Bearer ') {
-    idToken = idToken.slice(7);
+// error when a write to storage fails, so the request had no effect
+const storageError = {
+  "code": 500,
+  "data": {
+    "error": "The change could not be saved. Please try again."
   }
+};
 
-  const ticket = await oauth2Client.verifyIdToken({
-    idToken: idToken,
-    audience: CLIENT_ID
-  }).catch(error => {
+/*** request IDs ***/
+// express middleware that gives each request an ID, so it can be found in logs and change history (see history.js)
+// a client's own X-Request-Id is kept if it's 1 to 100 letters, digits, dashes, underscores, or dots; otherwise one is made up
+// the ID is sent back in X-Request-Id, and kept in the request's headers so handlers get it with the rest of them
+function assignRequestId(req, res, next) {
+  const given = req.headers["x-request-id"];
+  const requestId = typeof given === "string" && REQUEST_ID_PATTERN.test(given) ? given : crypto.randomBytes(16).toString("hex");
+
+  req.headers["x-request-id"] = requestId;
+  res.set("X-Request-Id", requestId);
+
+  next();
+}
+
+
+/*** authentication ***/
+// checks credentials with the strategies turned on in config (see auth.js); the Google client is also used by the welcome pages
+const authenticator = createAuthenticator(config, storage, API_KEY.name);
+
+// express middleware that verifies the credential in the Authorization header once per request (a Google ID token, an API key, or a local token)
+// sets req.user to { sub, strategy, scopes, keyId } if authenticated, null if the request has no credential, or false if it is invalid;
+// why it is invalid is kept in res.locals.authError for the WWW-Authenticate header (see sendResult)
+// routes decide whether they need a user, since some (like GET /trailheads/:trailheadId) answer anyone
+async function authenticate(req, res, next) {
+  const result = await authenticator.authenticate(req.headers.authorization).catch(error => {
     console.log("error authenticating user", error);
-    return false;
+    return { "user": false, "error": "The credential could not be verified" };
   });
 
-  return ticket;      // returns false if user not authenticated; otherwise contains user info
+  req.user = result.user;
+  if (result.error) {
+    res.locals.authError = { "error": "invalid_token", "description": result.error };
+  }
+
+  next();
+}
+
+// express middleware that only lets requests with an API key do what the key's scopes allow (see requiredScopes); other users can do anything
+function checkScope(req, res, next) {
+  if (!req.user || req.user.scopes === null) {
+    return next();
+  }
+
+  const needed = requiredScopes(req.method, req.path);
+  const missing = needed === null ? [] : needed.filter(scope => !req.user.scopes.includes(scope));
+
+  // scopes are listed with spaces between them, as in WWW-Authenticate (null if keys can't be used at all)
+  const scope = needed === null ? null : missing.join(" ");
+
+  if (needed === null || missing.length > 0) {
+    return sendResult(res, {
+      "code": insufficientScopeError.code,
+      "data": {
+        "error": insufficientScopeError.data.error,
+        "scope": scope
+      },
+      "headers": {
+        "WWW-Authenticate": makeChallenge({
+          "error": "insufficient_scope",
+          "description": insufficientScopeError.data.error,
+          "scope": scope
+        })
+      }
+    });
+  }
+
+  next();
+}
+
+
+
+/*** rate limiting ***/
+// budgets for each client's reads and writes (see ratelimit.js)
+const rateLimiter = createRateLimiter(config, storage);
+
+// express middleware that counts each request against its client's budget: the authenticated user's, or its IP address's if it has no valid credential
+// a POST /graphql counts as one write for each mutation field it has (see countMutations), since each is a write
+// every limited response has RateLimit-* headers; a request over budget gets 429 with Retry-After instead of being handled
+// if the budget can't be checked (ex: the storage store can't be reached), the request is let through rather than turned away; but if it
+// still conflicts with the same client's other requests after being retried, it gets 429, so a burst of requests can't get past the limit
+async function limitRate(req, res, next) {
+  const authenticated = Boolean(req.user);
+  const writing = !["GET", "HEAD", "OPTIONS"].includes(req.method);
+  const client = authenticated ? req.user.sub : req.ip;
+  const cost = req.method === "POST" && /^\/graphql\/?$/i.test(req.path) ? Math.max(1, countMutations(req.body)) : 1;
+
+  let quota = null;
+  try {
+    quota = await rateLimiter.take(client, authenticated, writing, cost);
+  } catch (error) {
+    if (error.code === TRANSACTION_ABORTED) {
+      res.set("Retry-After", "1");
+      return sendResult(res, tooManyRequestsError);
+    }
+    console.log("error checking rate limit", error);
+  }
+
+  if (!quota) {
+    return next();
+  }
+
+  res.set(makeQuotaHeaders(quota));
+  if (!quota.allowed) {
+    return sendResult(res, tooManyRequestsError);
+  }
+
+  next();
+}
+
+
+/*** API description ***/
+// the OpenAPI document is built the first time it's asked for, once every route has been added (see openapi.js)
+let openAPIDocument = null;
+
+// returns the routes express has registered, as [{ method, path }] in the order they were added
+// catch-all routes (app.all, which answer other methods with 405) are left out; express registers them for every method
+function listRoutes() {
+  const routes = [];
+
+  for (const layer of app._router.stack) {
+    if (!layer.route || http.METHODS.every(method => layer.route.methods[method.toLowerCase()])) {
+      continue;
+    }
+
+    for (const method of Object.keys(layer.route.methods)) {
+      if (!routes.some(route => route.method === method && route.path === layer.route.path)) {
+        routes.push({ "method": method, "path": layer.route.path });
+      }
+    }
+  }
+
+  return routes;
 }
 
+// returns the OpenAPI document of the API
+function getOpenAPIDocument() {
+  if (!openAPIDocument) {
+    openAPIDocument = makeOpenAPIDocument(listRoutes(), API_SCHEMAS, URL);
+  }
+  return openAPIDocument;
+}
 
 
 /*** helper functions ***/
 
-// returns true if Accept in the request's headers does NOT allow JSON 
+// returns true if Accept in the request's headers does NOT allow JSON (q-values and parameters like charset are handled)
 function acceptTypeIsNotJSON(headers) {
-  return headers.accept !== "*/*" && headers.accept !== "application/json";
+  return preferredMediaType(headers.accept, [MEDIA_TYPES.JSON]) === null;
+}
+
+// checks a request body against the type's schema in the OpenAPI document (see openapi.js)
+// input: type of entity (e.g. TRAIL, TRAILHEAD); request body; whether all required attributes must be present (false for PATCH)
+// output: 400 error listing each missing or invalid attribute; null if body is valid
+function checkAttributes(type, body, requireAll) {
+  const {missing, invalid} = findBodyErrors(API_SCHEMAS[bodySchemaName(type, requireAll)], body);
+
+  if (missing.length === 0 && invalid.length === 0) {
+    return null;
+  }
+
+  const error = missing.length > 0 ? attributeMissingError : attributeInvalidError;
+
+  return {
+    "code": error.code,
+    "data": {
+      "error": error.data.error,
+      "attributes": missing.concat(invalid)
+    }
+  };
+}
+
+// returns the user making a request, for checking their role on trails and trailheads: their sub, the ID of their profile,
+// which is how trails are shared with them (null if they haven't signed in at the welcome page yet), and their moderation role
+// input: user from authenticate
+// output: viewer { sub, id, role }; null if the request has no credential; false if its credential is invalid
+async function getViewer(user) {
+  if (!user) {
+    return user;
+  }
+
+  const userEntity = await findUserEntity(user.sub).catch(error => console.log(error));
+  return {
+    "sub": user.sub,
+    "id": userEntity ? userEntity[storage.KEY].id : null,
+    // users in ADMIN_USER_IDS are admins whatever their profile says, so there is always someone who can hand out roles;
+    // local tokens are never trusted with more than "user", even if the role was given after the token was signed
+    "role": user.strategy === "local" ? "user" : isAdmin(user.sub) ? "admin" : (userEntity && userEntity.role) || "user"
+  };
+}
+
+// returns a user's role on an entity: "owner", "editor", "viewer", or null if they can't see it
+// anyone can see a trailhead, but only its creator and moderators can change it; a trail's role comes from its owner, visibility, and shares
+// input: type of entity; entity; viewer from getViewer (or null if not authenticated)
+function getRole(type, entity, viewer) {
+  if (type.moderated) {
+    return viewer && (entity.userId === viewer.sub || isModerator(viewer)) ? "owner" : "viewer";
+  } else if (!type.protected) {
+    return "editor";
+  } else if (viewer && entity.userId === viewer.sub) {
+    return "owner";
+  }
+
+  const visibility = attributeValue(type, entity, "visibility");
+  const share = viewer && viewer.id !== null ?
+    (entity.shares || []).find(share => String(share.user) === String(viewer.id)) : undefined;
+
+  if (share && visibility !== "private") {
+    return share.role;
+  } else if (visibility === "public") {
+    return "viewer";
+  }
+  return null;
+}
+
+// returns true if a role (from getRole) allows at least as much as another: viewer < editor < owner
+function hasRole(role, needed) {
+  const ranks = { "viewer": 1, "editor": 2, "owner": 3 };
+  return role !== null && ranks[role] >= ranks[needed];
+}
+
+// returns true if a user may see an entity (see getRole)
+// input: type of entity; entity; viewer from getViewer (or null if not authenticated)
+function canViewEntity(type, entity, viewer) {
+  return getRole(type, entity, viewer) !== null;
+}
+
+// returns true if entities of a type are saved with the user who created them (a trail's owner or a trailhead's creator),
+// so creating, changing, or deleting one needs an authenticated user
+function hasOwner(type) {
+  return type.protected || type.moderated;
+}
+
+// returns true if a user may change any trailhead and review proposed edits (see USER_ROLE)
+// input: viewer from getViewer (or null if not authenticated)
+function isModerator(viewer) {
+  return Boolean(viewer) && (viewer.role === "moderator" || viewer.role === "admin");
+}
+
+// returns an attribute of an entity, or its default if it is an optional attribute the entity was saved without
+function attributeValue(type, entity, attr) {
+  return entity[attr] === undefined && attr in type.optionalAttributes ? type.optionalAttributes[attr] : entity[attr];
+}
+
+// returns true if a request body would change an attribute only the entity's owner can change (e.g. a trail's visibility)
+function changesOwnerAttributes(type, entity, body) {
+  return type.ownerAttributes.some(attr => attr in body && body[attr] !== attributeValue(type, entity, attr));
 }
 
 // builds and returns self URL for an entity (ex: http://mysite.com/boats/12345)
@@ -191,576 +592,4726 @@ async function getEntityFromDatastore(id, type, userId) {
   let entity = null;
 
   if (userId) {
-    const query = datastore.createQuery(type.name)
+    const query = storage.createQuery(type.name)
       .filter('userId', '=', userId)
-      .filter('__key__', '=', datastore.key([type.name, parseInt(id)]));
+      .filter('__key__', '=', storage.key([type.name, parseInt(id)]));
 
-    const results = await datastore.runQuery(query).catch(error => console.log(error));
+    const results = await storage.runQuery(query).catch(error => console.log(error));
 
     if (results[0].length > 0) {
       entity = results[0][0]
     }
   } else {
-    const key = datastore.key([type.name, parseInt(id)]);
-    [entity] = await datastore.get(key).catch(error => console.log(error));
+    const key = storage.key([type.name, parseInt(id)]);
+    [entity] = await storage.get(key).catch(error => console.log(error));
   }
   
   return entity;
 }
 
-// returns a trails's information in JSON
-// input: trailEntity from datastore 
-// output: object containing ID, properties, and self URL
-function makeTrailFormatJSON(trailEntity) {
-  return {
-    "name": trailEntity.name,
-    "length": trailEntity.length,
-    "difficulty": trailEntity.difficulty,
-    "trailheads": trailEntity.trailheads,
-    "id": trailEntity[Datastore.KEY].id,
-    "userId": trailEntity.userId,
-    "self": makeSelfURL(trailEntity[Datastore.KEY].id, TRAIL)
-  }
+// returns the saved profile of a user, which the /user sign-in page creates the first time they sign in
+// input: user's sub
+// output: user entity, or null if they haven't signed in yet
+async function findUserEntity(userId) {
+  const query = storage.createQuery(USER.name).filter('userId', '=', userId).limit(1);
+  const [users] = await storage.runQuery(query);
+
+  return users.length > 0 ? users[0] : null;
 }
 
-// returns a trailheads's information in JSON
-// input: trailheadEntity from datastore 
-// output: object containing ID, properties, and self URL
-function makeTrailheadFormatJSON(trailheadEntity) {
-  return {
-    "name": trailheadEntity.name,
-    "location": trailheadEntity.location,
-    "fee": trailheadEntity.fee,
-    "trails": trailheadEntity.trails,
-    "id": trailheadEntity[Datastore.KEY].id,
-    "self": makeSelfURL(trailheadEntity[Datastore.KEY].id, TRAILHEAD)
+// returns an entity read through a transaction, so the transaction fails if it changes before commit
+// input: transaction; entity's ID and type; userId to only return an entity that belongs to that user, or null
+// output: entity, or null if it doesn't exist (or doesn't belong to the user)
+async function getEntityInTransaction(transaction, id, type, userId) {
+  const [entity] = await transaction.get(storage.key([type.name, parseInt(id)]));
+
+  if (!entity || (userId && entity.userId !== userId)) {
+    return null;
   }
+  return entity;
 }
 
-// returns a user's information in JSON
-// input: userEntity from datastore 
-// output: object containing ID, properties, and self URL
-function makeUserFormatJSON(userEntity) {
-  return {
-    "firstName": userEntity.firstName,
-    "lastName": userEntity.lastName,
-    "userId": userEntity.userId,
-    "id": userEntity[Datastore.KEY].id,
-    "self": makeSelfURL(userEntity[Datastore.KEY].id, TRAILHEAD)
+// reads an entity through a transaction and checks the user's role on it (see getRole)
+// input: transaction; entity's ID and type; viewer from getViewer (null for unprotected types); least role needed ("viewer", "editor", or "owner")
+// output: { entity, role }, or { error } with 403 if a protected entity doesn't exist or the role isn't enough, 404 if an unprotected one doesn't exist
+async function getEntityForRole(transaction, id, type, viewer, needed) {
+  const entity = await getEntityInTransaction(transaction, id, type, null);
+
+  if (!entity) {
+    return { "error": type.protected ? forbiddenError : doesNotExistError };
   }
-}
 
+  const role = getRole(type, entity, viewer);
+  if (!hasRole(role, needed)) {
+    return { "error": forbiddenError };
+  }
 
-// returns a formatted array of entitites according to its type 
-// input: type (e.g. TRAIL, TRAILHEAD); array of entities from datastore 
-// output: array of information formatted in JSON, which includes IDs, properties, and self URLs for each entity
-async function makeResponseByType(type, entities) {
-  let response = {};
+  return { "entity": entity, "role": role };
+}
 
-  if (type.name === 'Trail') {
-    response = Promise.all(
-      entities.map( async (trail) => {
-        return makeTrailFormatJSON(trail);
-      })
-    );
-  } else if (type.name === 'Trailhead') {
-    response = Promise.all(
-      entities.map( async (trailhead) => {
-        return makeTrailheadFormatJSON(trailhead);
-      })
-    );
-  } else if (type.name === 'User') {
-    response = Promise.all(
-      entities.map( async (user) => {
-        return makeUserFormatJSON(user);
-      })
-    );
+// runs reads and writes as one transaction, retrying when it conflicts with another request's writes
+// input: function that reads through the transaction it is given, queues writes on it, and returns a result; it can also queue webhook events
+//   on the array it is given second (see queueEntityEvent), which are published once the transaction commits, so no attempt that is retried sends them
+// output: the function's result once the transaction commits; throws if it still conflicts after MAX_TRANSACTION_ATTEMPTS or fails another way
+async function runInTransaction(work) {
+  for (let attempt = 1; ; attempt++) {
+    const transaction = storage.transaction();
+    const events = [];
+    await transaction.run();
+
+    try {
+      const result = await work(transaction, events);
+      await transaction.commit();
+      await publishEvents(events);
+      return result;
+    } catch (error) {
+      await transaction.rollback().catch(error => console.log(error));
+
+      if (error.code !== TRANSACTION_ABORTED || attempt >= MAX_TRANSACTION_ATTEMPTS) {
+        throw error;
+      }
+    }
   }
+}
 
-  return response;
+// returns true if a list of related IDs contains an ID. IDs come from URLs and keys as strings but older entities may have saved numbers,
+// so they are compared as strings; new relationships are always saved as strings
+function hasId(ids, id) {
+  return (ids || []).some(other => String(other) === String(id));
 }
 
-// builds and returns next page URL for pagination results (ex: http://mysite.com/trails/12345)
-// encodes the cursor string to replace '+' characters with "%2B"
-// input: type of entity (e.g. TRAIL, TRAILHEAD); cursor that points to next page in results 
-// output: URL for next page of results
-function makeNextPageURL(type, cursor) {
-  const encodedCursor = encodeURIComponent(cursor);
-  return URL + type.URL + "?nextPage=" + encodedCursor;
+// returns a list of related IDs without an ID (compared as strings, like hasId)
+function withoutId(ids, id) {
+  return (ids || []).filter(other => String(other) !== String(id));
 }
 
-// get a single entity
-// input: type of entity (e.g. TRAIL, TRAILHEAD); headers (includes user's JWT and Accept)
-// errors: user can't be authenticated; user doesn't own this entity; entity can't be found 
-// output on success: entity data formatted by its type in JSON
-async function getEntity(id, type, headers) {
-  // must accept JSON response
-  if (acceptTypeIsNotJSON(headers)) { 
-    return acceptTypeError;
+// builds a new entity from a valid request body or import row
+// input: type of entity; sub of the user who owns or created it (only set if the type has an owner); body with the type's attributes
+// output: entity data with the user's ID, required attributes, optional attributes (or their defaults), and empty relationship lists
+function makeNewEntity(type, userId, body) {
+  const newEntity = {};
+
+  if (hasOwner(type)) {
+    newEntity.userId = userId;
   }
 
-  let userData = null;
-  let entity = null;
+  // set all required attributes for this type
+  for (const attr of type.requiredAttributes) {
+    newEntity[attr] = body[attr];
+  }
 
-  // if this entity is protected, authenticate the user, then get entity that belongs to that user; otherwise just query by entity ID
-  if (type.protected) {
-    userData = await verifyUser(headers.authorization).catch(error => console.log("error authenticating user", error));
+  // set optional attributes for this type (such as a trail's visibility) from body, or to their defaults
+  for (const attr of Object.keys(type.optionalAttributes)) {
+    newEntity[attr] = attr in body ? body[attr] : type.optionalAttributes[attr];
+  }
 
-    if (userData === false) {
-      return userNotAuthenticatedError;
-    }
+  // set all other attributes for this type to empty arrays
+  for (const attr of type.otherAttributes) {
+    newEntity[attr] = [];
+  }
 
-    // if it doesn't exist or user doesn't own it -> 403
-    entity = await getEntityFromDatastore(id, type, userData.payload.sub).catch(error => console.log(error));
-    if (!entity) {
-      return forbiddenError;
-    }
-  } else {
-    // if it doesn't exist -> 404 (not protected)
-    entity = await getEntityFromDatastore(id, type, null).catch(error => console.log(error));
-    if (!entity) {
-      return doesNotExistError;
-    }
+  // a trail or trailhead starts with no reviews
+  if (type.rated) {
+    Object.assign(newEntity, makeRatingAttributes(newEntity));
   }
 
-  // make response object,
-  const response = {
-    "code": 200,
-    "data": {}
+  // or condition reports
+  if (type.hasConditions) {
+    Object.assign(newEntity, makeConditionAttributes([], new Date().toISOString()));
   }
-  
-  // format reseponse items according to type (makeResponseByType takes and returns an array - may change later)
-  const formattedArray = await makeResponseByType(type, [entity]).catch(error => console.log(error));
-  response.data = formattedArray[0];
 
-  return response;
+  return newEntity;
 }
 
-// get page of results for a type of entity
-// input: type of entity (e.g. TRAIL, TRAILHEAD); if nextPageCursor is defined, results start at that page
-// output: array of formatted items; next URL contains next page of results, if it exists
-async function getEntitiesPagination(type, headers, nextPageCursor) {
-  // must accept JSON response
-  if (acceptTypeIsNotJSON(headers)) { 
-    return acceptTypeError;
-  }
+// queues a webhook event about a trail or trailhead (ex: trail.updated) with its JSON, to publish once the change is saved (see runInTransaction)
+// the JSON is made for each webhook's user as it's published, since only a trail's owner is sent its shares
+// input: events array; type (TRAIL, TRAILHEAD); action (created, updated, or deleted); entity as it was saved (or as it was, if it was deleted)
+function queueEntityEvent(events, type, action, entity) {
+  events.push({
+    "event": type.name.toLowerCase() + "." + action,
+    "trail": type === TRAIL ? entity : null,
+    "makeData": viewer => type === TRAIL ? makeTrailFormatJSON(entity, viewer) : makeTrailheadFormatJSON(entity)
+  });
+}
 
-  // all responses get code 200; data will hold items, self URL, and next URL if needed
+// queues a webhook event about a trailhead being assigned to (added) or removed from a trail, with both of their JSON (see queueEntityEvent)
+// input: events array; action (added or removed); trail and trailhead as they were saved
+function queueRelationshipEvent(events, action, trailEntity, trailheadEntity) {
+  events.push({
+    "event": "relationship." + action,
+    "trail": trailEntity,
+    "makeData": viewer => ({ "trail": makeTrailFormatJSON(trailEntity, viewer), "trailhead": makeTrailheadFormatJSON(trailheadEntity) })
+  });
+}
+
+// counts a write to an entity, which changes its ETag (see preconditions.js); call before every update of a trail, trailhead, or user
+function bumpVersion(entity) {
+  entity.version = (entity.version || 0) + 1;
+}
+
+// returns a revision of a trail or trailhead to save in the same transaction (or batch) as the change it records (see history.js)
+// input: type (TRAIL, TRAILHEAD); entity's ID; entity after the change (before it, for deletions); its state before the change (null for creations);
+//   action (create, update, delete, or revert); request's headers (for its X-Request-Id) and user
+// output: { key, data } to save
+function makeRevisionWrite(type, id, entity, before, action, headers, user) {
+  const deleted = action === "delete";
+
+  return {
+    "key": storage.key(REVISION.name),
+    "data": makeRevision(type, id, deleted ? (entity.version || 0) + 1 : entity.version, action, before, deleted ? null : makeState(type, entity), {
+      "userId": user ? user.sub : null,
+      "requestId": headers["x-request-id"] || null
+    })
+  };
+}
+
+// returns the key of a trail's or trailhead's search document (see search.js)
+function makeSearchKey(type, id) {
+  return storage.key([SEARCH_DOCUMENT.name, type.name + ":" + id]);
+}
+
+// returns the write that saves a trail's or trailhead's search document for its current name and who can see it; queue it with every write
+// that creates the entity or can change its name, visibility, or shares
+// the document has the trail's visibility, owner, and the profiles it's shared with (as in getRole), so a search only looks up documents the user can see
+// input: type of entity; its ID; entity (or new entity data)
+function makeSearchWrite(type, id, entity) {
+  const visibility = type.protected ? attributeValue(type, entity, "visibility") : "public";
+
+  return {
+    "key": makeSearchKey(type, id),
+    "data": Object.assign(makeSearchDocument(type, id, entity.name), {
+      "visibility": visibility,
+      "userId": type.protected ? entity.userId : null,
+      "sharedWith": type.protected && visibility !== "private" ? (entity.shares || []).map(share => String(share.user)) : []
+    }),
+    "excludeFromIndexes": ["name"]
+  };
+}
+
+// returns the response to a successful PUT or PATCH in the form the client's Prefer header asks for; it always has the entity's new ETag
+// input: type of entity; saved entity; its representation, as GET returns it; headers (Prefer)
+// output: 200 with the representation (with no preference, or return=representation), or 204 with no body (return=minimal)
+async function makeWriteResponse(type, entity, data, headers) {
+  const preference = preferredReturn(headers.prefer);
   const response = {
     "code": 200,
-    "data": {}
+    "data": data,
+    "headers": { "ETag": makeETag(entity.version, MEDIA_TYPES.JSON) }
+  };
+
+  if (preference === "minimal") {
+    response.code = 204;
+    response.data = {};
   }
 
-  let userData = null;
+  if (preference) {
+    response.headers["Preference-Applied"] = "return=" + preference;
+  }
 
-  // if this entity is protected, authenticate the user
-  if (type.protected) {
-    userData = await verifyUser(headers.authorization).catch(error => console.log("error authenticating user", error));
+  return response;
+}
 
-    if (userData === false) {
-      return userNotAuthenticatedError;
+// writes a streamed response body (see exportEntities) a chunk at a time, waiting whenever the client falls behind
+// input: express response; async iterable of strings
+async function writeStream(res, chunks) {
+  try {
+    for await (const chunk of chunks) {
+      if (!res.write(chunk)) {
+        await once(res, "drain");
+      }
     }
+    res.end();
+  } catch (error) {
+    // the status was already sent, so the client can only tell from the connection closing early
+    console.log("error streaming response", error);
+    res.destroy(error);
   }
+}
 
-  let countQuery = null;
-  let pageQuery = null;
+// logs an error a route's function threw (ex: storage can't be reached) and returns the storage error for sendResult to send,
+// so the request still gets a response
+// input: error
+// output: storageError
+function handleRouteError(error) {
+  console.log(error);
+  return storageError;
+}
 
-  // create query: only get the current user's entities if the resource is protected; otherwise get them all
-  if (userData) {
-    countQuery = datastore.createQuery(type.name).select('__key__').filter('userId', '=', userData.payload.sub);
-    pageQuery = datastore.createQuery(type.name).filter('userId', '=', userData.payload.sub).limit(RESULTS_PER_PAGE);
-  } else {
-    countQuery = datastore.createQuery(type.name).select('__key__');
-    pageQuery = datastore.createQuery(type.name).limit(RESULTS_PER_PAGE);
+// sends a result from the functions above: status code, body (or stream of the body), and any media type or headers it sets
+// 401s also get a WWW-Authenticate header saying how to authenticate and, if a credential was sent, why it was rejected
+function sendResult(res, result) {
+  if (result.type) {
+    res.type(result.type);
   }
+  if (result.code === 401) {
+    res.set("WWW-Authenticate", makeChallenge(res.locals.authError || null));
+  }
+  if (result.headers) {
+    res.set(result.headers);
+  }
+  if (result.stream) {
+    res.status(result.code);
+    return writeStream(res, result.stream);
+  }
+  res.status(result.code).send(result.data);
+}
 
-  // get count of # of entities of this type
-  let results = await datastore.runQuery(countQuery).catch(error => console.log(error));
-  response.data.count = results[0].length;
+// returns true if a user is an admin because they're in ADMIN_USER_IDS (see config.js); others are made admins with their profile's role
+function isAdmin(userId) {
+  return config.ADMIN_USER_IDS.includes(userId);
+}
 
-  // if nextPageCursor argument is set, set query to start on that page and use it to make self URL; otherwise make standard URL without id
-  if (nextPageCursor) {
-    pageQuery = pageQuery.start(nextPageCursor);
-    response.data.self = makeNextPageURL(type, nextPageCursor);
-  } else {
-    response.data.self = makeSelfURL("", type);
+// returns a trails's information in JSON; its shares (who it's shared with, and how) are only shown to its owner
+// input: trailEntity from datastore; viewer from getViewer (or null if not authenticated)
+// output: object containing ID, properties, and self URL
+function makeTrailFormatJSON(trailEntity, viewer) {
+  const formatted = {
+    "name": trailEntity.name,
+    "length": trailEntity.length,
+    "difficulty": trailEntity.difficulty,
+    "trailheads": trailEntity.trailheads,
+    "route": trailEntity.route || null,
+    "visibility": attributeValue(TRAIL, trailEntity, "visibility"),
+    "averageRating": makeRatingAttributes(trailEntity).averageRating,
+    "reviewCount": makeRatingAttributes(trailEntity).reviewCount,
+    "closed": isClosed(trailEntity.conditions, new Date().toISOString()),
+    "id": trailEntity[storage.KEY].id,
+    "userId": trailEntity.userId,
+    "self": makeSelfURL(trailEntity[storage.KEY].id, TRAIL)
+  };
+
+  if (getRole(TRAIL, trailEntity, viewer || null) === "owner") {
+    formatted.shares = (trailEntity.shares || []).map(share => makeShareFormatJSON(trailEntity[storage.KEY].id, share));
   }
 
-  // get results, where index 0 is items and index 1 is metadata about query
-  results = await datastore.runQuery(pageQuery).catch(error => console.log(error));
+  return formatted;
+}
 
-  if (results) {
-    const items = results[0];
-    const info = results[1];
-  
-    // format reseponse items according to type (e.g. boat or load)
-    response.data.items = await makeResponseByType(type, items).catch(error => console.log(error));
-  
-    // if there are more pages of items in datastore, also set next URL for next page
-    if (info.moreResults !== Datastore.NO_MORE_RESULTS) {
-      response.data.next = makeNextPageURL(type, info.endCursor);
-    }
+// returns one of a trail's shares in JSON
+// input: trail's ID; share saved in the trail ({ user, role })
+// output: object containing the user's ID, role, and self URL of the share
+function makeShareFormatJSON(trailId, share) {
+  return {
+    "user": share.user,
+    "role": share.role,
+    "self": makeSelfURL(trailId, TRAIL) + "/" + TRAIL_SHARE.URL + share.user
   }
-  
-  return response;
 }
 
-/*** route functions ***/
+// returns a trailheads's information in JSON
+// input: trailheadEntity from datastore 
+// output: object containing ID, properties, and self URL
+function makeTrailheadFormatJSON(trailheadEntity) {
+  return {
+    "name": trailheadEntity.name,
+    "location": trailheadEntity.location,
+    "fee": trailheadEntity.fee,
+    "trails": trailheadEntity.trails,
+    "averageRating": makeRatingAttributes(trailheadEntity).averageRating,
+    "reviewCount": makeRatingAttributes(trailheadEntity).reviewCount,
+    "closed": isClosed(trailheadEntity.conditions, new Date().toISOString()),
+    // trailheads saved before creators were recorded have none
+    "userId": trailheadEntity.userId || null,
+    "id": trailheadEntity[storage.KEY].id,
+    "self": makeSelfURL(trailheadEntity[storage.KEY].id, TRAILHEAD)
+  }
+}
 
-// posts new item. client must send all required attributes for item in body.
-// input: name and type (strings); length (int)
-// output on success: returns code 201 and formatted boat data if successful (name, type, length, ID, and self URL)
-// error: 400 if name, type, or length are missing; 401 if user can't be authenticated by ID token
-async function postEntity(type, headers, body){
-  // must accept JSON response
-  if (acceptTypeIsNotJSON(headers)) { 
-    return acceptTypeError;
+// returns a user's information in JSON
+// input: userEntity from datastore 
+// output: object containing ID, properties, and self URL
+function makeUserFormatJSON(userEntity) {
+  return {
+    "firstName": userEntity.firstName,
+    "lastName": userEntity.lastName,
+    "userId": userEntity.userId,
+    // units the user wants lengths and elevations shown in; users saved before it existed get the API's own units
+    "units": userEntity.units || "imperial",
+    "role": userEntity.role || "user",
+    "id": userEntity[storage.KEY].id,
+    "self": makeSelfURL(userEntity[storage.KEY].id, USER)
   }
+}
 
-  // check if any required attributes are missing from post
-  for (const attr of type.requiredAttributes) {
-    if (!(attr in body)) {
-      return attributeMissingError
-    }
+
+// returns a formatted array of entitites according to its type 
+// input: type (e.g. TRAIL, TRAILHEAD); array of entities from datastore; viewer from getViewer (or null), for what only some users are shown
+// output: array of information formatted in JSON, which includes IDs, properties, and self URLs for each entity
+async function makeResponseByType(type, entities, viewer) {
+  let response = {};
+
+  if (type.name === 'Trail') {
+    response = Promise.all(
+      entities.map( async (trail) => {
+        return makeTrailFormatJSON(trail, viewer);
+      })
+    );
+  } else if (type.name === 'Trailhead') {
+    response = Promise.all(
+      entities.map( async (trailhead) => {
+        return makeTrailheadFormatJSON(trailhead);
+      })
+    );
+  } else if (type.name === 'User') {
+    response = Promise.all(
+      entities.map( async (user) => {
+        return makeUserFormatJSON(user);
+      })
+    );
+  } else if (type.name === 'Hike') {
+    response = Promise.all(
+      entities.map( async (hike) => {
+        return makeHikeFormatJSON(hike);
+      })
+    );
+  } else if (type.name === 'Review') {
+    response = Promise.all(
+      entities.map( async (review) => {
+        return makeReviewFormatJSON(review);
+      })
+    );
   }
 
-  // will build new item here
-  let newEntity = {};
+  return response;
+}
 
-  // if this entity is protected, authenticate the user and set the item's user ID
-  if (type.protected) {
-    const userData = await verifyUser(headers.authorization).catch(error => console.log("error authenticating user", error));
+// builds a query string from parameters (ex: ?difficulty=easy&sort=-length); empty if there are no parameters
+// encodes values so cursor characters like '+' become "%2B"
+function makeQueryString(params) {
+  const search = new URLSearchParams(params).toString();
+  return search ? "?" + search : "";
+}
 
-    if (userData === false) {
-      return userNotAuthenticatedError;
+// returns true if a query failed because its start cursor (a request's nextPage) isn't one storage made (see cursorInvalidError)
+// input: error the query threw; nextPage the query started at
+function isCursorError(error, cursor) {
+  return Boolean(cursor) && Boolean(error) && error.code === INVALID_ARGUMENT;
+}
+
+// builds a 400 error listing each invalid query parameter
+// input: array of { parameter, error }
+// output: error response object
+function makeQueryParameterError(errors) {
+  return {
+    "code": queryParameterInvalidError.code,
+    "data": {
+      "error": queryParameterInvalidError.data.error,
+      "parameters": errors
     }
+  };
+}
 
-    newEntity.userId = userData.payload.sub;
-  }
+// replaces related IDs in formatted entities with the related entities themselves (ex: a trail's trailhead IDs -> trailheads)
+// related entities are fetched with one batched lookup per attribute for all items
+// input: type of the items; formatted items (from makeResponseByType); attributes to expand; viewer from getViewer (or null)
+// output: the same items; related entities the user can't see (or that no longer exist) become { id } only
+async function expandRelated(type, items, expand, viewer) {
+  for (const attr of expand) {
+    const relatedType = type.expansions[attr];
+
+    const ids = [];
+    for (const item of items) {
+      for (const relatedId of item[attr] || []) {
+        if (!ids.includes(String(relatedId))) {
+          ids.push(String(relatedId));
+        }
+      }
+    }
 
-  // set all required attributes for this type
-  for (const attr of type.requiredAttributes) {
-    newEntity[attr] = body[attr];
+    const keys = ids.map(relatedId => storage.key([relatedType.name, parseInt(relatedId)]));
+    const [entities] = keys.length > 0 ? await storage.get(keys) : [[]];
+
+    const visible = entities.filter(entity => canViewEntity(relatedType, entity, viewer));
+    const formattedById = new Map();
+    for (const formatted of await makeResponseByType(relatedType, visible, viewer)) {
+      formattedById.set(String(formatted.id), formatted);
+    }
+
+    for (const item of items) {
+      item[attr] = (item[attr] || []).map(relatedId => formattedById.get(String(relatedId)) || { "id": relatedId });
+    }
   }
 
-  // set all other attributes for this type to empty arrays
-  for (const attr of type.otherAttributes) {
-    newEntity[attr] = [];
+  return items;
+}
+
+// builds and returns next page URL for pagination results (ex: http://mysite.com/trails/?difficulty=easy&nextPage=abc)
+// input: type of entity (e.g. TRAIL, TRAILHEAD); cursor that points to next page in results; active filter and sort parameters
+// output: URL for next page of results, with the same filters and sort
+function makeNextPageURL(type, cursor, params) {
+  return URL + type.URL + makeQueryString(Object.assign({}, params, { "nextPage": cursor }));
+}
+
+// returns a trail as a GPX document, with its trailheads as waypoints and its route, if it has one, as a track
+// input: formatted trail (from makeTrailFormatJSON)
+// output: GPX XML string
+async function makeTrailGPX(trail) {
+  const keys = trail.trailheads.map(trailheadId => storage.key([TRAILHEAD.name, parseInt(trailheadId)]));
+  const [trailheadEntities] = keys.length > 0 ? await storage.get(keys) : [[]];
+
+  let track = [];
+  if (trail.route) {
+    const [routeEntity] = await storage.get(storage.key([TRAIL_ROUTE.name, parseInt(trail.id)]));
+    track = routeEntity ? JSON.parse(routeEntity.points) : [];
   }
 
-  // make key and self URL attribute for all items
-  const key = datastore.key(type.name);
-  
-  await datastore.save({ "key": key, "data": newEntity })
-    .catch(error => {
-      console.log("error saving to datastore: ", error)
-    });
+  return nunjucks.render("trail.gpx", {
+    "trail": trail,
+    "trailheads": trailheadEntities.map(makeTrailheadFormatJSON),
+    "track": track,
+    "time": new Date().toISOString()
+  });
+}
 
-  // response to client also needs item's ID and self URL
-  newEntity.id = key.id;
-  newEntity.self = makeSelfURL(key.id, type);
-  
-  // success: code 201 and new boat data
-  return {
-    "code": 201,
-    "data": newEntity 
+// converts a successful JSON response into the representation the client asked for (see formats.js)
+// input: media type from preferredMediaType; response whose data is one formatted entity, or a page of them with items
+// output: response with data in that representation and its media type in "type"
+async function makeRepresentation(mediaType, response) {
+  if (response.code !== 200 || mediaType === MEDIA_TYPES.JSON) {
+    return response;
+  }
+
+  if (mediaType === MEDIA_TYPES.GEOJSON) {
+    response.data = response.data.items ? makeFeatureCollection(response.data) : makeFeature(response.data);
+  } else if (mediaType === MEDIA_TYPES.GPX) {
+    response.data = await makeTrailGPX(response.data);
   }
+
+  response.type = mediaType;
+  return response;
 }
 
-// put an existing entity for an authenticated user- requires all attributes to be provided and replaced
-// input: ID, type, and data to update
-// output on error: error if incomplete data, entity doesn't exist, or user can't be authenticated
-// output on success: updates datastore and returns object of data, ID, self URL, and status code
-async function putEntity(id, type, headers, body) {
-  // must accept JSON response
-  if (acceptTypeIsNotJSON(headers)) { 
+// get a single entity
+// input: type of entity (e.g. TRAIL, TRAILHEAD); headers (includes Accept); user from authenticate; query parameters (expand)
+// errors: user can't be authenticated; user doesn't own this entity; entity can't be found; expand is invalid
+// output on success: entity data formatted by its type in JSON, or in another representation the type offers if Accept prefers it
+async function getEntity(id, type, headers, user, query) {
+  // must accept JSON or another representation of this type
+  const mediaType = preferredMediaType(headers.accept, type.mediaTypes.entity);
+  if (!mediaType) { 
     return acceptTypeError;
   }
 
-  // will save changes to this object
-  let updatedEntity = {
-    "code": 200,
-    "data": {}
-  };
-
-  // return error if any required attribute of that type is missing
-  for (const attr of type.requiredAttributes) {
-    if (!(attr in body)) {
-      return attributeMissingError;
-    }
-    updatedEntity.data[attr] = body[attr];
+  const expandOptions = parseExpand(type, query);
+  if (expandOptions.errors.length > 0) {
+    return makeQueryParameterError(expandOptions.errors);
   }
 
-  // will fill out this object if the resource is protected
-  let userData = null;
+  let viewer = null;
   let entity = null;
 
-  // if item is protected, return error if user can't be authenticated; add userId to updatedEntity to return to client
+  // if this entity is protected, it can only be seen by its owner, the users it's shared with, or anyone if it's public (see getRole)
   if (type.protected) {
-    userData = await verifyUser(headers.authorization).catch(error => console.log("error authenticating user", error));
+    viewer = await getViewer(user);
 
-    if (userData === false) {
+    if (viewer === false) {
       return userNotAuthenticatedError;
     }
 
-    updatedEntity.data.userId = userData.payload.sub;
-    entity = await getEntityFromDatastore(id, type, userData.payload.sub).catch(error => console.log(error));
-    if (!entity) {
-      return forbiddenError;
+    // if it doesn't exist or user can't see it -> 403 (401 if the request has no token)
+    entity = await getEntityFromDatastore(id, type, null).catch(error => console.log(error));
+    if (!entity || !canViewEntity(type, entity, viewer)) {
+      return viewer ? forbiddenError : userNotAuthenticatedError;
     }
   } else {
+    // if it doesn't exist -> 404 (not protected)
     entity = await getEntityFromDatastore(id, type, null).catch(error => console.log(error));
     if (!entity) {
       return doesNotExistError;
     }
   }
 
-  // update entity according to body data sent by client (use updatedEntity -- body may have additional attributes that you don't want)
-  for (const attr in updatedEntity.data) {
-    entity[attr] = updatedEntity.data[attr];
-  }
+  // closed is worked out when the entity is formatted; if a closure started or expired since the entity was saved, closed no longer matches
+  // its version until refreshClosures saves it, so it gets no version ETag (see refreshClosure)
+  const closureIsStale = type.hasConditions && isClosureStale(entity, new Date().toISOString());
 
-  // update entity in datastore
-  await datastore.update(entity).catch(error => console.log(error));
+  // make response object,
+  const response = {
+    "code": 200,
+    "data": {}
+  }
+  
+  // plain representations are tagged with the entity's version; expanded ones and GPX (which lists the trail's trailheads) depend on other entities too
+  if (expandOptions.expand.length === 0 && mediaType !== MEDIA_TYPES.GPX && !closureIsStale) {
+    response.headers = { "ETag": makeETag(entity.version, mediaType) };
+
+    if (isNotModified(headers["if-none-match"], response.headers.ETag)) {
+      return {
+        "code": 304,
+        "data": {},
+        "headers": response.headers
+      };
+    }
+  }
 
-  // add information to send back to client
-  updatedEntity.data.id = id;
-  updatedEntity.data.self = makeSelfURL(id, type);
+  // format reseponse items according to type (makeResponseByType takes and returns an array - may change later)
+  const formattedArray = await makeResponseByType(type, [entity], viewer).catch(error => console.log(error));
+  response.data = formattedArray[0];
 
-  // also set any other attributes (such as trail or trailhead array)
-  for (const attr of type.otherAttributes) {
-    updatedEntity.data[attr] = entity[attr];
+  // embed related entities if requested (GPX already includes a trail's trailheads as waypoints)
+  if (expandOptions.expand.length > 0 && mediaType !== MEDIA_TYPES.GPX) {
+    await expandRelated(type, [response.data], expandOptions.expand, viewer || (await getViewer(user)) || null);
   }
 
-  return updatedEntity;
+  return makeRepresentation(mediaType, response);
 }
 
-// patch an existing entity - only those attributes provided in body will be replaced
-// input: ID, type, and data to update
-// output: error if entity doesn't exist; otherwise updates datastore and returns object of data, ID, self URL, and status code
-async function patchEntity(id, type, headers, body) {
-  // must accept JSON response
-  if (acceptTypeIsNotJSON(headers)) { 
+// get page of results for a type of entity
+// input: type of entity (e.g. TRAIL, TRAILHEAD); query parameters: filters and sort declared by the type, and nextPage (cursor to start at)
+// output: array of formatted items; next URL contains next page of results, if it exists
+async function getEntitiesPagination(type, headers, user, query) {
+  // must accept JSON or another representation of this type's lists
+  const mediaType = preferredMediaType(headers.accept, type.mediaTypes.collection);
+  if (!mediaType) { 
     return acceptTypeError;
   }
 
-  // will save changes to this object
-  let updatedEntity = {
+  const nextPageCursor = query.nextPage;
+  const params = pickListParameters(type, query);
+  const listOptions = parseListOptions(type, params);
+  const expandOptions = parseExpand(type, params);
+
+  if (listOptions.errors.length > 0 || expandOptions.errors.length > 0) {
+    return makeQueryParameterError(listOptions.errors.concat(expandOptions.errors));
+  }
+
+  // all responses get code 200; data will hold items, self URL, and next URL if needed
+  const response = {
     "code": 200,
     "data": {}
-  };
+  }
 
-  let userData = null;
-  let entity = null;
+  let viewer = null;
+  let scopeFilter = null;
 
-  // if item is protected, return error if user can't be authenticated; otherwise set userID
+  // if this entity is protected, the list is limited to a scope; every scope but public needs an authenticated user
   if (type.protected) {
-    userData = await verifyUser(headers.authorization).catch(error => console.log("error authenticating user", error));
+    viewer = await getViewer(user);
 
-    if (userData === false) {
+    if (!viewer && listOptions.scope !== "public") {
       return userNotAuthenticatedError;
     }
 
-    updatedEntity.data.userId = userData.payload.sub;
+    viewer = viewer || null;
+    scopeFilter = makeScopeFilter(listOptions.scope, viewer);
+  }
 
-    entity = await getEntityFromDatastore(id, type, userData.payload.sub).catch(error => console.log(error));
-    if (!entity) {
-      return forbiddenError;
-    }
-  } else {
-    entity = await getEntityFromDatastore(id, type, null).catch(error => console.log(error));
-    if (!entity) {
-      return doesNotExistError;
+  // bounding box searches are matched against geohash cells, then sorted and paged in memory
+  if (listOptions.bbox) {
+    if (decodeOffsetCursor(nextPageCursor) === null) {
+      return cursorInvalidError;
     }
-  }
 
-  // update attributes that are in body
-  for (const attr of type.requiredAttributes) {
-    if (attr in body) {
-      updatedEntity.data[attr] = body[attr];
-    } else {
-      updatedEntity.data[attr] = entity[attr];
+    const found = await getEntitiesInBox(type, listOptions, scopeFilter, null).catch(error => console.log(error));
+    if (!found) {
+      return storageError;
     }
-  }
 
-  // save changes to datastore
-  await datastore.update(entity).catch(error => console.log(error));
+    response.data = await makeArrayPage(type, found.entities, nextPageCursor, URL + type.URL, params, viewer);
+    response.data.truncated = found.truncated;
+    await expandPage(type, response.data, expandOptions.expand, viewer, user);
+    return makeRepresentation(mediaType, response);
+  }
 
-  // add information to send back to client
-  updatedEntity.data.id = id;
-  updatedEntity.data.self = makeSelfURL(id, type);
+  // create query: only get the entities in the requested scope if the resource is protected; otherwise get them all
+  let countQuery = storage.createQuery(type.name).select('__key__');
+  let pageQuery = storage.createQuery(type.name).limit(RESULTS_PER_PAGE);
 
-  // also set any other attributes (such as trail or trailhead array)
-  for (const attr of type.otherAttributes) {
-    updatedEntity.data[attr] = entity[attr];
+  if (scopeFilter) {
+    countQuery = countQuery.filter(scopeFilter.property, scopeFilter.operator, scopeFilter.value);
+    pageQuery = pageQuery.filter(scopeFilter.property, scopeFilter.operator, scopeFilter.value);
   }
 
-  return updatedEntity;
-}
+  // both queries only count and return entities that match the requested filters; page is also sorted
+  countQuery = applyListOptions(countQuery, listOptions);
+  pageQuery = applyListOptions(pageQuery, listOptions);
 
-// removes any relationships that a trail or trailhead has with other trails/trailheads. use this before deleting a trail or trailhead
-// input: entity to remove relationships from and its type (TRAIL, TRAILHEAD)
-// output: removes this entity's ID from all other related entities
-async function removeRelationships(entity, type) {
-  if (type === TRAIL) {
-    for (const trailheadId of entity.trailheads) {
-      let trailheadEntity = await getEntityFromDatastore(trailheadId, TRAILHEAD, null).catch(error => console.log(error));
-      
-      trailheadEntity.trails = trailheadEntity.trails.filter(trailId => {
-        return trailId != entity[Datastore.KEY].id;
-      });
+  // get count of # of entities of this type
+  let results = await storage.runQuery(countQuery).catch(error => console.log(error));
+  response.data.count = results[0].length;
+
+  // if nextPageCursor argument is set, set query to start on that page and use it to make self URL; otherwise make standard URL without id
+  if (nextPageCursor) {
+    pageQuery = pageQuery.start(nextPageCursor);
+    response.data.self = makeNextPageURL(type, nextPageCursor, params);
+  } else {
+    response.data.self = makeSelfURL("", type) + makeQueryString(params);
+  }
 
-      await datastore.update(trailheadEntity).catch(error => console.log(error));
+  // get results, where index 0 is items and index 1 is metadata about query
+  let cursorError = false;
+  results = await storage.runQuery(pageQuery).catch(error => {
+    cursorError = isCursorError(error, nextPageCursor);
+    if (!cursorError) {
+      console.log(error);
     }
-  } else if (type === TRAILHEAD) {
-    for (const trailId of entity.trails) {
-      const trailEntity = await getEntityFromDatastore(trailId, TRAIL, null).catch(error => console.log(error));
+  });
 
-      trailEntity.trailheads = trailEntity.trailheads.filter(trailheadId => {
-        return trailheadId != entity[Datastore.KEY].id;
-      });
+  if (cursorError) {
+    return cursorInvalidError;
+  }
 
-      await datastore.update(trailEntity).catch(error => console.log(error));
+  if (results) {
+    const items = results[0];
+    const info = results[1];
+  
+    // format reseponse items according to type (e.g. boat or load)
+    response.data.items = await makeResponseByType(type, items, viewer).catch(error => console.log(error));
+  
+    // if there are more pages of items in datastore, also set next URL for next page
+    if (info.moreResults !== storage.NO_MORE_RESULTS) {
+      response.data.next = makeNextPageURL(type, info.endCursor, params);
     }
+
+    await expandPage(type, response.data, expandOptions.expand, viewer, user);
   }
+  
+  return makeRepresentation(mediaType, response);
 }
 
-// delete an existing entity; if it's protected, it authenticates the user and checks if the user owns the entity
-// input: trailId to delete
-// output on success: code 204 after entity is deleted
-// output on error: code 403 if user doesn't own the entity; 404 if entity doesn't exist
-async function deleteEntity(id, type, headers) {
-  // must accept JSON response
-  if (acceptTypeIsNotJSON(headers)) { 
-    return acceptTypeError;
+// embeds related entities in every item of a page, if any expansions were requested
+// input: type of the items; page data with items; attributes to expand; viewer if already looked up (or null); user (see authenticate)
+async function expandPage(type, page, expand, viewer, user) {
+  if (expand.length === 0) {
+    return;
   }
 
-  let entity = null;
-
-  // if the entity is protected, authenticate user and verify they own it; otherwise return error
-  if (type.protected) {
-    const userData = await verifyUser(headers.authorization).catch(error => console.log("error authenticating user", error));
+  await expandRelated(type, page.items, expand, viewer || (await getViewer(user)) || null);
+}
 
-    if (userData === false) {
+// returns the storage filter that limits a list of protected entities (trails) to a scope
+// input: scope from parseListOptions: mine (the user's own), shared (shared with the user), or public; viewer from getViewer (null for public)
+// output: filter { property, operator, value }
+function makeScopeFilter(scope, viewer) {
+  if (scope === "public") {
+    return { "property": "visibility", "operator": "=", "value": "public" };
+  } else if (scope === "shared") {
+    // users without a profile can't be shared with, so nothing matches
+    return { "property": "sharedWith", "operator": "=", "value": viewer.id === null ? "" : String(viewer.id) };
+  }
+  return { "property": "userId", "operator": "=", "value": viewer.sub };
+}
+
+// returns entities whose location is inside a bounding box. only the geohash cells that cover the box are queried, not every entity
+// each cell gives at most MAX_GEO_CANDIDATES entities; everything found is sorted before the first MAX_GEO_CANDIDATES are kept, so a search
+// near a point keeps the closest ones. truncated says whether any were left out, since then the results aren't every match
+// input: type of entity (e.g. TRAILHEAD); list options with a bbox (other filters still apply); scope filter from makeScopeFilter, or null;
+//   near { center, radius (miles), distances (a Map) } to only keep entities within the radius, closest first, and set each one's distance
+//   in distances (ID -> miles), or null
+// output: { entities: matching entities (at most MAX_GEO_CANDIDATES), sorted by distance, the list options' order, or ID; truncated }
+async function getEntitiesInBox(type, listOptions, scopeFilter, near) {
+  const bbox = listOptions.bbox;
+  const distances = near ? near.distances : null;
+  const found = new Map();
+  let truncated = false;
+
+  for (const cell of coveringGeohashes(bbox.box, MAX_GEO_CELLS)) {
+    let query = storage.createQuery(type.name).filter(bbox.property, '=', cell).limit(MAX_GEO_CANDIDATES);
+    if (scopeFilter) {
+      query = query.filter(scopeFilter.property, scopeFilter.operator, scopeFilter.value);
+    }
+    query = applyListOptions(query, { "filters": listOptions.filters, "order": null });
+
+    const [entities, info] = await storage.runQuery(query);
+    truncated = truncated || info.moreResults !== storage.NO_MORE_RESULTS;
+
+    // cells can stick out past the box (and the box past the radius), so check each location
+    for (const entity of entities) {
+      if (!isInBox(entity[bbox.attribute], bbox.box)) {
+        continue;
+      } else if (distances) {
+        distances.set(entity[storage.KEY].id, distance(near.center, entity[bbox.attribute]));
+        if (distances.get(entity[storage.KEY].id) > near.radius) {
+          continue;
+        }
+      }
+      found.set(entity[storage.KEY].id, entity);
+    }
+  }
+
+  const order = listOptions.order;
+  const idOf = entity => entity[storage.KEY].id;
+
+  const sorted = Array.from(found.values()).sort((a, b) => {
+    if (distances && distances.get(idOf(a)) !== distances.get(idOf(b))) {
+      return distances.get(idOf(a)) - distances.get(idOf(b));
+    } else if (order && a[order.property] !== b[order.property]) {
+      return (a[order.property] < b[order.property] ? -1 : 1) * (order.descending ? -1 : 1);
+    }
+    // IDs are numeric strings, so shorter IDs come first
+    return idOf(a).length - idOf(b).length || (idOf(a) < idOf(b) ? -1 : 1);
+  });
+
+  return {
+    "entities": sorted.slice(0, MAX_GEO_CANDIDATES),
+    "truncated": truncated || sorted.length > MAX_GEO_CANDIDATES
+  };
+}
+
+// builds a page of results from entities that were already filtered and sorted in memory (geo searches can't be paged by storage)
+// input: type of entity; all matching entities; cursor from a previous page's next URL; URL of the list; parameters to keep in self and next URLs;
+//   viewer from getViewer (or null)
+// output: response data with count, self URL, items, and next URL if there are more results
+async function makeArrayPage(type, entities, cursor, listURL, params, viewer) {
+  const start = decodeOffsetCursor(cursor);
+  const end = start + RESULTS_PER_PAGE;
+
+  const data = {
+    "count": entities.length,
+    "self": listURL + makeQueryString(cursor ? Object.assign({}, params, { "nextPage": cursor }) : params),
+    "items": await makeResponseByType(type, entities.slice(start, end), viewer)
+  };
+
+  if (end < entities.length) {
+    data.next = listURL + makeQueryString(Object.assign({}, params, { "nextPage": encodeOffsetCursor(end) }));
+  }
+
+  return data;
+}
+
+// get trailheads within a radius of a point, closest first. each trailhead also has its distance from the point in miles
+// input: headers (includes Accept); user from authenticate (for expanded trails); query parameters lat, lng, radius (optional, in miles), and nextPage
+// output on success: page of formatted trailheads with distance; next URL if there are more results
+// output on error: 400 if lat, lng, radius, or nextPage is invalid
+async function getTrailheadsNearby(headers, user, query) {
+  // must accept JSON or GeoJSON
+  const mediaType = preferredMediaType(headers.accept, TRAILHEAD.mediaTypes.collection);
+  if (!mediaType) { 
+    return acceptTypeError;
+  }
+
+  const nearby = parseNearbyOptions(TRAILHEAD, query);
+  const expandOptions = parseExpand(TRAILHEAD, query);
+  const openOptions = parseListOptions(TRAILHEAD, "open" in query ? { "open": query.open } : {});
+  if (nearby.errors.length > 0 || expandOptions.errors.length > 0 || openOptions.errors.length > 0) {
+    return makeQueryParameterError(nearby.errors.concat(expandOptions.errors, openOptions.errors));
+  } else if (decodeOffsetCursor(query.nextPage) === null) {
+    return cursorInvalidError;
+  }
+
+  // open=true leaves out closed trailheads (see getEntitiesPagination)
+  if ("open" in query) {
+    nearby.listOptions.filters = openOptions.filters;
+  }
+
+  // the geohash search finds everything in the square around the circle, and keeps only what's within the radius, closest first
+  const distances = new Map();
+  const near = { "center": nearby.center, "radius": nearby.radius, "distances": distances };
+  const found = await getEntitiesInBox(TRAILHEAD, nearby.listOptions, null, near).catch(error => console.log(error));
+  if (!found) {
+    return storageError;
+  }
+
+  const params = {};
+  for (const param of ["lat", "lng", "radius", "open", "expand"]) {
+    if (param in query) {
+      params[param] = query[param];
+    }
+  }
+
+  const response = {
+    "code": 200,
+    "data": await makeArrayPage(TRAILHEAD, found.entities, query.nextPage, URL + TRAILHEAD.URL + "nearby", params)
+  };
+  response.data.truncated = found.truncated;
+
+  // round distance to hundredths of a mile
+  for (const item of response.data.items) {
+    item.distance = Math.round(distances.get(item.id) * 100) / 100;
+  }
+
+  await expandPage(TRAILHEAD, response.data, expandOptions.expand, null, user);
+
+  return makeRepresentation(mediaType, response);
+}
+
+// searches the names of trailheads and of the trails the user can see (see search.js), best matches first
+// input: headers (includes Accept); user from authenticate; query parameters q and nextPage
+// output on success: page of formatted trails and trailheads, each with its kind (Trail or Trailhead), score (0 to 1), and highlight
+//   (its name as HTML, with the words that matched in <mark>); next URL if there are more results
+// output on error: 400 if q is missing or too long, or nextPage isn't a cursor from a next URL; 401 if the credential is invalid
+async function searchEntities(headers, user, query) {
+  // must accept JSON response
+  if (acceptTypeIsNotJSON(headers)) { 
+    return acceptTypeError;
+  }
+
+  const tokens = typeof query.q === "string" ? tokenize(query.q) : [];
+  if (tokens.length === 0 || tokens.length > MAX_SEARCH_WORDS || query.q.length > MAX_SEARCH_LENGTH) {
+    return makeQueryParameterError([{ "parameter": "q", "error": "must have 1 to " + MAX_SEARCH_WORDS + " words and at most " + MAX_SEARCH_LENGTH + " characters" }]);
+  } else if (decodeOffsetCursor(query.nextPage) === null) {
+    return cursorInvalidError;
+  }
+
+  const viewer = await getViewer(user);
+  if (viewer === false) {
+    return userNotAuthenticatedError;
+  }
+
+  const matches = [];
+
+  try {
+    // documents the user can see (public ones, their own trails, and trails shared with them; see makeSearchWrite) that share a term with
+    // the search, looked up at once; documents the user can't see are never found, so they can't take the place of ones they can
+    const access = [["visibility", "public"]];
+    if (viewer) {
+      access.push(["userId", viewer.sub]);
+      if (viewer.id !== null) {
+        access.push(["sharedWith", String(viewer.id)]);
+      }
+    }
+
+    const lookups = await Promise.all(makeLookupTerms(tokens).reduce((queries, term) => queries.concat(access.map(([property, value]) => {
+      const lookup = storage.createQuery(SEARCH_DOCUMENT.name).filter('terms', '=', term).filter(property, '=', value);
+      return storage.runQuery(lookup.limit(MAX_SEARCH_CANDIDATES));
+    })), []));
+
+    // each name is scored once; those that match are read best first
+    const scored = new Map();
+    for (const [found] of lookups) {
+      for (const document of found) {
+        const id = document.kind + ":" + document.entityId;
+        if (!scored.has(id)) {
+          scored.set(id, { "id": id, "document": document, "match": scoreName(tokens, document.name) });
+        }
+      }
+    }
+    const candidates = Array.from(scored.values()).filter(candidate => candidate.match).sort((a, b) => b.match.score - a.match.score);
+
+    // matching entities are read a batch at a time until there are enough; trails the user can no longer see (and documents of entities
+    // that are gone) are left out before matches are capped
+    for (let i = 0; i < candidates.length && matches.length < MAX_SEARCH_CANDIDATES; i += SEARCH_INDEX_BATCH_SIZE) {
+      const batch = candidates.slice(i, i + SEARCH_INDEX_BATCH_SIZE);
+      const [entities] = await storage.get(batch.map(candidate => storage.key([candidate.document.kind, parseInt(candidate.document.entityId)])));
+      const entitiesById = new Map(entities.map(entity => [entity[storage.KEY].kind + ":" + entity[storage.KEY].id, entity]));
+
+      for (const candidate of batch) {
+        const type = candidate.document.kind === TRAIL.name ? TRAIL : TRAILHEAD;
+        const entity = entitiesById.get(candidate.id);
+
+        if (entity && matches.length < MAX_SEARCH_CANDIDATES && canViewEntity(type, entity, viewer || null)) {
+          matches.push(Object.assign({ "type": type, "entity": entity }, candidate.match));
+        }
+      }
+    }
+  } catch (error) {
+    console.log("error searching", error);
+    return storageError;
+  }
+
+  // best matches first; matches that score the same are in name order
+  matches.sort((a, b) => b.score - a.score || (a.entity.name < b.entity.name ? -1 : a.entity.name > b.entity.name ? 1 : 0));
+
+  // results are paged in memory, like geo searches (see makeArrayPage)
+  const start = decodeOffsetCursor(query.nextPage);
+  const end = start + RESULTS_PER_PAGE;
+  const params = { "q": query.q };
+  const listURL = URL + SEARCH_DOCUMENT.URL;
+
+  const data = {
+    "count": matches.length,
+    "self": listURL + makeQueryString(query.nextPage ? Object.assign({}, params, { "nextPage": query.nextPage }) : params),
+    "items": []
+  };
+
+  for (const match of matches.slice(start, end)) {
+    const [item] = await makeResponseByType(match.type, [match.entity], viewer || null);
+    data.items.push(Object.assign(item, { "kind": match.type.name, "score": match.score, "highlight": match.highlight }));
+  }
+
+  if (end < matches.length) {
+    data.next = listURL + makeQueryString(Object.assign({}, params, { "nextPage": encodeOffsetCursor(end) }));
+  }
+
+  return {
+    "code": 200,
+    "data": data
+  };
+}
+
+/*** route functions ***/
+
+// posts new item. client must send all required attributes for item in body.
+// input: name and type (strings); length (int)
+// output on success: returns code 201 and formatted boat data if successful (name, type, length, ID, and self URL)
+// error: 400 if name, type, or length are missing; 401 if user can't be authenticated by ID token
+async function postEntity(type, headers, user, body){
+  // must accept JSON response
+  if (acceptTypeIsNotJSON(headers)) { 
+    return acceptTypeError;
+  }
+
+  // check if any required attributes are missing from post or don't match their field types
+  const attributeError = checkAttributes(type, body, true);
+  if (attributeError) {
+    return attributeError;
+  }
+
+  // if this entity has an owner (trails) or creator (trailheads), the user must be authenticated
+  if (hasOwner(type) && !user) {
+    return userNotAuthenticatedError;
+  }
+
+  // will build new item here
+  const newEntity = makeNewEntity(type, user ? user.sub : null, body);
+
+  // make key and self URL attribute for all items; its ID is allocated first, so its first revision can be saved with it
+  const [[key]] = await storage.allocateIds(storage.key(type.name), 1);
+  const data = Object.assign({}, newEntity, makeIndexAttributes(type, newEntity), { "version": 1 });
+  const writes = [{ "key": key, "data": data }];
+
+  if (type.hasHistory) {
+    writes.push(makeRevisionWrite(type, key.id, data, null, "create", headers, user));
+  }
+  if (type.searchable) {
+    writes.push(makeSearchWrite(type, key.id, data));
+  }
+  
+  // also save the derived attributes that list filters match against, the first version, and the search document
+  try {
+    await storage.save(writes);
+  } catch (error) {
+    console.log("error saving to storage: ", error);
+    return storageError;
+  }
+
+  // the event is only sent once the entity is saved
+  const entity = Object.assign({ [storage.KEY]: key }, data);
+  const events = [];
+  queueEntityEvent(events, type, "created", entity);
+  await publishEvents(events);
+
+  // success: code 201 and the new entity as GET returns it (to its owner)
+  const [formatted] = await makeResponseByType(type, [entity], type.protected ? await getViewer(user) : null);
+
+  return {
+    "code": 201,
+    "data": formatted,
+    "headers": { "ETag": makeETag(1, MEDIA_TYPES.JSON) }
+  }
+}
+
+// put an existing entity for an authenticated user- requires all attributes to be provided and replaced
+// input: ID, type, and data to update
+// output on error: error if incomplete data, entity doesn't exist, or user can't be authenticated
+// output on success: updates datastore and returns object of data, ID, self URL, and status code
+async function putEntity(id, type, headers, user, body) {
+  // must accept JSON response
+  if (acceptTypeIsNotJSON(headers)) { 
+    return acceptTypeError;
+  }
+
+  // will save changes to this object
+  let updatedEntity = {
+    "code": 200,
+    "data": {}
+  };
+
+  // return error if any required attribute of that type is missing or invalid
+  const attributeError = checkAttributes(type, body, true);
+  if (attributeError) {
+    return attributeError;
+  }
+
+  for (const attr of type.requiredAttributes) {
+    updatedEntity.data[attr] = body[attr];
+  }
+
+  // will fill out this object if the resource has an owner
+  let viewer = null;
+
+  // if item has an owner, return error if user can't be authenticated
+  if (hasOwner(type)) {
+    viewer = await getViewer(user);
+
+    if (!viewer) {
       return userNotAuthenticatedError;
-    } 
+    }
+  }
 
-    entity = await getEntityFromDatastore(id, type, userData.payload.sub).catch(error => console.log(error));
-    if (!entity) {
+  // read and update the entity in one transaction, so a relationship added or removed meanwhile isn't overwritten
+  return runInTransaction(async (transaction, events) => {
+    // protected entities: 403 if it doesn't exist or user isn't its owner or an editor
+    // trailheads: 404 if it doesn't exist; 403 if user isn't its creator or a moderator
+    const {entity, role, error} = await getEntityForRole(transaction, id, type, viewer, "editor");
+    if (error) {
+      return error;
+    } else if (role !== "owner" && changesOwnerAttributes(type, entity, body)) {
       return forbiddenError;
+    } else if (!isPreconditionMet(headers["if-match"], entity.version)) {
+      return preconditionFailedError;
     }
-  } else {
-    entity = await getEntityFromDatastore(id, type, null).catch(error => console.log(error));
-    if (!entity) {
+
+    const before = makeState(type, entity);
+
+    // the owner stays the same when an editor or moderator replaces an entity; optional attributes that aren't in body keep their current value
+    if (hasOwner(type)) {
+      updatedEntity.data.userId = entity.userId;
+    }
+    for (const attr of Object.keys(type.optionalAttributes)) {
+      updatedEntity.data[attr] = attr in body ? body[attr] : attributeValue(type, entity, attr);
+    }
+
+    // a trail with an uploaded route keeps the length measured from the route
+    if (entity.route) {
+      updatedEntity.data.length = entity.route.length;
+    }
+
+    // update entity according to body data sent by client (use updatedEntity -- body may have additional attributes that you don't want)
+    for (const attr in updatedEntity.data) {
+      entity[attr] = updatedEntity.data[attr];
+    }
+    Object.assign(entity, makeIndexAttributes(type, entity));
+    bumpVersion(entity);
+
+    // update entity in datastore, with a revision of the change
+    transaction.update(entity);
+    if (type.hasHistory) {
+      transaction.save(makeRevisionWrite(type, id, entity, before, "update", headers, user));
+    }
+    if (type.searchable) {
+      transaction.save(makeSearchWrite(type, id, entity));
+    }
+    queueEntityEvent(events, type, "updated", entity);
+
+    // send back the entity as GET returns it
+    return makeWriteResponse(type, entity, (await makeResponseByType(type, [entity], viewer))[0], headers);
+  }).catch(error => {
+    console.log("error updating entity", error);
+    return storageError;
+  });
+}
+
+// patch an existing entity - only those attributes provided in body will be replaced
+// input: ID, type, and data to update
+// output: error if entity doesn't exist; otherwise updates datastore and returns object of data, ID, self URL, and status code
+async function patchEntity(id, type, headers, user, body) {
+  // must accept JSON response
+  if (acceptTypeIsNotJSON(headers)) { 
+    return acceptTypeError;
+  }
+
+  // only the attributes that are provided need to be valid
+  const attributeError = checkAttributes(type, body, false);
+  if (attributeError) {
+    return attributeError;
+  }
+
+  let viewer = null;
+
+  // if item has an owner, return error if user can't be authenticated
+  if (hasOwner(type)) {
+    viewer = await getViewer(user);
+
+    if (!viewer) {
+      return userNotAuthenticatedError;
+    }
+  }
+
+  // read and update the entity in one transaction, so a relationship added or removed meanwhile isn't overwritten
+  return runInTransaction(async (transaction, events) => {
+    // protected entities: 403 if it doesn't exist or user isn't its owner or an editor
+    // trailheads: 404 if it doesn't exist; 403 if user isn't its creator or a moderator
+    const {entity, role, error} = await getEntityForRole(transaction, id, type, viewer, "editor");
+    if (error) {
+      return error;
+    } else if (role !== "owner" && changesOwnerAttributes(type, entity, body)) {
+      return forbiddenError;
+    } else if (!isPreconditionMet(headers["if-match"], entity.version)) {
+      return preconditionFailedError;
+    }
+
+    const before = makeState(type, entity);
+
+    // update attributes that are in body
+    for (const attr of type.requiredAttributes.concat(Object.keys(type.optionalAttributes))) {
+      if (attr in body) {
+        entity[attr] = body[attr];
+      }
+    }
+
+    // a trail with an uploaded route keeps the length measured from the route
+    if (entity.route) {
+      entity.length = entity.route.length;
+    }
+
+    // save changes to datastore, along with the derived attributes that list filters match against and a revision of the change
+    Object.assign(entity, makeIndexAttributes(type, entity));
+    bumpVersion(entity);
+    transaction.update(entity);
+    if (type.hasHistory) {
+      transaction.save(makeRevisionWrite(type, id, entity, before, "update", headers, user));
+    }
+    if (type.searchable) {
+      transaction.save(makeSearchWrite(type, id, entity));
+    }
+    queueEntityEvent(events, type, "updated", entity);
+
+    // send back the entity as GET returns it
+    return makeWriteResponse(type, entity, (await makeResponseByType(type, [entity], viewer))[0], headers);
+  }).catch(error => {
+    console.log("error updating entity", error);
+    return storageError;
+  });
+}
+
+// removes any relationships that a trail or trailhead has with other trails/trailheads. use this in the transaction that deletes a trail or trailhead
+// input: transaction; entity to remove relationships from and its type (TRAIL, TRAILHEAD)
+// output: queues updates that remove this entity's ID from all related entities that still exist
+async function removeRelationships(transaction, entity, type) {
+  const relationship = RELATIONSHIPS[type.name];
+  const relatedIds = entity[relationship.attribute] || [];
+
+  const keys = relatedIds.map(relatedId => storage.key([relationship.relatedType.name, parseInt(relatedId)]));
+  const [relatedEntities] = keys.length > 0 ? await transaction.get(keys) : [[]];
+
+  for (const related of relatedEntities) {
+    related[relationship.inverse] = withoutId(related[relationship.inverse], entity[storage.KEY].id);
+    bumpVersion(related);
+  }
+
+  if (relatedEntities.length > 0) {
+    transaction.update(relatedEntities);
+  }
+}
+
+// deletes an entity for good, removes it from its related entities, and deletes a trail's route (which is saved separately), in a transaction it is given
+// a revision of the deletion is saved, so the entity's history still says who deleted it and when
+// input: transaction; entity and its type (TRAIL, TRAILHEAD); request's headers and user
+async function deleteInTransaction(transaction, entity, type, headers, user) {
+  await removeRelationships(transaction, entity, type);
+  transaction.delete([entity[storage.KEY], makeSearchKey(type, entity[storage.KEY].id)]);
+  transaction.save(makeRevisionWrite(type, entity[storage.KEY].id, entity, makeState(type, entity), "delete", headers, user));
+
+  if (type === TRAIL && entity.route) {
+    transaction.delete(storage.key([TRAIL_ROUTE.name, parseInt(entity[storage.KEY].id)]));
+  }
+}
+
+// moves an entity to the trash in a transaction it is given (see trash.js): removes it from its related entities, which it keeps listing so
+// they can be linked again when it's restored, and saves it as a trash item along with a revision of the deletion
+// a trail's route, and a trail's or trailhead's reviews and proposed edits, are kept until the item is purged (see purgeTrashItem)
+// input: transaction; entity and its type (TRAIL, TRAILHEAD); request's headers and user
+async function trashInTransaction(transaction, entity, type, headers, user) {
+  const id = entity[storage.KEY].id;
+
+  await removeRelationships(transaction, entity, type);
+  transaction.delete([entity[storage.KEY], makeSearchKey(type, id)]);
+  transaction.save(makeRevisionWrite(type, id, entity, makeState(type, entity), "delete", headers, user));
+
+  // the deletion counts as a write, so a restored entity's version (and history) goes on from it
+  bumpVersion(entity);
+  transaction.save({
+    "key": storage.key(TRASH_ITEM.name),
+    "data": makeTrashItem(type, id, entity, user ? user.sub : null, new Date().toISOString()),
+    "excludeFromIndexes": ["entity"]
+  });
+}
+
+// delete an existing entity; if it has an owner, it authenticates the user and checks if the user owns (or created or moderates) the entity
+// the entity is moved to the trash, where it can be restored until the retention window passes (see trash.js)
+// input: trailId to delete
+// output on success: code 204 after entity is moved to the trash
+// output on error: code 403 if user doesn't own the entity; 404 if entity doesn't exist
+async function deleteEntity(id, type, headers, user) {
+  // must accept JSON response
+  if (acceptTypeIsNotJSON(headers)) { 
+    return acceptTypeError;
+  }
+
+  let viewer = null;
+
+  // if the entity has an owner, authenticate user; they must own it (checked below)
+  if (hasOwner(type)) {
+    viewer = await getViewer(user);
+
+    if (!viewer) {
+      return userNotAuthenticatedError;
+    } 
+  }
+
+  // remove the entity from its related entities and move it to the trash in one transaction, so nothing is left pointing at it
+  return runInTransaction(async (transaction, events) => {
+    // protected entities: 403 if it doesn't exist or user doesn't own it (editors can't delete)
+    // trailheads: 404 if it doesn't exist; 403 if user isn't its creator or a moderator
+    const {entity, error} = await getEntityForRole(transaction, id, type, viewer, hasOwner(type) ? "owner" : "editor");
+    if (error) {
+      return error;
+    } else if (!isPreconditionMet(headers["if-match"], entity.version)) {
+      return preconditionFailedError;
+    }
+
+    await trashInTransaction(transaction, entity, type, headers, user);
+    queueEntityEvent(events, type, "deleted", entity);
+
+    return {
+      "code": 204,
+      "data": {}
+    }
+  }).catch(error => {
+    console.log("error deleting entity", error);
+    return storageError;
+  });
+}
+
+// adds trailhead to trail, if the authenticated user owns that trail or is one of its editors
+// input: trailId and trailheadId
+// output on error: if user can't be authenticated; if trail or trailhead doesn't exist; if user can't edit trail
+// output on success: trailhead ID is added to trail; trail ID is added to trailhead; returns 204 and no body
+async function assignTrailheadToTrail(trailId, trailheadId, headers, user) { 
+  // must accept JSON response
+  if (acceptTypeIsNotJSON(headers)) { 
+    return acceptTypeError;
+  }
+
+  // error if user can't be authenticated 
+  const viewer = await getViewer(user);
+
+  if (!viewer) {
+    return userNotAuthenticatedError;
+  }
+
+  // read and update both sides in one transaction, so they are never left linked on one side only
+  return runInTransaction(async (transaction, events) => {
+    // get trail and trailhead from datastore (only finds trails that the user owns or can edit)
+    const {entity: trailEntity, error} = await getEntityForRole(transaction, trailId, TRAIL, viewer, "editor");
+    const trailheadEntity = await getEntityInTransaction(transaction, trailheadId, TRAILHEAD, null);
+
+    // error if trail or trailhead doesn't exist, or if user can't edit the trail; or if trailhead is already assigned to that trail
+    if (error) {
+      return error;
+    } else if (!trailheadEntity) {
       return doesNotExistError;
     }
+
+    const onTrail = hasId(trailEntity.trailheads, trailheadEntity[storage.KEY].id);
+    const onTrailhead = hasId(trailheadEntity.trails, trailEntity[storage.KEY].id);
+
+    if (onTrail && onTrailhead) {
+      return alreadyExistsError;
+    }
+
+    // add trail ID to trailhead and trailhead ID to trail (only where missing, which also completes a one-sided link)
+    if (!onTrail) {
+      trailEntity.trailheads = (trailEntity.trailheads || []).concat([String(trailheadEntity[storage.KEY].id)]);
+    }
+    if (!onTrailhead) {
+      trailheadEntity.trails = (trailheadEntity.trails || []).concat([String(trailEntity[storage.KEY].id)]);
+    }
+
+    bumpVersion(trailEntity);
+    bumpVersion(trailheadEntity);
+    transaction.update([trailEntity, trailheadEntity]);
+    queueRelationshipEvent(events, "added", trailEntity, trailheadEntity);
+
+    return {
+      "code": 204,
+      "data": {}
+    }
+  }).catch(error => {
+    console.log("error assigning trailhead", error);
+    return storageError;
+  });
+}
+
+// removes trailhead to trail, if the authenticated user owns that trail or is one of its editors
+// input: trailId and trailheadId
+// output on error: if user can't be authenticated; if trail or trailhead doesn't exist; if user can't edit trail
+// output on success: trailhead ID is added to trail; trail ID is added to trailhead; returns 204 and no body
+async function removeTrailheadFromTrail(trailId, trailheadId, headers, user) { 
+  // must accept JSON response
+  if (acceptTypeIsNotJSON(headers)) { 
+    return acceptTypeError;
+  }
+
+  // error if user can't be authenticated 
+  const viewer = await getViewer(user);
+
+  if (!viewer) {
+    return userNotAuthenticatedError;
+  }
+
+  // read and update both sides in one transaction, so they are never left linked on one side only
+  return runInTransaction(async (transaction, events) => {
+    // get trail and trailhead from datastore (only gets trail that the user owns or can edit)
+    const {entity: trailEntity, error} = await getEntityForRole(transaction, trailId, TRAIL, viewer, "editor");
+    const trailheadEntity = await getEntityInTransaction(transaction, trailheadId, TRAILHEAD, null);
+
+    // error if trail or trailhead doesn't exist, or user can't edit the trail; or if trailhead isn't already assigned to trail and vice versa
+    if (error) {
+      return error;
+    } else if (!trailheadEntity) {
+      return doesNotExistError;  
+    } else if (!hasId(trailEntity.trailheads, trailheadEntity[storage.KEY].id) && !hasId(trailheadEntity.trails, trailEntity[storage.KEY].id)) {
+      return relationshipDoesNotExistError;
+    } 
+
+    // removes trail ID from trailhead and trailhead ID from trail; updates both in datastore
+    trailEntity.trailheads = withoutId(trailEntity.trailheads, trailheadEntity[storage.KEY].id);
+    trailheadEntity.trails = withoutId(trailheadEntity.trails, trailEntity[storage.KEY].id);
+
+    bumpVersion(trailEntity);
+    bumpVersion(trailheadEntity);
+    transaction.update([trailEntity, trailheadEntity]);
+    queueRelationshipEvent(events, "removed", trailEntity, trailheadEntity);
+
+    return {
+      "code": 204,
+      "data": {}
+    }
+  }).catch(error => {
+    console.log("error removing trailhead", error);
+    return storageError;
+  });
+}
+
+// shares a trail with another user, or changes their role, if the authenticated user owns the trail
+// the share only gives access while the trail's visibility is shared or public (see getRole), so private trails can't be shared
+// (a trail that is made private keeps its shares, and they give access again if it's shared again)
+// input: trailId; ID of the user's profile (their id, not their userId); headers (includes Accept and optional If-Match); user from authenticate; body with role
+// output on success: 201 and the share if the trail wasn't shared with that user before; 200 and the share if their role was replaced
+// output on error: 400 if role is missing or invalid, or the user is the trail's owner; 401 if user can't be authenticated;
+//   403 if trail doesn't exist or user doesn't own it; 404 if the user to share with doesn't exist; 409 if the trail is private;
+//   412 if If-Match is out of date
+async function putTrailShare(trailId, shareUserId, headers, user, body) {
+  // must accept JSON response
+  if (acceptTypeIsNotJSON(headers)) { 
+    return acceptTypeError;
+  }
+
+  const attributeError = checkAttributes(TRAIL_SHARE, body, true);
+  if (attributeError) {
+    return attributeError;
+  }
+
+  // error if user can't be authenticated 
+  const viewer = await getViewer(user);
+
+  if (!viewer) {
+    return userNotAuthenticatedError;
+  }
+
+  const shareUser = await getEntityFromDatastore(shareUserId, USER, null).catch(error => console.log(error));
+
+  return runInTransaction(async (transaction) => {
+    // only the owner can share a trail
+    const {entity: trailEntity, error} = await getEntityForRole(transaction, trailId, TRAIL, viewer, "owner");
+    if (error) {
+      return error;
+    } else if (!shareUser) {
+      return doesNotExistError;
+    } else if (shareUser.userId === trailEntity.userId) {
+      return shareWithOwnerError;
+    } else if (attributeValue(TRAIL, trailEntity, "visibility") === "private") {
+      return sharePrivateTrailError;
+    } else if (!isPreconditionMet(headers["if-match"], trailEntity.version)) {
+      return preconditionFailedError;
+    }
+
+    const share = { "user": String(shareUser[storage.KEY].id), "role": body.role };
+    const existed = hasId((trailEntity.shares || []).map(other => other.user), share.user);
+
+    trailEntity.shares = (trailEntity.shares || []).filter(other => String(other.user) !== share.user).concat([share]);
+    Object.assign(trailEntity, makeIndexAttributes(TRAIL, trailEntity));
+    bumpVersion(trailEntity);
+    transaction.update(trailEntity);
+    transaction.save(makeSearchWrite(TRAIL, trailId, trailEntity));
+
+    return {
+      "code": existed ? 200 : 201,
+      "data": makeShareFormatJSON(trailEntity[storage.KEY].id, share),
+      "headers": { "ETag": makeETag(trailEntity.version, MEDIA_TYPES.JSON) }
+    };
+  }).catch(error => {
+    console.log("error sharing trail", error);
+    return storageError;
+  });
+}
+
+// stops sharing a trail with a user. the trail's owner can remove anyone; a user can remove themselves
+// input: trailId; ID of the user's profile; headers (includes Accept and optional If-Match); user from authenticate
+// output on success: 204 and no body
+// output on error: 401 if user can't be authenticated; 403 if trail doesn't exist or user is neither its owner nor the user being removed;
+//   404 if the trail isn't shared with that user; 412 if If-Match is out of date
+async function deleteTrailShare(trailId, shareUserId, headers, user) {
+  // must accept JSON response
+  if (acceptTypeIsNotJSON(headers)) { 
+    return acceptTypeError;
+  }
+
+  // error if user can't be authenticated 
+  const viewer = await getViewer(user);
+
+  if (!viewer) {
+    return userNotAuthenticatedError;
+  }
+
+  return runInTransaction(async (transaction) => {
+    const trailEntity = await getEntityInTransaction(transaction, trailId, TRAIL, null);
+    const isSelf = viewer.id !== null && String(viewer.id) === String(shareUserId);
+
+    if (!trailEntity || (getRole(TRAIL, trailEntity, viewer) !== "owner" && !isSelf)) {
+      return forbiddenError;
+    } else if (!hasId((trailEntity.shares || []).map(share => share.user), shareUserId)) {
+      return doesNotExistError;
+    } else if (!isPreconditionMet(headers["if-match"], trailEntity.version)) {
+      return preconditionFailedError;
+    }
+
+    trailEntity.shares = trailEntity.shares.filter(share => String(share.user) !== String(shareUserId));
+    Object.assign(trailEntity, makeIndexAttributes(TRAIL, trailEntity));
+    bumpVersion(trailEntity);
+    transaction.update(trailEntity);
+    transaction.save(makeSearchWrite(TRAIL, trailId, trailEntity));
+
+    return {
+      "code": 204,
+      "data": {}
+    };
+  }).catch(error => {
+    console.log("error removing share", error);
+    return storageError;
+  });
+}
+
+// replaces a trail's route with an uploaded GPX document, GeoJSON LineString, or list of points, if the authenticated user owns the trail or is one of its editors
+// the trail's length becomes the route's length, and the route's elevation stats are saved with the trail
+// input: trailId; headers (includes Content-Type and Accept); user from authenticate; body (GPX text or parsed JSON)
+// output on success: 200 and the updated trail, including its route stats
+// output on error: 400 if route can't be read; 401 if user can't be authenticated; 403 if user can't edit trail; 415 if body isn't GPX or JSON
+async function putTrailRoute(trailId, headers, user, body) {
+  // must accept JSON response
+  if (acceptTypeIsNotJSON(headers)) { 
+    return acceptTypeError;
+  }
+
+  // body must be GPX or JSON (body parsers leave other types as an empty object)
+  const mediaType = (headers["content-type"] || "").split(";")[0].trim().toLowerCase();
+  if (!["application/json", "application/geo+json", "application/gpx+xml", "application/xml", "text/xml"].includes(mediaType)) {
+    return unsupportedMediaTypeError;
+  }
+
+  const route = readRoute(mediaType, body);
+  if (route.error) {
+    return {
+      "code": routeInvalidError.code,
+      "data": {
+        "error": routeInvalidError.data.error,
+        "details": route.error
+      }
+    };
+  }
+
+  // error if user can't be authenticated 
+  const viewer = await getViewer(user);
+
+  if (!viewer) {
+    return userNotAuthenticatedError;
+  }
+
+  // stats and length are saved with the trail; the points are saved apart, as text so they don't need to be indexed
+  const stats = makeRouteStats(route.points);
+
+  const routeEntity = {
+    "key": storage.key([TRAIL_ROUTE.name, parseInt(trailId)]),
+    "data": {
+      "trailId": trailId,
+      "points": JSON.stringify(route.points)
+    },
+    "excludeFromIndexes": ["points"]
+  };
+
+  // replace route and stats together, so the trail's stats always match its saved route
+  return runInTransaction(async (transaction, events) => {
+    // only gets trail if the user owns it or can edit it
+    const {entity: trailEntity, error} = await getEntityForRole(transaction, trailId, TRAIL, viewer, "editor");
+    if (error) {
+      return error;
+    } else if (!isPreconditionMet(headers["if-match"], trailEntity.version)) {
+      return preconditionFailedError;
+    }
+
+    // the route's measured length replaces the trail's, so that change is kept in the trail's history
+    const before = makeState(TRAIL, trailEntity);
+
+    trailEntity.route = stats;
+    trailEntity.length = stats.length;
+    Object.assign(trailEntity, makeIndexAttributes(TRAIL, trailEntity));
+    bumpVersion(trailEntity);
+
+    transaction.save(routeEntity);
+    transaction.update(trailEntity);
+    transaction.save(makeRevisionWrite(TRAIL, trailId, trailEntity, before, "update", headers, user));
+    queueEntityEvent(events, TRAIL, "updated", trailEntity);
+
+    return {
+      "code": 200,
+      "data": makeTrailFormatJSON(trailEntity, viewer),
+      "headers": { "ETag": makeETag(trailEntity.version, MEDIA_TYPES.JSON) }
+    };
+  }).catch(error => {
+    console.log("error saving route", error);
+    return storageError;
+  });
+}
+
+// returns a proposed trailhead edit in JSON
+// input: editEntity from datastore
+// output: object containing the trailhead's ID, the proposed changes, who proposed and reviewed them, and self URL
+function makeTrailheadEditFormatJSON(editEntity) {
+  return {
+    "trailhead": editEntity.trailheadId,
+    "changes": editEntity.changes,
+    "status": editEntity.status,
+    "userId": editEntity.userId,
+    "created": editEntity.created,
+    "reviewedBy": editEntity.reviewedBy || null,
+    "reviewed": editEntity.reviewed || null,
+    "reason": editEntity.reason || null,
+    "id": editEntity[storage.KEY].id,
+    "self": makeSelfURL(editEntity.trailheadId, TRAILHEAD) + "/" + TRAILHEAD_EDIT.URL + editEntity[storage.KEY].id
+  }
+}
+
+// proposes an edit to a trailhead, for a creator or moderator to approve or reject; any authenticated user can propose one
+// input: trailheadId; headers (includes Accept); user from authenticate; body with the trailhead attributes to change (like PATCH /trailheads/:trailheadId)
+// output on success: 201 and the proposed edit, with status pending
+// output on error: 400 if body has no trailhead attributes or one is invalid; 401 if user can't be authenticated; 404 if trailhead doesn't exist
+async function postTrailheadEdit(trailheadId, headers, user, body) {
+  // must accept JSON response
+  if (acceptTypeIsNotJSON(headers)) { 
+    return acceptTypeError;
+  }
+
+  // only the attributes that are provided need to be valid, but there must be at least one
+  const attributeError = checkAttributes(TRAILHEAD, body, false);
+  if (attributeError) {
+    return attributeError;
+  }
+
+  const changes = {};
+  for (const attr of TRAILHEAD.requiredAttributes) {
+    if (attr in body) {
+      changes[attr] = body[attr];
+    }
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return {
+      "code": attributeMissingError.code,
+      "data": {
+        "error": attributeMissingError.data.error,
+        "attributes": [{ "attribute": TRAILHEAD.requiredAttributes.join(", "), "error": "at least one is required" }]
+      }
+    };
+  }
+
+  // error if user can't be authenticated 
+  const viewer = await getViewer(user);
+
+  if (!viewer) {
+    return userNotAuthenticatedError;
+  }
+
+  const trailheadEntity = await getEntityFromDatastore(trailheadId, TRAILHEAD, null).catch(error => console.log(error));
+  if (!trailheadEntity) {
+    return doesNotExistError;
+  }
+
+  const key = storage.key(TRAILHEAD_EDIT.name);
+  const editEntity = {
+    "trailheadId": String(trailheadEntity[storage.KEY].id),
+    "changes": changes,
+    "status": "pending",
+    "userId": viewer.sub,
+    "created": new Date().toISOString()
+  };
+
+  try {
+    await storage.save({ "key": key, "data": editEntity });
+  } catch (error) {
+    console.log("error saving proposed edit", error);
+    return storageError;
+  }
+
+  editEntity[storage.KEY] = key;
+
+  return {
+    "code": 201,
+    "data": makeTrailheadEditFormatJSON(editEntity)
+  };
+}
+
+// gets a page of proposed trailhead edits, oldest first: one trailhead's (anyone can see them), or every trailhead's (moderators only)
+// input: trailheadId, or null for every trailhead; headers (includes Accept); user from authenticate; query parameters status (optional) and nextPage
+// output on success: 200 and a page of proposed edits; next URL if there are more
+// output on error: 400 if status is invalid; 401 if user can't be authenticated; 403 if user isn't a moderator; 404 if trailhead doesn't exist
+async function getTrailheadEdits(trailheadId, headers, user, query) {
+  // must accept JSON response
+  if (acceptTypeIsNotJSON(headers)) { 
+    return acceptTypeError;
+  }
+
+  const params = {};
+  if ("status" in query) {
+    if (checkField(TRAILHEAD_EDIT.fields.status, query.status)) {
+      return makeQueryParameterError([{ "parameter": "status", "error": "must be one of: " + TRAILHEAD_EDIT.fields.status.values.join(", ") }]);
+    }
+    params.status = query.status;
+  }
+
+  let listURL = URL + TRAILHEAD.URL + TRAILHEAD_EDIT.URL;
+
+  if (trailheadId === null) {
+    // only moderators can see every trailhead's proposed edits
+    const viewer = await getViewer(user);
+
+    if (!viewer) {
+      return userNotAuthenticatedError;
+    } else if (!isModerator(viewer)) {
+      return forbiddenError;
+    }
+  } else {
+    const trailheadEntity = await getEntityFromDatastore(trailheadId, TRAILHEAD, null).catch(error => console.log(error));
+    if (!trailheadEntity) {
+      return doesNotExistError;
+    }
+    listURL = makeSelfURL(trailheadEntity[storage.KEY].id, TRAILHEAD) + "/" + TRAILHEAD_EDIT.URL;
+  }
+
+  let countQuery = storage.createQuery(TRAILHEAD_EDIT.name).select('__key__');
+  let pageQuery = storage.createQuery(TRAILHEAD_EDIT.name).limit(RESULTS_PER_PAGE);
+
+  for (const [property, value] of [["trailheadId", trailheadId === null ? null : String(trailheadId)], ["status", params.status]]) {
+    if (value) {
+      countQuery = countQuery.filter(property, '=', value);
+      pageQuery = pageQuery.filter(property, '=', value);
+    }
+  }
+
+  if (query.nextPage) {
+    pageQuery = pageQuery.start(query.nextPage);
+  }
+
+  try {
+    const [counted] = await storage.runQuery(countQuery);
+    const [edits, info] = await storage.runQuery(pageQuery);
+
+    const data = {
+      "count": counted.length,
+      "self": listURL + makeQueryString(query.nextPage ? Object.assign({}, params, { "nextPage": query.nextPage }) : params),
+      "items": edits.map(makeTrailheadEditFormatJSON)
+    };
+
+    if (info.moreResults !== storage.NO_MORE_RESULTS) {
+      data.next = listURL + makeQueryString(Object.assign({}, params, { "nextPage": info.endCursor }));
+    }
+
+    return {
+      "code": 200,
+      "data": data
+    };
+  } catch (error) {
+    if (isCursorError(error, query.nextPage)) {
+      return cursorInvalidError;
+    }
+    console.log("error getting proposed edits", error);
+    return storageError;
+  }
+}
+
+// gets one proposed edit of a trailhead
+// input: trailheadId; editId; headers (includes Accept)
+// output on success: 200 and the proposed edit
+// output on error: 404 if the edit doesn't exist or is for another trailhead
+async function getTrailheadEdit(trailheadId, editId, headers) {
+  // must accept JSON response
+  if (acceptTypeIsNotJSON(headers)) { 
+    return acceptTypeError;
+  }
+
+  const editEntity = await getEntityFromDatastore(editId, TRAILHEAD_EDIT, null).catch(error => console.log(error));
+  if (!editEntity || editEntity.trailheadId !== String(trailheadId)) {
+    return doesNotExistError;
+  }
+
+  return {
+    "code": 200,
+    "data": makeTrailheadEditFormatJSON(editEntity)
+  };
+}
+
+// approves or rejects a proposed edit, if the authenticated user created the trailhead or is a moderator. approving applies its changes to the trailhead
+// both are saved in one transaction, so an edit can't be applied twice or applied after it was rejected
+// input: trailheadId; editId; headers (includes Accept and optional If-Match for the trailhead); user from authenticate; body with optional reason; whether to approve
+// output on success: 200 and the reviewed edit; approving also returns the trailhead's new ETag
+// output on error: 400 if reason is invalid; 401 if user can't be authenticated; 403 if user isn't the trailhead's creator or a moderator;
+//   404 if the trailhead or edit doesn't exist; 409 if the edit was already reviewed; 412 if If-Match is out of date
+async function reviewTrailheadEdit(trailheadId, editId, headers, user, body, approve) {
+  // must accept JSON response
+  if (acceptTypeIsNotJSON(headers)) { 
+    return acceptTypeError;
+  }
+
+  // the reviewer can only send a reason
+  const review = "reason" in body ? { "reason": body.reason } : {};
+  const attributeError = checkAttributes(TRAILHEAD_EDIT, review, false);
+  if (attributeError) {
+    return attributeError;
+  }
+
+  // error if user can't be authenticated 
+  const viewer = await getViewer(user);
+
+  if (!viewer) {
+    return userNotAuthenticatedError;
+  }
+
+  return runInTransaction(async (transaction, events) => {
+    const {entity: trailheadEntity, error} = await getEntityForRole(transaction, trailheadId, TRAILHEAD, viewer, "owner");
+    if (error) {
+      return error;
+    }
+
+    const editEntity = await getEntityInTransaction(transaction, editId, TRAILHEAD_EDIT, null);
+    if (!editEntity || editEntity.trailheadId !== String(trailheadId)) {
+      return doesNotExistError;
+    } else if (editEntity.status !== "pending") {
+      return alreadyReviewedError;
+    } else if (approve && !isPreconditionMet(headers["if-match"], trailheadEntity.version)) {
+      return preconditionFailedError;
+    }
+
+    editEntity.status = approve ? "approved" : "rejected";
+    editEntity.reviewedBy = viewer.sub;
+    editEntity.reviewed = new Date().toISOString();
+    if ("reason" in review) {
+      editEntity.reason = review.reason;
+    }
+    transaction.update(editEntity);
+
+    const response = {
+      "code": 200,
+      "data": makeTrailheadEditFormatJSON(editEntity)
+    };
+
+    // the revision of an approved edit is made by its reviewer, since they decided to make the change
+    if (approve) {
+      const before = makeState(TRAILHEAD, trailheadEntity);
+
+      Object.assign(trailheadEntity, editEntity.changes);
+      Object.assign(trailheadEntity, makeIndexAttributes(TRAILHEAD, trailheadEntity));
+      bumpVersion(trailheadEntity);
+      transaction.update(trailheadEntity);
+      transaction.save([makeRevisionWrite(TRAILHEAD, trailheadId, trailheadEntity, before, "update", headers, user), makeSearchWrite(TRAILHEAD, trailheadId, trailheadEntity)]);
+      queueEntityEvent(events, TRAILHEAD, "updated", trailheadEntity);
+
+      response.headers = { "ETag": makeETag(trailheadEntity.version, MEDIA_TYPES.JSON) };
+    }
+
+    return response;
+  }).catch(error => {
+    console.log("error reviewing proposed edit", error);
+    return storageError;
+  });
+}
+
+// deletes every proposed edit of a trailhead; use after the trailhead is deleted for good
+// input: trailheadId
+async function deleteTrailheadEdits(trailheadId) {
+  const query = storage.createQuery(TRAILHEAD_EDIT.name).select('__key__').filter('trailheadId', '=', String(trailheadId));
+  const [edits] = await storage.runQuery(query);
+
+  if (edits.length > 0) {
+    await storage.delete(edits.map(edit => edit[storage.KEY]));
+  }
+}
+
+// returns a review in JSON
+// input: reviewEntity from datastore
+// output: object containing the ID of the trail or trailhead it reviews, rating, text, who wrote it and when, and self URL
+function makeReviewFormatJSON(reviewEntity) {
+  const type = reviewEntity.trailId !== undefined ? TRAIL : TRAILHEAD;
+  const subject = REVIEW_SUBJECTS[type.name];
+
+  return {
+    [subject.name]: reviewEntity[subject.attribute],
+    "rating": reviewEntity.rating,
+    "text": reviewEntity.text,
+    "userId": reviewEntity.userId,
+    "created": reviewEntity.created,
+    "updated": reviewEntity.updated || null,
+    "id": reviewEntity[storage.KEY].id,
+    "self": makeSelfURL(reviewEntity[subject.attribute], type) + "/" + REVIEW.URL + reviewEntity[storage.KEY].id
+  }
+}
+
+// checks that a user may see the reviews or condition reports of a trail or trailhead: anyone can see a trailhead's, but only the users who can see a trail can see its
+// input: type reviewed (TRAIL, TRAILHEAD); the trail or trailhead (null if it doesn't exist); viewer from getViewer (or null if not authenticated)
+// output: null if they may; otherwise 404 for a trailhead that doesn't exist, or 403 for a trail that doesn't exist or they can't see (401 if they aren't authenticated)
+function checkViewableSubject(type, entity, viewer) {
+  if (!type.protected) {
+    return entity ? null : doesNotExistError;
+  } else if (!entity || !canViewEntity(type, entity, viewer)) {
+    return viewer ? forbiddenError : userNotAuthenticatedError;
+  }
+  return null;
+}
+
+// gets one review of a trail or trailhead through a transaction
+// input: transaction; reviewId; type reviewed (TRAIL, TRAILHEAD) and its ID
+// output: review entity, or null if it doesn't exist or reviews something else
+async function getReviewInTransaction(transaction, reviewId, type, subjectId) {
+  const reviewEntity = await getEntityInTransaction(transaction, reviewId, REVIEW, null);
+
+  if (!reviewEntity || reviewEntity[REVIEW_SUBJECTS[type.name].attribute] !== String(subjectId)) {
+    return null;
+  }
+  return reviewEntity;
+}
+
+// deletes a review and takes its rating out of its trail's or trailhead's, in a transaction it is given
+// input: transaction; review entity
+async function deleteReviewInTransaction(transaction, reviewEntity) {
+  const type = reviewEntity.trailId !== undefined ? TRAIL : TRAILHEAD;
+  const subjectEntity = await getEntityInTransaction(transaction, reviewEntity[REVIEW_SUBJECTS[type.name].attribute], type, null);
+
+  // the trail or trailhead may already be gone, with reviews left over (see deleteReviewsOf), or in the trash; restoring it counts its ratings again
+  if (subjectEntity) {
+    applyRating(subjectEntity, reviewEntity.rating, null);
+    bumpVersion(subjectEntity);
+    transaction.update(subjectEntity);
+  }
+
+  transaction.delete(reviewEntity[storage.KEY]);
+}
+
+// reviews a trail or trailhead as the authenticated user, who must be able to see it; its average rating and review count are updated with it
+// input: type reviewed (TRAIL, TRAILHEAD); its ID; headers (includes Accept); user from authenticate; body with rating and text
+// output on success: 201 and the review, with its ETag
+// output on error: 400 if rating or text is missing or invalid; 401 if user can't be authenticated; 403 if user already reviewed it,
+//   or if a trail doesn't exist or user can't see it; 404 if a trailhead doesn't exist
+async function postReview(type, subjectId, headers, user, body) {
+  // must accept JSON response
+  if (acceptTypeIsNotJSON(headers)) { 
+    return acceptTypeError;
+  }
+
+  const attributeError = checkAttributes(REVIEW, body, true);
+  if (attributeError) {
+    return attributeError;
+  }
+
+  // error if user can't be authenticated 
+  const viewer = await getViewer(user);
+
+  if (!viewer) {
+    return userNotAuthenticatedError;
+  }
+
+  const attribute = REVIEW_SUBJECTS[type.name].attribute;
+  const [[key]] = await storage.allocateIds(storage.key(REVIEW.name), 1);
+
+  // the trail or trailhead is updated with every review, so two reviews of it by the same user can't both commit;
+  // the one that is retried finds the other with the query
+  return runInTransaction(async (transaction) => {
+    const subjectEntity = await getEntityInTransaction(transaction, subjectId, type, null);
+    const error = checkViewableSubject(type, subjectEntity, viewer);
+    if (error) {
+      return error;
+    }
+
+    const query = storage.createQuery(REVIEW.name)
+      .filter(attribute, '=', String(subjectEntity[storage.KEY].id))
+      .filter('userId', '=', viewer.sub)
+      .limit(1);
+    const [reviews] = await storage.runQuery(query);
+
+    if (reviews.length > 0) {
+      return alreadyExistsError;
+    }
+
+    const reviewEntity = {
+      [attribute]: String(subjectEntity[storage.KEY].id),
+      "rating": body.rating,
+      "text": body.text,
+      "userId": viewer.sub,
+      "created": new Date().toISOString(),
+      "version": 1
+    };
+    transaction.save({ "key": key, "data": reviewEntity });
+
+    applyRating(subjectEntity, null, reviewEntity.rating);
+    bumpVersion(subjectEntity);
+    transaction.update(subjectEntity);
+
+    reviewEntity[storage.KEY] = key;
+
+    return {
+      "code": 201,
+      "data": makeReviewFormatJSON(reviewEntity),
+      "headers": { "ETag": makeETag(1, MEDIA_TYPES.JSON) }
+    };
+  }).catch(error => {
+    console.log("error saving review", error);
+    return storageError;
+  });
+}
+
+// gets a page of a trail's or trailhead's reviews, oldest first
+// input: type reviewed (TRAIL, TRAILHEAD); its ID; headers (includes Accept); user from authenticate (trails only); query parameter nextPage
+// output on success: 200 and a page of reviews; next URL if there are more
+// output on error: 401 if a trail's reviews are requested without a valid token and it isn't public; 403 if a trail doesn't exist or user can't see it;
+//   404 if a trailhead doesn't exist
+async function getReviews(type, subjectId, headers, user, query) {
+  // must accept JSON response
+  if (acceptTypeIsNotJSON(headers)) { 
+    return acceptTypeError;
+  }
+
+  let viewer = null;
+
+  // a trail's reviews can only be seen by users who can see the trail
+  if (type.protected) {
+    viewer = await getViewer(user);
+
+    if (viewer === false) {
+      return userNotAuthenticatedError;
+    }
+  }
+
+  const subjectEntity = await getEntityFromDatastore(subjectId, type, null).catch(error => console.log(error));
+  const error = checkViewableSubject(type, subjectEntity, viewer);
+  if (error) {
+    return error;
+  }
+
+  const listURL = makeSelfURL(subjectEntity[storage.KEY].id, type) + "/" + REVIEW.URL;
+  const attribute = REVIEW_SUBJECTS[type.name].attribute;
+
+  const countQuery = storage.createQuery(REVIEW.name).select('__key__').filter(attribute, '=', String(subjectEntity[storage.KEY].id));
+  let pageQuery = storage.createQuery(REVIEW.name).filter(attribute, '=', String(subjectEntity[storage.KEY].id)).limit(RESULTS_PER_PAGE);
+
+  if (query.nextPage) {
+    pageQuery = pageQuery.start(query.nextPage);
+  }
+
+  try {
+    const [counted] = await storage.runQuery(countQuery);
+    const [reviews, info] = await storage.runQuery(pageQuery);
+
+    const data = {
+      "count": counted.length,
+      "self": listURL + makeQueryString(query.nextPage ? { "nextPage": query.nextPage } : {}),
+      "items": reviews.map(makeReviewFormatJSON)
+    };
+
+    if (info.moreResults !== storage.NO_MORE_RESULTS) {
+      data.next = listURL + makeQueryString({ "nextPage": info.endCursor });
+    }
+
+    return {
+      "code": 200,
+      "data": data
+    };
+  } catch (error) {
+    if (isCursorError(error, query.nextPage)) {
+      return cursorInvalidError;
+    }
+    console.log("error getting reviews", error);
+    return storageError;
+  }
+}
+
+// gets one review of a trail or trailhead
+// input: type reviewed (TRAIL, TRAILHEAD); its ID; reviewId; headers (includes Accept and optional If-None-Match); user from authenticate (trails only)
+// output on success: 200 and the review, with its ETag (304 if If-None-Match has it)
+// output on error: 401 if a trail's review is requested without a valid token and it isn't public; 403 if a trail doesn't exist or user can't see it;
+//   404 if a trailhead or the review doesn't exist
+async function getReview(type, subjectId, reviewId, headers, user) {
+  // must accept JSON response
+  if (acceptTypeIsNotJSON(headers)) { 
+    return acceptTypeError;
+  }
+
+  let viewer = null;
+
+  if (type.protected) {
+    viewer = await getViewer(user);
+
+    if (viewer === false) {
+      return userNotAuthenticatedError;
+    }
+  }
+
+  const subjectEntity = await getEntityFromDatastore(subjectId, type, null).catch(error => console.log(error));
+  const error = checkViewableSubject(type, subjectEntity, viewer);
+  if (error) {
+    return error;
+  }
+
+  const reviewEntity = await getEntityFromDatastore(reviewId, REVIEW, null).catch(error => console.log(error));
+  if (!reviewEntity || reviewEntity[REVIEW_SUBJECTS[type.name].attribute] !== String(subjectId)) {
+    return doesNotExistError;
+  }
+
+  const etag = makeETag(reviewEntity.version, MEDIA_TYPES.JSON);
+  if (isNotModified(headers["if-none-match"], etag)) {
+    return {
+      "code": 304,
+      "data": {},
+      "headers": { "ETag": etag }
+    };
+  }
+
+  return {
+    "code": 200,
+    "data": makeReviewFormatJSON(reviewEntity),
+    "headers": { "ETag": etag }
+  };
+}
+
+// replaces (PUT) or edits (PATCH) the authenticated user's review; a changed rating is applied to the trail's or trailhead's average in the same transaction
+// input: type reviewed (TRAIL, TRAILHEAD); its ID; reviewId; headers (includes Accept and optional If-Match and Prefer); user from authenticate;
+//   body with rating and text (PUT needs both); true for PUT
+// output on success: 200 and the review, with its new ETag (see makeWriteResponse)
+// output on error: 400 if an attribute is missing or invalid; 401 if user can't be authenticated; 403 if user didn't write the review,
+//   or if a trail doesn't exist or user can't see it; 404 if a trailhead or the review doesn't exist; 412 if it changed since the version in If-Match
+async function updateReview(type, subjectId, reviewId, headers, user, body, replace) {
+  // must accept JSON response
+  if (acceptTypeIsNotJSON(headers)) { 
+    return acceptTypeError;
+  }
+
+  const attributeError = checkAttributes(REVIEW, body, replace);
+  if (attributeError) {
+    return attributeError;
+  }
+
+  // error if user can't be authenticated 
+  const viewer = await getViewer(user);
+
+  if (!viewer) {
+    return userNotAuthenticatedError;
+  }
+
+  return runInTransaction(async (transaction) => {
+    const subjectEntity = await getEntityInTransaction(transaction, subjectId, type, null);
+    const error = checkViewableSubject(type, subjectEntity, viewer);
+    if (error) {
+      return error;
+    }
+
+    const reviewEntity = await getReviewInTransaction(transaction, reviewId, type, subjectId);
+    if (!reviewEntity) {
+      return doesNotExistError;
+    } else if (reviewEntity.userId !== viewer.sub) {
+      return forbiddenError;
+    } else if (!isPreconditionMet(headers["if-match"], reviewEntity.version)) {
+      return preconditionFailedError;
+    }
+
+    const oldRating = reviewEntity.rating;
+    for (const attr of REVIEW.requiredAttributes.filter(attr => attr in body)) {
+      reviewEntity[attr] = body[attr];
+    }
+    reviewEntity.updated = new Date().toISOString();
+    bumpVersion(reviewEntity);
+    transaction.update(reviewEntity);
+
+    if (reviewEntity.rating !== oldRating) {
+      applyRating(subjectEntity, oldRating, reviewEntity.rating);
+      bumpVersion(subjectEntity);
+      transaction.update(subjectEntity);
+    }
+
+    return makeWriteResponse(REVIEW, reviewEntity, makeReviewFormatJSON(reviewEntity), headers);
+  }).catch(error => {
+    console.log("error updating review", error);
+    return storageError;
+  });
+}
+
+// deletes the authenticated user's review and takes its rating out of the trail's or trailhead's average
+// input: type reviewed (TRAIL, TRAILHEAD); its ID; reviewId; headers (includes Accept and optional If-Match); user from authenticate
+// output on success: 204 and no body
+// output on error: 401 if user can't be authenticated; 403 if user didn't write the review, or if a trail doesn't exist or user can't see it;
+//   404 if a trailhead or the review doesn't exist; 412 if it changed since the version in If-Match
+async function deleteReview(type, subjectId, reviewId, headers, user) {
+  // must accept JSON response
+  if (acceptTypeIsNotJSON(headers)) { 
+    return acceptTypeError;
+  }
+
+  // error if user can't be authenticated 
+  const viewer = await getViewer(user);
+
+  if (!viewer) {
+    return userNotAuthenticatedError;
+  }
+
+  return runInTransaction(async (transaction) => {
+    const subjectEntity = await getEntityInTransaction(transaction, subjectId, type, null);
+    const error = checkViewableSubject(type, subjectEntity, viewer);
+    if (error) {
+      return error;
+    }
+
+    const reviewEntity = await getReviewInTransaction(transaction, reviewId, type, subjectId);
+    if (!reviewEntity) {
+      return doesNotExistError;
+    } else if (reviewEntity.userId !== viewer.sub) {
+      return forbiddenError;
+    } else if (!isPreconditionMet(headers["if-match"], reviewEntity.version)) {
+      return preconditionFailedError;
+    }
+
+    await deleteReviewInTransaction(transaction, reviewEntity);
+
+    return {
+      "code": 204,
+      "data": {}
+    };
+  }).catch(error => {
+    console.log("error deleting review", error);
+    return storageError;
+  });
+}
+
+// deletes every review of a trail or trailhead; use after it is deleted for good
+// input: type reviewed (TRAIL, TRAILHEAD); its ID
+async function deleteReviewsOf(type, subjectId) {
+  const query = storage.createQuery(REVIEW.name).select('__key__').filter(REVIEW_SUBJECTS[type.name].attribute, '=', String(subjectId));
+  const [reviews] = await storage.runQuery(query);
+
+  if (reviews.length > 0) {
+    await storage.delete(reviews.map(review => review[storage.KEY]));
+  }
+}
+
+// returns one of a trail's or trailhead's condition reports in JSON
+// input: type of entity (TRAIL, TRAILHEAD); its ID; condition report saved in its conditions
+// output: object containing the report's attributes, who reported it, and self URL
+function makeConditionFormatJSON(type, id, condition) {
+  return {
+    "type": condition.type,
+    "severity": condition.severity,
+    "description": condition.description,
+    "startsAt": condition.startsAt,
+    "expiresAt": condition.expiresAt,
+    "userId": condition.userId,
+    "created": condition.created,
+    "id": condition.id,
+    "self": makeSelfURL(id, type) + "/" + CONDITION.URL + condition.id
+  }
+}
+
+// brings a trail's or trailhead's condition attributes up to date, if a closure started or expired since they were saved (see conditions.js)
+// input: type of entity (TRAIL, TRAILHEAD); its ID
+// output: the entity as saved, or null if it doesn't exist
+async function refreshClosure(type, id) {
+  return runInTransaction(async (transaction) => {
+    const entity = await getEntityInTransaction(transaction, id, type, null);
+    const now = new Date().toISOString();
+
+    // closed is part of the entity's representation, so its version goes up when closed changes
+    if (entity && isClosureStale(entity, now)) {
+      Object.assign(entity, makeConditionAttributes(entity.conditions, now));
+      bumpVersion(entity);
+      transaction.update(entity);
+    }
+
+    return entity;
+  });
+}
+
+// brings the condition attributes of trails or trailheads whose closures started or expired up to date, so lists can filter on closed;
+// run by each instance every CLOSURE_REFRESH_INTERVAL seconds, and by POST /maintenance/closures/refresh. reads never do it, so they don't write
+// input: type of entity (TRAIL, TRAILHEAD); largest number of batches of CLOSURE_BATCH_SIZE to update (a run stops sooner when none are left)
+// output: number of entities updated
+async function refreshClosures(type, maxBatches) {
+  let refreshed = 0;
+
+  // entities that are updated drop out of the query (their closedChangesAt is later, or null), so each batch starts from the beginning again
+  for (let batch = 0; batch < maxBatches; batch++) {
+    const query = storage.createQuery(type.name).select('__key__')
+      .filter('closedChangesAt', '<=', new Date().toISOString())
+      .limit(CLOSURE_BATCH_SIZE);
+    const [stale] = await storage.runQuery(query);
+
+    for (const entity of stale) {
+      await refreshClosure(type, entity[storage.KEY].id);
+      refreshed++;
+    }
+
+    if (stale.length < CLOSURE_BATCH_SIZE) {
+      break;
+    }
+  }
+
+  return refreshed;
+}
+
+// checks the start and expiry of a new condition report: it must not have expired already
+// input: condition report with startsAt and expiresAt as ISO strings; current time as an ISO string
+// output: 400 error if expiresAt isn't after startsAt or has passed; null otherwise
+function checkConditionTimes(condition, now) {
+  let error = null;
+
+  if (condition.expiresAt !== null && condition.expiresAt <= condition.startsAt) {
+    error = "must be after startsAt";
+  } else if (condition.expiresAt !== null && condition.expiresAt <= now) {
+    error = "must be in the future";
+  }
+
+  if (!error) {
+    return null;
+  }
+
+  return {
+    "code": attributeInvalidError.code,
+    "data": {
+      "error": attributeInvalidError.data.error,
+      "attributes": [{ "attribute": "expiresAt", "error": error }]
+    }
+  };
+}
+
+// reports a condition on a trail or trailhead, if the authenticated user can edit it (a trail's owner or editors; a trailhead's creator or a moderator)
+// input: type of entity (TRAIL, TRAILHEAD); its ID; headers (includes Accept and optional If-Match); user from authenticate;
+//   body with type, severity, startsAt, and optional description and expiresAt
+// output on success: 201 and the report, with the trail's or trailhead's new ETag
+// output on error: 400 if an attribute is missing or invalid; 401 if user can't be authenticated; 403 if user can't edit it (or a trail doesn't exist);
+//   404 if a trailhead doesn't exist; 409 if it has MAX_CONDITIONS current reports; 412 if If-Match is out of date
+async function postCondition(type, id, headers, user, body) {
+  // must accept JSON response
+  if (acceptTypeIsNotJSON(headers)) { 
+    return acceptTypeError;
+  }
+
+  const attributeError = checkAttributes(CONDITION, body, true);
+  if (attributeError) {
+    return attributeError;
+  }
+
+  // error if user can't be authenticated 
+  const viewer = await getViewer(user);
+
+  if (!viewer) {
+    return userNotAuthenticatedError;
+  }
+
+  const [[key]] = await storage.allocateIds(storage.key(CONDITION.name), 1);
+  const condition = makeNewEntity(CONDITION, null, body);
+
+  // times are saved in UTC, so they can be compared as strings
+  condition.startsAt = new Date(condition.startsAt).toISOString();
+  condition.expiresAt = condition.expiresAt === null ? null : new Date(condition.expiresAt).toISOString();
+  condition.userId = viewer.sub;
+  condition.created = new Date().toISOString();
+  condition.id = String(key.id);
+
+  const timeError = checkConditionTimes(condition, condition.created);
+  if (timeError) {
+    return timeError;
+  }
+
+  return runInTransaction(async (transaction) => {
+    const {entity, error} = await getEntityForRole(transaction, id, type, viewer, "editor");
+    if (error) {
+      return error;
+    } else if (!isPreconditionMet(headers["if-match"], entity.version)) {
+      return preconditionFailedError;
+    }
+
+    const now = new Date().toISOString();
+    const conditions = currentConditions(entity.conditions, now);
+    if (conditions.length >= MAX_CONDITIONS) {
+      return conditionLimitError;
+    }
+
+    Object.assign(entity, makeConditionAttributes(conditions.concat([condition]), now));
+    bumpVersion(entity);
+    transaction.update(entity);
+
+    return {
+      "code": 201,
+      "data": makeConditionFormatJSON(type, entity[storage.KEY].id, condition),
+      "headers": { "ETag": makeETag(entity.version, MEDIA_TYPES.JSON) }
+    };
+  }).catch(error => {
+    console.log("error saving condition", error);
+    return storageError;
+  });
+}
+
+// gets a trail's or trailhead's current condition reports (those that haven't expired), soonest to start first
+// input: type of entity (TRAIL, TRAILHEAD); its ID; headers (includes Accept); user from authenticate (trails only); query parameter type (optional)
+// output on success: 200 with count, self, items, and whether it's closed now
+// output on error: 400 if type is invalid; 401 if a trail's reports are requested without a valid token and it isn't public;
+//   403 if a trail doesn't exist or user can't see it; 404 if a trailhead doesn't exist
+async function getConditions(type, id, headers, user, query) {
+  // must accept JSON response
+  if (acceptTypeIsNotJSON(headers)) { 
+    return acceptTypeError;
+  }
+
+  const params = {};
+  if ("type" in query) {
+    if (checkField(CONDITION.fields.type, query.type)) {
+      return makeQueryParameterError([{ "parameter": "type", "error": "must be one of: " + CONDITION.fields.type.values.join(", ") }]);
+    }
+    params.type = query.type;
+  }
+
+  let viewer = null;
+
+  // a trail's reports can only be seen by users who can see the trail
+  if (type.protected) {
+    viewer = await getViewer(user);
+
+    if (viewer === false) {
+      return userNotAuthenticatedError;
+    }
+  }
+
+  const entity = await getEntityFromDatastore(id, type, null).catch(error => console.log(error));
+  const error = checkViewableSubject(type, entity, viewer);
+  if (error) {
+    return error;
+  }
+
+  const now = new Date().toISOString();
+  const items = currentConditions(entity.conditions, now)
+    .filter(condition => !params.type || condition.type === params.type)
+    .map(condition => makeConditionFormatJSON(type, entity[storage.KEY].id, condition));
+
+  return {
+    "code": 200,
+    "data": {
+      "count": items.length,
+      "closed": isClosed(entity.conditions, now),
+      "self": makeSelfURL(entity[storage.KEY].id, type) + "/" + CONDITION.URL + makeQueryString(params),
+      "items": items
+    }
+  };
+}
+
+// gets one of a trail's or trailhead's current condition reports
+// input: type of entity (TRAIL, TRAILHEAD); its ID; conditionId; headers (includes Accept); user from authenticate (trails only)
+// output on success: 200 and the report
+// output on error: 401 if a trail's report is requested without a valid token and it isn't public; 403 if a trail doesn't exist or user can't see it;
+//   404 if a trailhead or the report doesn't exist, or the report has expired
+async function getCondition(type, id, conditionId, headers, user) {
+  // must accept JSON response
+  if (acceptTypeIsNotJSON(headers)) { 
+    return acceptTypeError;
+  }
+
+  let viewer = null;
+
+  if (type.protected) {
+    viewer = await getViewer(user);
+
+    if (viewer === false) {
+      return userNotAuthenticatedError;
+    }
+  }
+
+  const entity = await getEntityFromDatastore(id, type, null).catch(error => console.log(error));
+  const error = checkViewableSubject(type, entity, viewer);
+  if (error) {
+    return error;
+  }
+
+  const condition = currentConditions(entity.conditions, new Date().toISOString()).find(condition => condition.id === String(conditionId));
+  if (!condition) {
+    return doesNotExistError;
+  }
+
+  return {
+    "code": 200,
+    "data": makeConditionFormatJSON(type, entity[storage.KEY].id, condition)
+  };
+}
+
+// deletes one of a trail's or trailhead's condition reports (ex: to reopen it before a closure expires), if the authenticated user can edit it
+// input: type of entity (TRAIL, TRAILHEAD); its ID; conditionId; headers (includes Accept and optional If-Match); user from authenticate
+// output on success: 204 and no body
+// output on error: 401 if user can't be authenticated; 403 if user can't edit it (or a trail doesn't exist);
+//   404 if a trailhead or the report doesn't exist, or the report has expired; 412 if If-Match is out of date
+async function deleteCondition(type, id, conditionId, headers, user) {
+  // must accept JSON response
+  if (acceptTypeIsNotJSON(headers)) { 
+    return acceptTypeError;
+  }
+
+  // error if user can't be authenticated 
+  const viewer = await getViewer(user);
+
+  if (!viewer) {
+    return userNotAuthenticatedError;
+  }
+
+  return runInTransaction(async (transaction) => {
+    const {entity, error} = await getEntityForRole(transaction, id, type, viewer, "editor");
+    if (error) {
+      return error;
+    } else if (!isPreconditionMet(headers["if-match"], entity.version)) {
+      return preconditionFailedError;
+    }
+
+    const now = new Date().toISOString();
+    const conditions = currentConditions(entity.conditions, now);
+    if (!conditions.some(condition => condition.id === String(conditionId))) {
+      return doesNotExistError;
+    }
+
+    Object.assign(entity, makeConditionAttributes(conditions.filter(condition => condition.id !== String(conditionId)), now));
+    bumpVersion(entity);
+    transaction.update(entity);
+
+    return {
+      "code": 204,
+      "data": {}
+    };
+  }).catch(error => {
+    console.log("error deleting condition", error);
+    return storageError;
+  });
+}
+
+// returns a revision of a trail or trailhead in JSON
+// input: type (TRAIL, TRAILHEAD); revisionEntity from datastore
+// output: object containing the version, what was done and by whom, when, in which request, what changed, the attributes after it, and self URL
+function makeRevisionFormatJSON(type, revisionEntity) {
+  return {
+    "version": revisionEntity.version,
+    "action": revisionEntity.action,
+    "userId": revisionEntity.userId,
+    "requestId": revisionEntity.requestId,
+    "timestamp": revisionEntity.timestamp,
+    "changes": revisionEntity.changes,
+    "state": revisionEntity.state,
+    "revertedTo": revisionEntity.revertedTo,
+    "self": makeSelfURL(revisionEntity.entityId, type) + "/" + REVISION.URL + revisionEntity.version
+  };
+}
+
+// parses the version in a history URL; null if it isn't a whole number from 1 up
+function parseVersion(version) {
+  return /^[1-9]\d{0,15}$/.test(String(version)) ? parseInt(version, 10) : null;
+}
+
+// gets the revision of a trail or trailhead that was current at a version: the last one saved at or before it
+// input: type (TRAIL, TRAILHEAD); its ID; version
+// output: revision entity, or null if the entity has no revision that old (e.g. it was saved before history was kept)
+async function findRevision(type, id, version) {
+  const query = storage.createQuery(REVISION.name)
+    .filter('kind', '=', type.name)
+    .filter('entityId', '=', String(id))
+    .filter('version', '<=', version)
+    .order('version', { "descending": true })
+    .limit(1);
+
+  const [revisions] = await storage.runQuery(query);
+  return revisions.length > 0 ? revisions[0] : null;
+}
+
+// checks that a user may see a trail's or trailhead's history, which is the same as seeing the trail or trailhead
+// input: type (TRAIL, TRAILHEAD); its ID; user from authenticate
+// output: { entity } if they may; otherwise { error } (see checkViewableSubject)
+async function getEntityForHistory(type, id, user) {
+  let viewer = null;
+
+  if (type.protected) {
+    viewer = await getViewer(user);
+
+    if (viewer === false) {
+      return { "error": userNotAuthenticatedError };
+    }
+  }
+
+  const entity = await getEntityFromDatastore(id, type, null).catch(error => console.log(error));
+  const error = checkViewableSubject(type, entity, viewer);
+  return error ? { "error": error } : { "entity": entity };
+}
+
+// lists the revisions of a trail or trailhead, newest first, 5 at a time
+// input: type (TRAIL, TRAILHEAD); its ID; headers (includes Accept); user from authenticate (trails only); query with optional nextPage cursor
+// output on success: 200 and { count, self, items, next (if there are more) }
+// output on error: 401 if a trail's history is requested without a valid token and it isn't public; 403 if a trail doesn't exist or user can't see it;
+//   404 if a trailhead doesn't exist
+async function getHistory(type, id, headers, user, query) {
+  // must accept JSON response
+  if (acceptTypeIsNotJSON(headers)) { 
+    return acceptTypeError;
+  }
+
+  const {entity, error} = await getEntityForHistory(type, id, user);
+  if (error) {
+    return error;
+  }
+
+  const entityId = String(entity[storage.KEY].id);
+  const listURL = makeSelfURL(entityId, type) + "/" + REVISION.URL;
+
+  const countQuery = storage.createQuery(REVISION.name).select('__key__').filter('kind', '=', type.name).filter('entityId', '=', entityId);
+  let pageQuery = storage.createQuery(REVISION.name)
+    .filter('kind', '=', type.name)
+    .filter('entityId', '=', entityId)
+    .order('version', { "descending": true })
+    .limit(RESULTS_PER_PAGE);
+
+  if (query.nextPage) {
+    pageQuery = pageQuery.start(query.nextPage);
+  }
+
+  try {
+    const [counted] = await storage.runQuery(countQuery);
+    const [revisions, info] = await storage.runQuery(pageQuery);
+
+    const data = {
+      "count": counted.length,
+      "self": listURL + makeQueryString(query.nextPage ? { "nextPage": query.nextPage } : {}),
+      "items": revisions.map(revision => makeRevisionFormatJSON(type, revision))
+    };
+
+    if (info.moreResults !== storage.NO_MORE_RESULTS) {
+      data.next = listURL + makeQueryString({ "nextPage": info.endCursor });
+    }
+
+    return {
+      "code": 200,
+      "data": data
+    };
+  } catch (error) {
+    if (isCursorError(error, query.nextPage)) {
+      return cursorInvalidError;
+    }
+    console.log("error getting history", error);
+    return storageError;
+  }
+}
+
+// gets one revision of a trail or trailhead
+// input: type (TRAIL, TRAILHEAD); its ID; version of the revision; headers (includes Accept); user from authenticate (trails only)
+// output on success: 200 and the revision
+// output on error: 401, 403, or 404 as for getHistory; 404 if it has no revision with that version
+async function getRevision(type, id, version, headers, user) {
+  // must accept JSON response
+  if (acceptTypeIsNotJSON(headers)) { 
+    return acceptTypeError;
+  }
+
+  const {error} = await getEntityForHistory(type, id, user);
+  if (error) {
+    return error;
+  }
+
+  const wanted = parseVersion(version);
+  const revision = wanted === null ? null : await findRevision(type, id, wanted).catch(error => console.log(error));
+  if (!revision || revision.version !== wanted) {
+    return doesNotExistError;
+  }
+
+  return {
+    "code": 200,
+    "data": makeRevisionFormatJSON(type, revision)
+  };
+}
+
+// restores a trail's or trailhead's attributes to what they were at a version, if the authenticated user can edit it; its relationships, shares,
+// reviews, and condition reports are left as they are, and a trail with an uploaded route keeps the length measured from the route
+// the revert is saved as a new revision, so it can be reverted too
+// input: type (TRAIL, TRAILHEAD); its ID; version to revert to (the last revision at or before it is used); headers (includes Accept and optional If-Match and Prefer);
+//   user from authenticate
+// output on success: 200 and the entity, with its new ETag (see makeWriteResponse)
+// output on error: 401 if user can't be authenticated; 403 if user can't edit it, or isn't a trail's owner and the revert would change its visibility;
+//   404 if a trailhead doesn't exist, the version is newer than its current one, or it has no revision at or before that version;
+//   412 if it changed since the version in If-Match
+async function revertEntity(type, id, version, headers, user) {
+  // must accept JSON response
+  if (acceptTypeIsNotJSON(headers)) { 
+    return acceptTypeError;
+  }
+
+  // error if user can't be authenticated 
+  const viewer = await getViewer(user);
+
+  if (!viewer) {
+    return userNotAuthenticatedError;
+  }
+
+  // revisions are never changed, so the one to revert to can be found before the transaction (queries can't run in one)
+  const wanted = parseVersion(version);
+  let revision = null;
+
+  try {
+    revision = wanted === null ? null : await findRevision(type, id, wanted);
+  } catch (error) {
+    console.log("error getting revision", error);
+    return storageError;
+  }
+
+  return runInTransaction(async (transaction, events) => {
+    // protected entities: 403 if it doesn't exist or user isn't its owner or an editor
+    // trailheads: 404 if it doesn't exist; 403 if user isn't its creator or a moderator
+    const {entity, role, error} = await getEntityForRole(transaction, id, type, viewer, "editor");
+    if (error) {
+      return error;
+    } else if (!revision || !revision.state || wanted > entity.version) {
+      // versions it hasn't reached yet don't exist, though an older revision would be found for them
+      return doesNotExistError;
+    } else if (role !== "owner" && changesOwnerAttributes(type, entity, revision.state)) {
+      return forbiddenError;
+    } else if (!isPreconditionMet(headers["if-match"], entity.version)) {
+      return preconditionFailedError;
+    }
+
+    const before = makeState(type, entity);
+
+    Object.assign(entity, revision.state);
+    if (entity.route) {
+      entity.length = entity.route.length;
+    }
+    Object.assign(entity, makeIndexAttributes(type, entity));
+    bumpVersion(entity);
+
+    const revisionWrite = makeRevisionWrite(type, id, entity, before, "revert", headers, user);
+    revisionWrite.data.revertedTo = revision.version;
+
+    transaction.update(entity);
+    transaction.save([revisionWrite, makeSearchWrite(type, id, entity)]);
+    queueEntityEvent(events, type, "updated", entity);
+
+    return makeWriteResponse(type, entity, (await makeResponseByType(type, [entity], viewer))[0], headers);
+  }).catch(error => {
+    console.log("error reverting entity", error);
+    return storageError;
+  });
+}
+
+// returns a trash item in JSON
+// input: trashItemEntity from datastore
+// output: object containing the kind (trail or trailhead), ID, and name of what was deleted, its owner (or creator), who deleted it and when,
+//   when it will be purged, and the URL that restores it
+function makeTrashItemFormatJSON(itemEntity) {
+  const type = itemEntity.kind === TRAIL.name ? TRAIL : TRAILHEAD;
+
+  return {
+    "kind": itemEntity.kind.toLowerCase(),
+    "id": itemEntity.entityId,
+    "name": itemEntity.name,
+    "userId": itemEntity.userId,
+    "deletedBy": itemEntity.deletedBy,
+    "deletedAt": itemEntity.deletedAt,
+    "purgeAt": purgeTime(itemEntity, config.TRASH_RETENTION_DAYS),
+    "restore": makeSelfURL(itemEntity.entityId, type) + "/restore"
+  };
+}
+
+// gets the trash item of a deleted trail or trailhead, if it hasn't passed the retention window
+// input: type (TRAIL, TRAILHEAD); its ID
+// output: trash item entity, or null if it isn't in the trash
+async function findTrashItem(type, id) {
+  const query = storage.createQuery(TRASH_ITEM.name)
+    .filter('kind', '=', type.name)
+    .filter('entityId', '=', String(id))
+    .limit(1);
+
+  const [items] = await storage.runQuery(query);
+  const cutoff = retentionCutoff(new Date(), config.TRASH_RETENTION_DAYS);
+
+  return items.length > 0 && items[0].deletedAt > cutoff ? items[0] : null;
+}
+
+// totals the ratings of a trail's or trailhead's reviews, so one that was in the trash gets the ratings of the reviews that are left
+// input: type reviewed (TRAIL, TRAILHEAD); its ID
+// output: { ratingTotal, reviewCount }
+async function countRatings(type, subjectId) {
+  const query = storage.createQuery(REVIEW.name).filter(REVIEW_SUBJECTS[type.name].attribute, '=', String(subjectId));
+  const ratings = { "ratingTotal": 0, "reviewCount": 0 };
+
+  for await (const review of queryInBatches(query)) {
+    ratings.ratingTotal += review.rating;
+    ratings.reviewCount++;
+  }
+
+  return ratings;
+}
+
+// lists the trails and trailheads the authenticated user owns (or created) or deleted that are in the trash, most recently deleted first, 5 at a time
+// input: headers (includes Accept); user from authenticate; query with optional nextPage cursor
+// output on success: 200 and { count, self, items, next (if there are more) }
+// output on error: 401 if user can't be authenticated
+async function getTrash(headers, user, query) {
+  // must accept JSON response
+  if (acceptTypeIsNotJSON(headers)) { 
+    return acceptTypeError;
+  }
+
+  // error if user can't be authenticated 
+  if (!user) {
+    return userNotAuthenticatedError;
+  }
+
+  // items past the retention window are left out even if they haven't been purged yet
+  const cutoff = retentionCutoff(new Date(), config.TRASH_RETENTION_DAYS);
+  const listURL = URL + TRASH_ITEM.URL;
+
+  const countQuery = storage.createQuery(TRASH_ITEM.name).select('__key__').filter('users', '=', user.sub).filter('deletedAt', '>', cutoff);
+  let pageQuery = storage.createQuery(TRASH_ITEM.name)
+    .filter('users', '=', user.sub)
+    .filter('deletedAt', '>', cutoff)
+    .order('deletedAt', { "descending": true })
+    .limit(RESULTS_PER_PAGE);
+
+  if (query.nextPage) {
+    pageQuery = pageQuery.start(query.nextPage);
+  }
+
+  try {
+    const [counted] = await storage.runQuery(countQuery);
+    const [items, info] = await storage.runQuery(pageQuery);
+
+    const data = {
+      "count": counted.length,
+      "self": listURL + makeQueryString(query.nextPage ? { "nextPage": query.nextPage } : {}),
+      "items": items.map(makeTrashItemFormatJSON)
+    };
+
+    if (info.moreResults !== storage.NO_MORE_RESULTS) {
+      data.next = listURL + makeQueryString({ "nextPage": info.endCursor });
+    }
+
+    return {
+      "code": 200,
+      "data": data
+    };
+  } catch (error) {
+    if (isCursorError(error, query.nextPage)) {
+      return cursorInvalidError;
+    }
+    console.log("error getting trash", error);
+    return storageError;
+  }
+}
+
+// restores a trail or trailhead from the trash, if the authenticated user could have deleted it: it gets back its ID, attributes, shares, route,
+// reviews, and condition reports, and is linked again to the related trails or trailheads that still exist
+// input: type (TRAIL, TRAILHEAD); its ID; headers (includes Accept); user from authenticate
+// output on success: 200 and the entity (as from GET), with its new ETag
+// output on error: 401 if user can't be authenticated; 403 if user can't restore it, or a trail isn't in the trash; 404 if a trailhead isn't in the trash
+async function restoreEntity(type, id, headers, user) {
+  // must accept JSON response
+  if (acceptTypeIsNotJSON(headers)) { 
+    return acceptTypeError;
+  }
+
+  // error if user can't be authenticated 
+  const viewer = await getViewer(user);
+
+  if (!viewer) {
+    return userNotAuthenticatedError;
+  }
+
+  // as with entities that don't exist, users can't tell whether a trail they can't restore is in the trash
+  const notInTrashError = type.protected ? forbiddenError : doesNotExistError;
+
+  // the item is found, and the reviews left are counted, before the transaction (queries can't run in one);
+  // reviews can't be added to a trail or trailhead in the trash, so the count can't change before it's restored
+  let item = null;
+  let ratings = null;
+
+  try {
+    item = await findTrashItem(type, id);
+    ratings = item ? await countRatings(type, id) : null;
+  } catch (error) {
+    console.log("error getting trash item", error);
+    return storageError;
+  }
+
+  if (!item) {
+    return notInTrashError;
+  }
+
+  return runInTransaction(async (transaction, events) => {
+    // the item may have been restored or purged since it was found
+    const [current] = await transaction.get(item[storage.KEY]);
+    if (!current) {
+      return notInTrashError;
+    }
+
+    const entity = readTrashedEntity(current);
+    if (!hasRole(getRole(type, entity, viewer), "owner")) {
+      return forbiddenError;
+    }
+
+    // link it again to the related entities that still exist, and forget the ones that don't
+    const relationship = RELATIONSHIPS[type.name];
+    const relatedIds = entity[relationship.attribute] || [];
+    const keys = relatedIds.map(relatedId => storage.key([relationship.relatedType.name, parseInt(relatedId)]));
+    const [relatedEntities] = keys.length > 0 ? await transaction.get(keys) : [[]];
+
+    for (const related of relatedEntities) {
+      if (!hasId(related[relationship.inverse], id)) {
+        related[relationship.inverse] = (related[relationship.inverse] || []).concat([String(id)]);
+        bumpVersion(related);
+        transaction.update(related);
+      }
+    }
+    entity[relationship.attribute] = relatedIds.filter(relatedId => relatedEntities.some(related => String(related[storage.KEY].id) === String(relatedId)));
+
+    Object.assign(entity, makeRatingAttributes(ratings), makeConditionAttributes(entity.conditions, new Date().toISOString()));
+    Object.assign(entity, makeIndexAttributes(type, entity));
+    bumpVersion(entity);
+
+    const key = storage.key([type.name, parseInt(id)]);
+    transaction.save({ "key": key, "data": entity });
+    transaction.delete(current[storage.KEY]);
+    transaction.save([makeRevisionWrite(type, id, entity, null, "restore", headers, user), makeSearchWrite(type, id, entity)]);
+
+    // to subscribers, a restored trail or trailhead is a new one; its related entities get it back in their lists
+    entity[storage.KEY] = key;
+    queueEntityEvent(events, type, "created", entity);
+    return {
+      "code": 200,
+      "data": (await makeResponseByType(type, [entity], viewer))[0],
+      "headers": { "ETag": makeETag(entity.version, MEDIA_TYPES.JSON) }
+    };
+  }).catch(error => {
+    console.log("error restoring entity", error);
+    return storageError;
+  });
+}
+
+// deletes a trash item for good, with its trail's route, and then its trail's or trailhead's reviews and proposed edits
+// input: trash item entity
+async function purgeTrashItem(item) {
+  const type = item.kind === TRAIL.name ? TRAIL : TRAILHEAD;
+
+  const purged = await runInTransaction(async (transaction) => {
+    // it may have been restored or purged since it was found
+    const [current] = await transaction.get(item[storage.KEY]);
+    if (!current) {
+      return false;
+    }
+
+    transaction.delete(current[storage.KEY]);
+    if (type === TRAIL && readTrashedEntity(current).route) {
+      transaction.delete(storage.key([TRAIL_ROUTE.name, parseInt(current.entityId)]));
+    }
+    return true;
+  });
+
+  // reviews and proposed edits are looked up by query, which can't run in the transaction; leftovers can't be seen since their trail or trailhead is gone
+  if (purged) {
+    await deleteReviewsOf(type, item.entityId);
+    if (type === TRAILHEAD) {
+      await deleteTrailheadEdits(item.entityId);
+    }
+  }
+}
+
+// deletes every trash item that has passed the retention window for good (see purgeTrashItem), if the authenticated user is an admin
+// run it regularly (ex: from a daily cron job), since expired items are only hidden until then
+// input: headers (includes Accept); user from authenticate
+// output on success: 200 and { purged: number of items }
+// output on error: 401 if user can't be authenticated; 403 if user isn't an admin; 500 (with how many were purged) if storage fails partway
+async function purgeExpiredTrash(headers, user) {
+  // must accept JSON response
+  if (acceptTypeIsNotJSON(headers)) { 
+    return acceptTypeError;
+  }
+
+  // error if user can't be authenticated 
+  const viewer = await getViewer(user);
+
+  if (!viewer) {
+    return userNotAuthenticatedError;
+  } else if (viewer.role !== "admin") {
+    return forbiddenError;
+  }
+
+  const cutoff = retentionCutoff(new Date(), config.TRASH_RETENTION_DAYS);
+  let purged = 0;
+
+  // purged items drop out of the query, so each batch starts from the beginning again
+  try {
+    while (true) {
+      const [items] = await storage.runQuery(storage.createQuery(TRASH_ITEM.name).filter('deletedAt', '<=', cutoff).limit(PURGE_BATCH_SIZE));
+
+      for (const item of items) {
+        await purgeTrashItem(item);
+        purged++;
+      }
+
+      if (items.length < PURGE_BATCH_SIZE) {
+        break;
+      }
+    }
+  } catch (error) {
+    console.log("error purging trash", error);
+    return {
+      "code": storageError.code,
+      "data": {
+        "error": storageError.data.error,
+        "purged": purged
+      }
+    };
+  }
+
+  return {
+    "code": 200,
+    "data": { "purged": purged }
+  };
+}
+
+// lists the IDs of every entity of a type, one batch at a time
+// input: type of entity (e.g. TRAIL, TRAILHEAD); userId to only list that user's entities (optional)
+// output: array of IDs
+async function getAllIds(type, userId) {
+  const ids = [];
+  let cursor = null;
+
+  while (true) {
+    let query = storage.createQuery(type.name).select('__key__').limit(RECONCILE_BATCH_SIZE);
+    if (userId) {
+      query = query.filter('userId', '=', userId);
+    }
+    if (cursor) {
+      query = query.start(cursor);
+    }
+
+    const [entities, info] = await storage.runQuery(query);
+    entities.forEach(entity => ids.push(entity[storage.KEY].id));
+
+    if (info.moreResults === storage.NO_MORE_RESULTS || entities.length === 0) {
+      return ids;
+    }
+    cursor = info.endCursor;
+  }
+}
+
+// repairs one trail's or trailhead's side of the trail <-> trailhead relationship in a transaction
+// trails are the source of truth, since only a trail's owner can assign trailheads to it: a trail's link to an existing trailhead is completed
+// on the trailhead, while a trailhead's link that the trail doesn't have is removed. links to entities that don't exist, and repeated links, are removed
+// input: type (TRAIL or TRAILHEAD); ID of entity
+// output: array of repairs: { kind, id, attribute, relatedId, action ("added" or "removed"), reason ("missing", "one-sided", or "duplicate") }
+async function reconcileRelationships(type, id) {
+  const relationship = RELATIONSHIPS[type.name];
+  const relatedType = relationship.relatedType;
+
+  return runInTransaction(async (transaction) => {
+    const repairs = [];
+
+    // it may have been deleted since its ID was listed
+    const entity = await getEntityInTransaction(transaction, id, type, null);
+    if (!entity) {
+      return repairs;
+    }
+
+    const relatedIds = (entity[relationship.attribute] || []).map(String);
+    const keys = relatedIds
+      .filter((relatedId, i) => relatedIds.indexOf(relatedId) === i)
+      .map(relatedId => storage.key([relatedType.name, parseInt(relatedId)]));
+    const [relatedEntities] = keys.length > 0 ? await transaction.get(keys) : [[]];
+
+    const relatedById = new Map();
+    relatedEntities.forEach(related => relatedById.set(String(related[storage.KEY].id), related));
+
+    const repair = (kind, entityId, attribute, relatedId, action, reason) => {
+      repairs.push({ "kind": kind, "id": entityId, "attribute": attribute, "relatedId": relatedId, "action": action, "reason": reason });
+    };
+
+    const kept = [];
+    const changed = [];
+
+    for (const relatedId of relatedIds) {
+      const related = relatedById.get(relatedId);
+
+      if (kept.includes(relatedId)) {
+        repair(type.name, id, relationship.attribute, relatedId, "removed", "duplicate");
+      } else if (!related) {
+        repair(type.name, id, relationship.attribute, relatedId, "removed", "missing");
+      } else if (hasId(related[relationship.inverse], id)) {
+        kept.push(relatedId);
+      } else if (type === TRAIL) {
+        related[relationship.inverse] = (related[relationship.inverse] || []).concat([String(id)]);
+        changed.push(related);
+        kept.push(relatedId);
+        repair(relatedType.name, relatedId, relationship.inverse, id, "added", "one-sided");
+      } else {
+        repair(type.name, id, relationship.attribute, relatedId, "removed", "one-sided");
+      }
+    }
+
+    // also rewrites IDs that were saved as numbers
+    const current = entity[relationship.attribute] || [];
+    if (current.length !== kept.length || current.some((relatedId, i) => relatedId !== kept[i])) {
+      entity[relationship.attribute] = kept;
+      changed.push(entity);
+    }
+
+    if (changed.length > 0) {
+      changed.forEach(bumpVersion);
+      transaction.update(changed);
+    }
+
+    return repairs;
+  });
+}
+
+// finds and repairs dangling and one-sided references between trails and trailheads, if the authenticated user is an admin
+// input: headers (includes Accept); user from authenticate
+// output on success: 200 with the number of trails and trailheads checked and the repairs made (see reconcileRelationships)
+// output on error: 401 if user can't be authenticated; 403 if user isn't an admin; 500 (with the repairs made so far) if a repair can't be saved
+async function reconcileAllRelationships(headers, user) {
+  // must accept JSON response
+  if (acceptTypeIsNotJSON(headers)) { 
+    return acceptTypeError;
+  }
+
+  // error if user can't be authenticated 
+  const viewer = await getViewer(user);
+
+  if (!viewer) {
+    return userNotAuthenticatedError;
+  } else if (viewer.role !== "admin") {
+    return forbiddenError;
+  }
+
+  const data = {
+    "trailsChecked": 0,
+    "trailheadsChecked": 0,
+    "repairs": []
+  };
+
+  // trails go first, so links they complete on trailheads are kept when the trailheads are checked
+  try {
+    for (const type of [TRAIL, TRAILHEAD]) {
+      const ids = await getAllIds(type);
+
+      for (const id of ids) {
+        data.repairs = data.repairs.concat(await reconcileRelationships(type, id));
+      }
+      data[type === TRAIL ? "trailsChecked" : "trailheadsChecked"] = ids.length;
+    }
+  } catch (error) {
+    console.log("error reconciling relationships", error);
+    return {
+      "code": storageError.code,
+      "data": {
+        "error": storageError.data.error,
+        "repairs": data.repairs
+      }
+    };
+  }
+
+  return {
+    "code": 200,
+    "data": data
+  };
+}
+
+// saves the search document of every trail and trailhead, and deletes documents whose trail or trailhead no longer exists, if the authenticated user is an admin
+// run it once to make trails and trailheads saved before search existed searchable, or if documents are out of date
+// input: headers (includes Accept); user from authenticate
+// output on success: 200 with the number of trails and trailheads indexed and of documents deleted
+// output on error: 401 if user can't be authenticated; 403 if user isn't an admin; 500 if documents can't be saved
+async function reindexSearch(headers, user) {
+  // must accept JSON response
+  if (acceptTypeIsNotJSON(headers)) { 
+    return acceptTypeError;
+  }
+
+  // error if user can't be authenticated 
+  const viewer = await getViewer(user);
+
+  if (!viewer) {
+    return userNotAuthenticatedError;
+  } else if (viewer.role !== "admin") {
+    return forbiddenError;
+  }
+
+  const data = {
+    "trailsIndexed": 0,
+    "trailheadsIndexed": 0,
+    "documentsDeleted": 0
+  };
+
+  try {
+    const indexed = new Set();
+
+    for (const type of [TRAIL, TRAILHEAD]) {
+      let writes = [];
+
+      for await (const entity of queryInBatches(storage.createQuery(type.name))) {
+        writes.push(makeSearchWrite(type, entity[storage.KEY].id, entity));
+        indexed.add(type.name + ":" + entity[storage.KEY].id);
+        data[type === TRAIL ? "trailsIndexed" : "trailheadsIndexed"]++;
+
+        if (writes.length === SEARCH_INDEX_BATCH_SIZE) {
+          await storage.save(writes);
+          writes = [];
+        }
+      }
+      if (writes.length > 0) {
+        await storage.save(writes);
+      }
+    }
+
+    const stale = [];
+    for await (const document of queryInBatches(storage.createQuery(SEARCH_DOCUMENT.name))) {
+      if (!indexed.has(document.kind + ":" + document.entityId)) {
+        stale.push(document[storage.KEY]);
+      }
+    }
+    for (let i = 0; i < stale.length; i += SEARCH_INDEX_BATCH_SIZE) {
+      await storage.delete(stale.slice(i, i + SEARCH_INDEX_BATCH_SIZE));
+    }
+    data.documentsDeleted = stale.length;
+  } catch (error) {
+    console.log("error rebuilding search index", error);
+    return storageError;
+  }
+
+  return {
+    "code": 200,
+    "data": data
+  };
+}
+
+// returns a hike's information in JSON
+// input: hikeEntity from datastore
+// output: object containing the IDs of its trail and trailheads, what the user logged, ID, and self URL
+function makeHikeFormatJSON(hikeEntity) {
+  return {
+    "trail": hikeEntity.trail,
+    "startTrailhead": attributeValue(HIKE, hikeEntity, "startTrailhead"),
+    "endTrailhead": attributeValue(HIKE, hikeEntity, "endTrailhead"),
+    "date": hikeEntity.date,
+    "duration": hikeEntity.duration,
+    "distance": hikeEntity.distance,
+    "companions": attributeValue(HIKE, hikeEntity, "companions"),
+    "notes": attributeValue(HIKE, hikeEntity, "notes"),
+    "id": hikeEntity[storage.KEY].id,
+    "userId": hikeEntity.userId,
+    "self": makeSelfURL(hikeEntity[storage.KEY].id, HIKE)
+  }
+}
+
+// saves a hike's trailhead IDs as strings, like every other related ID, whether they were sent as strings or numbers
+function normalizeHikeTrailheads(hikeEntity) {
+  for (const attr of ["startTrailhead", "endTrailhead"]) {
+    if (hikeEntity[attr] !== null && hikeEntity[attr] !== undefined) {
+      hikeEntity[attr] = String(hikeEntity[attr]);
+    }
+  }
+}
+
+// checks that a hike's start and end trailheads are trailheads of its trail
+// input: trail entity (null if it was deleted); hike data; attributes to check (startTrailhead, endTrailhead, or both)
+// output: 400 error listing each trailhead that isn't on the trail; null if they all are (or aren't set)
+function checkHikeTrailheads(trailEntity, hike, attrs) {
+  const invalid = attrs
+    .filter(attr => hike[attr] !== null && hike[attr] !== undefined && !(trailEntity && hasId(trailEntity.trailheads, hike[attr])))
+    .map(attr => ({ "attribute": attr, "error": "must be one of the trail's trailheads" }));
+
+  if (invalid.length === 0) {
+    return null;
+  }
+
+  return {
+    "code": attributeInvalidError.code,
+    "data": {
+      "error": attributeInvalidError.data.error,
+      "attributes": invalid
+    }
+  };
+}
+
+// logs a hike the authenticated user did on a trail they can see
+// input: trailId (null for POST /users/me/hikes, which takes it from trail in body); headers (includes Accept); user from authenticate;
+//   body with date, duration, distance, and optional startTrailhead, endTrailhead, companions, and notes
+// output on success: 201 and the hike, with its ETag
+// output on error: 400 if an attribute is missing or invalid, or a trailhead isn't on the trail; 401 if user can't be authenticated;
+//   403 if the trail doesn't exist or the user can't see it
+async function postHike(trailId, headers, user, body) {
+  // must accept JSON response
+  if (acceptTypeIsNotJSON(headers)) { 
+    return acceptTypeError;
+  }
+
+  const attributeError = checkAttributes(HIKE, body, true);
+  if (attributeError) {
+    return attributeError;
+  }
+
+  if (trailId === null && !("trail" in body)) {
+    return {
+      "code": attributeMissingError.code,
+      "data": {
+        "error": attributeMissingError.data.error,
+        "attributes": [{ "attribute": "trail", "error": "is required" }]
+      }
+    };
+  }
+
+  // error if user can't be authenticated 
+  const viewer = await getViewer(user);
+
+  if (!viewer) {
+    return userNotAuthenticatedError;
+  }
+
+  // 403 if the trail doesn't exist or user can't see it
+  const trailEntity = await getEntityFromDatastore(trailId === null ? body.trail : trailId, TRAIL, null).catch(error => console.log(error));
+  if (!trailEntity || !canViewEntity(TRAIL, trailEntity, viewer)) {
+    return forbiddenError;
+  }
+
+  const hikeEntity = makeNewEntity(HIKE, viewer.sub, body);
+  hikeEntity.trail = String(trailEntity[storage.KEY].id);
+  normalizeHikeTrailheads(hikeEntity);
+
+  const trailheadError = checkHikeTrailheads(trailEntity, hikeEntity, ["startTrailhead", "endTrailhead"]);
+  if (trailheadError) {
+    return trailheadError;
+  }
+
+  const key = storage.key(HIKE.name);
+
+  try {
+    await storage.save({ "key": key, "data": Object.assign({}, hikeEntity, makeIndexAttributes(HIKE, hikeEntity), { "version": 1 }) });
+  } catch (error) {
+    console.log("error saving hike", error);
+    return storageError;
+  }
+
+  hikeEntity[storage.KEY] = key;
+
+  return {
+    "code": 201,
+    "data": makeHikeFormatJSON(hikeEntity),
+    "headers": { "ETag": makeETag(1, MEDIA_TYPES.JSON) }
+  };
+}
+
+// lists the authenticated user's hikes, on one trail or all of them, with the same filters, sorting, and pagination as other lists
+// a trail's hikes are the same list as GET /users/me/hikes?trail=:trailId, so their self and next URLs use that form
+// input: trailId (null for all of the user's hikes); headers (includes Accept); user from authenticate; query parameters (see HIKE's filters and sorts)
+// output on success: 200 with count, self, items, and next URL if there are more
+// output on error: 400 if a query parameter is invalid; 401 if user can't be authenticated; 403 if the trail doesn't exist or the user can't see it
+async function getHikes(trailId, headers, user, query) {
+  if (trailId !== null) {
+    // error if user can't be authenticated 
+    const viewer = await getViewer(user);
+
+    if (!viewer) {
+      return userNotAuthenticatedError;
+    }
+
+    const trailEntity = await getEntityFromDatastore(trailId, TRAIL, null).catch(error => console.log(error));
+    if (!trailEntity || !canViewEntity(TRAIL, trailEntity, viewer)) {
+      return forbiddenError;
+    }
+
+    query = Object.assign({}, query, { "trail": String(trailEntity[storage.KEY].id) });
+  }
+
+  return getEntitiesPagination(HIKE, headers, user, query);
+}
+
+// gets one of the authenticated user's hikes
+// input: trailId (null for /users/me/hikes/:hikeId); hikeId; headers (includes Accept and optional If-None-Match); user from authenticate; query parameters
+// output on success: 200 and the hike, with its ETag (304 if If-None-Match has it)
+// output on error: 401 if user can't be authenticated; 403 if the hike doesn't exist, isn't theirs, or isn't on the trail
+async function getHike(trailId, hikeId, headers, user, query) {
+  // hikes under a trail's URL must be on that trail
+  if (trailId !== null) {
+    const hikeEntity = await getEntityFromDatastore(hikeId, HIKE, null).catch(error => console.log(error));
+    if (hikeEntity && hikeEntity.trail !== String(trailId)) {
+      return user ? forbiddenError : userNotAuthenticatedError;
+    }
+  }
+
+  return getEntity(hikeId, HIKE, headers, user, query);
+}
+
+// replaces (PUT) or edits (PATCH) one of the authenticated user's hikes; its trail can't be changed
+// input: trailId (null for /users/me/hikes/:hikeId); hikeId; headers (includes Accept and optional If-Match and Prefer); user from authenticate;
+//   body with the hike's attributes (PUT needs date, duration, and distance; optional attributes that are left out keep their value); true for PUT
+// output on success: 200 and the hike, with its new ETag (see makeWriteResponse)
+// output on error: 400 if an attribute is missing or invalid, or a trailhead isn't on the trail; 401 if user can't be authenticated;
+//   403 if the hike doesn't exist, isn't theirs, or isn't on the trail; 412 if it changed since the version in If-Match
+async function updateHike(trailId, hikeId, headers, user, body, replace) {
+  // must accept JSON response
+  if (acceptTypeIsNotJSON(headers)) { 
+    return acceptTypeError;
+  }
+
+  const attributeError = checkAttributes(HIKE, body, replace);
+  if (attributeError) {
+    return attributeError;
+  }
+
+  // error if user can't be authenticated 
+  const viewer = await getViewer(user);
+
+  if (!viewer) {
+    return userNotAuthenticatedError;
+  }
+
+  return runInTransaction(async (transaction) => {
+    const {entity, error} = await getEntityForRole(transaction, hikeId, HIKE, viewer, "owner");
+    if (error) {
+      return error;
+    } else if (trailId !== null && entity.trail !== String(trailId)) {
+      return forbiddenError;
+    } else if (!isPreconditionMet(headers["if-match"], entity.version)) {
+      return preconditionFailedError;
+    }
+
+    // attributes that aren't in body keep their value (PUT has every required attribute in body)
+    for (const attr of HIKE.requiredAttributes.concat(Object.keys(HIKE.optionalAttributes))) {
+      entity[attr] = attr in body ? body[attr] : attributeValue(HIKE, entity, attr);
+    }
+    normalizeHikeTrailheads(entity);
+
+    // only trailheads in body are checked, so a hike can still be edited after a trailhead is removed from its trail
+    const changedTrailheads = ["startTrailhead", "endTrailhead"].filter(attr => attr in body);
+    if (changedTrailheads.length > 0) {
+      const trailEntity = await getEntityInTransaction(transaction, entity.trail, TRAIL, null);
+      const trailheadError = checkHikeTrailheads(trailEntity, entity, changedTrailheads);
+      if (trailheadError) {
+        return trailheadError;
+      }
+    }
+
+    Object.assign(entity, makeIndexAttributes(HIKE, entity));
+    bumpVersion(entity);
+    transaction.update(entity);
+
+    return makeWriteResponse(HIKE, entity, makeHikeFormatJSON(entity), headers);
+  }).catch(error => {
+    console.log("error updating hike", error);
+    return storageError;
+  });
+}
+
+// deletes one of the authenticated user's hikes
+// input: trailId (null for /users/me/hikes/:hikeId); hikeId; headers (includes Accept and optional If-Match); user from authenticate
+// output on success: 204 and no body
+// output on error: 401 if user can't be authenticated; 403 if the hike doesn't exist, isn't theirs, or isn't on the trail;
+//   412 if it changed since the version in If-Match
+async function deleteHike(trailId, hikeId, headers, user) {
+  // must accept JSON response
+  if (acceptTypeIsNotJSON(headers)) { 
+    return acceptTypeError;
+  }
+
+  // error if user can't be authenticated 
+  const viewer = await getViewer(user);
+
+  if (!viewer) {
+    return userNotAuthenticatedError;
+  }
+
+  return runInTransaction(async (transaction) => {
+    const {entity, error} = await getEntityForRole(transaction, hikeId, HIKE, viewer, "owner");
+    if (error) {
+      return error;
+    } else if (trailId !== null && entity.trail !== String(trailId)) {
+      return forbiddenError;
+    } else if (!isPreconditionMet(headers["if-match"], entity.version)) {
+      return preconditionFailedError;
+    }
+
+    transaction.delete(entity[storage.KEY]);
+
+    return {
+      "code": 204,
+      "data": {}
+    };
+  }).catch(error => {
+    console.log("error deleting hike", error);
+    return storageError;
+  });
+}
+
+// totals the authenticated user's hikes: in all, for each month, and for each difficulty of trail
+// input: headers (includes Accept); user from authenticate
+// output on success: 200 with hikes, distance (miles), and duration (minutes) in all; byMonth (oldest first, only months with hikes);
+//   and byDifficulty (every difficulty, plus unknown for hikes on trails that have been deleted)
+// output on error: 401 if user can't be authenticated
+async function getHikeStats(headers, user) {
+  // must accept JSON response
+  if (acceptTypeIsNotJSON(headers)) { 
+    return acceptTypeError;
+  }
+
+  // error if user can't be authenticated 
+  if (!user) {
+    return userNotAuthenticatedError;
+  }
+
+  const hikes = [];
+  for await (const hikeEntity of queryInBatches(storage.createQuery(HIKE.name).filter('userId', '=', user.sub))) {
+    hikes.push(hikeEntity);
+  }
+
+  // difficulties come from the trails as they are now
+  const trailIds = hikes.map(hike => hike.trail).filter((id, i, ids) => ids.indexOf(id) === i);
+  const difficulties = {};
+
+  for (let i = 0; i < trailIds.length; i += STATS_BATCH_SIZE) {
+    const keys = trailIds.slice(i, i + STATS_BATCH_SIZE).map(id => storage.key([TRAIL.name, parseInt(id)]));
+    const [trails] = await storage.get(keys);
+    trails.forEach(trail => difficulties[trail[storage.KEY].id] = trail.difficulty);
+  }
+
+  const makeTotals = () => ({ "hikes": 0, "distance": 0, "duration": 0 });
+  const addHike = (totals, hike) => {
+    totals.hikes++;
+    totals.distance += hike.distance;
+    totals.duration += hike.duration;
+  };
+
+  const overall = makeTotals();
+  const byMonth = {};
+  const byDifficulty = {};
+  TRAIL.fields.difficulty.values.forEach(difficulty => byDifficulty[difficulty] = makeTotals());
+
+  for (const hike of hikes) {
+    const month = hike.date.slice(0, 7);
+    const difficulty = difficulties[hike.trail] || "unknown";
+
+    byMonth[month] = byMonth[month] || makeTotals();
+    byDifficulty[difficulty] = byDifficulty[difficulty] || makeTotals();
+
+    addHike(overall, hike);
+    addHike(byMonth[month], hike);
+    addHike(byDifficulty[difficulty], hike);
+  }
+
+  // sums of decimals are rounded, so 0.1 + 0.2 miles shows as 0.3
+  const rounded = (totals) => Object.assign(totals, {
+    "distance": Math.round(totals.distance * 100) / 100,
+    "duration": Math.round(totals.duration * 100) / 100
+  });
+
+  Object.keys(byDifficulty).forEach(difficulty => rounded(byDifficulty[difficulty]));
+
+  return {
+    "code": 200,
+    "data": Object.assign(rounded(overall), {
+      "byMonth": Object.keys(byMonth).sort().map(month => Object.assign({ "month": month }, rounded(byMonth[month]))),
+      "byDifficulty": byDifficulty
+    })
+  };
+}
+
+// reads trails and trailheads from CSV or NDJSON (see bulk.js) and saves them all in one transaction, with the relationships between them
+// the authenticated user owns the trails and is the creator of the trailheads; nothing is saved unless every row is valid
+// input: headers (includes Content-Type and Accept); user from authenticate; body (text); query parameter dryRun (true to only check the rows)
+// output on success: 201 with the number of trails, trailheads, and relationships, and the ID of each row's entity; 200 with the numbers for a dry run
+// output on error: 400 if the body can't be read or any row is invalid (lists each row's errors); 401 if user can't be authenticated;
+//   415 if body isn't CSV or NDJSON
+async function importEntities(headers, user, body, query) {
+  // must accept JSON response
+  if (acceptTypeIsNotJSON(headers)) { 
+    return acceptTypeError;
+  }
+
+  const mediaType = (headers["content-type"] || "").split(";")[0].trim().toLowerCase();
+  if (![BULK_MEDIA_TYPES.CSV, BULK_MEDIA_TYPES.NDJSON].includes(mediaType)) {
+    return unsupportedMediaTypeError;
+  }
+
+  if ("dryRun" in query && query.dryRun !== "true" && query.dryRun !== "false") {
+    return makeQueryParameterError([{ "parameter": "dryRun", "error": "must be true or false" }]);
+  }
+
+  // error if user can't be authenticated 
+  if (!user) {
+    return userNotAuthenticatedError;
+  }
+
+  const imported = readImport(mediaType, body);
+  if (imported.error) {
+    return {
+      "code": importInvalidError.code,
+      "data": {
+        "error": importInvalidError.data.error,
+        "details": imported.error
+      }
+    };
+  }
+
+  const {rows, errors} = checkImport(imported.records, { "trail": TRAIL, "trailhead": TRAILHEAD });
+  if (errors.length > 0) {
+    return {
+      "code": importRowsInvalidError.code,
+      "data": {
+        "error": importRowsInvalidError.data.error,
+        "rows": errors
+      }
+    };
+  }
+
+  const trailRows = rows.filter(row => row.kind === "trail");
+  const trailheadRows = rows.filter(row => row.kind === "trailhead");
+  const summary = {
+    "trails": trailRows.length,
+    "trailheads": trailheadRows.length,
+    "relationships": trailRows.reduce((count, row) => count + row.trailheads.length, 0)
+  };
+
+  if (query.dryRun === "true") {
+    return {
+      "code": 200,
+      "data": Object.assign({ "dryRun": true }, summary)
+    };
+  }
+
+  // IDs are allocated first, so trails and trailheads can list each other before either is saved
+  const [trailKeys] = trailRows.length > 0 ? await storage.allocateIds(storage.key(TRAIL.name), trailRows.length) : [[]];
+  const [trailheadKeys] = trailheadRows.length > 0 ? await storage.allocateIds(storage.key(TRAILHEAD.name), trailheadRows.length) : [[]];
+
+  const trailheadIdsByRef = {};
+  trailheadRows.forEach((row, i) => {
+    if (row.ref !== null) {
+      trailheadIdsByRef[row.ref] = String(trailheadKeys[i].id);
+    }
+  });
+
+  const trailEntities = trailRows.map(row => {
+    const entity = makeNewEntity(TRAIL, user.sub, row.attributes);
+    entity.trailheads = row.trailheads.map(ref => trailheadIdsByRef[ref]);
+    return entity;
+  });
+
+  const trailheadEntities = trailheadRows.map((row, i) => {
+    const entity = makeNewEntity(TRAILHEAD, user.sub, row.attributes);
+    entity.trails = trailEntities
+      .map((trail, j) => hasId(trail.trailheads, trailheadKeys[i].id) ? String(trailKeys[j].id) : null)
+      .filter(id => id !== null);
+    return entity;
+  });
+
+  // derived attributes and the first version are added as in postEntity
+  const writes = trailEntities.map((entity, i) => ({ "key": trailKeys[i], "data": entity, "type": TRAIL }))
+    .concat(trailheadEntities.map((entity, i) => ({ "key": trailheadKeys[i], "data": entity, "type": TRAILHEAD })))
+    .map(write => ({ "key": write.key, "data": Object.assign({}, write.data, makeIndexAttributes(write.type, write.data), { "version": 1 }) }));
+
+  // each entity is saved with its first revision and its search document, so the import is saved whole or not at all (see MAX_IMPORT_ROWS in bulk.js)
+  const typeOf = i => i < trailEntities.length ? TRAIL : TRAILHEAD;
+  const revisions = writes.map((write, i) => makeRevisionWrite(typeOf(i), write.key.id, write.data, null, "create", headers, user));
+  const searchWrites = writes.map((write, i) => makeSearchWrite(typeOf(i), write.key.id, write.data));
+
+  try {
+    await runInTransaction(async (transaction) => {
+      transaction.save(writes.concat(revisions, searchWrites));
+    });
+  } catch (error) {
+    console.log("error saving import", error);
+    return storageError;
+  }
+
+  const events = [];
+  writes.forEach((write, i) => queueEntityEvent(events, typeOf(i), "created", Object.assign({ [storage.KEY]: write.key }, write.data)));
+  await publishEvents(events);
+
+  const keysByRow = {};
+  trailRows.forEach((row, i) => keysByRow[row.row] = { "key": trailKeys[i], "type": TRAIL });
+  trailheadRows.forEach((row, i) => keysByRow[row.row] = { "key": trailheadKeys[i], "type": TRAILHEAD });
+
+  return {
+    "code": 201,
+    "data": Object.assign(summary, {
+      "items": rows.map(row => ({
+        "row": row.row,
+        "kind": row.kind,
+        "ref": row.ref,
+        "id": String(keysByRow[row.row].key.id),
+        "self": makeSelfURL(keysByRow[row.row].key.id, keysByRow[row.row].type)
+      }))
+    })
+  };
+}
+
+// yields every entity of a query, a batch at a time, so large exports don't have to fit in memory
+// input: storage query (filters only; batches are ordered by key)
+async function* queryInBatches(query) {
+  let cursor = null;
+
+  while (true) {
+    let batch = query.order('__key__').limit(EXPORT_BATCH_SIZE);
+    if (cursor) {
+      batch = batch.start(cursor);
+    }
+
+    const [entities, info] = await storage.runQuery(batch);
+    yield* entities;
+
+    if (info.moreResults === storage.NO_MORE_RESULTS || entities.length === 0) {
+      return;
+    }
+    cursor = info.endCursor;
+  }
+}
+
+// yields the lines of an export: every trailhead, then the authenticated user's trails with their trailheads' refs (see bulk.js)
+// input: media type (CSV or NDJSON); user's sub
+async function* makeExportLines(mediaType, userId) {
+  yield writeExportHeader(mediaType);
+
+  // trails only list trailheads that are in the export, so it can be imported again
+  const trailheadIds = new Set();
+
+  for await (const trailheadEntity of queryInBatches(storage.createQuery(TRAILHEAD.name))) {
+    trailheadIds.add(String(trailheadEntity[storage.KEY].id));
+    yield writeExportRecord(mediaType, makeExportRecord("trailhead", makeTrailheadFormatJSON(trailheadEntity)));
+  }
+
+  for await (const trailEntity of queryInBatches(storage.createQuery(TRAIL.name).filter('userId', '=', userId))) {
+    const trailheads = (trailEntity.trailheads || []).map(String).filter(id => trailheadIds.has(id));
+    yield writeExportRecord(mediaType, makeExportRecord("trail", makeTrailFormatJSON(trailEntity), trailheads));
+  }
+}
+
+// exports everything the authenticated user owns (their trails) and every trailhead, as CSV or NDJSON for backup or moving to another server
+// input: headers (includes Accept: text/csv or application/x-ndjson); user from authenticate
+// output on success: 200, streamed a batch at a time (rows are in the format POST /import reads)
+// output on error: 401 if user can't be authenticated; 406 if Accept allows neither CSV nor NDJSON
+async function exportEntities(headers, user) {
+  const mediaType = preferredMediaType(headers.accept, [BULK_MEDIA_TYPES.NDJSON, BULK_MEDIA_TYPES.CSV]);
+  if (!mediaType) { 
+    return acceptTypeError;
+  }
+
+  // error if user can't be authenticated 
+  if (!user) {
+    return userNotAuthenticatedError;
+  }
+
+  return {
+    "code": 200,
+    "type": mediaType,
+    "headers": {
+      "Content-Disposition": "attachment; filename=\"trails-export." + (mediaType === BULK_MEDIA_TYPES.CSV ? "csv" : "ndjson") + "\""
+    },
+    "stream": makeExportLines(mediaType, user.sub)
+  };
+}
+
+// gets the authenticated user's profile
+// input: headers (includes Accept); user from authenticate
+// output on success: 200 and the user, with its ETag (304 if If-None-Match has it)
+// output on error: 401 if user can't be authenticated; 404 if they haven't signed in at the welcome page yet
+async function getCurrentUser(headers, user) {
+  // must accept JSON response
+  if (acceptTypeIsNotJSON(headers)) { 
+    return acceptTypeError;
+  }
+
+  // error if user can't be authenticated 
+  if (!user) {
+    return userNotAuthenticatedError;
+  }
+
+  const userEntity = await findUserEntity(user.sub);
+  if (!userEntity) {
+    return doesNotExistError;
+  }
+
+  return getEntity(userEntity[storage.KEY].id, USER, headers, user, {});
+}
+
+// edits the authenticated user's profile: only names and display preferences (USER.editableAttributes); other attributes in body are ignored
+// input: headers (includes Accept and optional If-Match and Prefer); user from authenticate; body with attributes to change
+// output on success: 200 and the updated user (204 with Prefer: return=minimal)
+// output on error: 400 if an attribute is invalid; 401 if user can't be authenticated; 404 if they haven't signed in yet; 412 if If-Match is out of date
+async function patchCurrentUser(headers, user, body) {
+  // must accept JSON response
+  if (acceptTypeIsNotJSON(headers)) { 
+    return acceptTypeError;
+  }
+
+  // only the attributes that are provided need to be valid
+  const attributeError = checkAttributes(USER, body, false);
+  if (attributeError) {
+    return attributeError;
+  }
+
+  // error if user can't be authenticated 
+  if (!user) {
+    return userNotAuthenticatedError;
+  }
+
+  const userEntity = await findUserEntity(user.sub);
+  if (!userEntity) {
+    return doesNotExistError;
+  }
+
+  return runInTransaction(async (transaction) => {
+    const entity = await getEntityInTransaction(transaction, userEntity[storage.KEY].id, USER, user.sub);
+    if (!entity) {
+      return doesNotExistError;
+    } else if (!isPreconditionMet(headers["if-match"], entity.version)) {
+      return preconditionFailedError;
+    }
+
+    for (const attr of USER.editableAttributes) {
+      if (attr in body) {
+        entity[attr] = body[attr];
+      }
+    }
+
+    bumpVersion(entity);
+    transaction.update(entity);
+
+    return makeWriteResponse(USER, entity, makeUserFormatJSON(entity), headers);
+  }).catch(error => {
+    console.log("error updating user", error);
+    return storageError;
+  });
+}
+
+// deletes the authenticated user's account: each of their trails (removed from its trailheads, with its route) for good, including those in the trash, then their profile
+// trailheads stay, since other users' trails may use them; moderators can still edit them. each trail is deleted in its own transaction, so if this fails partway it can be sent again
+// input: headers (includes Accept); user from authenticate
+// output on success: 204 (also if there was nothing left to delete)
+// output on error: 401 if user can't be authenticated; 500 if something couldn't be deleted
+async function deleteCurrentUser(headers, user) {
+  // must accept JSON response
+  if (acceptTypeIsNotJSON(headers)) { 
+    return acceptTypeError;
+  }
+
+  // error if user can't be authenticated 
+  if (!user) {
+    return userNotAuthenticatedError;
+  }
+
+  const userId = user.sub;
+
+  try {
+    for (const trailId of await getAllIds(TRAIL, userId)) {
+      await runInTransaction(async (transaction, events) => {
+        const trailEntity = await getEntityInTransaction(transaction, trailId, TRAIL, userId);
+        if (trailEntity) {
+          await deleteInTransaction(transaction, trailEntity, TRAIL, headers, user);
+          queueEntityEvent(events, TRAIL, "deleted", trailEntity);
+        }
+      });
+      await deleteReviewsOf(TRAIL, trailId);
+    }
+
+    // so are their trails in the trash, since no one else can restore them; trailheads they created stay, as when they aren't deleted
+    const [trashedTrails] = await storage.runQuery(storage.createQuery(TRASH_ITEM.name).filter('kind', '=', TRAIL.name).filter('userId', '=', userId));
+    for (const item of trashedTrails) {
+      await purgeTrashItem(item);
+    }
+
+    // their reviews of other trails and trailheads are taken out of those averages one at a time
+    const [reviews] = await storage.runQuery(storage.createQuery(REVIEW.name).select('__key__').filter('userId', '=', userId));
+    for (const review of reviews) {
+      await runInTransaction(async (transaction) => {
+        const reviewEntity = await getEntityInTransaction(transaction, review[storage.KEY].id, REVIEW, userId);
+        if (reviewEntity) {
+          await deleteReviewInTransaction(transaction, reviewEntity);
+        }
+      });
+    }
+
+    // their hikes can only be seen by them
+    const hikeKeys = (await getAllIds(HIKE, userId)).map(id => storage.key([HIKE.name, parseInt(id)]));
+    if (hikeKeys.length > 0) {
+      await storage.delete(hikeKeys);
+    }
+
+    // their webhooks and delivery logs are theirs alone too
+    const [webhooks] = await storage.runQuery(storage.createQuery(WEBHOOK.name).select('__key__').filter('userId', '=', userId));
+    for (const webhook of webhooks) {
+      await storage.delete(webhook[storage.KEY]);
+      await deleteWebhookDeliveries(webhook[storage.KEY].id);
+    }
+
+    // their API keys stop working with the account
+    const [apiKeys] = await storage.runQuery(storage.createQuery(API_KEY.name).filter('userId', '=', userId));
+    if (apiKeys.length > 0) {
+      await storage.delete(apiKeys.map(apiKey => apiKey[storage.KEY]));
+      apiKeys.forEach(apiKey => authenticator.forget(apiKey.hash));
+    }
+
+    // there should be one profile per user, but two sign-ins at once can save two
+    const userKeys = (await getAllIds(USER, userId)).map(id => storage.key([USER.name, parseInt(id)]));
+    if (userKeys.length > 0) {
+      await storage.delete(userKeys);
+    }
+  } catch (error) {
+    console.log("error deleting user", error);
+    return storageError;
+  }
+
+  return {
+    "code": 204,
+    "data": {}
+  };
+}
+
+// changes a user's moderation role (see USER_ROLE), if the authenticated user is an admin
+// input: ID of the user's profile; headers (includes Accept and optional If-Match); user from authenticate; body with role
+// output on success: 200 and the updated user, with its new ETag
+// output on error: 400 if role is missing or invalid; 401 if user can't be authenticated; 403 if user isn't an admin;
+//   404 if the user doesn't exist; 412 if If-Match is out of date
+async function putUserRole(id, headers, user, body) {
+  // must accept JSON response
+  if (acceptTypeIsNotJSON(headers)) { 
+    return acceptTypeError;
+  }
+
+  const attributeError = checkAttributes(USER_ROLE, body, true);
+  if (attributeError) {
+    return attributeError;
+  }
+
+  // error if user can't be authenticated 
+  const viewer = await getViewer(user);
+
+  if (!viewer) {
+    return userNotAuthenticatedError;
+  } else if (viewer.role !== "admin") {
+    return forbiddenError;
+  }
+
+  return runInTransaction(async (transaction) => {
+    const entity = await getEntityInTransaction(transaction, id, USER, null);
+    if (!entity) {
+      return doesNotExistError;
+    } else if (!isPreconditionMet(headers["if-match"], entity.version)) {
+      return preconditionFailedError;
+    }
+
+    entity.role = body.role;
+    bumpVersion(entity);
+    transaction.update(entity);
+
+    return {
+      "code": 200,
+      "data": makeUserFormatJSON(entity),
+      "headers": { "ETag": makeETag(entity.version, MEDIA_TYPES.JSON) }
+    };
+  }).catch(error => {
+    console.log("error changing user's role", error);
+    return storageError;
+  });
+}
+
+// returns the scopes an API key needs for a request (see API_KEY in entities.js): [] if any key will do, or null if keys can't be used
+// paths are matched without case, as express routes them, and a method or path that isn't listed here can't be used with a key
+// input: request's method and path
+function requiredScopes(method, path) {
+  const reading = method === "GET" || method === "HEAD";
+  if (!reading && !["POST", "PUT", "PATCH", "DELETE"].includes(method)) {
+    return null;
+  }
+
+  // true if the path is under a prefix, matching whole segments (so "/trails" doesn't match "/trailsx")
+  const lowerPath = path.toLowerCase();
+  const under = prefix => lowerPath === prefix || lowerPath.startsWith(prefix + "/");
+
+  if (under("/users/me/api-keys")) {
+    // a key can't make or revoke keys, so a leaked key can't outlive its revocation
+    return null;
+  } else if ((method === "DELETE" && /^\/users\/me\/?$/.test(lowerPath)) || (!reading && /^\/users\/[^/]+\/role\/?$/.test(lowerPath))) {
+    // nor can it delete its user's account or change roles, which a leaked key mustn't be able to do
+    return null;
+  } else if (/^\/trails\/[^/]+\/hikes(\/|$)/.test(lowerPath) || under("/users/me/hikes") || under("/users/me/stats")) {
+    return reading ? ["hikes:read"] : ["hikes:write"];
+  } else if (under("/maintenance")) {
+    return ["maintenance"];
+  } else if (under("/users/me/webhooks")) {
+    // webhooks send trails to their URL, so managing them also needs the scope that reads trails
+    return reading ? ["users:read", "trails:read"] : ["users:write", "trails:read"];
+  } else if (under("/trailheads")) {
+    return reading ? [] : ["trailheads:write"];
+  } else if (under("/trails") || under("/export")) {
+    return reading ? ["trails:read"] : ["trails:write"];
+  } else if (under("/trash") || under("/search")) {
+    return reading ? ["trails:read"] : null;
+  } else if (under("/import")) {
+    return ["trails:write", "trailheads:write"];
+  } else if (under("/users")) {
+    return reading ? ["users:read"] : ["users:write"];
+  } else if (under("/graphql")) {
+    // each field checks the scopes it needs as it's resolved (see makeGraphQLContext), so a key can run the parts of a query it has scopes for
+    return [];
+  } else if (reading && ["/", "/user", "/openapi.json", "/docs"].some(under)) {
+    // pages and documents anyone can see
+    return [];
+  }
+  return null;
+}
+
+// returns an API key's information in JSON; the key itself is only sent once, when it's created
+// input: apiKeyEntity from datastore
+// output: object containing ID, name, scopes, the start of the key, when it was created, and self URL
+function makeApiKeyFormatJSON(apiKeyEntity) {
+  return {
+    "name": apiKeyEntity.name,
+    "scopes": apiKeyEntity.scopes,
+    "prefix": apiKeyEntity.prefix,
+    "created": apiKeyEntity.created,
+    "id": apiKeyEntity[storage.KEY].id,
+    "self": URL + USER.URL + "me/" + API_KEY.URL + apiKeyEntity[storage.KEY].id
+  }
+}
+
+// creates an API key for the authenticated user, for scripts and scheduled jobs; it can only do what its scopes allow
+// input: headers (includes Accept); user from authenticate; body with name and scopes
+// output on success: 201 and the key's information, including the key itself (it can't be retrieved again)
+// output on error: 400 if name or scopes are missing or invalid; 401 if user can't be authenticated; 403 if the request used an API key
+async function postApiKey(headers, user, body) {
+  // must accept JSON response
+  if (acceptTypeIsNotJSON(headers)) { 
+    return acceptTypeError;
+  }
+
+  const attributeError = checkAttributes(API_KEY, body, true);
+  if (attributeError) {
+    return attributeError;
+  }
+
+  // error if user can't be authenticated 
+  if (!user) {
+    return userNotAuthenticatedError;
+  }
+
+  const apiKey = makeApiKey();
+  const key = storage.key(API_KEY.name);
+  const apiKeyEntity = {
+    "userId": user.sub,
+    "name": body.name,
+    "scopes": body.scopes,
+    "prefix": apiKey.prefix,
+    "hash": apiKey.hash,
+    "created": new Date().toISOString()
+  };
+
+  try {
+    await storage.save({ "key": key, "data": apiKeyEntity });
+  } catch (error) {
+    console.log("error saving API key", error);
+    return storageError;
+  }
+
+  apiKeyEntity[storage.KEY] = key;
+
+  return {
+    "code": 201,
+    "data": Object.assign(makeApiKeyFormatJSON(apiKeyEntity), { "key": apiKey.key })
+  };
+}
+
+// lists the authenticated user's API keys (without the keys themselves)
+// input: headers (includes Accept); user from authenticate
+// output on success: 200 with count and items
+// output on error: 401 if user can't be authenticated; 403 if the request used an API key
+async function getApiKeys(headers, user) {
+  // must accept JSON response
+  if (acceptTypeIsNotJSON(headers)) { 
+    return acceptTypeError;
+  }
+
+  // error if user can't be authenticated 
+  if (!user) {
+    return userNotAuthenticatedError;
+  }
+
+  const query = storage.createQuery(API_KEY.name).filter('userId', '=', user.sub);
+  const [apiKeys] = await storage.runQuery(query);
+
+  return {
+    "code": 200,
+    "data": {
+      "count": apiKeys.length,
+      "items": apiKeys.map(makeApiKeyFormatJSON)
+    }
+  };
+}
+
+// revokes one of the authenticated user's API keys; requests that use it fail from then on
+// input: ID of the key; headers (includes Accept); user from authenticate
+// output on success: 204 and no body
+// output on error: 401 if user can't be authenticated; 403 if the request used an API key; 404 if the user has no key with that ID
+async function deleteApiKey(id, headers, user) {
+  // must accept JSON response
+  if (acceptTypeIsNotJSON(headers)) { 
+    return acceptTypeError;
+  }
+
+  // error if user can't be authenticated 
+  if (!user) {
+    return userNotAuthenticatedError;
+  }
+
+  const apiKeyEntity = await getEntityFromDatastore(id, API_KEY, user.sub).catch(error => console.log(error));
+  if (!apiKeyEntity) {
+    return doesNotExistError;
+  }
+
+  try {
+    await storage.delete(apiKeyEntity[storage.KEY]);
+  } catch (error) {
+    console.log("error deleting API key", error);
+    return storageError;
+  }
+
+  // don't wait for the cached key to expire
+  authenticator.forget(apiKeyEntity.hash);
+
+  return {
+    "code": 204,
+    "data": {}
+  };
+}
+
+// returns a webhook in JSON, without its secret
+// input: webhookEntity from datastore
+// output: object containing the URL, events, when it was created, its deliveries' URL, ID, and self URL
+function makeWebhookFormatJSON(webhookEntity) {
+  const self = URL + USER.URL + "me/" + WEBHOOK.URL + webhookEntity[storage.KEY].id;
+
+  return {
+    "url": webhookEntity.url,
+    "events": webhookEntity.events,
+    "created": webhookEntity.created,
+    "deliveries": self + "/" + WEBHOOK_DELIVERY.URL,
+    "id": webhookEntity[storage.KEY].id,
+    "self": self
+  }
+}
+
+// returns a webhook delivery in JSON, for a webhook's log
+// input: deliveryEntity from datastore
+// output: object containing the event, status, number of attempts, when it was made, last tried, and will next be tried,
+//   the receiver's last HTTP status and why the last attempt failed, the body that is sent, and ID
+function makeWebhookDeliveryFormatJSON(deliveryEntity) {
+  return {
+    "event": deliveryEntity.event,
+    "status": deliveryEntity.status,
+    "attempts": deliveryEntity.attempts,
+    "created": deliveryEntity.created,
+    "lastAttemptAt": deliveryEntity.lastAttemptAt,
+    "nextAttemptAt": deliveryEntity.status === "pending" ? deliveryEntity.nextAttemptAt : null,
+    "responseStatus": deliveryEntity.responseStatus,
+    "error": deliveryEntity.error,
+    "payload": JSON.parse(deliveryEntity.payload),
+    "id": deliveryEntity[storage.KEY].id
+  }
+}
+
+// subscribes the authenticated user to events (see webhooks.js); only trails they can see when an event happens are delivered to them
+// input: headers (includes Accept); user from authenticate; body with url and events
+// output on success: 201 and the webhook, including the secret that signs its deliveries (it can't be retrieved again)
+// output on error: 400 if url or events are missing or invalid; 401 if user can't be authenticated; 409 if they already have MAX_WEBHOOKS
+async function postWebhook(headers, user, body) {
+  // must accept JSON response
+  if (acceptTypeIsNotJSON(headers)) { 
+    return acceptTypeError;
+  }
+
+  const attributeError = checkAttributes(WEBHOOK, body, true);
+  const urlError = attributeError ? null : checkWebhookURL(body.url, config.WEBHOOK_ALLOW_PRIVATE_URLS);
+  if (attributeError) {
+    return attributeError;
+  } else if (urlError) {
+    return {
+      "code": attributeInvalidError.code,
+      "data": {
+        "error": attributeInvalidError.data.error,
+        "attributes": [{ "attribute": "url", "error": urlError }]
+      }
+    };
+  }
+
+  // error if user can't be authenticated 
+  if (!user) {
+    return userNotAuthenticatedError;
+  }
+
+  const key = storage.key(WEBHOOK.name);
+  const webhookEntity = {
+    "userId": user.sub,
+    "url": body.url,
+    "events": body.events,
+    "secret": makeWebhookSecret(),
+    "created": new Date().toISOString()
+  };
+
+  try {
+    const [webhooks] = await storage.runQuery(storage.createQuery(WEBHOOK.name).select('__key__').filter('userId', '=', user.sub));
+    if (webhooks.length >= MAX_WEBHOOKS) {
+      return webhookLimitError;
+    }
+
+    await storage.save({ "key": key, "data": webhookEntity });
+  } catch (error) {
+    console.log("error saving webhook", error);
+    return storageError;
+  }
+
+  webhookEntity[storage.KEY] = key;
+
+  return {
+    "code": 201,
+    "data": Object.assign(makeWebhookFormatJSON(webhookEntity), { "secret": webhookEntity.secret })
+  };
+}
+
+// lists the authenticated user's webhooks (without their secrets)
+// input: headers (includes Accept); user from authenticate
+// output on success: 200 with count and items
+// output on error: 401 if user can't be authenticated
+async function getWebhooks(headers, user) {
+  // must accept JSON response
+  if (acceptTypeIsNotJSON(headers)) { 
+    return acceptTypeError;
+  }
+
+  // error if user can't be authenticated 
+  if (!user) {
+    return userNotAuthenticatedError;
+  }
+
+  const query = storage.createQuery(WEBHOOK.name).filter('userId', '=', user.sub);
+  const [webhooks] = await storage.runQuery(query);
+
+  return {
+    "code": 200,
+    "data": {
+      "count": webhooks.length,
+      "items": webhooks.map(makeWebhookFormatJSON)
+    }
+  };
+}
+
+// gets one of the authenticated user's webhooks
+// input: ID of the webhook; headers (includes Accept); user from authenticate
+// output on success: 200 and the webhook
+// output on error: 401 if user can't be authenticated; 404 if the user has no webhook with that ID
+async function getWebhook(id, headers, user) {
+  // must accept JSON response
+  if (acceptTypeIsNotJSON(headers)) { 
+    return acceptTypeError;
+  }
+
+  // error if user can't be authenticated 
+  if (!user) {
+    return userNotAuthenticatedError;
+  }
+
+  const webhookEntity = await getEntityFromDatastore(id, WEBHOOK, user.sub).catch(error => console.log(error));
+  if (!webhookEntity) {
+    return doesNotExistError;
+  }
+
+  return {
+    "code": 200,
+    "data": makeWebhookFormatJSON(webhookEntity)
+  };
+}
+
+// deletes every delivery of a webhook; use after it is deleted
+// input: webhookId
+async function deleteWebhookDeliveries(webhookId) {
+  const query = storage.createQuery(WEBHOOK_DELIVERY.name).select('__key__').filter('webhookId', '=', String(webhookId));
+  const [deliveries] = await storage.runQuery(query);
+
+  if (deliveries.length > 0) {
+    await storage.delete(deliveries.map(delivery => delivery[storage.KEY]));
+  }
+}
+
+// deletes one of the authenticated user's webhooks and its deliveries; pending ones aren't sent
+// input: ID of the webhook; headers (includes Accept); user from authenticate
+// output on success: 204 and no body
+// output on error: 401 if user can't be authenticated; 404 if the user has no webhook with that ID
+async function deleteWebhook(id, headers, user) {
+  // must accept JSON response
+  if (acceptTypeIsNotJSON(headers)) { 
+    return acceptTypeError;
+  }
+
+  // error if user can't be authenticated 
+  if (!user) {
+    return userNotAuthenticatedError;
+  }
+
+  const webhookEntity = await getEntityFromDatastore(id, WEBHOOK, user.sub).catch(error => console.log(error));
+  if (!webhookEntity) {
+    return doesNotExistError;
+  }
+
+  try {
+    await storage.delete(webhookEntity[storage.KEY]);
+  } catch (error) {
+    console.log("error deleting webhook", error);
+    return storageError;
+  }
+
+  // deliveries are looked up by query; leftovers aren't sent or shown, since their webhook is gone
+  await deleteWebhookDeliveries(id).catch(error => console.log("error deleting webhook deliveries", error));
+
+  return {
+    "code": 204,
+    "data": {}
+  };
+}
+
+// lists the deliveries of one of the authenticated user's webhooks, newest first, 5 at a time
+// input: ID of the webhook; headers (includes Accept); user from authenticate; query with optional status and nextPage cursor
+// output on success: 200 and { count, self, items, next (if there are more) }
+// output on error: 400 if status is invalid; 401 if user can't be authenticated; 404 if the user has no webhook with that ID
+async function getWebhookDeliveries(id, headers, user, query) {
+  // must accept JSON response
+  if (acceptTypeIsNotJSON(headers)) { 
+    return acceptTypeError;
+  }
+
+  // error if user can't be authenticated 
+  if (!user) {
+    return userNotAuthenticatedError;
+  }
+
+  const statusError = "status" in query ? checkField(WEBHOOK_DELIVERY.fields.status, query.status) : null;
+  if (statusError) {
+    return makeQueryParameterError([{ "parameter": "status", "error": statusError }]);
+  }
+
+  const webhookEntity = await getEntityFromDatastore(id, WEBHOOK, user.sub).catch(error => console.log(error));
+  if (!webhookEntity) {
+    return doesNotExistError;
+  }
+
+  const webhookId = String(webhookEntity[storage.KEY].id);
+  const listURL = makeWebhookFormatJSON(webhookEntity).deliveries;
+  const params = "status" in query ? { "status": query.status } : {};
+
+  let countQuery = storage.createQuery(WEBHOOK_DELIVERY.name).select('__key__').filter('webhookId', '=', webhookId);
+  let pageQuery = storage.createQuery(WEBHOOK_DELIVERY.name).filter('webhookId', '=', webhookId);
+  if (params.status) {
+    countQuery = countQuery.filter('status', '=', params.status);
+    pageQuery = pageQuery.filter('status', '=', params.status);
+  }
+  pageQuery = pageQuery.order('created', { "descending": true }).limit(RESULTS_PER_PAGE);
+
+  if (query.nextPage) {
+    pageQuery = pageQuery.start(query.nextPage);
+  }
+
+  try {
+    const [counted] = await storage.runQuery(countQuery);
+    const [deliveries, info] = await storage.runQuery(pageQuery);
+
+    const data = {
+      "count": counted.length,
+      "self": listURL + makeQueryString(Object.assign({}, params, query.nextPage ? { "nextPage": query.nextPage } : {})),
+      "items": deliveries.map(makeWebhookDeliveryFormatJSON)
+    };
+
+    if (info.moreResults !== storage.NO_MORE_RESULTS) {
+      data.next = listURL + makeQueryString(Object.assign({}, params, { "nextPage": info.endCursor }));
+    }
+
+    return {
+      "code": 200,
+      "data": data
+    };
+  } catch (error) {
+    if (isCursorError(error, query.nextPage)) {
+      return cursorInvalidError;
+    }
+    console.log("error getting webhook deliveries", error);
+    return storageError;
+  }
+}
+
+// saves a delivery of an event for each webhook subscribed to it whose user can see it, then starts sending them without waiting for them
+// call after the change the event is about is saved; failures are only logged, since the change itself succeeded
+// input: event (see WEBHOOK); the trail it is about, to check who can see it (null for trailhead events, which anyone can see);
+//   function that returns the data to send to a webhook's user, from the format functions (ex: makeTrailFormatJSON), given their viewer
+async function publishEvent(event, trailEntity, makeData) {
+  try {
+    const [webhooks] = await storage.runQuery(storage.createQuery(WEBHOOK.name).filter('events', '=', event));
+    const recipients = [];
+    const viewers = [];
+
+    for (const webhook of webhooks) {
+      const viewer = await getViewer({ "sub": webhook.userId });
+
+      if (!trailEntity || canViewEntity(TRAIL, trailEntity, viewer)) {
+        recipients.push(webhook);
+        viewers.push(viewer);
+      }
+    }
+
+    if (recipients.length === 0) {
+      return;
+    }
+
+    // IDs are allocated first, so each body can carry its delivery's ID
+    const [keys] = await storage.allocateIds(storage.key(WEBHOOK_DELIVERY.name), recipients.length);
+    const now = new Date().toISOString();
+
+    const deliveries = recipients.map((webhook, i) => ({
+      "key": keys[i],
+      "data": {
+        "webhookId": String(webhook[storage.KEY].id),
+        "userId": webhook.userId,
+        "event": event,
+        "payload": JSON.stringify({ "id": String(keys[i].id), "event": event, "created": now, "data": makeData(viewers[i]) }),
+        "status": "pending",
+        "attempts": 0,
+        "created": now,
+        "lastAttemptAt": null,
+        "nextAttemptAt": now,
+        "responseStatus": null,
+        "error": null
+      },
+      "excludeFromIndexes": ["payload"]
+    }));
+
+    await storage.save(deliveries);
+
+    for (const delivery of deliveries) {
+      deliverWebhook(delivery.key).catch(error => console.log("error delivering webhook", error));
+    }
+  } catch (error) {
+    console.log("error publishing " + event, error);
+  }
+}
+
+// publishes queued events one after another, in the order they were queued (see queueEntityEvent)
+// input: array of { event, trail, makeData }
+async function publishEvents(events) {
+  for (const queued of events) {
+    await publishEvent(queued.event, queued.trail, queued.makeData);
+  }
+}
+
+// tries to send one delivery if it's pending and due; it is claimed first, so two instances don't send it at the same time
+// after a failure it is tried again after retryDelay, until it has been tried MAX_ATTEMPTS times (see webhooks.js)
+// input: key of the delivery
+async function deliverWebhook(key) {
+  const now = Date.now();
+
+  // claiming moves its next attempt past the time sending it can take
+  const delivery = await runInTransaction(async (transaction) => {
+    const [deliveryEntity] = await transaction.get(key);
+    if (!deliveryEntity || deliveryEntity.status !== "pending" || Date.parse(deliveryEntity.nextAttemptAt) > now) {
+      return null;
+    }
+
+    deliveryEntity.nextAttemptAt = new Date(now + 2 * DELIVERY_TIMEOUT).toISOString();
+    transaction.update(deliveryEntity);
+    return deliveryEntity;
+  });
+
+  // its webhook may have been deleted since it was saved (see deleteWebhook)
+  const webhookEntity = delivery ? await getEntityFromDatastore(delivery.webhookId, WEBHOOK, null) : null;
+  if (!webhookEntity) {
+    return;
+  }
+
+  const result = await sendDelivery(webhookEntity.url, webhookEntity.secret, key.id, delivery.event, delivery.payload, config.WEBHOOK_ALLOW_PRIVATE_URLS);
+
+  delivery.attempts++;
+  delivery.lastAttemptAt = new Date().toISOString();
+  delivery.responseStatus = result.status;
+  delivery.error = result.error;
+
+  if (result.ok || delivery.attempts >= MAX_ATTEMPTS) {
+    delivery.status = result.ok ? "succeeded" : "failed";
+  } else {
+    delivery.nextAttemptAt = new Date(Date.now() + retryDelay(delivery.attempts)).toISOString();
+  }
+
+  await storage.update(delivery);
+}
+
+// tries the pending deliveries that are due, oldest first, a batch at a time; run by each instance every WEBHOOK_RETRY_INTERVAL seconds
+// input: largest number of batches to try (a run stops sooner when none are left)
+// output: number of deliveries tried
+async function deliverPendingWebhooks(maxBatches) {
+  let tried = 0;
+
+  // deliveries that are tried drop out of the query (their next attempt is later), so each batch starts from the beginning again
+  for (let batch = 0; batch < maxBatches; batch++) {
+    const query = storage.createQuery(WEBHOOK_DELIVERY.name)
+      .filter('status', '=', 'pending')
+      .filter('nextAttemptAt', '<=', new Date().toISOString())
+      .order('nextAttemptAt')
+      .limit(DELIVERY_BATCH_SIZE);
+
+    const [deliveries] = await storage.runQuery(query);
+
+    for (const delivery of deliveries) {
+      await deliverWebhook(delivery[storage.KEY]);
+      tried++;
+    }
+
+    if (deliveries.length < DELIVERY_BATCH_SIZE) {
+      break;
+    }
   }
 
-  // check if entity is related to any other entities
-  removeRelationships(entity, type);
+  return tried;
+}
+
+// tries every pending webhook delivery that is due, if the authenticated user is an admin; for instances that don't run long enough to retry on their own
+// input: headers (includes Accept); user from authenticate
+// output on success: 200 and { tried: number of deliveries }
+// output on error: 401 if user can't be authenticated; 403 if user isn't an admin
+async function retryWebhookDeliveries(headers, user) {
+  // must accept JSON response
+  if (acceptTypeIsNotJSON(headers)) { 
+    return acceptTypeError;
+  }
 
-  // delete entity
-  const key = entity[Datastore.KEY];
-  await datastore.delete(key).catch(error => console.log(error));
+  // error if user can't be authenticated 
+  const viewer = await getViewer(user);
 
-  return {
-    "code": 204,
-    "data": {}
+  if (!viewer) {
+    return userNotAuthenticatedError;
+  } else if (viewer.role !== "admin") {
+    return forbiddenError;
+  }
+
+  try {
+    return {
+      "code": 200,
+      "data": { "tried": await deliverPendingWebhooks(MAX_DELIVERY_BATCHES) }
+    };
+  } catch (error) {
+    console.log("error delivering webhooks", error);
+    return storageError;
   }
 }
 
-// adds trailhead to trail, if the authenticated user owns that trail
-// input: trailId and trailheadId
-// output on error: if user can't be authenticated; if trail or trailhead doesn't exist; if user doesn't own trail
-// output on success: trailhead ID is added to trail; trail ID is added to trailhead; returns 204 and no body
-async function assignTrailheadToTrail(trailId, trailheadId, headers) { 
+// brings closed up to date on every trail and trailhead whose closure started or expired, if the authenticated user is an admin;
+// for instances that don't run long enough to do it on their own
+// input: headers (includes Accept); user from authenticate
+// output on success: 200 and { trails, trailheads: number of each updated }
+// output on error: 401 if user can't be authenticated; 403 if user isn't an admin
+async function refreshAllClosures(headers, user) {
   // must accept JSON response
   if (acceptTypeIsNotJSON(headers)) { 
     return acceptTypeError;
   }
 
   // error if user can't be authenticated 
-  const userData = await verifyUser(headers.authorization).catch(error => console.log("error authenticating user", error));
+  const viewer = await getViewer(user);
 
-  if (userData === false) {
+  if (!viewer) {
     return userNotAuthenticatedError;
+  } else if (viewer.role !== "admin") {
+    return forbiddenError;
   }
 
-  // get trail and trailhead from datastore (only finds trails that belong to this user)
-  const trailEntity = await getEntityFromDatastore(trailId, TRAIL, userData.payload.sub).catch(error => console.log(error));
-  const trailheadEntity = await getEntityFromDatastore(trailheadId, TRAILHEAD, null).catch(error => console.log(error));
+  try {
+    return {
+      "code": 200,
+      "data": {
+        "trails": await refreshClosures(TRAIL, MAX_CLOSURE_BATCHES),
+        "trailheads": await refreshClosures(TRAILHEAD, MAX_CLOSURE_BATCHES)
+      }
+    };
+  } catch (error) {
+    console.log("error refreshing closures", error);
+    return storageError;
+  }
+}
 
-  // error if trail or trailhead doesn't exist, or if user doesn't own it; or if trailhead is already assigned to that trail
-  if (!trailEntity) {
-    return forbiddenError;
-  } else if (!trailheadEntity) {
-    return doesNotExistError;
-  } else if (trailEntity.trailheads.includes(trailheadEntity[Datastore.KEY].id) && trailheadEntity.trails.includes(trailEntity[Datastore.KEY].id)){
-    return alreadyExistsError;
-  } 
+// builds what GraphQL resolvers use to answer one request (see graphql.js): the route functions above, called with the request's user as if
+// the same request had been made to the REST endpoint, and loaders that batch the lookups of related entities
+// input: headers of the GraphQL request; user from authenticate; viewer from getViewer (or null if not authenticated)
+function makeGraphQLContext(headers, user, viewer) {
+  // route functions answer with JSON, and writes with the entity as saved (see makeWriteResponse); history records the GraphQL request's ID
+  const makeHeaders = (ifMatch) => {
+    const routeHeaders = { "accept": MEDIA_TYPES.JSON, "prefer": "return=representation", "x-request-id": headers["x-request-id"] };
 
-  // add trail ID to trailhead and trailhead ID to trail; update in datastore
-  trailEntity.trailheads.push(trailheadEntity[Datastore.KEY].id);
-  trailheadEntity.trails.push(trailEntity[Datastore.KEY].id);
+    if (ifMatch) {
+      routeHeaders["if-match"] = ifMatch;
+    }
+    return routeHeaders;
+  };
 
-  await datastore.update(trailEntity).catch(error => console.log(error));
-  await datastore.update(trailheadEntity).catch(error => console.log(error));
+  // loads formatted trails or trailheads by ID with one lookup; those that don't exist or the viewer can't see are null
+  const makeEntityLoader = (type) => makeLoader(async (ids) => {
+    const [entities] = await storage.get(ids.map(id => storage.key([type.name, parseInt(id)])));
+    const visible = entities.filter(entity => canViewEntity(type, entity, viewer));
 
-  console.log("added relationship");
-  console.log("trailEntity: ", trailEntity);
-  console.log("trailheadEntity: ", trailheadEntity);
+    const formattedById = new Map();
+    for (const formatted of await makeResponseByType(type, visible, viewer)) {
+      formattedById.set(String(formatted.id), formatted);
+    }
+    return ids.map(id => formattedById.get(String(id)) || null);
+  });
 
   return {
-    "code": 204,
-    "data": {}
+    // returns null if the request's API key has the scopes (users who aren't using a key have every scope), or the 403 checkScope would send
+    "checkScopes": (needed) => {
+      const missing = !user || user.scopes === null ? [] : needed.filter(scope => !user.scopes.includes(scope));
+
+      if (missing.length === 0) {
+        return null;
+      }
+      return {
+        "code": insufficientScopeError.code,
+        "data": {
+          "error": insufficientScopeError.data.error,
+          "scope": missing.join(" ")
+        }
+      };
+    },
+
+    "load": {
+      "trail": makeEntityLoader(TRAIL),
+      "trailhead": makeEntityLoader(TRAILHEAD),
+
+      // profiles by sub; storage can't match a list of values at once, so each is its own lookup, but each sub is only looked up once
+      "user": makeLoader(subs => Promise.all(subs.map(async (sub) => {
+        const userEntity = await findUserEntity(sub);
+        return userEntity ? makeUserFormatJSON(userEntity) : null;
+      }))),
+
+      // the trails each user (by sub) owns that the viewer can see
+      "trailsOf": makeLoader(subs => Promise.all(subs.map(async (sub) => {
+        const [trails] = await storage.runQuery(storage.createQuery(TRAIL.name).filter('userId', '=', sub));
+        return makeResponseByType(TRAIL, trails.filter(trail => canViewEntity(TRAIL, trail, viewer)), viewer);
+      }))),
+
+      // the viewer's review of each trail or trailhead (keys like "Trail:1234"), from one query of all of their reviews
+      "myReview": makeLoader(async (keys) => {
+        if (!viewer) {
+          return keys.map(() => null);
+        }
+
+        const [reviews] = await storage.runQuery(storage.createQuery(REVIEW.name).filter('userId', '=', viewer.sub));
+
+        return keys.map(key => {
+          const [typeName, id] = key.split(":");
+          const review = reviews.find(review => String(review[REVIEW_SUBJECTS[typeName].attribute]) === id);
+          return review ? makeReviewFormatJSON(review) : null;
+        });
+      })
+    },
+
+    "rest": {
+      "get": (type, id) => getEntity(id, type, makeHeaders(null), user, {}),
+      "list": (type, query) => getEntitiesPagination(type, makeHeaders(null), user, query),
+      "me": () => getCurrentUser(makeHeaders(null), user),
+      "create": (type, body) => postEntity(type, makeHeaders(null), user, body),
+      "replace": (type, id, body, ifMatch) => putEntity(id, type, makeHeaders(ifMatch), user, body),
+      "update": (type, id, body, ifMatch) => patchEntity(id, type, makeHeaders(ifMatch), user, body),
+      "remove": (type, id, ifMatch) => deleteEntity(id, type, makeHeaders(ifMatch), user),
+      "assignTrailhead": (trailId, trailheadId) => assignTrailheadToTrail(trailId, trailheadId, makeHeaders(null), user),
+      "removeTrailhead": (trailId, trailheadId) => removeTrailheadFromTrail(trailId, trailheadId, makeHeaders(null), user)
+    }
+  };
+}
+
+// runs a GraphQL query or mutation (see graphql.js)
+// input: HTTP method; headers (includes Accept); user from authenticate; parameters: the JSON body of a POST, or the query string of a GET
+// output on success: 200 with the operation's data, and errors for any fields that failed (their extensions have the REST status, ex: 403)
+// output on error: 400 if the request or query is invalid; 401 if the credential is invalid; 405 for a mutation sent with GET
+async function runGraphQLRequest(method, headers, user, params) {
+  // must accept JSON response
+  if (acceptTypeIsNotJSON(headers)) { 
+    return acceptTypeError;
   }
+
+  const viewer = await getViewer(user);
+  if (viewer === false) {
+    return userNotAuthenticatedError;
+  }
+
+  return runGraphQL(GRAPHQL_SCHEMA, method, params, makeGraphQLContext(headers, user, viewer));
 }
 
-// removes trailhead to trail, if the authenticated user owns that trail
-// input: trailId and trailheadId
-// output on error: if user can't be authenticated; if trail or trailhead doesn't exist; if user doesn't own trail
-// output on success: trailhead ID is added to trail; trail ID is added to trailhead; returns 204 and no body
-async function removeTrailheadFromTrail(trailId, trailheadId, headers) { 
+// signs a local token for any user without an elevated role, creating their profile if they don't have one; only works when AUTH_STRATEGIES includes local
+// this trusts whoever asks, so it is only for development and offline testing (auth.js refuses to turn it on in production)
+// input: headers (includes Accept); body with userId (the token's sub) and optional firstName and lastName for a new profile
+// output on success: 200 with the token, its type (Bearer), and how many seconds it lasts
+// output on error: 400 if userId is missing or an attribute is invalid; 403 if the user is an admin or moderator; 404 if local tokens are turned off
+async function postLocalToken(headers, body) {
   // must accept JSON response
   if (acceptTypeIsNotJSON(headers)) { 
     return acceptTypeError;
   }
 
-  // error if user can't be authenticated 
-  const userData = await verifyUser(headers.authorization).catch(error => console.log("error authenticating user", error));
+  if (!authenticator.local) {
+    return doesNotExistError;
+  }
 
-  if (userData === false) {
-    return userNotAuthenticatedError;
+  const attributeError = checkAttributes(LOCAL_TOKEN, body, true);
+  if (attributeError) {
+    return attributeError;
   }
 
-  // get trail and trailhead from datastore (only gets trail that belongs to user)
-  const trailEntity = await getEntityFromDatastore(trailId, TRAIL, userData.payload.sub).catch(error => console.log(error));
-  const trailheadEntity = await getEntityFromDatastore(trailheadId, TRAILHEAD, null).catch(error => console.log(error));
+  try {
+    // admins and moderators must sign in another way, since anyone can ask for a local token
+    const existingUser = await findUserEntity(body.userId);
+    if (isAdmin(body.userId) || (existingUser && ["admin", "moderator"].includes(existingUser.role))) {
+      return forbiddenError;
+    }
 
-  // error if trail or trailhead doesn't exist, or doesn't belong to this user; or if trailhead isn't already assigned to trail and vice versa
-  if (!trailEntity) {
-    return forbiddenError;
-  } else if (!trailheadEntity) {
-    return doesNotExistError;  
-  } else if (!(trailEntity.trailheads.includes(trailheadEntity[Datastore.KEY].id)) && !(trailheadEntity.trails.includes(trailEntity[Datastore.KEY].id))){
-    return relationshipDoesNotExistError;
-  } 
+    await saveUserIfNew(body.userId, body.firstName || "Local", body.lastName || "User");
+  } catch (error) {
+    console.log("error saving user", error);
+    return storageError;
+  }
 
-  // removes trail ID from trailhead and trailhead ID from trail; updates both in datastore
-  trailEntity.trailheads = trailEntity.trailheads.filter(value => {
-    return value !== trailheadId;
-  });
-  trailheadEntity.trails = trailheadEntity.trails.filter(value => {
-    return value !== trailId;
-  });
-  
-  await datastore.update(trailEntity).catch(error => console.log(error));
-  await datastore.update(trailheadEntity).catch(error => console.log(error));
+  const signed = authenticator.signLocalToken(body.userId);
 
   return {
-    "code": 204,
-    "data": {}
+    "code": 200,
+    "data": {
+      "token": signed.token,
+      "tokenType": "Bearer",
+      "expiresIn": signed.expiresIn,
+      "userId": body.userId
+    }
+  };
+}
+
+// saves a profile for a user the first time they sign in (at the welcome page, or by getting a local token)
+// input: user's sub; first and last name
+// output: the user's profile, new or existing
+async function saveUserIfNew(sub, firstName, lastName) {
+  const existingUser = await findUserEntity(sub);
+  if (existingUser) {
+    return existingUser;
   }
+
+  const newUser = {
+    firstName: firstName,
+    lastName: lastName,
+    userId: sub,
+    version: 1
+  };
+
+  // save new user info to datastore
+  const key = storage.key(USER.name);
+  await storage.save({ "key": key, "data": newUser });
+
+  newUser[storage.KEY] = key;
+  return newUser;
 }
 
 // returns user data from the Google People API 
@@ -786,10 +5337,16 @@ async function getUserData(token) {
 
 // *** routes *** 
 
+// every request is authenticated and counted against its client's rate limit once here; routes read the user from req.user
+app.use(assignRequestId);
+app.use(authenticate);
+app.use(limitRate);
+app.use(checkScope);
+
 // welcome page: sends authentication request to google
 app.get('/', async(req, res) => {
   let data = {
-    "oauthURL": oauthURL
+    "oauthURL": authenticator.google ? authenticator.google.authURL : null
   };
 
   res.render("index.html", data);
@@ -797,6 +5354,11 @@ app.get('/', async(req, res) => {
 
 // display user info
 app.get('/user', async(req, res) => {
+  // error if Google sign-in is turned off (see AUTH_STRATEGIES and OAUTH_CLIENT_FILE in config.js)
+  if (!authenticator.google) {
+    return res.render('user.html', {"error": "Google sign-in isn't set up on this server"});
+  }
+
   // error if no query parameters sent by google --> access denied
   if (req.query.error) {
     res.render('user.html', {"error": "Access Denied"});
@@ -804,6 +5366,7 @@ app.get('/user', async(req, res) => {
 
   // get token for this user to authenticate them
   const code = req.query.code;
+  const oauth2Client = authenticator.google.client;
   const {tokens} = await oauth2Client.getToken(code).catch(error => console.log(error));
 
   oauth2Client.setCredentials(tokens);
@@ -825,25 +5388,7 @@ app.get('/user', async(req, res) => {
   }
 
   // if user hasn't bee added to USERS before, add them 
-  const userQuery = datastore.createQuery(USER.name).filter('userId', '=', sub)
-  const results = await datastore.runQuery(userQuery).catch(error => console.log(error));
-
-  // if no results, add user to datastore
-  if (results[0].length === 0) {
-    const newUser = {
-      firstName: userData.names[0].givenName,
-      lastName: userData.names[0].familyName,
-      userId: sub
-    };
-
-    // save new user info to datastore
-    const key = datastore.key(USER.name);
-    
-    await datastore.save({ "key": key, "data": newUser })
-      .catch(error => {
-        console.log("error saving to datastore: ", error)
-      });
-  }
+  await saveUserIfNew(sub, userData.names[0].givenName, userData.names[0].familyName).catch(error => console.log(error));
   
   // format data to send to web page
   responseData.firstName = userData.names[0].givenName;
@@ -856,98 +5401,549 @@ app.get('/user', async(req, res) => {
 
 // returns a trail by its ID that is owned by the authenticated user
 app.get('/trails/:trailId', async function(req, res){
-  const result = await getEntity(req.params.trailId, TRAIL, req.headers);
-  res.status(result.code).send(result.data);
+  const result = await getEntity(req.params.trailId, TRAIL, req.headers, req.user, req.query).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// returns every trailhead's proposed edits, if the authenticated user is a moderator; must come before /trailheads/:trailheadId
+app.get('/trailheads/edits', async function(req, res){
+  const result = await getTrailheadEdits(null, req.headers, req.user, req.query).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// returns trailheads near a point, closest first (no authentication needed); must come before /trailheads/:trailheadId
+app.get('/trailheads/nearby', async function(req, res){
+  const result = await getTrailheadsNearby(req.headers, req.user, req.query).catch(handleRouteError);
+  sendResult(res, result);
 });
 
 // returns a trailhead by its ID (no authentication needed)
 app.get('/trailheads/:trailheadId', async function(req, res){
-  const result = await getEntity(req.params.trailheadId, TRAILHEAD, req.headers);
-  res.status(result.code).send(result.data);
+  const result = await getEntity(req.params.trailheadId, TRAILHEAD, req.headers, req.user, req.query).catch(handleRouteError);
+  sendResult(res, result);
 });
 
 // returns array of all trails that are owned by the authenticated user, with pagination
 app.get('/trails', async function(req, res){
-  const result = await getEntitiesPagination(TRAIL, req.headers, req.query.nextPage);
-  res.status(result.code).send(result.data);
+  const result = await getEntitiesPagination(TRAIL, req.headers, req.user, req.query).catch(handleRouteError);
+  sendResult(res, result);
 });
 
 // returns array of all trailheads, with pagination
 app.get('/trailheads', async function(req, res){
-  const result = await getEntitiesPagination(TRAILHEAD, req.headers, req.query.nextPage);
-  res.status(result.code).send(result.data);
+  const result = await getEntitiesPagination(TRAILHEAD, req.headers, req.user, req.query).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// searches trail and trailhead names (fuzzy, ranked), for trails only those the user can see
+app.get('/search', async(req, res) => {
+  const result = await searchEntities(req.headers, req.user, req.query).catch(handleRouteError);
+  sendResult(res, result);
 });
 
 // creates new trail if all data is provided in body; request and response must be JSON; otherwise error message
 app.post('/trails', async(req, res) => {
-  const result = await postEntity(TRAIL, req.headers, req.body).catch(error => console.log(error));
-  res.status(result.code).send(result.data);
+  const result = await postEntity(TRAIL, req.headers, req.user, req.body).catch(handleRouteError);
+  sendResult(res, result);
 });
 
-// creates new trailhead if all data is provided in body; request and response must be JSON; otherwise error message
+// creates new trailhead, recording the authenticated user as its creator, if all data is provided in body; request and response must be JSON; otherwise error message
 app.post('/trailheads', async(req, res) => {
-  const result = await postEntity(TRAILHEAD, req.headers, req.body).catch(error => console.log(error));
-  res.status(result.code).send(result.data);
+  const result = await postEntity(TRAILHEAD, req.headers, req.user, req.body).catch(handleRouteError);
+  sendResult(res, result);
 });
 
 // replaces existing trails's information with that provided in body
 app.put("/trails/:trailId", async(req, res) => {
-  const result = await putEntity(req.params.trailId, TRAIL, req.headers, req.body).catch(error => console.log(error));
-  res.status(result.code).send(result.data);
+  const result = await putEntity(req.params.trailId, TRAIL, req.headers, req.user, req.body).catch(handleRouteError);
+  sendResult(res, result);
 });
 
-// replaces existing trailhead's information with that provided in body
+// replaces existing trailhead's information with that provided in body, if the authenticated user created it or is a moderator
 app.put("/trailheads/:trailheadId", async(req, res) => {
-  const result = await putEntity(req.params.trailheadId, TRAILHEAD, req.headers, req.body).catch(error => console.log(error));
-  res.status(result.code).send(result.data);
+  const result = await putEntity(req.params.trailheadId, TRAILHEAD, req.headers, req.user, req.body).catch(handleRouteError);
+  sendResult(res, result);
 });
 
 // edits some or all of a trails's information
 app.patch("/trails/:trailId", async(req, res) => {
-  const result = await patchEntity(req.params.trailId, TRAIL, req.headers, req.body).catch(error => console.log(error));
-  res.status(result.code).send(result.data);
+  const result = await patchEntity(req.params.trailId, TRAIL, req.headers, req.user, req.body).catch(handleRouteError);
+  sendResult(res, result);
 });
 
-// edits some or all of a trailheads's information
+// edits some or all of a trailheads's information, if the authenticated user created it or is a moderator
 app.patch("/trailheads/:trailheadId", async(req, res) => {
-  const result = await patchEntity(req.params.trailheadId, TRAILHEAD, req.headers, req.body).catch(error => console.log(error));
-  res.status(result.code).send(result.data);
+  const result = await patchEntity(req.params.trailheadId, TRAILHEAD, req.headers, req.user, req.body).catch(handleRouteError);
+  sendResult(res, result);
 });
 
 // deletes a trail from datastore if the authenticated user owns it
 app.delete("/trails/:trailId", async(req, res) => {
-  const result = await deleteEntity(req.params.trailId, TRAIL, req.headers).catch(error => console.log(error));
-  res.status(result.code).send(result.data);
+  const result = await deleteEntity(req.params.trailId, TRAIL, req.headers, req.user).catch(handleRouteError);
+  sendResult(res, result);
 });
 
-// deletes a trailhead from datastore. also removes it from any trail it is assigned to. no authentication
+// deletes a trailhead from datastore, if the authenticated user created it or is a moderator. also removes it from any trail it is assigned to
 app.delete("/trailheads/:trailheadId", async(req, res) => {
-  const result = await deleteEntity(req.params.trailheadId, TRAILHEAD, req.headers).catch(error => console.log(error));
-  res.status(result.code).send(result.data);
+  const result = await deleteEntity(req.params.trailheadId, TRAILHEAD, req.headers, req.user).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// reviews a trail as the authenticated user
+app.post('/trails/:trailId/reviews', async(req, res) => {
+  const result = await postReview(TRAIL, req.params.trailId, req.headers, req.user, req.body).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// lists a trail's reviews
+app.get('/trails/:trailId/reviews', async(req, res) => {
+  const result = await getReviews(TRAIL, req.params.trailId, req.headers, req.user, req.query).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// gets one of a trail's reviews; its author can also replace, edit, or delete it
+app.get('/trails/:trailId/reviews/:reviewId', async(req, res) => {
+  const result = await getReview(TRAIL, req.params.trailId, req.params.reviewId, req.headers, req.user).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+app.put('/trails/:trailId/reviews/:reviewId', async(req, res) => {
+  const result = await updateReview(TRAIL, req.params.trailId, req.params.reviewId, req.headers, req.user, req.body, true).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+app.patch('/trails/:trailId/reviews/:reviewId', async(req, res) => {
+  const result = await updateReview(TRAIL, req.params.trailId, req.params.reviewId, req.headers, req.user, req.body, false).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+app.delete('/trails/:trailId/reviews/:reviewId', async(req, res) => {
+  const result = await deleteReview(TRAIL, req.params.trailId, req.params.reviewId, req.headers, req.user).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// reviews a trailhead as the authenticated user
+app.post('/trailheads/:trailheadId/reviews', async(req, res) => {
+  const result = await postReview(TRAILHEAD, req.params.trailheadId, req.headers, req.user, req.body).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// lists a trailhead's reviews
+app.get('/trailheads/:trailheadId/reviews', async(req, res) => {
+  const result = await getReviews(TRAILHEAD, req.params.trailheadId, req.headers, req.user, req.query).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// gets one of a trailhead's reviews; its author can also replace, edit, or delete it
+app.get('/trailheads/:trailheadId/reviews/:reviewId', async(req, res) => {
+  const result = await getReview(TRAILHEAD, req.params.trailheadId, req.params.reviewId, req.headers, req.user).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+app.put('/trailheads/:trailheadId/reviews/:reviewId', async(req, res) => {
+  const result = await updateReview(TRAILHEAD, req.params.trailheadId, req.params.reviewId, req.headers, req.user, req.body, true).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+app.patch('/trailheads/:trailheadId/reviews/:reviewId', async(req, res) => {
+  const result = await updateReview(TRAILHEAD, req.params.trailheadId, req.params.reviewId, req.headers, req.user, req.body, false).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+app.delete('/trailheads/:trailheadId/reviews/:reviewId', async(req, res) => {
+  const result = await deleteReview(TRAILHEAD, req.params.trailheadId, req.params.reviewId, req.headers, req.user).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// reports a condition (closure, hazard, or note) on a trail
+app.post('/trails/:trailId/conditions', async(req, res) => {
+  const result = await postCondition(TRAIL, req.params.trailId, req.headers, req.user, req.body).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// lists a trail's current condition reports
+app.get('/trails/:trailId/conditions', async(req, res) => {
+  const result = await getConditions(TRAIL, req.params.trailId, req.headers, req.user, req.query).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// gets or deletes one of a trail's condition reports
+app.get('/trails/:trailId/conditions/:conditionId', async(req, res) => {
+  const result = await getCondition(TRAIL, req.params.trailId, req.params.conditionId, req.headers, req.user).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+app.delete('/trails/:trailId/conditions/:conditionId', async(req, res) => {
+  const result = await deleteCondition(TRAIL, req.params.trailId, req.params.conditionId, req.headers, req.user).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// reports a condition (closure, hazard, or note) on a trailhead
+app.post('/trailheads/:trailheadId/conditions', async(req, res) => {
+  const result = await postCondition(TRAILHEAD, req.params.trailheadId, req.headers, req.user, req.body).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// lists a trailhead's current condition reports
+app.get('/trailheads/:trailheadId/conditions', async(req, res) => {
+  const result = await getConditions(TRAILHEAD, req.params.trailheadId, req.headers, req.user, req.query).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// gets or deletes one of a trailhead's condition reports
+app.get('/trailheads/:trailheadId/conditions/:conditionId', async(req, res) => {
+  const result = await getCondition(TRAILHEAD, req.params.trailheadId, req.params.conditionId, req.headers, req.user).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+app.delete('/trailheads/:trailheadId/conditions/:conditionId', async(req, res) => {
+  const result = await deleteCondition(TRAILHEAD, req.params.trailheadId, req.params.conditionId, req.headers, req.user).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// lists a trail's revisions, newest first
+app.get('/trails/:trailId/history', async(req, res) => {
+  const result = await getHistory(TRAIL, req.params.trailId, req.headers, req.user, req.query).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// gets one of a trail's revisions
+app.get('/trails/:trailId/history/:version', async(req, res) => {
+  const result = await getRevision(TRAIL, req.params.trailId, req.params.version, req.headers, req.user).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// restores a trail's attributes to what they were at a version
+app.post('/trails/:trailId/history/:version/revert', async(req, res) => {
+  const result = await revertEntity(TRAIL, req.params.trailId, req.params.version, req.headers, req.user).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// lists a trailhead's revisions, newest first
+app.get('/trailheads/:trailheadId/history', async(req, res) => {
+  const result = await getHistory(TRAILHEAD, req.params.trailheadId, req.headers, req.user, req.query).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// gets one of a trailhead's revisions
+app.get('/trailheads/:trailheadId/history/:version', async(req, res) => {
+  const result = await getRevision(TRAILHEAD, req.params.trailheadId, req.params.version, req.headers, req.user).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// restores a trailhead's attributes to what they were at a version
+app.post('/trailheads/:trailheadId/history/:version/revert', async(req, res) => {
+  const result = await revertEntity(TRAILHEAD, req.params.trailheadId, req.params.version, req.headers, req.user).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// restores a trail or trailhead from the trash
+app.post('/trails/:trailId/restore', async(req, res) => {
+  const result = await restoreEntity(TRAIL, req.params.trailId, req.headers, req.user).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+app.post('/trailheads/:trailheadId/restore', async(req, res) => {
+  const result = await restoreEntity(TRAILHEAD, req.params.trailheadId, req.headers, req.user).catch(handleRouteError);
+  sendResult(res, result);
 });
 
 // can't get a trail's trailheads directoy -> 405 error
 app.put('/trails/:trailId/trailheads/:trailheadId', async(req, res) => {
-  const result = await assignTrailheadToTrail(req.params.trailId, req.params.trailheadId, req.headers).catch(error => console.log(error));
-  res.status(result.code).send(result.data);
+  const result = await assignTrailheadToTrail(req.params.trailId, req.params.trailheadId, req.headers, req.user).catch(handleRouteError);
+  sendResult(res, result);
 });
 
-// adds a trailhead to a trail, if the authenticated user owns that trail
+// adds a trailhead to a trail, if the authenticated user owns that trail or is one of its editors
 app.put('/trails/:trailId/trailheads/:trailheadId', async(req, res) => {
-  const result = await assignTrailheadToTrail(req.params.trailId, req.params.trailheadId, req.headers).catch(error => console.log(error));
-  res.status(result.code).send(result.data);
+  const result = await assignTrailheadToTrail(req.params.trailId, req.params.trailheadId, req.headers, req.user).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// replaces a trail's route (GPX, GeoJSON LineString, or list of points), if the authenticated user owns that trail or is one of its editors
+app.put('/trails/:trailId/route', async(req, res) => {
+  const result = await putTrailRoute(req.params.trailId, req.headers, req.user, req.body).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// shares a trail with a user (by their profile's ID) as a viewer or editor, if the authenticated user owns that trail
+app.put('/trails/:trailId/shares/:userId', async(req, res) => {
+  const result = await putTrailShare(req.params.trailId, req.params.userId, req.headers, req.user, req.body).catch(handleRouteError);
+  sendResult(res, result);
 });
 
-// removes a trailhead from a trail, if the authenticated user owns that trail
+// stops sharing a trail with a user, if the authenticated user owns that trail or is the user being removed
+app.delete('/trails/:trailId/shares/:userId', async(req, res) => {
+  const result = await deleteTrailShare(req.params.trailId, req.params.userId, req.headers, req.user).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// removes a trailhead from a trail, if the authenticated user owns that trail or is one of its editors
 app.delete('/trails/:trailId/trailheads/:trailheadId', async(req, res) => {
-  const result = await removeTrailheadFromTrail(req.params.trailId, req.params.trailheadId, req.headers).catch(error => console.log(error));
-  res.status(result.code).send(result.data);
+  const result = await removeTrailheadFromTrail(req.params.trailId, req.params.trailheadId, req.headers, req.user).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// repairs dangling and one-sided trail <-> trailhead references; admins only (see ADMIN_USER_IDS in config.js)
+app.post('/maintenance/relationships/reconcile', async(req, res) => {
+  const result = await reconcileAllRelationships(req.headers, req.user).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// saves the search document of every trail and trailhead; admins only
+app.post('/maintenance/search/reindex', async(req, res) => {
+  const result = await reindexSearch(req.headers, req.user).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// tries the webhook deliveries that are due again
+app.post('/maintenance/webhooks/deliver', async(req, res) => {
+  const result = await retryWebhookDeliveries(req.headers, req.user).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// brings closed up to date on trails and trailheads whose closures started or expired
+app.post('/maintenance/closures/refresh', async(req, res) => {
+  const result = await refreshAllClosures(req.headers, req.user).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// deletes trash that has passed the retention window for good
+app.post('/maintenance/trash/purge', async(req, res) => {
+  const result = await purgeExpiredTrash(req.headers, req.user).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// lists the authenticated user's trails and trailheads in the trash
+app.get('/trash', async(req, res) => {
+  const result = await getTrash(req.headers, req.user, req.query).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// logs a hike on a trail the authenticated user can see
+app.post('/trails/:trailId/hikes', async(req, res) => {
+  const result = await postHike(req.params.trailId, req.headers, req.user, req.body).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// lists the authenticated user's hikes on a trail
+app.get('/trails/:trailId/hikes', async(req, res) => {
+  const result = await getHikes(req.params.trailId, req.headers, req.user, req.query).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// gets, replaces, edits, or deletes one of the authenticated user's hikes on a trail
+app.get('/trails/:trailId/hikes/:hikeId', async(req, res) => {
+  const result = await getHike(req.params.trailId, req.params.hikeId, req.headers, req.user, req.query).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+app.put('/trails/:trailId/hikes/:hikeId', async(req, res) => {
+  const result = await updateHike(req.params.trailId, req.params.hikeId, req.headers, req.user, req.body, true).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+app.patch('/trails/:trailId/hikes/:hikeId', async(req, res) => {
+  const result = await updateHike(req.params.trailId, req.params.hikeId, req.headers, req.user, req.body, false).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+app.delete('/trails/:trailId/hikes/:hikeId', async(req, res) => {
+  const result = await deleteHike(req.params.trailId, req.params.hikeId, req.headers, req.user).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// logs a hike on the trail in the body
+app.post('/users/me/hikes', async(req, res) => {
+  const result = await postHike(null, req.headers, req.user, req.body).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// lists all of the authenticated user's hikes
+app.get('/users/me/hikes', async(req, res) => {
+  const result = await getHikes(null, req.headers, req.user, req.query).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// gets, replaces, edits, or deletes one of the authenticated user's hikes
+app.get('/users/me/hikes/:hikeId', async(req, res) => {
+  const result = await getHike(null, req.params.hikeId, req.headers, req.user, req.query).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+app.put('/users/me/hikes/:hikeId', async(req, res) => {
+  const result = await updateHike(null, req.params.hikeId, req.headers, req.user, req.body, true).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+app.patch('/users/me/hikes/:hikeId', async(req, res) => {
+  const result = await updateHike(null, req.params.hikeId, req.headers, req.user, req.body, false).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+app.delete('/users/me/hikes/:hikeId', async(req, res) => {
+  const result = await deleteHike(null, req.params.hikeId, req.headers, req.user).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// totals of the authenticated user's hikes by month and by trail difficulty
+app.get('/users/me/stats', async(req, res) => {
+  const result = await getHikeStats(req.headers, req.user).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// imports trails and trailheads (with the relationships between them) from CSV or NDJSON; all rows are saved or none are
+app.post('/import', async(req, res) => {
+  const result = await importEntities(req.headers, req.user, req.body, req.query).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// exports the authenticated user's trails and every trailhead as CSV or NDJSON
+app.get('/export', async(req, res) => {
+  const result = await exportEntities(req.headers, req.user).catch(handleRouteError);
+  sendResult(res, result);
 });
 
 // returns userId, first name, adn last name of all users (no authentication required)
 app.get('/users', async(req, res) => {
-  const result = await getEntitiesPagination(USER, req.headers, req.query.nextPage).catch(error => console.log(error));
-  res.status(result.code).send(result.data);
+  const result = await getEntitiesPagination(USER, req.headers, req.user, req.query).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// returns the authenticated user's profile
+app.get('/users/me', async(req, res) => {
+  const result = await getCurrentUser(req.headers, req.user).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// edits the authenticated user's names and display preferences
+app.patch('/users/me', async(req, res) => {
+  const result = await patchCurrentUser(req.headers, req.user, req.body).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// deletes the authenticated user's profile and all of their trails
+app.delete('/users/me', async(req, res) => {
+  const result = await deleteCurrentUser(req.headers, req.user).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// returns a user by their ID (no authentication required); must come after /users/me
+app.get('/users/:userId', async(req, res) => {
+  const result = await getEntity(req.params.userId, USER, req.headers, req.user, req.query).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// creates an API key for the authenticated user; the response is the only time the key is shown
+app.post('/users/me/api-keys', async(req, res) => {
+  const result = await postApiKey(req.headers, req.user, req.body).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// lists the authenticated user's API keys
+app.get('/users/me/api-keys', async(req, res) => {
+  const result = await getApiKeys(req.headers, req.user).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// revokes one of the authenticated user's API keys
+app.delete('/users/me/api-keys/:keyId', async(req, res) => {
+  const result = await deleteApiKey(req.params.keyId, req.headers, req.user).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// subscribes the authenticated user to trail and trailhead events; the response is the only time the signing secret is shown
+app.post('/users/me/webhooks', async(req, res) => {
+  const result = await postWebhook(req.headers, req.user, req.body).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// lists the authenticated user's webhooks
+app.get('/users/me/webhooks', async(req, res) => {
+  const result = await getWebhooks(req.headers, req.user).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// gets one of the authenticated user's webhooks
+app.get('/users/me/webhooks/:webhookId', async(req, res) => {
+  const result = await getWebhook(req.params.webhookId, req.headers, req.user).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// deletes one of the authenticated user's webhooks and its delivery log
+app.delete('/users/me/webhooks/:webhookId', async(req, res) => {
+  const result = await deleteWebhook(req.params.webhookId, req.headers, req.user).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// lists a webhook's deliveries, newest first (optionally only those with ?status=)
+app.get('/users/me/webhooks/:webhookId/deliveries', async(req, res) => {
+  const result = await getWebhookDeliveries(req.params.webhookId, req.headers, req.user, req.query).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// the API's OpenAPI document, built from the routes and entity descriptors
+app.get('/openapi.json', async(req, res) => {
+  res.json(getOpenAPIDocument());
+});
+
+// browsable page of the OpenAPI document
+app.get('/docs', async(req, res) => {
+  res.render("docs.html", makeDocsPage(getOpenAPIDocument()));
+});
+
+// runs a GraphQL query, with query, variables (JSON), and operationName in the query string
+app.get('/graphql', async(req, res) => {
+  const result = await runGraphQLRequest("GET", req.headers, req.user, req.query).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// runs a GraphQL query or mutation, with query, variables, and operationName in a JSON body
+app.post('/graphql', async(req, res) => {
+  const result = await runGraphQLRequest("POST", req.headers, req.user, req.body).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// signs a local token, if AUTH_STRATEGIES includes local (development and offline testing only)
+app.post('/auth/local/token', async(req, res) => {
+  const result = await postLocalToken(req.headers, req.body).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// changes a user's moderation role, if the authenticated user is an admin
+app.put('/users/:userId/role', async(req, res) => {
+  const result = await putUserRole(req.params.userId, req.headers, req.user, req.body).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// proposes an edit to a trailhead (any authenticated user)
+app.post('/trailheads/:trailheadId/edits', async(req, res) => {
+  const result = await postTrailheadEdit(req.params.trailheadId, req.headers, req.user, req.body).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// returns a trailhead's proposed edits (no authentication needed)
+app.get('/trailheads/:trailheadId/edits', async(req, res) => {
+  const result = await getTrailheadEdits(req.params.trailheadId, req.headers, req.user, req.query).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// returns one of a trailhead's proposed edits (no authentication needed)
+app.get('/trailheads/:trailheadId/edits/:editId', async(req, res) => {
+  const result = await getTrailheadEdit(req.params.trailheadId, req.params.editId, req.headers).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// applies a proposed edit to its trailhead, if the authenticated user created the trailhead or is a moderator
+app.post('/trailheads/:trailheadId/edits/:editId/approve', async(req, res) => {
+  const result = await reviewTrailheadEdit(req.params.trailheadId, req.params.editId, req.headers, req.user, req.body, true).catch(handleRouteError);
+  sendResult(res, result);
+});
+
+// rejects a proposed edit, if the authenticated user created the trailhead or is a moderator
+app.post('/trailheads/:trailheadId/edits/:editId/reject', async(req, res) => {
+  const result = await reviewTrailheadEdit(req.params.trailheadId, req.params.editId, req.headers, req.user, req.body, false).catch(handleRouteError);
+  sendResult(res, result);
 });
 
 // no other methods allowed for /trails
@@ -971,8 +5967,23 @@ app.all('/users', async(req, res) => {
   res.status(result.code).send(result.data);
 });
 
-// listen to GAE port if it exists; 8001 otherwise
-const PORT = process.env.PORT || 8001;
+// listen to GAE port if it exists; 8001 otherwise (see config.js)
+const PORT = config.PORT;
 app.listen(PORT, () => {
   console.log(`Server listening on port ${PORT}...`);
 });
+
+// webhook deliveries that failed are tried again when they're due; the timer doesn't keep the process running on its own
+if (config.WEBHOOK_RETRY_INTERVAL > 0) {
+  setInterval(() => {
+    deliverPendingWebhooks(1).catch(error => console.log("error delivering webhooks", error));
+  }, config.WEBHOOK_RETRY_INTERVAL * 1000).unref();
+}
+
+// closures that started or expired are saved as closed (or not) for the open filter; lists never write, so this is what keeps it up to date
+if (config.CLOSURE_REFRESH_INTERVAL > 0) {
+  setInterval(async () => {
+    await refreshClosures(TRAIL, 1).catch(error => console.log("error refreshing closures", error));
+    await refreshClosures(TRAILHEAD, 1).catch(error => console.log("error refreshing closures", error));
+  }, config.CLOSURE_REFRESH_INTERVAL * 1000).unref();
+}
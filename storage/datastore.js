@@ -0,0 +1,30 @@
+/*
+Google Cloud Datastore storage backend
+Thin wrapper around the Datastore client; the other backends imitate the subset of its API used here
+*/
+
+const {Datastore} = require('@google-cloud/datastore');
+
+// creates storage backed by Google Cloud Datastore (credentials and project come from the GCP environment)
+// output: storage object (see storage/index.js for the interface)
+function createDatastoreStorage() {
+  const datastore = new Datastore();
+
+  return {
+    "KEY": Datastore.KEY,
+    "NO_MORE_RESULTS": Datastore.NO_MORE_RESULTS,
+    "MORE_RESULTS_AFTER_LIMIT": Datastore.MORE_RESULTS_AFTER_LIMIT,
+
+    key: (path) => datastore.key(path),
+    createQuery: (kind) => datastore.createQuery(kind),
+    runQuery: (query) => datastore.runQuery(query),
+    get: (keys) => datastore.get(keys),
+    save: (entities) => datastore.save(entities),
+    update: (entities) => datastore.update(entities),
+    delete: (keys) => datastore.delete(keys),
+    allocateIds: (key, count) => datastore.allocateIds(key, count),
+    transaction: () => datastore.transaction()
+  };
+}
+
+module.exports = createDatastoreStorage;
@@ -0,0 +1,31 @@
+/*
+JSON file storage backend
+Keeps entities in memory and rewrites the whole file after every write, so data survives restarts. Meant for local development and CI, not production traffic
+*/
+
+const fs = require("fs");
+const createMemoryStorage = require('./memory');
+
+// creates storage that loads from and saves to a JSON file
+// input: path of the JSON file (created on first write if it doesn't exist)
+// output: storage object (see storage/index.js for the interface)
+function createFileStorage(path) {
+  let snapshot = null;
+
+  if (fs.existsSync(path)) {
+    snapshot = JSON.parse(fs.readFileSync(path, 'utf8'));
+  }
+
+  return createMemoryStorage({
+    "snapshot": snapshot,
+
+    // write to a temporary file first so a crash mid-write can't leave a half-written database
+    persist: (data) => {
+      const tempPath = path + ".tmp";
+      fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+      fs.renameSync(tempPath, path);
+    }
+  });
+}
+
+module.exports = createFileStorage;
@@ -0,0 +1,36 @@
+/*
+Storage layer
+All entity reads and writes go through a storage object, so the API can run against Google Cloud Datastore or fully offline.
+Every backend provides the same subset of the Datastore client's API:
+  KEY, NO_MORE_RESULTS, MORE_RESULTS_AFTER_LIMIT: same meaning as Datastore.KEY etc.
+  key(path): key for [kind] (new entity) or [kind, id]
+  createQuery(kind): query with filter, order, select, limit, offset and start (cursor)
+  runQuery(query): [entities, info] where info has endCursor and moreResults
+  get(key or keys): [entity] or [entities]
+  save(entities), update(entities): writes { key, data } objects or entities carrying KEY; save assigns IDs to new keys
+  delete(keys)
+  allocateIds(key, count): [keys] with new IDs for an incomplete key's kind, for linking entities before they are saved
+  transaction(): object with run, get, createQuery, runQuery, save, update, delete, commit and rollback
+*/
+
+// backends are required lazily so offline runs don't load the Datastore client
+const BACKENDS = {
+  "datastore": () => require('./datastore')(),
+  "memory": () => require('./memory')(),
+  "file": (options) => require('./file')(options.file)
+};
+
+// creates the storage backend named in config
+// input: backend name ("datastore", "memory", or "file"); options (file: path of JSON file for the file backend)
+// output: storage object
+function createStorage(backend, options) {
+  if (!(backend in BACKENDS)) {
+    throw new Error("Unknown storage backend: " + backend + ". Use one of: " + Object.keys(BACKENDS).join(", "));
+  }
+
+  return BACKENDS[backend](options || {});
+}
+
+module.exports = {
+  createStorage
+};
@@ -0,0 +1,464 @@
+/*
+In-memory storage backend
+Imitates the parts of the Datastore client that the API uses, so the API can run without a Google project.
+Data is lost when the process exits unless a persist function is given (see storage/file.js)
+*/
+
+// property that holds an entity's key, like Datastore.KEY
+const KEY = Symbol.for("trails-api.storage.key");
+
+// same values as the Datastore client's query info constants
+const NO_MORE_RESULTS = "NO_MORE_RESULTS";
+const MORE_RESULTS_AFTER_LIMIT = "MORE_RESULTS_AFTER_LIMIT";
+
+// first generated ID; keeps IDs clear of small numbers such as the Postman environment's invalid_id
+const FIRST_ID = 1000000;
+
+// gRPC status codes that Datastore reports for failed writes, and for queries whose cursor it didn't make
+const ABORTED = 10;
+const NOT_FOUND = 5;
+const INVALID_ARGUMENT = 3;
+
+// returns a deep copy of plain JSON data so callers can't change stored entities by reference
+function copy(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// builds an error with a gRPC-style code, like the ones the Datastore client throws
+function makeStorageError(code, message) {
+  const error = new Error(code + " " + message);
+  error.code = code;
+  return error;
+}
+
+// builds a key from a path of [kind] (incomplete key for a new entity) or [kind, id]
+// input: path array, or just the kind
+// output: key object with kind, id (as a string, like keys read from Datastore) and path
+function makeKey(path) {
+  path = Array.isArray(path) ? path : [path];
+
+  const key = {
+    "kind": path[0],
+    "path": path.slice()
+  };
+
+  if (path.length > 1 && path[1] !== undefined && path[1] !== null) {
+    key.id = String(path[1]);
+    key.path[1] = key.id;
+  }
+
+  return key;
+}
+
+// compares two numeric ID strings without losing precision on large IDs
+function compareIds(a, b) {
+  if (a.length !== b.length) {
+    return a.length - b.length;
+  }
+  return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+// ranks value types the way Datastore orders mixed types
+function typeRank(value) {
+  if (value === null || value === undefined) {
+    return 0;
+  } else if (typeof value === "boolean") {
+    return 1;
+  } else if (typeof value === "number") {
+    return 2;
+  } else if (typeof value === "string") {
+    return 3;
+  }
+  return 4;
+}
+
+// compares two property values; values of different types are ordered by type
+function compareValues(a, b) {
+  const rankDifference = typeRank(a) - typeRank(b);
+  if (rankDifference !== 0) {
+    return rankDifference;
+  }
+
+  if (typeof a === "number" || typeof a === "boolean") {
+    return a - b;
+  } else if (typeof a === "string") {
+    return a < b ? -1 : (a > b ? 1 : 0);
+  }
+  return 0;
+}
+
+// returns true if a comparison result satisfies a filter operator
+function testOperator(operator, comparison) {
+  switch (operator) {
+    case "=":
+      return comparison === 0;
+    case "<":
+      return comparison < 0;
+    case "<=":
+      return comparison <= 0;
+    case ">":
+      return comparison > 0;
+    case ">=":
+      return comparison >= 0;
+    default:
+      throw new Error("unsupported filter operator: " + operator);
+  }
+}
+
+// returns true if a stored entity matches one query filter
+// array properties match if any element matches, like Datastore's multi-valued properties; missing properties never match
+function matchesFilter(id, data, filter) {
+  if (filter.property === "__key__") {
+    return filter.value.id !== undefined && testOperator(filter.operator, compareIds(id, filter.value.id));
+  }
+
+  const property = data[filter.property];
+  const values = Array.isArray(property) ? property : [property];
+
+  return values.some(value => {
+    return value !== undefined && typeRank(value) === typeRank(filter.value) &&
+      testOperator(filter.operator, compareValues(value, filter.value));
+  });
+}
+
+// cursors are the base64 encoded offset of the next result
+function encodeCursor(offset) {
+  return Buffer.from(String(offset)).toString("base64");
+}
+
+// a cursor that isn't one of these fails the query, as Datastore's do, rather than starting over from the first result
+function decodeCursor(cursor) {
+  if (!cursor) {
+    return 0;
+  }
+
+  const offset = Buffer.from(String(cursor), "base64").toString();
+  if (!/^\d{1,15}$/.test(offset) || encodeCursor(offset) !== String(cursor)) {
+    throw makeStorageError(INVALID_ARGUMENT, "INVALID_ARGUMENT: Invalid query cursor.");
+  }
+  return parseInt(offset, 10);
+}
+
+// creates a query with the same chaining methods as a Datastore query
+// input: kind of entity to query
+// output: query object; pass it to runQuery
+function createQuery(kind) {
+  return {
+    "kind": kind,
+    "filters": [],
+    "orders": [],
+    "selectVal": [],
+    "limitVal": -1,
+    "offsetVal": 0,
+    "startVal": null,
+
+    // like Datastore, filter(property, value) is shorthand for an equality filter
+    filter(property, operator, value) {
+      if (arguments.length === 2) {
+        value = operator;
+        operator = "=";
+      }
+      this.filters.push({"property": property, "operator": operator, "value": value});
+      return this;
+    },
+
+    order(property, options) {
+      this.orders.push({"property": property, "descending": Boolean(options && options.descending)});
+      return this;
+    },
+
+    select(fields) {
+      this.selectVal = [].concat(fields);
+      return this;
+    },
+
+    limit(n) {
+      this.limitVal = n;
+      return this;
+    },
+
+    offset(n) {
+      this.offsetVal = n;
+      return this;
+    },
+
+    start(cursor) {
+      this.startVal = cursor;
+      return this;
+    }
+  };
+}
+
+// creates storage that keeps all entities in memory
+// input: options.snapshot to start from (as produced by persist); options.persist(snapshot) called after every write
+// output: storage object (see storage/index.js for the interface)
+function createMemoryStorage(options) {
+  options = options || {};
+
+  // kind -> Map of ID -> { data, version }
+  const tables = {};
+  let nextId = FIRST_ID;
+
+  // every write gets a new version so transactions can detect conflicting writes
+  let lastVersion = 0;
+
+  function table(kind) {
+    if (!tables[kind]) {
+      tables[kind] = new Map();
+    }
+    return tables[kind];
+  }
+
+  function versionOf(key) {
+    const record = key.id === undefined ? undefined : table(key.kind).get(key.id);
+    return record ? record.version : 0;
+  }
+
+  // returns a copy of stored data with its key attached
+  function toEntity(kind, id, data) {
+    const entity = copy(data);
+    entity[KEY] = makeKey([kind, id]);
+    return entity;
+  }
+
+  // returns all stored data; the file backend writes this to disk
+  function snapshot() {
+    const entities = {};
+    for (const kind of Object.keys(tables)) {
+      entities[kind] = {};
+      for (const [id, record] of tables[kind]) {
+        entities[kind][id] = record.data;
+      }
+    }
+
+    return {
+      "nextId": nextId,
+      "entities": entities
+    };
+  }
+
+  function persist() {
+    if (options.persist) {
+      options.persist(snapshot());
+    }
+  }
+
+  // load initial data, if any
+  if (options.snapshot) {
+    nextId = Math.max(FIRST_ID, options.snapshot.nextId || 0);
+    const entities = options.snapshot.entities || {};
+    for (const kind of Object.keys(entities)) {
+      for (const id of Object.keys(entities[kind])) {
+        table(kind).set(id, {"data": entities[kind][id], "version": ++lastVersion});
+      }
+    }
+  }
+
+  // accepts the same arguments as Datastore writes: one or more { key, data } objects or entities carrying KEY
+  function toWrites(entities) {
+    return [].concat(entities).map(entity => {
+      if (entity[KEY]) {
+        return {"key": entity[KEY], "data": entity};
+      }
+      return {"key": entity.key, "data": entity.data};
+    });
+  }
+
+  // applies a batch of writes ([operation, entities or keys] pairs) all at once, or none of them if any update has nothing to update
+  function applyMutations(mutations) {
+    const savedKeys = new Set();
+
+    for (const [operation, entities] of mutations) {
+      if (operation === "save") {
+        toWrites(entities).forEach(write => savedKeys.add(write.key.kind + "/" + write.key.id));
+      } else if (operation === "update") {
+        for (const write of toWrites(entities)) {
+          if (!versionOf(write.key) && !savedKeys.has(write.key.kind + "/" + write.key.id)) {
+            throw makeStorageError(NOT_FOUND, "NOT_FOUND: no entity to update");
+          }
+        }
+      }
+    }
+
+    for (const [operation, entities] of mutations) {
+      if (operation === "delete") {
+        [].concat(entities).forEach(key => table(key.kind).delete(key.id));
+        continue;
+      }
+
+      for (const write of toWrites(entities)) {
+        // allocate an ID for new entities and set it on the caller's key, like Datastore does
+        if (write.key.id === undefined) {
+          write.key.id = String(nextId++);
+          write.key.path = [write.key.kind, write.key.id];
+        }
+        table(write.key.kind).set(write.key.id, {"data": copy(write.data), "version": ++lastVersion});
+      }
+    }
+
+    persist();
+  }
+
+  // returns [entity] for one key or [entities] (only those found) for an array of keys
+  async function get(keys) {
+    if (!Array.isArray(keys)) {
+      const record = keys.id === undefined ? undefined : table(keys.kind).get(keys.id);
+      return [record ? toEntity(keys.kind, keys.id, record.data) : undefined];
+    }
+
+    const entities = [];
+    for (const key of keys) {
+      const [entity] = await get(key);
+      if (entity) {
+        entities.push(entity);
+      }
+    }
+    return [entities];
+  }
+
+  // returns [entities, info] where info has endCursor and moreResults, like Datastore's runQuery
+  async function runQuery(query) {
+    const records = Array.from(table(query.kind).entries()).filter(([id, record]) => {
+      return query.filters.every(filter => matchesFilter(id, record.data, filter));
+    });
+
+    // sort by each order in turn, then by key like Datastore
+    records.sort(([idA, recordA], [idB, recordB]) => {
+      for (const order of query.orders) {
+        const comparison = order.property === "__key__" ?
+          compareIds(idA, idB) :
+          compareValues(recordA.data[order.property], recordB.data[order.property]);
+        if (comparison !== 0) {
+          return order.descending ? -comparison : comparison;
+        }
+      }
+      return compareIds(idA, idB);
+    });
+
+    const start = decodeCursor(query.startVal) + query.offsetVal;
+    const end = query.limitVal >= 0 ? start + query.limitVal : records.length;
+
+    const entities = records.slice(start, end).map(([id, record]) => {
+      // keys-only and projection queries return just the selected properties
+      if (query.selectVal.length === 0) {
+        return toEntity(query.kind, id, record.data);
+      }
+
+      const projection = {};
+      for (const field of query.selectVal) {
+        if (field !== "__key__") {
+          projection[field] = record.data[field];
+        }
+      }
+      return toEntity(query.kind, id, projection);
+    });
+
+    const info = {
+      "endCursor": encodeCursor(Math.min(end, records.length)),
+      "moreResults": end < records.length ? MORE_RESULTS_AFTER_LIMIT : NO_MORE_RESULTS
+    };
+
+    return [entities, info];
+  }
+
+  // writes are async to match the Datastore client
+  async function save(entities) {
+    applyMutations([["save", entities]]);
+    return [{}];
+  }
+
+  async function update(entities) {
+    applyMutations([["update", entities]]);
+    return [{}];
+  }
+
+  async function remove(keys) {
+    applyMutations([["delete", keys]]);
+    return [{}];
+  }
+
+  // reserves IDs for new entities of a key's kind, which saves can then use in complete keys
+  async function allocateIds(key, count) {
+    const keys = [];
+    for (let i = 0; i < count; i++) {
+      keys.push(makeKey([key.kind, String(nextId++)]));
+    }
+    return [keys];
+  }
+
+  // optimistic transaction: writes are queued until commit, which fails with ABORTED if anything read has changed since
+  function transaction() {
+    // "kind/id" -> version seen when the entity was first read in this transaction
+    const reads = new Map();
+    const mutations = [];
+
+    function remember(key) {
+      const name = key.kind + "/" + key.id;
+      if (!reads.has(name)) {
+        reads.set(name, {"key": key, "version": versionOf(key)});
+      }
+    }
+
+    const tx = {
+      run: async () => [tx, {}],
+
+      createQuery: createQuery,
+
+      async get(keys) {
+        [].concat(keys).forEach(remember);
+        return get(keys);
+      },
+
+      async runQuery(query) {
+        const results = await runQuery(query);
+        results[0].forEach(entity => remember(entity[KEY]));
+        return results;
+      },
+
+      save(entities) {
+        mutations.push(["save", entities]);
+      },
+
+      update(entities) {
+        mutations.push(["update", entities]);
+      },
+
+      delete(keys) {
+        mutations.push(["delete", keys]);
+      },
+
+      async commit() {
+        for (const read of reads.values()) {
+          if (versionOf(read.key) !== read.version) {
+            throw makeStorageError(ABORTED, "ABORTED: too much contention on these entities. Please try again.");
+          }
+        }
+
+        applyMutations(mutations);
+        return [{}];
+      },
+
+      rollback: async () => [{}]
+    };
+
+    return tx;
+  }
+
+  return {
+    "KEY": KEY,
+    "NO_MORE_RESULTS": NO_MORE_RESULTS,
+    "MORE_RESULTS_AFTER_LIMIT": MORE_RESULTS_AFTER_LIMIT,
+
+    key: makeKey,
+    createQuery: createQuery,
+    runQuery: runQuery,
+    get: get,
+    save: save,
+    update: update,
+    delete: remove,
+    allocateIds: allocateIds,
+    transaction: transaction
+  };
+}
+
+module.exports = createMemoryStorage;
@@ -0,0 +1,65 @@
+/*
+Closures: reads work out closed without writing, and the timer brings the saved closed (which the open filter matches) up to date
+*/
+
+const test = require('node:test');
+const assert = require('assert');
+const {startServer} = require('./server');
+
+// waits a number of milliseconds
+function sleep(milliseconds) {
+  return new Promise(resolve => setTimeout(resolve, milliseconds));
+}
+
+// creates a trail with a closure that starts in a second
+// output: { path of the trail, its ETag before the closure starts }
+async function makeClosingTrail(server, token) {
+  const trail = await server.request("POST", "/trails", { "token": token, "body": { "name": "Creek Trail", "length": 3, "difficulty": "medium" } });
+  const trailPath = "/trails/" + trail.body.id;
+
+  const closure = { "type": "closure", "severity": "high", "startsAt": new Date(Date.now() + 1000).toISOString() };
+  assert.strictEqual((await server.request("POST", trailPath + "/conditions", { "token": token, "body": closure })).status, 201);
+
+  const before = await server.request("GET", trailPath, { "token": token });
+  assert.strictEqual(before.body.closed, false);
+
+  return { "path": trailPath, "etag": before.headers.get("etag") };
+}
+
+test("reading a trail whose closure started doesn't change it", async (t) => {
+  const server = await startServer({ "CLOSURE_REFRESH_INTERVAL": "0" });
+  t.after(() => server.stop());
+  const alice = await server.token("alice");
+
+  const trail = await makeClosingTrail(server, alice);
+  await sleep(1500);
+
+  const closed = await server.request("GET", trail.path, { "token": alice });
+  assert.strictEqual(closed.body.closed, true);
+  assert.ok(!/^"\d+"$/.test(closed.headers.get("etag") || ""), "no version ETag");
+
+  // the lists still match the saved closed attribute, and reading them doesn't write either
+  assert.strictEqual((await server.request("GET", "/trails?open=true", { "token": alice })).body.count, 1);
+  assert.strictEqual((await server.request("GET", "/trails?open=false", { "token": alice })).body.count, 0);
+
+  // the version hasn't changed, so the ETag from before the closure still matches
+  const edited = await server.request("PATCH", trail.path, { "token": alice, "body": { "length": 4 }, "headers": { "If-Match": trail.etag } });
+  assert.strictEqual(edited.status, 200);
+});
+
+test("the timer saves closures that started, so the open filter matches them", async (t) => {
+  const server = await startServer({ "CLOSURE_REFRESH_INTERVAL": "1" });
+  t.after(() => server.stop());
+  const alice = await server.token("alice");
+
+  const trail = await makeClosingTrail(server, alice);
+  await sleep(2500);
+
+  assert.strictEqual((await server.request("GET", "/trails?open=true", { "token": alice })).body.count, 0);
+  assert.strictEqual((await server.request("GET", "/trails?open=false", { "token": alice })).body.count, 1);
+
+  const closed = await server.request("GET", trail.path, { "token": alice });
+  assert.strictEqual(closed.body.closed, true);
+  assert.match(closed.headers.get("etag"), /^"\d+"$/);
+  assert.notStrictEqual(closed.headers.get("etag"), trail.etag);
+});
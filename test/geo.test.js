@@ -0,0 +1,64 @@
+/*
+Geo searches with more trailheads than a search considers (MAX_GEO_CANDIDATES in server.js): nearby searches keep the closest ones,
+and both say when some were left out
+*/
+
+const test = require('node:test');
+const assert = require('assert');
+const {startServer} = require('./server');
+
+const CENTER = { "latitude": 45.5, "longitude": -122.6 };
+
+// imports trailheads from NDJSON rows, 150 at a time (an import can have at most 160 rows)
+async function importTrailheads(server, token, trailheads) {
+  for (let start = 0; start < trailheads.length; start += 150) {
+    const rows = trailheads.slice(start, start + 150).map(trailhead => JSON.stringify(Object.assign({ "kind": "trailhead", "fee": 0 }, trailhead)));
+    const response = await server.request("POST", "/import", { "token": token, "body": rows.join("\n"), "headers": { "Content-Type": "application/x-ndjson" } });
+    assert.strictEqual(response.status, 201, JSON.stringify(response.body));
+  }
+}
+
+test("geo searches with more than 1000 trailheads", async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+  const alice = await server.token("alice");
+
+  // 1200 trailheads on a circle about 8 miles from the center, then 5 next to it; the close ones are saved last, so they have the largest IDs
+  const far = [];
+  for (let i = 0; i < 1200; i++) {
+    const angle = 2 * Math.PI * i / 1200;
+    far.push({ "name": "Far " + i, "location": { "latitude": CENTER.latitude + 0.115 * Math.sin(angle), "longitude": CENTER.longitude + 0.165 * Math.cos(angle) } });
+  }
+  const near = [];
+  for (let i = 0; i < 5; i++) {
+    near.push({ "name": "Near " + i, "location": { "latitude": CENTER.latitude + 0.001 * i, "longitude": CENTER.longitude } });
+  }
+  await importTrailheads(server, alice, far.concat(near));
+
+  await t.test("nearby searches keep the closest trailheads, and say that some were left out", async () => {
+    const response = await server.request("GET", "/trailheads/nearby?lat=45.5&lng=-122.6&radius=10");
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.count, 1000);
+    assert.strictEqual(response.body.truncated, true);
+    assert.deepStrictEqual(response.body.items.map(trailhead => trailhead.name), ["Near 0", "Near 1", "Near 2", "Near 3", "Near 4"]);
+  });
+
+  await t.test("nearby searches with fewer matches aren't truncated", async () => {
+    const response = await server.request("GET", "/trailheads/nearby?lat=45.5&lng=-122.6&radius=1");
+    assert.strictEqual(response.body.count, 5);
+    assert.strictEqual(response.body.truncated, false);
+  });
+
+  await t.test("bounding boxes say when some trailheads were left out", async () => {
+    const all = await server.request("GET", "/trailheads?bbox=-122.8,45.3,-122.4,45.7");
+    assert.strictEqual(all.body.count, 1000);
+    assert.strictEqual(all.body.truncated, true);
+
+    const some = await server.request("GET", "/trailheads?bbox=-122.61,45.49,-122.59,45.51");
+    assert.strictEqual(some.body.count, 5);
+    assert.strictEqual(some.body.truncated, false);
+
+    const geojson = await server.request("GET", "/trailheads?bbox=-122.8,45.3,-122.4,45.7", { "headers": { "Accept": "application/geo+json" } });
+    assert.strictEqual(geojson.body.truncated, true);
+  });
+});
@@ -0,0 +1,46 @@
+/*
+Imports: each trail and trailhead is saved with its first revision and its search document, in the same transaction
+*/
+
+const test = require('node:test');
+const assert = require('assert');
+const {startServer} = require('./server');
+
+test("imported trails and trailheads have history and can be searched", async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+  const alice = await server.token("alice");
+
+  const csv = "kind,ref,name,length,difficulty,fee,latitude,longitude,trailheads\n"
+    + "trailhead,north,Eagle Creek Trailhead,,,0,45.5,-122.6,\n"
+    + "trail,ridge,Eagle Ridge Loop,4.5,medium,,,,north\n";
+  const imported = await server.request("POST", "/import", { "token": alice, "body": csv, "headers": { "Content-Type": "text/csv" } });
+  assert.strictEqual(imported.status, 201, JSON.stringify(imported.body));
+  const ids = {};
+  imported.body.items.forEach(item => { ids[item.ref] = item.id; });
+
+  const trailHistory = await server.request("GET", "/trails/" + ids.ridge + "/history", { "token": alice });
+  assert.strictEqual(trailHistory.status, 200);
+  assert.deepStrictEqual(trailHistory.body.items.map(revision => [revision.version, revision.action]), [[1, "create"]]);
+
+  const trailheadHistory = await server.request("GET", "/trailheads/" + ids.north + "/history", { "token": alice });
+  assert.strictEqual(trailheadHistory.status, 200);
+  assert.deepStrictEqual(trailheadHistory.body.items.map(revision => [revision.version, revision.action]), [[1, "create"]]);
+
+  const search = await server.request("GET", "/search?q=eagle", { "token": alice });
+  assert.strictEqual(search.status, 200);
+  assert.deepStrictEqual(search.body.items.map(item => item.id).sort(), [ids.north, ids.ridge].sort());
+});
+
+test("imports have at most 160 rows", async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+  const alice = await server.token("alice");
+
+  const rows = [];
+  for (let i = 0; i < 161; i++) {
+    rows.push(JSON.stringify({ "kind": "trailhead", "name": "Lot " + i, "fee": 0, "location": { "latitude": 45, "longitude": -122 } }));
+  }
+  const response = await server.request("POST", "/import", { "token": alice, "body": rows.join("\n"), "headers": { "Content-Type": "application/x-ndjson" } });
+  assert.strictEqual(response.status, 400);
+});
@@ -0,0 +1,64 @@
+/*
+Pagination: next URLs walk through every result once, and nextPage cursors the API didn't make are turned away
+*/
+
+const test = require('node:test');
+const assert = require('assert');
+const {startServer} = require('./server');
+
+// returns every item of a list, following its next URLs
+async function readAllPages(server, listPath, token) {
+  const items = [];
+  let next = listPath;
+
+  while (next) {
+    const page = await server.request("GET", next, { "token": token });
+    assert.strictEqual(page.status, 200);
+    items.push(...page.body.items);
+    next = page.body.next ? page.body.next.slice(server.url.length) : null;
+  }
+
+  return items;
+}
+
+test("pagination", async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const alice = await server.token("alice");
+  for (let i = 0; i < 12; i++) {
+    const trail = { "name": "Trail " + String(i).padStart(2, "0"), "length": i + 1, "difficulty": "easy" };
+    assert.strictEqual((await server.request("POST", "/trails", { "token": alice, "body": trail })).status, 201);
+
+    const trailhead = { "name": "Trailhead " + i, "location": { "latitude": 45.5 + i / 1000, "longitude": -122.6 }, "fee": 0 };
+    assert.strictEqual((await server.request("POST", "/trailheads", { "token": alice, "body": trailhead })).status, 201);
+  }
+
+  await t.test("next URLs visit every trail once, in order", async () => {
+    const first = await server.request("GET", "/trails?sort=name", { "token": alice });
+    assert.strictEqual(first.body.count, 12);
+    assert.strictEqual(first.body.items.length, 5);
+
+    const names = (await readAllPages(server, "/trails?sort=name", alice)).map(trail => trail.name);
+    assert.deepStrictEqual(names, names.slice().sort());
+    assert.strictEqual(new Set(names).size, 12);
+  });
+
+  await t.test("next URLs keep filters", async () => {
+    const trails = await readAllPages(server, "/trails?minLength=4&sort=length", alice);
+    assert.deepStrictEqual(trails.map(trail => trail.length), [4, 5, 6, 7, 8, 9, 10, 11, 12]);
+  });
+
+  await t.test("in-memory pages (bounding boxes and nearby) visit every trailhead once", async () => {
+    assert.strictEqual((await readAllPages(server, "/trailheads?bbox=-122.7,45.4,-122.5,45.6")).length, 12);
+    assert.strictEqual((await readAllPages(server, "/trailheads/nearby?lat=45.5&lng=-122.6&radius=5")).length, 12);
+  });
+
+  await t.test("cursors the API didn't make are turned away", async () => {
+    for (const listPath of ["/trails?nextPage=bogus", "/trailheads?nextPage=bogus", "/trailheads?bbox=-122.7,45.4,-122.5,45.6&nextPage=bogus",
+      "/trailheads/nearby?lat=45.5&lng=-122.6&nextPage=bogus", "/search?q=trail&nextPage=bogus", "/users/me/hikes?nextPage=bogus"]) {
+      const response = await server.request("GET", listPath, { "token": alice });
+      assert.strictEqual(response.status, 400, listPath);
+    }
+  });
+});
@@ -0,0 +1,76 @@
+/*
+Rate limiting: budgets, quota headers, requests that arrive at the same moment, and GraphQL mutations that make several writes
+*/
+
+const test = require('node:test');
+const assert = require('assert');
+const {startServer} = require('./server');
+const {createStorage} = require('../storage');
+const {createRateLimiter} = require('../ratelimit');
+
+// counts responses by status (ex: { 201: 3, 429: 7 })
+function countStatuses(responses) {
+  const counts = {};
+  for (const response of responses) {
+    counts[response.status] = (counts[response.status] || 0) + 1;
+  }
+  return counts;
+}
+
+// a trail to create; each has a new name
+let trailCount = 0;
+function makeTrail() {
+  trailCount++;
+  return { "name": "Trail " + trailCount, "length": 1, "difficulty": "easy" };
+}
+
+test("the storage store counts requests whose transactions conflict", async () => {
+  const limiter = createRateLimiter({
+    "RATE_LIMIT_STORE": "storage", "RATE_LIMIT_WINDOW": 3600, "RATE_LIMIT_READS": 5, "RATE_LIMIT_WRITES": 5, "RATE_LIMIT_ANONYMOUS_READS": 5, "RATE_LIMIT_ANONYMOUS_WRITES": 5
+  }, createStorage("memory"));
+
+  // taken at once, every request but the first reads the bucket before another commits, so their transactions conflict
+  const quotas = await Promise.all(Array.from({ "length": 20 }, () => limiter.take("alice", true, true)));
+  assert.strictEqual(quotas.filter(quota => quota.allowed).length, 5);
+});
+
+for (const store of ["memory", "storage"]) {
+  test("rate limiting with the " + store + " store", async (t) => {
+    const server = await startServer({ "RATE_LIMIT_STORE": store, "RATE_LIMIT_WINDOW": "3600", "RATE_LIMIT_WRITES": "5", "RATE_LIMIT_ANONYMOUS_READS": "3" });
+    t.after(() => server.stop());
+
+    await t.test("responses say how much of the budget is left, and requests over it get 429", async () => {
+      const responses = [];
+      for (let i = 0; i < 4; i++) {
+        responses.push(await server.request("GET", "/trailheads"));
+      }
+
+      assert.deepStrictEqual(responses.map(response => response.status), [200, 200, 200, 429]);
+      assert.deepStrictEqual(responses.map(response => response.headers.get("ratelimit-remaining")), ["2", "1", "0", "0"]);
+      assert.strictEqual(responses[0].headers.get("ratelimit-policy"), "3;w=3600");
+      assert.ok(parseInt(responses[3].headers.get("retry-after"), 10) > 0);
+    });
+
+    await t.test("requests that arrive at the same moment are all counted", async () => {
+      const token = await server.token("burst-" + store);
+      const responses = await Promise.all(Array.from({ "length": 20 }, () => server.request("POST", "/trails", { "token": token, "body": makeTrail() })));
+
+      assert.deepStrictEqual(countStatuses(responses), { 201: 5, 429: 15 });
+    });
+
+    await t.test("each mutation field of a GraphQL request counts as a write", async () => {
+      const token = await server.token("graphql-" + store);
+      const mutation = (names) => ({
+        "query": "mutation { " + names.map(name => name + ": createTrail(input: { name: \"" + name + "\", length: 1, difficulty: easy }) { id }").join(" ") + " }"
+      });
+
+      const three = await server.request("POST", "/graphql", { "token": token, "body": mutation(["a", "b", "c"]) });
+      assert.strictEqual(three.status, 200);
+      assert.strictEqual(three.headers.get("ratelimit-remaining"), "2");
+
+      const again = await server.request("POST", "/graphql", { "token": token, "body": mutation(["d", "e", "f"]) });
+      assert.strictEqual(again.status, 429);
+      assert.strictEqual((await server.request("GET", "/trails", { "token": token })).body.count, 3);
+    });
+  });
+}
@@ -0,0 +1,116 @@
+/*
+Test server
+Starts the API in a child process with the memory storage backend and local tokens, on a free port, so integration tests talk to it
+over HTTP like any client. Each test file starts its own server, so their entities and rate limit budgets don't mix
+*/
+
+const {spawn} = require('child_process');
+const net = require('net');
+const path = require('path');
+
+// how long the server has to start, in milliseconds
+const START_TIMEOUT = 20 * 1000;
+
+// returns a port nothing is listening on
+function findFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once("error", reject);
+    server.listen(0, "127.0.0.1", () => {
+      const port = server.address().port;
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// starts a server
+// input: environment variables to add to (or replace) the defaults below
+// output: { url, request(method, path, options), token(userId), stop() }
+async function startServer(env) {
+  const port = await findFreePort();
+  const url = "http://127.0.0.1:" + port;
+
+  const child = spawn(process.execPath, [path.join(__dirname, "..", "server.js")], {
+    "cwd": path.join(__dirname, ".."),
+    "env": Object.assign({}, process.env, {
+      "NODE_ENV": "test",
+      "PORT": String(port),
+      "APP_URL": url,
+      "STORAGE_BACKEND": "memory",
+      "AUTH_STRATEGIES": "local,apikey",
+      "LOCAL_JWT_SECRET": "test-secret",
+      "RATE_LIMIT_WINDOW": "0",
+      "WEBHOOK_RETRY_INTERVAL": "0"
+    }, env || {}),
+    "stdio": ["ignore", "pipe", "pipe"]
+  });
+
+  // the server's output is kept, and shown if it doesn't start
+  let output = "";
+  child.stdout.on("data", chunk => { output += chunk; });
+  child.stderr.on("data", chunk => { output += chunk; });
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error("server didn't start:\n" + output)), START_TIMEOUT);
+    child.stdout.on("data", () => {
+      if (output.includes("Server listening")) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.once("exit", code => {
+      clearTimeout(timer);
+      reject(new Error("server exited with " + code + ":\n" + output));
+    });
+  });
+
+  // sends a request; bodies that aren't strings are sent as JSON, and JSON responses are parsed
+  // input: method; path (ex: "/trails"); options { token (credential for Authorization), body, headers }
+  // output: { status, headers, body }
+  const request = async (method, requestPath, options) => {
+    options = options || {};
+    const headers = Object.assign({ "Accept": "application/json" }, options.headers || {});
+    let body = options.body;
+
+    if (options.token) {
+      headers["Authorization"] = "Bearer " + options.token;
+    }
+    if (body !== undefined && typeof body !== "string") {
+      headers["Content-Type"] = headers["Content-Type"] || "application/json";
+      body = JSON.stringify(body);
+    }
+
+    const response = await fetch(url + requestPath, { "method": method, "headers": headers, "body": body });
+    const text = await response.text();
+    const type = response.headers.get("content-type") || "";
+
+    return {
+      "status": response.status,
+      "headers": response.headers,
+      "body": type.includes("json") && text !== "" ? JSON.parse(text) : text
+    };
+  };
+
+  // returns a local token for a user, creating their profile if they don't have one
+  const token = async (userId) => {
+    const response = await request("POST", "/auth/local/token", { "body": { "userId": userId } });
+    if (response.status !== 200) {
+      throw new Error("couldn't get a token for " + userId + ": " + response.status);
+    }
+    return response.body.token;
+  };
+
+  const stop = () => new Promise(resolve => {
+    if (child.exitCode !== null) {
+      return resolve();
+    }
+    child.once("exit", () => resolve());
+    child.kill();
+  });
+
+  return { url, request, token, stop };
+}
+
+module.exports = {
+  startServer
+};
@@ -0,0 +1,91 @@
+/*
+Sharing and permissions: who can see and change a trail as its visibility and shares change, and what API keys can't do
+*/
+
+const test = require('node:test');
+const assert = require('assert');
+const {startServer} = require('./server');
+
+test("sharing and permissions", async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const alice = await server.token("alice");
+  const bob = await server.token("bob");
+  const bobId = (await server.request("GET", "/users/me", { "token": bob })).body.id;
+
+  const created = await server.request("POST", "/trails", { "token": alice, "body": { "name": "Ridge Loop", "length": 4, "difficulty": "easy" } });
+  assert.strictEqual(created.status, 201);
+  const trailPath = "/trails/" + created.body.id;
+
+  await t.test("private trails are only seen by their owner, and can't be shared", async () => {
+    assert.strictEqual((await server.request("GET", trailPath, { "token": alice })).status, 200);
+    assert.strictEqual((await server.request("GET", trailPath, { "token": bob })).status, 403);
+    assert.strictEqual((await server.request("GET", trailPath)).status, 401);
+
+    const shared = await server.request("PUT", trailPath + "/shares/" + bobId, { "token": alice, "body": { "role": "viewer" } });
+    assert.strictEqual(shared.status, 409);
+  });
+
+  await t.test("viewers can see a shared trail but not change it, or see its shares", async () => {
+    assert.strictEqual((await server.request("PATCH", trailPath, { "token": alice, "body": { "visibility": "shared" } })).status, 200);
+
+    const shared = await server.request("PUT", trailPath + "/shares/" + bobId, { "token": alice, "body": { "role": "viewer" } });
+    assert.strictEqual(shared.status, 201);
+
+    const seen = await server.request("GET", trailPath, { "token": bob });
+    assert.strictEqual(seen.status, 200);
+    assert.ok(!("shares" in seen.body));
+    assert.strictEqual((await server.request("GET", trailPath, { "token": alice })).body.shares.length, 1);
+
+    assert.strictEqual((await server.request("PATCH", trailPath, { "token": bob, "body": { "name": "Bob's Loop" } })).status, 403);
+    assert.strictEqual((await server.request("GET", "/trails?scope=shared", { "token": bob })).body.count, 1);
+  });
+
+  await t.test("editors can change a shared trail, but not its visibility or shares", async () => {
+    assert.strictEqual((await server.request("PUT", trailPath + "/shares/" + bobId, { "token": alice, "body": { "role": "editor" } })).status, 200);
+
+    const edited = await server.request("PATCH", trailPath, { "token": bob, "body": { "name": "Bob's Loop" } });
+    assert.strictEqual(edited.status, 200);
+    assert.strictEqual(edited.body.name, "Bob's Loop");
+
+    assert.strictEqual((await server.request("PATCH", trailPath, { "token": bob, "body": { "visibility": "public" } })).status, 403);
+    assert.strictEqual((await server.request("PUT", trailPath + "/shares/" + bobId, { "token": bob, "body": { "role": "viewer" } })).status, 403);
+  });
+
+  await t.test("making a trail private or removing a share takes access away", async () => {
+    assert.strictEqual((await server.request("PATCH", trailPath, { "token": alice, "body": { "visibility": "private" } })).status, 200);
+    assert.strictEqual((await server.request("GET", trailPath, { "token": bob })).status, 403);
+
+    assert.strictEqual((await server.request("PATCH", trailPath, { "token": alice, "body": { "visibility": "shared" } })).status, 200);
+    assert.strictEqual((await server.request("GET", trailPath, { "token": bob })).status, 200);
+
+    assert.strictEqual((await server.request("DELETE", trailPath + "/shares/" + bobId, { "token": alice })).status, 204);
+    assert.strictEqual((await server.request("GET", trailPath, { "token": bob })).status, 403);
+  });
+
+  await t.test("API keys only do what their scopes allow, and never manage the account", async () => {
+    const created = await server.request("POST", "/users/me/api-keys", { "token": bob, "body": { "name": "script", "scopes": ["users:read", "users:write"] } });
+    assert.strictEqual(created.status, 201);
+    const key = created.body.key;
+
+    assert.strictEqual((await server.request("GET", "/users/me", { "token": key })).status, 200);
+    assert.strictEqual((await server.request("PATCH", "/users/me", { "token": key, "body": { "firstName": "Robert" } })).status, 200);
+
+    const noScope = await server.request("POST", "/trails", { "token": key, "body": { "name": "Key Trail", "length": 1, "difficulty": "easy" } });
+    assert.strictEqual(noScope.status, 403);
+    assert.strictEqual(noScope.body.scope, "trails:write");
+
+    assert.strictEqual((await server.request("DELETE", "/users/me", { "token": key })).status, 403);
+    assert.strictEqual((await server.request("PUT", "/users/" + bobId + "/role", { "token": key, "body": { "role": "admin" } })).status, 403);
+    assert.strictEqual((await server.request("POST", "/users/me/api-keys", { "token": key, "body": { "name": "another", "scopes": ["users:read"] } })).status, 403);
+  });
+
+  await t.test("admins and moderators can't get local tokens", async () => {
+    const admin = await startServer({ "ADMIN_USER_IDS": "root" });
+    t.after(() => admin.stop());
+
+    assert.strictEqual((await admin.request("POST", "/auth/local/token", { "body": { "userId": "root" } })).status, 403);
+    assert.strictEqual((await admin.request("POST", "/auth/local/token", { "body": { "userId": "someone" } })).status, 200);
+  });
+});
@@ -0,0 +1,211 @@
+/*
+Trail routes
+Reads a trail's route from an uploaded GPX document, GeoJSON LineString, or list of points, and derives its length and elevation stats.
+Uploaded elevations are in meters (as in GPX and GeoJSON); derived lengths are in miles and elevations in feet
+*/
+
+const {distance} = require('./geo');
+
+// largest number of points a route can have
+const MAX_ROUTE_POINTS = 10000;
+
+// number of samples in a route's elevation profile
+const PROFILE_POINTS = 100;
+
+const FEET_PER_METER = 3.28084;
+
+// returns a number rounded to a number of decimal places
+function round(value, places) {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+// reads one numeric XML attribute (ex: lat="45.5" or lat='45.5')
+function readXMLAttribute(attributes, name) {
+  const match = new RegExp("\\b" + name + "\\s*=\\s*[\"']([^\"']*)[\"']").exec(attributes);
+  return match ? Number(match[1]) : NaN;
+}
+
+// reads points from a GPX document: track points if it has any, otherwise route points
+function readGPX(text) {
+  if (typeof text !== "string" || text.indexOf("<gpx") === -1) {
+    return { "error": "body must be a GPX document" };
+  }
+
+  for (const tag of ["trkpt", "rtept"]) {
+    const pattern = new RegExp("<" + tag + "\\b([^>]*?)(?:\\/>|>([\\s\\S]*?)<\\/" + tag + ">)", "g");
+    const points = [];
+    let match = null;
+
+    while ((match = pattern.exec(text)) !== null) {
+      const point = {
+        "latitude": readXMLAttribute(match[1], "lat"),
+        "longitude": readXMLAttribute(match[1], "lon")
+      };
+
+      const elevation = /<ele>\s*([^<]*?)\s*<\/ele>/.exec(match[2] || "");
+      if (elevation) {
+        point.elevation = Number(elevation[1]);
+      }
+
+      points.push(point);
+    }
+
+    if (points.length > 0) {
+      return { "points": points };
+    }
+  }
+
+  return { "error": "GPX document has no track or route points" };
+}
+
+// reads points from GeoJSON coordinates ([longitude, latitude, elevation])
+function readCoordinates(coordinates) {
+  return coordinates.map(position => {
+    const point = {
+      "latitude": Array.isArray(position) ? position[1] : NaN,
+      "longitude": Array.isArray(position) ? position[0] : NaN
+    };
+
+    if (Array.isArray(position) && position.length > 2) {
+      point.elevation = position[2];
+    }
+    return point;
+  });
+}
+
+// reads points from a JSON body: a GeoJSON LineString or MultiLineString (or a Feature of one), or { "points": [{ latitude, longitude, elevation }] }
+function readJSON(body) {
+  if (!body || typeof body !== "object") {
+    return { "error": "body must be a GeoJSON LineString or an object with points" };
+  }
+
+  if (Array.isArray(body.points)) {
+    return {
+      "points": body.points.map(point => {
+        const copy = { "latitude": point && point.latitude, "longitude": point && point.longitude };
+        if (point && point.elevation !== undefined) {
+          copy.elevation = point.elevation;
+        }
+        return copy;
+      })
+    };
+  }
+
+  const geometry = body.type === "Feature" ? body.geometry : body;
+
+  if (geometry && geometry.type === "LineString" && Array.isArray(geometry.coordinates)) {
+    return { "points": readCoordinates(geometry.coordinates) };
+  } else if (geometry && geometry.type === "MultiLineString" && Array.isArray(geometry.coordinates)) {
+    // join the lines in order
+    return { "points": readCoordinates([].concat.apply([], geometry.coordinates.filter(Array.isArray))) };
+  }
+
+  return { "error": "body must be a GeoJSON LineString or an object with points" };
+}
+
+// reads a route from an upload and checks its points
+// input: media type of the body (from Content-Type, without parameters); body (string for GPX, parsed object for JSON)
+// output: { points: [{ latitude, longitude, elevation }] } or { error: message }
+function readRoute(mediaType, body) {
+  const result = mediaType.indexOf("xml") !== -1 ? readGPX(body) : readJSON(body);
+  if (result.error) {
+    return result;
+  }
+
+  const points = result.points;
+
+  if (points.length < 2) {
+    return { "error": "route must have at least 2 points" };
+  } else if (points.length > MAX_ROUTE_POINTS) {
+    return { "error": "route can have at most " + MAX_ROUTE_POINTS + " points" };
+  }
+
+  for (let i = 0; i < points.length; i++) {
+    const point = points[i];
+
+    if (typeof point.latitude !== "number" || !(point.latitude >= -90 && point.latitude <= 90) ||
+        typeof point.longitude !== "number" || !(point.longitude >= -180 && point.longitude <= 180)) {
+      return { "error": "point " + i + " must have a latitude from -90 to 90 and a longitude from -180 to 180" };
+    } else if (point.elevation !== undefined && (typeof point.elevation !== "number" || !isFinite(point.elevation))) {
+      return { "error": "point " + i + " has an elevation that is not a number" };
+    }
+  }
+
+  return { "points": points };
+}
+
+// derives a route's length, elevation stats, bounding box, and elevation profile
+// input: points from readRoute
+// output: { length (miles), elevationGain, elevationLoss, minElevation, maxElevation (feet; null without elevations),
+//   bbox ([minLongitude, minLatitude, maxLongitude, maxLatitude]), elevationProfile ([{ distance (miles), elevation (feet) }]), pointCount }
+function makeRouteStats(points) {
+  let length = 0;
+  let gain = 0;
+  let loss = 0;
+  let minElevation = null;
+  let maxElevation = null;
+  let previousElevation = null;
+  const bbox = [points[0].longitude, points[0].latitude, points[0].longitude, points[0].latitude];
+
+  // distance from the start of the route to each point
+  const distances = [];
+
+  for (let i = 0; i < points.length; i++) {
+    const point = points[i];
+
+    if (i > 0) {
+      length += distance(points[i - 1], point);
+    }
+    distances.push(length);
+
+    bbox[0] = Math.min(bbox[0], point.longitude);
+    bbox[1] = Math.min(bbox[1], point.latitude);
+    bbox[2] = Math.max(bbox[2], point.longitude);
+    bbox[3] = Math.max(bbox[3], point.latitude);
+
+    if (point.elevation !== undefined) {
+      const elevation = point.elevation * FEET_PER_METER;
+
+      if (previousElevation !== null) {
+        gain += Math.max(elevation - previousElevation, 0);
+        loss += Math.max(previousElevation - elevation, 0);
+      }
+
+      minElevation = minElevation === null ? elevation : Math.min(minElevation, elevation);
+      maxElevation = maxElevation === null ? elevation : Math.max(maxElevation, elevation);
+      previousElevation = elevation;
+    }
+  }
+
+  // sample points evenly along the route for the profile
+  const withElevation = points.map((point, i) => i).filter(i => points[i].elevation !== undefined);
+  const samples = Math.min(PROFILE_POINTS, withElevation.length);
+  const elevationProfile = [];
+
+  for (let sample = 0; sample < samples; sample++) {
+    const i = withElevation[samples === 1 ? 0 : Math.round(sample * (withElevation.length - 1) / (samples - 1))];
+    elevationProfile.push({
+      "distance": round(distances[i], 2),
+      "elevation": Math.round(points[i].elevation * FEET_PER_METER)
+    });
+  }
+
+  const hasElevation = minElevation !== null;
+
+  return {
+    "length": round(length, 2),
+    "elevationGain": hasElevation ? Math.round(gain) : null,
+    "elevationLoss": hasElevation ? Math.round(loss) : null,
+    "minElevation": hasElevation ? Math.round(minElevation) : null,
+    "maxElevation": hasElevation ? Math.round(maxElevation) : null,
+    "bbox": bbox,
+    "elevationProfile": elevationProfile,
+    "pointCount": points.length
+  };
+}
+
+module.exports = {
+  readRoute,
+  makeRouteStats
+};
@@ -0,0 +1,53 @@
+/*
+Trash
+Deleting a trail or trailhead moves it to the trash instead of deleting it for good: it is saved as a trash item that holds the entity as it was,
+including the IDs of its related entities, and its ID is removed from those entities so nothing else lists it (see trashInTransaction in server.js).
+Restoring it saves the entity again under its own ID and links it back to the related entities that still exist.
+Items are kept for config.TRASH_RETENTION_DAYS; after that they can't be restored, and POST /maintenance/trash/purge deletes them for good
+along with the entity's route, reviews, and proposed edits
+*/
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// returns a trash item for a trail or trailhead that is being deleted
+// input: type (TRAIL, TRAILHEAD); its ID; entity as it was; userId of who deleted it; current time as an ISO string
+// output: trash item data; the entity is kept as JSON text, so none of its attributes are indexed (save with excludeFromIndexes: ["entity"])
+function makeTrashItem(type, id, entity, deletedBy, now) {
+  const owner = entity.userId || null;
+
+  return {
+    "kind": type.name,
+    "entityId": String(id),
+    "name": entity.name,
+    "userId": owner,
+    // the owner (or creator) and whoever deleted it, so both find it in their trash
+    "users": [owner, deletedBy].filter((user, i, users) => user !== null && users.indexOf(user) === i),
+    "deletedBy": deletedBy,
+    "deletedAt": now,
+    "entity": JSON.stringify(entity)
+  };
+}
+
+// returns the trail or trailhead data kept in a trash item
+function readTrashedEntity(item) {
+  return JSON.parse(item.entity);
+}
+
+// returns the time that trash items deleted at or before have been kept for the whole retention window, as an ISO string
+// input: current time (Date); retention window in days
+function retentionCutoff(now, days) {
+  return new Date(now.getTime() - days * DAY).toISOString();
+}
+
+// returns the time a trash item is kept until, as an ISO string
+// input: trash item; retention window in days
+function purgeTime(item, days) {
+  return new Date(Date.parse(item.deletedAt) + days * DAY).toISOString();
+}
+
+module.exports = {
+  makeTrashItem,
+  readTrashedEntity,
+  retentionCutoff,
+  purgeTime
+};
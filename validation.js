@@ -0,0 +1,313 @@
+/*
+Attribute validation
+Each entity descriptor (e.g. TRAIL, TRAILHEAD) declares its fields with a type and constraints in "fields".
+Each declaration is turned into a schema (an OpenAPI 3.0 Schema Object), and request bodies are checked against those schemas,
+so the contract published at /openapi.json (see openapi.js) is exactly what the API enforces
+*/
+
+// largest whole number JavaScript can hold exactly; IDs sent as numbers must be at most this
+const MAX_SAFE_INTEGER = 9007199254740991;
+
+// messages for the patterns schemas use, in place of the pattern itself
+const PATTERN_ERRORS = {
+  "\\S": "must not be blank",
+  "^[1-9]\\d{0,18}$": "must be an ID"
+};
+
+// returns the schema for one field declaration
+// supported types: string (minLength, maxLength), float (min, max), integer (min, max), enum (values), enumList (values; a non-empty array of distinct values),
+// stringList (maxItems, and minLength and maxLength of each string), geoPoint (latitude/longitude bounds), date (YYYY-MM-DD),
+// dateTime (ISO 8601 date and time with a time zone, ex: 2021-07-04T08:00:00Z or 2021-07-04T08:00:00-07:00),
+// id (ID of another entity, as a string or number)
+// nullable fields also accept null
+// input: field declaration
+// output: schema object
+function makeFieldSchema(field) {
+  const schema = makeTypeSchema(field);
+
+  if (field.nullable) {
+    schema.nullable = true;
+  }
+  return schema;
+}
+
+// schema for a string with a field's length limits; a minimum length also keeps out blank strings, since spaces alone aren't a name
+function makeStringSchema(field) {
+  const schema = { "type": "string" };
+
+  if (field.minLength !== undefined) {
+    schema.minLength = field.minLength;
+    if (field.minLength > 0) {
+      schema.pattern = "\\S";
+    }
+  }
+  if (field.maxLength !== undefined) {
+    schema.maxLength = field.maxLength;
+  }
+  return schema;
+}
+
+// schema for a number with a field's bounds
+function makeNumberSchema(type, field) {
+  const schema = { "type": type };
+
+  if (field.min !== undefined) {
+    schema.minimum = field.min;
+  }
+  if (field.max !== undefined) {
+    schema.maximum = field.max;
+  }
+  return schema;
+}
+
+// schema for a field declaration's type (see makeFieldSchema)
+function makeTypeSchema(field) {
+  switch (field.type) {
+    case "string":
+      return makeStringSchema(field);
+
+    case "float":
+      return makeNumberSchema("number", field);
+
+    case "integer":
+      return makeNumberSchema("integer", field);
+
+    case "enum":
+      return { "type": "string", "enum": field.values.slice() };
+
+    case "enumList":
+      return { "type": "array", "items": { "type": "string", "enum": field.values.slice() }, "minItems": 1, "uniqueItems": true };
+
+    case "stringList": {
+      const schema = { "type": "array", "items": makeStringSchema(field) };
+      if (field.maxItems !== undefined) {
+        schema.maxItems = field.maxItems;
+      }
+      return schema;
+    }
+
+    // the date must exist, so 2021-02-30 is rejected
+    case "date":
+      return { "type": "string", "format": "date" };
+
+    case "dateTime":
+      return { "type": "string", "format": "date-time" };
+
+    case "id":
+      return {
+        "oneOf": [
+          { "type": "string", "pattern": "^[1-9]\\d{0,18}$" },
+          { "type": "integer", "minimum": 1, "maximum": MAX_SAFE_INTEGER }
+        ]
+      };
+
+    case "geoPoint":
+      return {
+        "type": "object",
+        "properties": {
+          "latitude": { "type": "number", "minimum": -90, "maximum": 90 },
+          "longitude": { "type": "number", "minimum": -180, "maximum": 180 }
+        },
+        "required": ["latitude", "longitude"],
+        "additionalProperties": false
+      };
+
+    default:
+      throw new Error("Unknown field type: " + field.type);
+  }
+}
+
+// returns the schema of a request body that writes a type's attributes; attributes it doesn't declare are allowed and ignored
+// input: type (e.g. TRAIL, TRAILHEAD); whether its required attributes must be present (false for PATCH)
+function makeBodySchema(type, requireAll) {
+  const schema = { "type": "object", "properties": {} };
+
+  for (const attr of Object.keys(type.fields)) {
+    schema.properties[attr] = makeFieldSchema(type.fields[attr]);
+  }
+  if (requireAll && (type.requiredAttributes || []).length > 0) {
+    schema.required = type.requiredAttributes.slice();
+  }
+
+  return schema;
+}
+
+// returns true if a value is a JSON object (not null or an array)
+function isObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+// returns true if a string is a date (YYYY-MM-DD) that exists
+function isDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  return Boolean(match) && new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]))).toISOString().slice(0, 10) === value;
+}
+
+// returns true if a string is a date and time with a time zone
+function isDateTime(value) {
+  return /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})$/.test(value) && !isNaN(Date.parse(value));
+}
+
+// checks a value against a schema; supports the keywords the make*Schema functions use
+// input: schema; value from request body
+// output: error message if value is invalid; null otherwise
+function checkValue(schema, value) {
+  if (value === null && schema.nullable) {
+    return null;
+  }
+
+  // when no option matches, the error is the one from the option of the value's own type
+  if (schema.oneOf) {
+    const errors = schema.oneOf.map(option => checkValue(option, value));
+    const sameType = schema.oneOf.findIndex(option => option.type === typeof value || (typeof value === "number" && option.type === "integer"));
+    return errors.includes(null) ? null : errors[Math.max(sameType, 0)];
+  }
+
+  switch (schema.type) {
+    case "string":
+      return checkString(schema, value);
+    case "number":
+    case "integer":
+      return checkNumber(schema, value);
+    case "array":
+      return checkArray(schema, value);
+    case "object":
+      return checkObject(schema, value);
+    default:
+      throw new Error("Unknown schema type: " + schema.type);
+  }
+}
+
+function checkString(schema, value) {
+  if (typeof value !== "string") {
+    return "must be a string";
+  } else if (schema.enum && !schema.enum.includes(value)) {
+    return "must be one of: " + schema.enum.join(", ");
+  } else if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    return PATTERN_ERRORS[schema.pattern] || "must match " + schema.pattern;
+  } else if (schema.minLength !== undefined && value.length < schema.minLength) {
+    return "must be at least " + schema.minLength + " characters long";
+  } else if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    return "must be at most " + schema.maxLength + " characters long";
+  } else if (schema.format === "date" && !isDate(value)) {
+    return "must be a date (YYYY-MM-DD)";
+  } else if (schema.format === "date-time" && !isDateTime(value)) {
+    return "must be a date and time with a time zone (ex: 2021-07-04T08:00:00Z)";
+  }
+  return null;
+}
+
+function checkNumber(schema, value) {
+  if (typeof value !== "number" || !isFinite(value)) {
+    return "must be a number";
+  } else if (schema.type === "integer" && !Number.isInteger(value)) {
+    return "must be a whole number";
+  } else if (schema.minimum !== undefined && value < schema.minimum) {
+    return "must be at least " + schema.minimum;
+  } else if (schema.maximum !== undefined && value > schema.maximum) {
+    return "must be at most " + schema.maximum;
+  }
+  return null;
+}
+
+function checkArray(schema, value) {
+  if (!Array.isArray(value)) {
+    return "must be an array";
+  } else if (schema.minItems !== undefined && value.length < schema.minItems) {
+    return "must have at least " + schema.minItems + (schema.minItems === 1 ? " item" : " items");
+  } else if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+    return "must have at most " + schema.maxItems + " items";
+  } else if (schema.uniqueItems && value.some((item, i) => value.indexOf(item) !== i)) {
+    return "must not repeat a value";
+  }
+
+  for (const item of value) {
+    const error = checkValue(schema.items, item);
+    if (error) {
+      return "each item " + error;
+    }
+  }
+  return null;
+}
+
+function checkObject(schema, value) {
+  if (!isObject(value)) {
+    return "must be an object with " + Object.keys(schema.properties).join(" and ");
+  } else if (schema.additionalProperties === false && Object.keys(value).some(key => !(key in schema.properties))) {
+    return "must only contain " + Object.keys(schema.properties).join(" and ");
+  }
+
+  const missing = (schema.required || []).find(key => !(key in value));
+  if (missing) {
+    return missing + " is required";
+  }
+
+  for (const key of Object.keys(schema.properties)) {
+    const error = key in value ? checkValue(schema.properties[key], value[key]) : null;
+    if (error) {
+      return key + " " + error;
+    }
+  }
+  return null;
+}
+
+// checks a value against one field declaration (see makeFieldSchema)
+// input: field declaration; value from request body or query string
+// output: error message if value is invalid; null otherwise
+function checkField(field, value) {
+  return checkValue(makeFieldSchema(field), value);
+}
+
+// checks a request body against a body schema (see makeBodySchema); a body that isn't an object has none of the required attributes
+// input: body schema; request body
+// output: { missing, invalid }, each an array of { attribute, error } (both empty if the body is valid)
+function findBodyErrors(schema, body) {
+  const attributes = isObject(body) ? body : {};
+
+  const missing = (schema.required || [])
+    .filter(attr => !(attr in attributes))
+    .map(attr => ({ "attribute": attr, "error": "is required" }));
+
+  const invalid = Object.keys(schema.properties)
+    .filter(attr => attr in attributes)
+    .map(attr => ({ "attribute": attr, "error": checkValue(schema.properties[attr], attributes[attr]) }))
+    .filter(result => result.error !== null);
+
+  return { "missing": missing, "invalid": invalid };
+}
+
+// returns the required attributes of a type that are missing from a request body
+// input: type (e.g. TRAIL, TRAILHEAD); request body
+// output: array of { attribute, error } (empty if nothing is missing)
+function findMissingAttributes(type, body) {
+  return type.requiredAttributes
+    .filter(attr => !(attr in body))
+    .map(attr => ({ "attribute": attr, "error": "is required" }));
+}
+
+// returns the attributes in a request body that don't match their field declarations; attributes not in the body are skipped
+// input: type (e.g. TRAIL, TRAILHEAD); request body
+// output: array of { attribute, error } (empty if everything is valid)
+function findInvalidAttributes(type, body) {
+  const invalid = [];
+
+  for (const attr of Object.keys(type.fields)) {
+    if (attr in body) {
+      const error = checkField(type.fields[attr], body[attr]);
+      if (error) {
+        invalid.push({ "attribute": attr, "error": error });
+      }
+    }
+  }
+
+  return invalid;
+}
+
+module.exports = {
+  makeFieldSchema,
+  makeBodySchema,
+  checkField,
+  findBodyErrors,
+  findMissingAttributes,
+  findInvalidAttributes
+};
@@ -0,0 +1,198 @@
+/*
+Webhooks
+Users subscribe a URL to events (ex: trail.updated). Each event a subscription's user can see is saved as a delivery and POSTed to the URL as JSON,
+signed with the subscription's secret: X-Webhook-Signature is "sha256=" and the hex HMAC-SHA256 of X-Webhook-Timestamp, a period, and the body,
+so receivers can check that it came from this API and turn away old ones.
+A delivery that fails (network error, timeout, or a response other than 2xx) is tried again later, waiting twice as long after each failure,
+until it has been tried MAX_ATTEMPTS times. Deliveries are saved until their subscription is deleted, so they also make up its log (see server.js)
+Since the log shows each response, receivers must be public: a URL's host is resolved each time a delivery is sent (redirects aren't followed),
+and loopback, private, link-local, and other special addresses are refused, unless WEBHOOK_ALLOW_PRIVATE_URLS is on (see config.js)
+*/
+
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const {URL} = require('url');
+const request = require('request-promise');
+
+// times a delivery is tried before it is marked failed
+const MAX_ATTEMPTS = 8;
+
+// wait before the first retry, and the longest wait between retries, in milliseconds
+const FIRST_RETRY_DELAY = 30 * 1000;
+const MAX_RETRY_DELAY = 6 * 60 * 60 * 1000;
+
+// how long a receiver has to answer, in milliseconds
+const DELIVERY_TIMEOUT = 10 * 1000;
+
+// returns a new signing secret for a subscription
+function makeWebhookSecret() {
+  return "whsec_" + crypto.randomBytes(24).toString("hex");
+}
+
+// returns the signature of a delivery (see X-Webhook-Signature above)
+// input: subscription's secret; timestamp (seconds since 1970, as a string); body text
+function signDelivery(secret, timestamp, body) {
+  return "sha256=" + crypto.createHmac("sha256", secret).update(timestamp + "." + body).digest("hex");
+}
+
+// returns how long to wait before trying a delivery again, in milliseconds
+// input: number of times it has been tried
+function retryDelay(attempts) {
+  return Math.min(FIRST_RETRY_DELAY * Math.pow(2, attempts - 1), MAX_RETRY_DELAY);
+}
+
+// IPv4 ranges that aren't public: [first address, prefix length]
+const PRIVATE_IPV4_RANGES = [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16], ["172.16.0.0", 12], ["192.0.0.0", 24],
+  ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 4], ["240.0.0.0", 4]
+].map(([first, bits]) => [parseIPv4(first), bits]);
+
+// returns an IPv4 address as a number
+function parseIPv4(address) {
+  return address.split(".").reduce((value, part) => value * 256 + parseInt(part, 10), 0);
+}
+
+// returns an IPv6 address as its 8 groups (numbers); an IPv4 address at the end (ex: ::ffff:10.0.0.1) makes up the last 2
+function parseIPv6(address) {
+  let text = address.split("%")[0].toLowerCase();
+
+  const dotted = text.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    const value = parseIPv4(dotted[2]);
+    text = dotted[1] + Math.floor(value / 65536).toString(16) + ":" + (value % 65536).toString(16);
+  }
+
+  const [head, tail] = text.split("::");
+  const headGroups = head ? head.split(":") : [];
+  const tailGroups = tail ? tail.split(":") : [];
+  const zeros = tail === undefined ? [] : new Array(8 - headGroups.length - tailGroups.length).fill("0");
+
+  return headGroups.concat(zeros, tailGroups).map(group => parseInt(group, 16));
+}
+
+// returns true if an IP address is public: not loopback, private, link-local, multicast, or otherwise reserved
+function isPublicAddress(address) {
+  if (net.isIPv4(address)) {
+    const value = parseIPv4(address);
+    return !PRIVATE_IPV4_RANGES.some(([first, bits]) => Math.floor(value / Math.pow(2, 32 - bits)) === Math.floor(first / Math.pow(2, 32 - bits)));
+  } else if (!net.isIPv6(address)) {
+    return false;
+  }
+
+  const groups = parseIPv6(address);
+  const leadingZeros = groups.slice(0, 5).every(group => group === 0);
+
+  // IPv4-mapped (::ffff:a.b.c.d) and IPv4-compatible (::a.b.c.d) addresses are as public as the IPv4 address
+  if (leadingZeros && (groups[5] === 0xffff || groups[5] === 0)) {
+    if (groups[5] === 0 && groups[6] === 0 && groups[7] <= 1) {
+      return false; // :: and ::1
+    }
+    return isPublicAddress([groups[6] >> 8, groups[6] & 255, groups[7] >> 8, groups[7] & 255].join("."));
+  }
+
+  // unique local (fc00::/7), link-local (fe80::/10), site-local (fec0::/10), multicast (ff00::/8), and NAT64 (64:ff9b::/96, which can reach IPv4 hosts)
+  return (groups[0] & 0xfe00) !== 0xfc00 && (groups[0] & 0xffc0) !== 0xfe80 && (groups[0] & 0xffc0) !== 0xfec0 && (groups[0] & 0xff00) !== 0xff00 &&
+    !(groups[0] === 0x64 && groups[1] === 0xff9b);
+}
+
+// returns a lookup function for http.request that resolves a host like dns.lookup, but fails if any of its addresses isn't public
+// checking when connecting (rather than before sending) means a host can't resolve to a public address for the check and a private one for the request
+function makePublicLookup() {
+  return (hostname, options, callback) => {
+    if (typeof options === "function") {
+      callback = options;
+      options = {};
+    } else if (typeof options === "number") {
+      options = { "family": options };
+    }
+
+    dns.lookup(hostname, Object.assign({}, options, { "all": true }), (error, addresses) => {
+      if (error) {
+        return callback(error);
+      } else if (addresses.some(address => !isPublicAddress(address.address))) {
+        return callback(new Error("receiver's address isn't public"));
+      } else if (options.all) {
+        return callback(null, addresses);
+      }
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  };
+}
+
+// returns a URL's host if it is an IP address (without IPv6's brackets), or null if it is a name
+function hostAddress(parsed) {
+  const host = parsed.hostname.replace(/^\[(.*)\]$/, "$1");
+  return net.isIP(host) ? host : null;
+}
+
+// checks that a subscription's URL is an absolute http or https URL without credentials; an IP address must be public unless allowPrivate is true
+// (a name's addresses are checked each time a delivery is sent, since they can change)
+// output: error message, or null if it's valid
+function checkWebhookURL(url, allowPrivate) {
+  let parsed = null;
+
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return "must be an absolute URL";
+  }
+
+  if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+    return "must be an http or https URL";
+  } else if (parsed.username || parsed.password) {
+    return "must not contain a user name or password";
+  } else if (!allowPrivate && hostAddress(parsed) && !isPublicAddress(hostAddress(parsed))) {
+    return "must not be a loopback, private, or link-local address";
+  }
+  return null;
+}
+
+// POSTs a delivery to a subscription's URL; redirects aren't followed, and receivers at addresses that aren't public are refused unless allowPrivate is true
+// input: subscription's url and secret; delivery's ID, event, and body text; allowPrivate
+// output: { ok: true if the receiver answered 2xx, status: HTTP status (null if there was no response), error: message (null if ok) }
+async function sendDelivery(url, secret, deliveryId, event, body, allowPrivate) {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+
+  // connecting to an IP address doesn't look it up, so it is checked here (it may have been saved before it was refused; see checkWebhookURL)
+  const address = hostAddress(new URL(url));
+  if (!allowPrivate && address && !isPublicAddress(address)) {
+    return { "ok": false, "status": null, "error": "receiver's address isn't public" };
+  }
+
+  try {
+    const response = await request({
+      "method": "POST",
+      "uri": url,
+      "body": body,
+      "headers": {
+        "Content-Type": "application/json",
+        "User-Agent": "trails-api-webhooks",
+        "X-Webhook-Event": event,
+        "X-Webhook-Delivery": String(deliveryId),
+        "X-Webhook-Timestamp": timestamp,
+        "X-Webhook-Signature": signDelivery(secret, timestamp, body)
+      },
+      "timeout": DELIVERY_TIMEOUT,
+      "followRedirect": false,
+      "lookup": allowPrivate ? undefined : makePublicLookup(),
+      "resolveWithFullResponse": true,
+      "simple": false
+    });
+
+    const ok = response.statusCode >= 200 && response.statusCode < 300;
+    return { "ok": ok, "status": response.statusCode, "error": ok ? null : "receiver answered " + response.statusCode };
+  } catch (error) {
+    return { "ok": false, "status": null, "error": error.cause ? String(error.cause.code || error.cause.message) : String(error.message) };
+  }
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  DELIVERY_TIMEOUT,
+  makeWebhookSecret,
+  retryDelay,
+  isPublicAddress,
+  checkWebhookURL,
+  sendDelivery
+};